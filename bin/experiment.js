@@ -0,0 +1,417 @@
+#!/usr/bin/env node
+/**
+ * Experiment CLI - Runs an experiment from the command line, for scripts and CI
+ *
+ * The experiment is described by image paths and flags, or by a JSON/YAML spec with
+ * the same fields as the run config of exported results. Flags override the spec.
+ * Progress goes to stderr and the Markdown report to stdout; the results can be
+ * written as JSON (re-importable in the app) and as a CSV of every query.
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import YAML from 'yaml';
+import { Experiment } from '../src/services/experiment.js';
+import { Batch, parseManifest } from '../src/services/batch.js';
+import { listProviders, CACHE_MODES } from '../src/services/llm/index.js';
+import { TESTS, ALTERNATIVES } from '../src/services/statistics.js';
+import { toProviderConfig } from '../src/services/settings.js';
+import { toJSON, toCSV, toMarkdownReport, batchCSV, EXPORT_FORMAT } from '../src/services/export.js';
+
+const USAGE = `Usage: experiment [options] [image ...]
+       experiment --manifest <file> [options]
+
+Experiment:
+  -s, --spec <file>         JSON or YAML experiment spec (exported results also work)
+  -m, --manifest <file>     Run a batch: CSV or JSON manifest with one experiment per row
+  -q, --question <text>     Question to ask about every image
+  -p, --provider <name>     ${listProviders().join(' | ')} (default: mock)
+      --set <key=value>     Provider setting, e.g. --set model=llava --set seed=42 (repeatable)
+  -n, --sample-size <n>     Queries per image, or comparisons per pair (default: 50)
+      --mode <mode>         rating | preference (default: rating)
+      --test <test>         ${Object.keys(TESTS).join(' | ')} (default: welch)
+      --alpha <alpha>       Significance level (default: 0.05)
+      --alternative <alt>   ${ALTERNATIVES.join(' | ')} (default: two-sided)
+      --equivalence <points>
+                            Test equivalence (TOST) of two variants within this margin
+      --non-inferiority <points>
+                            Test that the first of two variants is not worse than the second by this margin
+      --rope <points>       Add a Bayesian analysis with this region of practical equivalence
+      --concurrency <n>     Queries in parallel (default: 4)
+      --timeout <ms>        Timeout per query (default: 60000)
+      --retries <n>         Retries of transient failures (default: 3)
+      --seed <n>            Run seed for the query order and resampling tests
+
+Cache:
+      --cache <mode>        ${CACHE_MODES.join(' | ')} (default: off)
+      --cache-file <file>   Response cache file (default: .experiment-cache.json)
+
+Output:
+  -o, --output <file>       Write the results as JSON (a batch writes every experiment's results)
+      --csv <file>          Write every query as CSV (a batch writes its summary)
+      --quiet               Print neither progress nor the report
+  -h, --help                Show this help
+`;
+
+const OPTIONS = {
+  spec: { type: 'string', short: 's' },
+  manifest: { type: 'string', short: 'm' },
+  question: { type: 'string', short: 'q' },
+  provider: { type: 'string', short: 'p' },
+  set: { type: 'string', multiple: true },
+  'sample-size': { type: 'string', short: 'n' },
+  mode: { type: 'string' },
+  test: { type: 'string' },
+  alpha: { type: 'string' },
+  alternative: { type: 'string' },
+  equivalence: { type: 'string' },
+  'non-inferiority': { type: 'string' },
+  rope: { type: 'string' },
+  concurrency: { type: 'string' },
+  timeout: { type: 'string' },
+  retries: { type: 'string' },
+  seed: { type: 'string' },
+  cache: { type: 'string' },
+  'cache-file': { type: 'string' },
+  output: { type: 'string', short: 'o' },
+  csv: { type: 'string' },
+  quiet: { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' },
+};
+
+const MIME_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.bmp': 'image/bmp',
+  '.svg': 'image/svg+xml',
+};
+
+/**
+ * Invalid command-line input; reported with the usage hint
+ */
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+function variantLabel(index) {
+  return `Image ${String.fromCharCode(65 + index)}`;
+}
+
+/**
+ * Read an image file as a data URL; data URLs (as in exported results) are kept as they are
+ */
+async function loadImage(image, baseDir) {
+  if (image.startsWith('data:')) return image;
+  const file = path.resolve(baseDir, image);
+  const type = MIME_TYPES[path.extname(file).toLowerCase()];
+  if (!type) {
+    throw new UsageError(`Unsupported image type: ${image}. Supported: ${Object.keys(MIME_TYPES).join(', ')}`);
+  }
+  const data = await readFile(file);
+  return `data:${type};base64,${data.toString('base64')}`;
+}
+
+/**
+ * Load a JSON or YAML spec. An exported results file yields its run config.
+ */
+async function loadSpec(file) {
+  const text = await readFile(file, 'utf8');
+  const spec = /\.ya?ml$/i.test(file) ? YAML.parse(text) : JSON.parse(text);
+  if (spec?.format === EXPORT_FORMAT) {
+    return spec.results.config;
+  }
+  if (!spec || typeof spec !== 'object') {
+    throw new UsageError(`Spec ${file} does not describe an experiment.`);
+  }
+  return spec;
+}
+
+function toNumber(value, name, { integer = false, min = -Infinity } = {}) {
+  const number = Number(value);
+  if (value === '' || Number.isNaN(number) || (integer && !Number.isInteger(number)) || number < min) {
+    throw new UsageError(`Invalid --${name}: ${value}`);
+  }
+  return number;
+}
+
+/**
+ * Provider settings given as key=value pairs, with numeric settings converted like in the app
+ */
+function parseSettings(pairs = []) {
+  return toProviderConfig(Object.fromEntries(pairs.map(pair => {
+    const index = pair.indexOf('=');
+    if (index < 1) {
+      throw new UsageError(`Invalid --set: ${pair}. Expected key=value.`);
+    }
+    return [pair.slice(0, index), pair.slice(index + 1)];
+  })));
+}
+
+/**
+ * Combine the spec and the flags into the arguments of an Experiment
+ */
+async function buildExperiment(values, images) {
+  const spec = values.spec ? await loadSpec(values.spec) : {};
+  const baseDir = values.spec ? path.dirname(path.resolve(values.spec)) : process.cwd();
+
+  // A spec with prompts (and one image) compares the prompt templates on that image
+  const variantSpecs = images.length > 0
+    ? images.map(image => ({ image: path.resolve(image) }))
+    : spec.prompts
+      ? spec.prompts.map((prompt, index) => ({ label: prompt.name ?? `Prompt ${index + 1}`, image: spec.image, prompt }))
+      : (spec.variants ?? []).map(v => (typeof v === 'string' ? { image: v } : v));
+  if (variantSpecs.length < 2) {
+    throw new UsageError(spec.prompts ? 'At least two prompts are required.' : 'At least two images are required.');
+  }
+  if (variantSpecs.some(v => !v.image)) {
+    throw new UsageError('Every variant needs an image.');
+  }
+  const variants = await Promise.all(variantSpecs.map(async (v, index) => ({
+    label: v.label ?? variantLabel(index),
+    image: await loadImage(v.image, baseDir),
+    ...(v.prompt && { prompt: v.prompt }),
+  })));
+
+  const { question, providerName, providerConfig, sampleSize, options } = buildSettings(values, spec);
+  if (!question) {
+    throw new UsageError('A question (--question, or question or criteria in the spec) is required.');
+  }
+  return new Experiment(variants, question, providerName, providerConfig, sampleSize, options);
+}
+
+/**
+ * Combine a manifest, the spec and the flags into a Batch. Images in the manifest
+ * are relative to the manifest; rows without a question use the shared one.
+ */
+async function buildBatch(values) {
+  const spec = values.spec ? await loadSpec(values.spec) : {};
+  const baseDir = path.dirname(path.resolve(values.manifest));
+  const entries = parseManifest(await readFile(values.manifest, 'utf8'), values.manifest);
+
+  const settings = buildSettings(values, spec);
+  if (!settings.question && entries.some(entry => !entry.question)) {
+    throw new UsageError('A question (--question, or a question column in the manifest) is required.');
+  }
+  const loaded = await Promise.all(entries.map(async (entry) => ({
+    name: entry.name,
+    question: entry.question,
+    variants: await Promise.all(entry.images.map(async (image) => ({ image: await loadImage(image, baseDir) }))),
+  })));
+  return new Batch(loaded, settings);
+}
+
+/**
+ * Settings shared by every kind of run: question, provider, sample size and options
+ */
+function buildSettings(values, spec) {
+  const criteria = values.question ?? spec.criteria ?? spec.question;
+  const question = Array.isArray(criteria) && criteria.length === 0 ? null : criteria ?? null;
+
+  const providerName = values.provider ?? spec.providerName ?? spec.provider ?? 'mock';
+  if (!listProviders().includes(providerName)) {
+    throw new UsageError(`Unknown provider: ${providerName}. Available: ${listProviders().join(', ')}`);
+  }
+  const providerConfig = { ...spec.providerConfig, ...parseSettings(values.set) };
+  // API keys can come from the environment so they stay out of specs and shell history
+  if (!providerConfig.apiKey && process.env.EXPERIMENT_API_KEY) {
+    providerConfig.apiKey = process.env.EXPERIMENT_API_KEY;
+  }
+
+  const sampleSize = values['sample-size'] !== undefined
+    ? toNumber(values['sample-size'], 'sample-size', { integer: true, min: 2 })
+    : spec.sampleSize ?? 50;
+
+  const options = { ...spec.options, judges: spec.judges ?? spec.options?.judges ?? null };
+  const numeric = { alpha: {}, concurrency: { integer: true, min: 1 }, timeout: { min: 1 }, retries: { integer: true, min: 0 }, seed: { integer: true } };
+  for (const [name, constraints] of Object.entries(numeric)) {
+    if (values[name] !== undefined) options[name] = toNumber(values[name], name, constraints);
+  }
+  for (const name of ['mode', 'test', 'alternative', 'cache']) {
+    if (values[name] !== undefined) options[name] = values[name];
+  }
+  if (values.equivalence !== undefined && values['non-inferiority'] !== undefined) {
+    throw new UsageError('Use either --equivalence or --non-inferiority, not both.');
+  }
+  for (const type of ['equivalence', 'non-inferiority']) {
+    if (values[type] === undefined) continue;
+    const margin = toNumber(values[type], type, { min: 0 });
+    if (margin === 0) throw new UsageError(`Invalid --${type}: the margin must be greater than zero.`);
+    options.equivalence = { type, margin };
+  }
+  if (values.rope !== undefined) {
+    options.bayesian = { rope: toNumber(values.rope, 'rope', { min: 0 }) };
+  }
+
+  if (options.test && !TESTS[options.test]) {
+    throw new UsageError(`Unknown test: ${options.test}. Available: ${Object.keys(TESTS).join(', ')}`);
+  }
+  if (options.alternative && !ALTERNATIVES.includes(options.alternative)) {
+    throw new UsageError(`Unknown alternative: ${options.alternative}. Available: ${ALTERNATIVES.join(', ')}`);
+  }
+  if (options.mode && !['rating', 'preference'].includes(options.mode)) {
+    throw new UsageError(`Unknown mode: ${options.mode}. Available: rating, preference`);
+  }
+  if (options.cache && !CACHE_MODES.includes(options.cache)) {
+    throw new UsageError(`Unknown cache mode: ${options.cache}. Available: ${CACHE_MODES.join(', ')}`);
+  }
+
+  return { question, providerName, providerConfig, sampleSize, options };
+}
+
+/**
+ * Response cache kept in a JSON file, loaded before the run and saved after it
+ */
+async function openCacheFile(file) {
+  let entries = {};
+  try {
+    entries = JSON.parse(await readFile(file, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw new Error(`Could not read cache file ${file}: ${err.message}`);
+  }
+  return {
+    get: async (key) => entries[key],
+    put: async (entry) => {
+      entries[entry.key] = entry;
+    },
+    save: () => writeFile(file, JSON.stringify(entries)),
+  };
+}
+
+function openCache(values, mode = 'off') {
+  return mode !== 'off' ? openCacheFile(values['cache-file'] ?? '.experiment-cache.json') : null;
+}
+
+/**
+ * Run a batch, reporting each experiment as it finishes, then print the summary table
+ */
+async function runBatch(values, batch) {
+  const cacheStore = await openCache(values, batch.settings.options.cache);
+
+  process.once('SIGINT', () => {
+    process.stderr.write('\nCancelling the batch (Ctrl+C again to exit)\n');
+    batch.cancel();
+    process.once('SIGINT', () => process.exit(130));
+  });
+
+  if (!values.quiet) {
+    const queries = batch.items.reduce((sum, item) => sum + item.progress.total, 0);
+    process.stderr.write(`Running ${batch.items.length} experiments with ${batch.settings.providerName} (${queries} queries)\n`);
+  }
+
+  let summary;
+  const reported = new Set();
+  try {
+    summary = await batch.run({
+      onUpdate: (items) => {
+        if (values.quiet) return;
+        items.filter(item => ['done', 'failed', 'cancelled'].includes(item.status) && !reported.has(item.name))
+          .forEach((item) => {
+            reported.add(item.name);
+            process.stderr.write(`[${reported.size}/${items.length}] ${item.name}: ${item.status}` +
+              `${item.error ? ` (${item.error})` : ''}\n`);
+          });
+      },
+      ...(cacheStore && { cacheStore }),
+    });
+  } finally {
+    await cacheStore?.save();
+  }
+
+  if (values.output) {
+    await writeFile(values.output, JSON.stringify(batch.items.map(item => ({
+      name: item.name,
+      status: item.status,
+      error: item.error,
+      results: item.results,
+    })), null, 2));
+  }
+  if (values.csv) await writeFile(values.csv, batchCSV(summary));
+  if (!values.quiet) {
+    process.stdout.write(`Significant at FDR ${summary.alpha}: ${summary.significant} of ${summary.completed} completed experiments` +
+      `${summary.untested > 0 ? ` (${summary.untested} without a p-value)` : ''}\n\n`);
+    process.stdout.write(batchCSV(summary));
+  }
+  return summary.completed < batch.items.length ? 1 : 0;
+}
+
+/**
+ * Progress reporter: a single updating line on a terminal, every tenth of the run otherwise
+ */
+function progressReporter(stream) {
+  let lastStep = -1;
+  return ({ current, total }) => {
+    const percent = Math.round((current / total) * 100);
+    if (stream.isTTY) {
+      stream.write(`\rQueries: ${current}/${total} (${percent}%)`);
+      if (current === total) stream.write('\n');
+    } else if (Math.floor(percent / 10) > lastStep) {
+      lastStep = Math.floor(percent / 10);
+      stream.write(`Queries: ${current}/${total} (${percent}%)\n`);
+    }
+  };
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({ options: OPTIONS, allowPositionals: true });
+  if (values.help) {
+    process.stdout.write(USAGE);
+    return 0;
+  }
+
+  if (values.manifest) {
+    if (positionals.length > 0) {
+      throw new UsageError('Images come from the manifest; do not pass them as arguments as well.');
+    }
+    return runBatch(values, await buildBatch(values));
+  }
+
+  const experiment = await buildExperiment(values, positionals);
+  const cacheStore = await openCache(values, experiment.config.options.cache);
+
+  // The first Ctrl+C stops the run and analyzes the ratings so far; the second exits
+  process.once('SIGINT', () => {
+    process.stderr.write('\nStopping: analyzing the ratings collected so far (Ctrl+C again to exit)\n');
+    experiment.cancel({ keepPartial: true });
+    process.once('SIGINT', () => process.exit(130));
+  });
+
+  if (!values.quiet) {
+    const { variants, providerName, sampleSize } = experiment.config;
+    process.stderr.write(`Running ${variants.length} variants with ${providerName}, ${sampleSize} per ` +
+      `${experiment.preference ? 'pair' : 'variant'} (${experiment.total} queries)\n`);
+  }
+
+  let results;
+  try {
+    results = await experiment.run({
+      onProgress: values.quiet ? null : progressReporter(process.stderr),
+      ...(cacheStore && { cacheStore }),
+    });
+  } finally {
+    await cacheStore?.save();
+  }
+
+  if (values.output) await writeFile(values.output, toJSON(results));
+  if (values.csv) await writeFile(values.csv, toCSV(results));
+  if (!values.quiet) process.stdout.write(toMarkdownReport(results));
+  return 0;
+}
+
+main().then(
+  (code) => process.exit(code),
+  (err) => {
+    process.stderr.write(`\nError: ${err.message}\n`);
+    if (err instanceof UsageError || err.code?.startsWith('ERR_PARSE_ARGS')) {
+      process.stderr.write('Run with --help for usage.\n');
+      process.exit(2);
+    }
+    process.exit(1);
+  }
+);
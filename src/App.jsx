@@ -1,298 +1,1137 @@
-import { useState, useRef, useEffect } from 'react';
+import { useState, useRef, useEffect, useMemo } from 'react';
 import { useExperiment } from './hooks/useExperiment';
-import { listProviders, getProvider } from './services/llm';
+import { useExperimentHistory } from './hooks/useExperimentHistory';
+import { usePilotRun } from './hooks/usePilotRun';
+import { useBatch } from './hooks/useBatch';
+import { useCalibration } from './hooks/useCalibration';
+import { listProviders, getProvider, supportsComparison } from './services/llm';
+import { loadProviderSettings, saveProviderSettings, toProviderConfig } from './services/settings';
+import { BUILT_IN_TEMPLATES, createTemplate, loadPromptTemplates, savePromptTemplates, toPrompt } from './services/prompts';
+import { parseJSON } from './services/export';
+import { testLabel } from './services/format';
+import { DEFAULT_PREPROCESSING, preprocessImage, hashImage } from './services/images';
+import { TESTS, CORRECTIONS, EQUIVALENCE_TYPES } from './services/statistics';
+import { SPENDING_FUNCTIONS } from './services/sequential';
+import ProviderSettings from './components/ProviderSettings';
+import ExperimentResults from './components/ExperimentResults';
+import ExperimentHistory from './components/ExperimentHistory';
+import SampleSizePlanner from './components/SampleSizePlanner';
+import JudgePanel from './components/JudgePanel';
+import CacheSettings from './components/CacheSettings';
+import BatchRunner from './components/BatchRunner';
+import PromptTemplates from './components/PromptTemplates';
+import ImagePreprocessing, { describePreprocessed } from './components/ImagePreprocessing';
+import CalibrationRunner, { DEFAULT_CALIBRATION_SETUP } from './components/CalibrationRunner';
+
+const MIN_VARIANTS = 2;
+
+let nextVariantId = 0;
+
+// A variant's source is the uploaded file and its image the preprocessed copy that is sent
+function createVariant() {
+  return { id: nextVariantId++, image: null, source: null, preprocessed: null, preprocessError: null };
+}
+
+function createInitialVariants() {
+  return Array.from({ length: MIN_VARIANTS }, createVariant);
+}
+
+function variantLabel(index) {
+  return `Image ${String.fromCharCode(65 + index)}`;
+}
+
+let nextCriterionId = 0;
+
+function createCriterion(question = '') {
+  return { id: nextCriterionId++, label: '', question, weight: '' };
+}
+
+function criterionLabel(criterion, index) {
+  return criterion.label.trim() || `Criterion ${index + 1}`;
+}
+
+/**
+ * The question argument for runExperiment: a single question, or the list of criteria
+ */
+function toQuestion(criteria) {
+  if (criteria.length === 1) return criteria[0].question;
+  return criteria.map((c, index) => ({
+    label: criterionLabel(c, index),
+    question: c.question,
+    weight: c.weight === '' ? 1 : Number(c.weight),
+  }));
+}
+
+let nextJudgeId = 0;
+
+function createJudge(provider = 'mock', model = '') {
+  return { id: nextJudgeId++, provider, model };
+}
+
+/**
+ * Label each judge by provider and model, numbering repeats so every label is unique
+ */
+function labelJudges(judges) {
+  const labels = judges.map(j => (j.providerConfig.model ? `${j.providerName} (${j.providerConfig.model})` : j.providerName));
+  return judges.map((judge, index) => {
+    const repeats = labels.filter(label => label === labels[index]).length;
+    const number = labels.slice(0, index).filter(label => label === labels[index]).length + 1;
+    return { ...judge, label: repeats > 1 ? `${labels[index]} #${number}` : labels[index] };
+  });
+}
+
+/**
+ * Library templates for saved prompts, preferring one with the same name and wording;
+ * prompts not in the library are added to it
+ * @returns {{ templates: Object[], ids: string[] }} The library and the id of each prompt's template
+ */
+function adoptPrompts(templates, prompts) {
+  const wording = (prompt) => JSON.stringify({ ...prompt, name: undefined });
+  const library = [...templates];
+  const ids = prompts.map((prompt) => {
+    if (!prompt) return 'default';
+    const same = library.filter((t) => {
+      try {
+        return wording(toPrompt(t)) === wording(prompt);
+      } catch {
+        return false;
+      }
+    });
+    const match = same.find(t => t.name === prompt.name) ?? same[0];
+    if (match) return match.id;
+    const template = { ...createTemplate(), ...prompt, name: prompt.name ?? 'Saved prompt' };
+    library.push(template);
+    return template.id;
+  });
+  return { templates: library, ids };
+}
 
 function App() {
-  const [image1, setImage1] = useState(null);
-  const [image2, setImage2] = useState(null);
-  const [question, setQuestion] = useState('');
+  const [view, setView] = useState('experiment');
+  const [variants, setVariants] = useState(createInitialVariants);
+  // Variants are either images rated with one prompt, or prompt templates applied to one image
+  const [variantKind, setVariantKind] = useState('images');
+  const [promptTemplates, setPromptTemplates] = useState(() => [...BUILT_IN_TEMPLATES, ...loadPromptTemplates()]);
+  const [promptId, setPromptId] = useState('default');
+  const [comparedPromptIds, setComparedPromptIds] = useState(['default', 'strict']);
+  const [criteria, setCriteria] = useState(() => [createCriterion()]);
+  const [correction, setCorrection] = useState('holm');
+  const [mode, setMode] = useState('rating');
+  const [judges, setJudges] = useState([]);
   const [provider, setProvider] = useState('mock');
   const [sampleSize, setSampleSize] = useState(50);
-  const [ollamaStatus, setOllamaStatus] = useState(null);
-  const { runExperiment, isRunning, progress, results, error, reset } = useExperiment();
+  const [concurrency, setConcurrency] = useState(4);
+  const [test, setTest] = useState('welch');
+  const [alpha, setAlpha] = useState(0.05);
+  const [alternative, setAlternative] = useState('two-sided');
+  const [spending, setSpending] = useState('');
+  const [looks, setLooks] = useState(5);
+  const [equivalence, setEquivalence] = useState({ type: '', margin: '0.5' });
+  // Half-width of the region of practical equivalence, or '' for no Bayesian analysis
+  const [rope, setRope] = useState('');
+  const [cache, setCache] = useState('off');
+  const [preprocessing, setPreprocessing] = useState(DEFAULT_PREPROCESSING);
+  // The latest settings, so that images processed with replaced settings are discarded
+  const preprocessingRef = useRef(preprocessing);
+  const [duplicateImages, setDuplicateImages] = useState([]);
+  const [seed, setSeed] = useState('');
+  const [plan, setPlan] = useState({ effect: '0.5', sd: '1.5', power: 0.8 });
+  // The planned effect and power behind the current sample size, if it came from the planner
+  const [appliedPlan, setAppliedPlan] = useState(null);
+  const [providerStatus, setProviderStatus] = useState(null);
+  const [providerSettings, setProviderSettings] = useState(loadProviderSettings);
+  const {
+    runExperiment,
+    cancel,
+    pause,
+    resume,
+    isRunning,
+    isPaused,
+    progress,
+    results,
+    error,
+    reset,
+  } = useExperiment();
+  const history = useExperimentHistory();
+  const pilotRun = usePilotRun();
+  const batch = useBatch();
+  const [batchLoad, setBatchLoad] = useState(null);
+  const calibration = useCalibration();
+  const [calibrationSetup, setCalibrationSetup] = useState(DEFAULT_CALIBRATION_SETUP);
+  const [rerunError, setRerunError] = useState(null);
+  const [imported, setImported] = useState(null);
+  const [importError, setImportError] = useState(null);
 
-  const fileInput1 = useRef(null);
-  const fileInput2 = useRef(null);
+  const fileInputs = useRef({});
+  const importInput = useRef(null);
 
-  // Check Ollama availability when provider changes
+  const currentSettings = providerSettings[provider] ?? {};
+  const providerConfig = useMemo(() => toProviderConfig(currentSettings), [currentSettings]);
+  const providerDefaults = useMemo(() => getProvider(provider), [provider]);
+
+  // Check availability of remote providers when the provider or its connection settings change
   useEffect(() => {
-    if (provider === 'ollama') {
-      checkOllamaStatus();
-    }
-  }, [provider]);
+    setProviderStatus(null);
+    if (provider === 'mock') return;
 
-  const checkOllamaStatus = async () => {
+    let cancelled = false;
+    let llm;
     try {
-      const ollamaProvider = getProvider('ollama');
-      const available = await ollamaProvider.isAvailable();
-      const models = await ollamaProvider.listModels();
-      setOllamaStatus({
-        available,
-        models: models.map(m => m.name),
-      });
+      llm = getProvider(provider, providerConfig);
     } catch {
-      setOllamaStatus({ available: false, models: [] });
+      // Invalid settings are reported when the experiment is run
+      return;
     }
+
+    // Debounce so typing a URL or key doesn't fire a request per keystroke
+    const timer = setTimeout(async () => {
+      let status;
+      try {
+        const available = await llm.isAvailable();
+        const models = await llm.listModels();
+        status = { available, models: models.map(m => m.name) };
+      } catch {
+        status = { available: false, models: [] };
+      }
+      if (!cancelled) {
+        setProviderStatus({ provider, info: llm.getInfo(), ...status });
+      }
+    }, 500);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [provider, providerConfig.baseUrl, providerConfig.apiKey, providerConfig.model]);
+
+  const updateProviderSettings = (providerName, settings) => {
+    setProviderSettings(all => {
+      const updated = { ...all, [providerName]: settings };
+      saveProviderSettings(updated);
+      return updated;
+    });
   };
 
-  const handleImageUpload = (e, setImage) => {
+  const handleSettingsChange = (settings) => {
+    updateProviderSettings(provider, settings);
+  };
+
+  // Plan with the spread measured by the latest pilot run
+  useEffect(() => {
+    if (pilotRun.pilot) {
+      setPlan(p => ({ ...p, sd: pilotRun.pilot.sd.toFixed(2) }));
+    }
+  }, [pilotRun.pilot]);
+
+  // Save every completed run to history
+  const { save: saveToHistory } = history;
+  useEffect(() => {
+    if (results) {
+      saveToHistory(results);
+    }
+  }, [results, saveToHistory]);
+
+  const processVariantImage = async (id, source, settings) => {
+    let changes;
+    try {
+      const { image, original, processed } = await preprocessImage(source, settings);
+      changes = { image, preprocessed: { original, processed }, preprocessError: null };
+    } catch (err) {
+      changes = { image: source, preprocessed: null, preprocessError: `Could not preprocess the image, it is sent as uploaded: ${err.message}` };
+    }
+    if (preprocessingRef.current !== settings) return;
+    setVariants(vs => vs.map(v => (v.id === id && v.source === source ? { ...v, ...changes } : v)));
+  };
+
+  // The variant has no image to send until its upload has been preprocessed
+  const setVariantImage = (id, source) => {
+    setVariants(vs => vs.map(v => (v.id === id ? { ...v, source, image: null, preprocessed: null, preprocessError: null } : v)));
+    processVariantImage(id, source, preprocessing);
+  };
+
+  const handlePreprocessingChange = (settings) => {
+    setPreprocessing(settings);
+    preprocessingRef.current = settings;
+    setVariants(vs => vs.map(v => (v.source ? { ...v, image: null } : v)));
+    variants.filter(v => v.source).forEach(v => processVariantImage(v.id, v.source, settings));
+  };
+
+  // Warn when variants would send the same image, e.g. the same file uploaded twice
+  useEffect(() => {
+    let active = true;
+    const images = variantKind === 'images' ? variants.map(v => v.image) : [];
+    Promise.all(images.map(image => (image ? hashImage(image) : null))).then((hashes) => {
+      if (!active) return;
+      const groups = new Map();
+      hashes.forEach((hash, index) => {
+        if (hash) groups.set(hash, [...(groups.get(hash) ?? []), variantLabel(index)]);
+      });
+      setDuplicateImages([...groups.values()].filter(labels => labels.length > 1));
+    });
+    return () => {
+      active = false;
+    };
+  }, [variants, variantKind]);
+
+  const handleImageUpload = (e, id) => {
     const file = e.target.files?.[0];
     if (file) {
       const reader = new FileReader();
       reader.onloadend = () => {
-        setImage(reader.result);
+        setVariantImage(id, reader.result);
       };
       reader.readAsDataURL(file);
     }
   };
 
-  const handleDrop = (e, setImage) => {
+  const handleDrop = (e, id) => {
     e.preventDefault();
     const file = e.dataTransfer.files?.[0];
     if (file && file.type.startsWith('image/')) {
       const reader = new FileReader();
       reader.onloadend = () => {
-        setImage(reader.result);
+        setVariantImage(id, reader.result);
       };
       reader.readAsDataURL(file);
     }
   };
 
+  const updateCriterion = (id, changes) => {
+    setCriteria(cs => cs.map(c => (c.id === id ? { ...c, ...changes } : c)));
+  };
+
+  const handleAddCriterion = () => {
+    setCriteria(cs => [...cs, createCriterion()]);
+  };
+
+  const handleRemoveCriterion = (id) => {
+    setCriteria(cs => cs.filter(c => c.id !== id));
+  };
+
+  const updateJudge = (id, changes) => {
+    setJudges(js => js.map(j => (j.id === id ? { ...j, ...changes } : j)));
+  };
+
+  const handleAddJudge = () => {
+    setJudges(js => [...js, createJudge(provider)]);
+  };
+
+  const handleRemoveJudge = (id) => {
+    setJudges(js => js.filter(j => j.id !== id));
+  };
+
+  const handleAddVariant = () => {
+    setVariants(vs => [...vs, createVariant()]);
+  };
+
+  const handleRemoveVariant = (id) => {
+    setVariants(vs => vs.filter(v => v.id !== id));
+  };
+
   const handleDragOver = (e) => {
     e.preventDefault();
   };
 
+  const updatePromptTemplates = (templates) => {
+    setPromptTemplates(templates);
+    savePromptTemplates(templates);
+    // Deleted templates can't stay selected
+    if (!templates.some(t => t.id === promptId)) setPromptId('default');
+    setComparedPromptIds(ids => ids.filter(id => templates.some(t => t.id === id)));
+  };
+
+  // A prompt-variant experiment rates the first image once per compared template
+  const comparingPrompts = variantKind === 'prompts';
+  const comparedTemplates = promptTemplates.filter(t => comparedPromptIds.includes(t.id));
+  let promptError = null;
+  let activePrompt = null;
+  let promptVariants = [];
+  try {
+    activePrompt = comparingPrompts ? null : toPrompt(promptTemplates.find(t => t.id === promptId) ?? BUILT_IN_TEMPLATES[0]);
+    promptVariants = comparingPrompts ? comparedTemplates.map(t => ({ label: t.name, prompt: toPrompt(t) })) : [];
+  } catch (err) {
+    promptError = err.message;
+  }
+  if (comparingPrompts && !promptError && new Set(promptVariants.map(v => v.label)).size < promptVariants.length) {
+    promptError = 'Compared prompt templates need unique names.';
+  }
+  // The selected template applies to every provider of the run, judges included
+  const withPrompt = config => (activePrompt ? { ...config, prompt: activePrompt } : config);
+  const runConfig = withPrompt(providerConfig);
+  const variantCount = comparingPrompts ? promptVariants.length : variants.length;
+  const variantLabels = comparingPrompts ? promptVariants.map(v => v.label) : variants.map((_, index) => variantLabel(index));
+
+  const allImagesUploaded = comparingPrompts ? Boolean(variants[0].image) : variants.every(v => v.image);
+  const criteriaLabels = criteria.map(criterionLabel);
+  const criteriaValid = criteria.every(c => c.question.trim() && !(Number(c.weight) < 0)) &&
+    new Set(criteriaLabels).size === criteria.length &&
+    criteria.some(c => c.weight === '' || Number(c.weight) > 0);
+  // Pairwise preference judges the variants side by side on a single question
+  const preference = mode === 'preference';
+  const modeValid = !preference || (supportsComparison(provider) && criteria.length === 1 && !comparingPrompts);
+  // The selected provider is the first judge of a panel
+  const panelJudges = judges.length > 0 && !preference && criteria.length === 1
+    ? labelJudges([
+      { providerName: provider, providerConfig: runConfig },
+      ...judges.map(j => ({
+        providerName: j.provider,
+        providerConfig: withPrompt({
+          ...toProviderConfig(providerSettings[j.provider]),
+          ...(j.model.trim() && { model: j.model.trim() }),
+        }),
+      })),
+    ])
+    : null;
+  const sequentialEnabled = !preference && !panelJudges && variantCount === 2 && criteria.length === 1 &&
+    Boolean(spending);
+  const equivalenceEnabled = !preference && variantCount === 2 && Boolean(equivalence.type);
+  const settingsValid = criteriaValid && modeValid && sampleSize >= 2 && !promptError &&
+    (!equivalenceEnabled || Number(equivalence.margin) > 0) &&
+    (!comparingPrompts || variantCount >= MIN_VARIANTS);
+  const canRun = allImagesUploaded && settingsValid && !isRunning && !batch.isRunning && !calibration.isRunning;
+
+  // Run options from the current settings, for an experiment on the given number of variants
+  const experimentOptions = (variantCount) => ({
+    concurrency,
+    test,
+    alpha,
+    // Only a single pairwise comparison can be one-sided or monitored sequentially
+    alternative: variantCount === 2 ? alternative : 'two-sided',
+    sequential: !preference && !panelJudges && variantCount === 2 && criteria.length === 1 && spending
+      ? { spending, looks }
+      : null,
+    power: appliedPlan?.power ?? 0.8,
+    plannedEffect: appliedPlan?.effect ?? null,
+    // Equivalence is tested between exactly two variants
+    equivalence: equivalenceEnabled && variantCount === 2
+      ? { type: equivalence.type, margin: Number(equivalence.margin) }
+      : null,
+    bayesian: !preference && rope !== '' ? { rope: Number(rope) } : null,
+    correction,
+    mode,
+    judges: panelJudges,
+    cache,
+    seed: seed === '' ? null : Math.round(Number(seed)),
+  });
+
+  // Every request sends its image again: count them for the preprocessing savings
+  const judgeCount = panelJudges?.length ?? 1;
+  const imageUploads = comparingPrompts
+    ? [{ preprocessed: variants[0].preprocessed, requests: sampleSize * variantCount * criteria.length * judgeCount }]
+    : variants.map(v => ({
+      preprocessed: v.preprocessed,
+      requests: preference ? sampleSize * (variants.length - 1) : sampleSize * criteria.length * judgeCount,
+    }));
+
+  const runVariants = () => (comparingPrompts
+    ? promptVariants.map(({ label, prompt }) => ({ label, image: variants[0].image, ...(prompt && { prompt }) }))
+    : variants.map((v, index) => ({ label: variantLabel(index), image: v.image })));
+
   const handleRunExperiment = () => {
-    if (image1 && image2 && question.trim()) {
-      runExperiment(image1, image2, question, provider, {}, sampleSize);
+    if (canRun) {
+      setImported(null);
+      runExperiment(
+        runVariants(),
+        toQuestion(criteria),
+        provider,
+        runConfig,
+        sampleSize,
+        experimentOptions(variantCount)
+      );
     }
   };
 
+  // Batch experiments share the question, provider and settings of the Experiment tab, with
+  // the options of a two-variant experiment; the batch drops the pair-only ones for larger groups.
+  const batchSettings = {
+    question: toQuestion(criteria),
+    providerName: provider,
+    providerConfig: runConfig,
+    sampleSize,
+    options: experimentOptions(2),
+  };
+  const batchSettingsLabel = `${provider}${providerConfig.model ? ` (${providerConfig.model})` : ''}, ` +
+    `${sampleSize} ${preference ? 'comparisons per pair' : 'queries per image'} and the question ` +
+    `from the Experiment tab unless the manifest gives one`;
+
+  // Calibration rates one image with the first question, provider and prompt of the Experiment tab
+  const calibrationSettings = {
+    question: criteria[0].question,
+    providerName: provider,
+    providerConfig: runConfig,
+    options: { concurrency, test, alpha, seed: seed === '' ? null : Math.round(Number(seed)) },
+  };
+  const calibrationSettingsLabel = `${provider}${providerConfig.model ? ` (${providerConfig.model})` : ''}, ` +
+    `the question from the Experiment tab and ${testLabel(test)} for the A/A experiments`;
+
+  const handleSampleSizeChange = (value) => {
+    setSampleSize(value);
+    setAppliedPlan(null);
+  };
+
+  const handleApplyPlan = (n) => {
+    setSampleSize(n);
+    setAppliedPlan({ effect: Number(plan.effect), power: plan.power });
+  };
+
+  const handleRunPilot = () => {
+    pilotRun.runPilot(runVariants().map(v => v.image), criteria[0].question, provider, runConfig, { concurrency });
+  };
+
   const handleReset = () => {
-    setImage1(null);
-    setImage2(null);
-    setQuestion('');
+    setVariants(createInitialVariants());
+    setCriteria([createCriterion()]);
+    setImported(null);
+    setImportError(null);
     reset();
   };
 
-  const canRun = image1 && image2 && question.trim() && !isRunning;
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      setImported({ fileName: file.name, results: parseJSON(await file.text()) });
+      setImportError(null);
+    } catch (err) {
+      setImportError(`Could not import ${file.name}: ${err.message}`);
+    }
+  };
+
+  const handleRerun = async (experiment) => {
+    setRerunError(null);
+    try {
+      const savedVariants = await history.loadVariants(experiment);
+
+      // API keys are not stored in history, so use the ones from the current settings
+      const withKey = (providerName, providerConfig) => {
+        const { apiKey } = providerSettings[providerName] ?? {};
+        return { ...providerConfig, ...(apiKey && { apiKey }) };
+      };
+      const config = withKey(experiment.providerName, experiment.providerConfig);
+      const savedJudges = experiment.judges?.map(j => ({ ...j, providerConfig: withKey(j.providerName, j.providerConfig) }));
+
+      // Restore the form so it reflects the settings being re-run, adding the run's
+      // prompt templates to the library when they are not in it
+      const promptRun = savedVariants.some(v => v.prompt);
+      const { prompt: savedPrompt, ...settings } = config;
+      const adopted = adoptPrompts(promptTemplates, [savedPrompt ?? null, ...savedVariants.map(v => v.prompt ?? null)]);
+      updatePromptTemplates(adopted.templates);
+      setPromptId(adopted.ids[0]);
+      if (promptRun) setComparedPromptIds(adopted.ids.slice(1));
+      setVariantKind(promptRun ? 'prompts' : 'images');
+      setVariants(savedVariants.slice(0, promptRun ? MIN_VARIANTS : undefined)
+        .map(v => ({ ...createVariant(), image: v.image })));
+      setCriteria(experiment.criteria
+        ? experiment.criteria.map(c => ({ ...createCriterion(c.question), label: c.label, weight: String(c.weight) }))
+        : [createCriterion(experiment.question)]);
+      setCorrection(experiment.options.correction ?? 'holm');
+      setMode(experiment.options.mode ?? 'rating');
+      setJudges((experiment.judges ?? []).slice(1).map(j => createJudge(j.providerName, j.providerConfig.model ?? '')));
+      setProvider(experiment.providerName);
+      setSampleSize(experiment.sampleSize);
+      setConcurrency(experiment.options.concurrency);
+      setTest(experiment.options.test ?? 'welch');
+      setAlpha(experiment.options.alpha ?? 0.05);
+      setAlternative(experiment.options.alternative ?? 'two-sided');
+      setSpending(experiment.options.sequential?.spending ?? '');
+      setLooks(experiment.options.sequential?.looks ?? 5);
+      setEquivalence(experiment.options.equivalence
+        ? { type: experiment.options.equivalence.type, margin: String(experiment.options.equivalence.margin) }
+        : { type: '', margin: '0.5' });
+      setRope(experiment.options.bayesian ? String(experiment.options.bayesian.rope) : '');
+      // A run that stored its responses is replayed from the cache
+      const replay = experiment.options.cache && experiment.options.cache !== 'off' ? 'replay' : 'off';
+      setCache(replay);
+      setSeed(experiment.options.seed != null ? String(experiment.options.seed) : '');
+      setAppliedPlan(experiment.options.plannedEffect
+        ? { effect: experiment.options.plannedEffect, power: experiment.options.power }
+        : null);
+      updateProviderSettings(experiment.providerName, settings);
+      setView('experiment');
+      setImported(null);
+
+      runExperiment(
+        savedVariants,
+        experiment.criteria ?? experiment.question,
+        experiment.providerName,
+        config,
+        experiment.sampleSize,
+        { ...experiment.options, cache: replay, judges: savedJudges ?? null }
+      );
+    } catch (err) {
+      setRerunError(err.message);
+    }
+  };
 
   return (
     <div className="app">
       <h1>Experiment Platform</h1>
-      <p className="subtitle">Compare two images using LLM-based evaluation with statistical analysis</p>
-
-      <div className="images-container">
-        <div className="image-box">
-          <h3>Image A</h3>
-          <div
-            className={`upload-area ${image1 ? 'has-image' : ''}`}
-            onClick={() => fileInput1.current?.click()}
-            onDrop={(e) => handleDrop(e, setImage1)}
-            onDragOver={handleDragOver}
-          >
-            {image1 ? (
-              <img src={image1} alt="Image A" />
-            ) : (
-              <div className="placeholder">
-                <span>Click or drag to upload</span>
-              </div>
-            )}
+      <p className="subtitle">Compare images using LLM-based evaluation with statistical analysis</p>
+
+      <nav className="tabs">
+        <button
+          className={view === 'experiment' ? 'active' : ''}
+          onClick={() => setView('experiment')}
+        >
+          Experiment
+        </button>
+        <button
+          className={view === 'history' ? 'active' : ''}
+          onClick={() => setView('history')}
+        >
+          History ({history.experiments.length})
+        </button>
+        <button
+          className={view === 'batch' ? 'active' : ''}
+          onClick={() => setView('batch')}
+        >
+          Batch{batch.isRunning && ' (running)'}
+        </button>
+        <button
+          className={view === 'calibration' ? 'active' : ''}
+          onClick={() => setView('calibration')}
+        >
+          Calibration{calibration.isRunning && ' (running)'}
+        </button>
+      </nav>
+
+      {view === 'calibration' ? (
+        <CalibrationRunner
+          calibration={calibration}
+          setup={calibrationSetup}
+          onSetupChange={setCalibrationSetup}
+          settings={calibrationSettings}
+          settingsLabel={calibrationSettingsLabel}
+          canRun={Boolean(criteria[0].question.trim()) && !promptError}
+          scale={{ min: runConfig.scaleMin ?? 1, max: runConfig.scaleMax ?? 10 }}
+          disabled={isRunning || batch.isRunning}
+        />
+      ) : view === 'batch' ? (
+        <BatchRunner
+          batch={batch}
+          loaded={batchLoad}
+          onLoad={setBatchLoad}
+          settings={batchSettings}
+          settingsLabel={batchSettingsLabel}
+          canRun={settingsValid}
+          onResults={saveToHistory}
+          disabled={isRunning || calibration.isRunning}
+        />
+      ) : view === 'history' ? (
+        <ExperimentHistory
+          experiments={history.experiments}
+          isLoading={history.isLoading}
+          error={rerunError ?? history.error}
+          onRerun={handleRerun}
+          onDelete={history.remove}
+          disabled={isRunning || batch.isRunning}
+        />
+      ) : (
+        <>
+          <div className="variant-kind">
+            <label htmlFor="variant-kind">Compare:</label>
+            <select
+              id="variant-kind"
+              value={variantKind}
+              onChange={(e) => setVariantKind(e.target.value)}
+              disabled={isRunning}
+            >
+              <option value="images">Images (rated with the same prompt)</option>
+              <option value="prompts">Prompts (applied to the same image)</option>
+            </select>
           </div>
-          <input
-            ref={fileInput1}
-            type="file"
-            accept="image/*"
-            onChange={(e) => handleImageUpload(e, setImage1)}
-            hidden
-          />
-        </div>
-
-        <div className="image-box">
-          <h3>Image B</h3>
-          <div
-            className={`upload-area ${image2 ? 'has-image' : ''}`}
-            onClick={() => fileInput2.current?.click()}
-            onDrop={(e) => handleDrop(e, setImage2)}
-            onDragOver={handleDragOver}
-          >
-            {image2 ? (
-              <img src={image2} alt="Image B" />
-            ) : (
-              <div className="placeholder">
-                <span>Click or drag to upload</span>
+
+          <div className="images-container">
+            {(comparingPrompts ? variants.slice(0, 1) : variants).map((variant, index) => (
+              <div className="image-box" key={variant.id}>
+                <div className="image-box-header">
+                  <h3>{comparingPrompts ? 'Image' : variantLabel(index)}</h3>
+                  {!comparingPrompts && variants.length > MIN_VARIANTS && (
+                    <button
+                      className="remove-variant-button"
+                      onClick={() => handleRemoveVariant(variant.id)}
+                      disabled={isRunning}
+                      title="Remove variant"
+                    >
+                      &times;
+                    </button>
+                  )}
+                </div>
+                <div
+                  className={`upload-area ${variant.source ?? variant.image ? 'has-image' : ''}`}
+                  onClick={() => fileInputs.current[variant.id]?.click()}
+                  onDrop={(e) => handleDrop(e, variant.id)}
+                  onDragOver={handleDragOver}
+                >
+                  {variant.source ?? variant.image ? (
+                    <img src={variant.source ?? variant.image} alt={variantLabel(index)} />
+                  ) : (
+                    <div className="placeholder">
+                      <span>Click or drag to upload</span>
+                    </div>
+                  )}
+                </div>
+                <input
+                  ref={(el) => { fileInputs.current[variant.id] = el; }}
+                  type="file"
+                  accept="image/*"
+                  onChange={(e) => handleImageUpload(e, variant.id)}
+                  hidden
+                />
+                {variant.preprocessed && (
+                  <p className="image-info">{describePreprocessed(variant.preprocessed)}</p>
+                )}
+                {variant.preprocessError && <p className="image-info error-text">{variant.preprocessError}</p>}
               </div>
-            )}
+            ))}
           </div>
-          <input
-            ref={fileInput2}
-            type="file"
-            accept="image/*"
-            onChange={(e) => handleImageUpload(e, setImage2)}
-            hidden
-          />
-        </div>
-      </div>
-
-      <div className="question-section">
-        <label htmlFor="question">Question for LLM:</label>
-        <textarea
-          id="question"
-          value={question}
-          onChange={(e) => setQuestion(e.target.value)}
-          placeholder="e.g., How much on a scale from 1 to 10 do you like this image?"
-          rows={3}
-        />
-      </div>
-
-      <div className="settings-section">
-        <div className="setting">
-          <label htmlFor="provider">LLM Provider:</label>
-          <select
-            id="provider"
-            value={provider}
-            onChange={(e) => setProvider(e.target.value)}
-          >
-            <option value="mock">Mock (Simulated)</option>
-            <option value="ollama">Ollama (Local)</option>
-          </select>
-        </div>
-
-        <div className="setting">
-          <label htmlFor="sampleSize">Sample Size:</label>
-          <select
-            id="sampleSize"
-            value={sampleSize}
-            onChange={(e) => setSampleSize(Number(e.target.value))}
-          >
-            <option value={10}>10 queries each</option>
-            <option value={30}>30 queries each</option>
-            <option value={50}>50 queries each</option>
-          </select>
-        </div>
-      </div>
-
-      {provider === 'ollama' && ollamaStatus && (
-        <div className={`provider-status ${ollamaStatus.available ? 'available' : 'unavailable'}`}>
-          {ollamaStatus.available ? (
-            <>
-              <span className="status-icon">&#10003;</span>
-              Ollama connected - Using llama3.2-vision
-            </>
+
+          {duplicateImages.map(labels => (
+            <p className="criteria-warning" key={labels.join()}>
+              {labels.join(' and ')} are identical: the experiment would compare an image with itself.
+            </p>
+          ))}
+
+          {comparingPrompts ? (
+            <p className="variant-kind-note">
+              {variantCount} prompt templates selected as variants: {variantLabels.join(', ') || 'none'}.
+              Choose them under Prompt Templates below.
+            </p>
           ) : (
-            <>
-              <span className="status-icon">&#10007;</span>
-              Ollama not available. Make sure it's running: <code>ollama serve</code>
-            </>
+            <button className="add-variant-button" onClick={handleAddVariant} disabled={isRunning}>
+              + Add Variant
+            </button>
           )}
-        </div>
-      )}
 
-      <div className="actions">
-        <button
-          className="run-button"
-          onClick={handleRunExperiment}
-          disabled={!canRun}
-        >
-          {isRunning ? 'Running Experiment...' : 'Run Experiment'}
-        </button>
-        <button className="reset-button" onClick={handleReset}>
-          Reset
-        </button>
-      </div>
-
-      {isRunning && (
-        <div className="progress">
-          <div className="progress-bar">
-            <div
-              className="progress-fill"
-              style={{ width: `${(progress.current / progress.total) * 100}%` }}
-            />
+          <div className="question-section">
+            <label htmlFor={`question-${criteria[0].id}`}>
+              {criteria.length > 1 ? 'Criteria (each rated separately for every image):' : 'Question for LLM:'}
+            </label>
+            {criteria.map((criterion, index) => (
+              <div className="criterion" key={criterion.id}>
+                {criteria.length > 1 && (
+                  <div className="criterion-header">
+                    <input
+                      aria-label="Criterion name"
+                      value={criterion.label}
+                      placeholder={`Criterion ${index + 1}`}
+                      onChange={(e) => updateCriterion(criterion.id, { label: e.target.value })}
+                      disabled={isRunning}
+                    />
+                    <input
+                      aria-label="Weight in the composite score"
+                      type="number"
+                      min={0}
+                      step={0.5}
+                      value={criterion.weight}
+                      placeholder="Weight (1)"
+                      onChange={(e) => updateCriterion(criterion.id, { weight: e.target.value })}
+                      disabled={isRunning}
+                    />
+                    <button
+                      className="remove-variant-button"
+                      onClick={() => handleRemoveCriterion(criterion.id)}
+                      disabled={isRunning}
+                      title="Remove criterion"
+                    >
+                      &times;
+                    </button>
+                  </div>
+                )}
+                <textarea
+                  id={`question-${criterion.id}`}
+                  value={criterion.question}
+                  onChange={(e) => updateCriterion(criterion.id, { question: e.target.value })}
+                  placeholder={preference
+                    ? 'e.g., Which image do you like more?'
+                    : index === 0
+                      ? 'e.g., How much on a scale from 1 to 10 do you like this image?'
+                      : 'e.g., How clear is the message of this image on a scale from 1 to 10?'}
+                  rows={criteria.length > 1 ? 2 : 3}
+                />
+              </div>
+            ))}
+            {new Set(criteriaLabels).size < criteria.length && (
+              <p className="criteria-warning">Criterion names must be unique.</p>
+            )}
+            {preference && criteria.length > 1 && (
+              <p className="criteria-warning">Pairwise preference judges a single question. Remove the extra criteria.</p>
+            )}
+            {!preference && judges.length === 0 && (
+              <button className="add-variant-button" onClick={handleAddCriterion} disabled={isRunning}>
+                + Add Criterion
+              </button>
+            )}
           </div>
-          <span>{progress.current} / {progress.total} queries completed</span>
-        </div>
-      )}
 
-      {error && (
-        <div className="error">
-          Error: {error}
-        </div>
-      )}
+          <div className="settings-section">
+            <div className="setting">
+              <label htmlFor="provider">LLM Provider:</label>
+              <select
+                id="provider"
+                value={provider}
+                onChange={(e) => setProvider(e.target.value)}
+              >
+                <option value="mock">Mock (Simulated)</option>
+                <option value="ollama">Ollama (Local)</option>
+                <option value="openai">OpenAI-compatible</option>
+                <option value="anthropic">Anthropic (Messages API)</option>
+              </select>
+            </div>
 
-      {results && (
-        <div className="results">
-          <h2>Results</h2>
+            <div className="setting">
+              <label htmlFor="mode">Judging Mode:</label>
+              <select
+                id="mode"
+                value={mode}
+                onChange={(e) => setMode(e.target.value)}
+              >
+                <option value="rating">Absolute rating</option>
+                <option value="preference" disabled={!supportsComparison(provider) || judges.length > 0 || comparingPrompts}>
+                  Pairwise preference
+                  {!supportsComparison(provider) && ' (not supported by this provider)'}
+                  {supportsComparison(provider) && judges.length > 0 && ' (not available with a judge panel)'}
+                  {supportsComparison(provider) && comparingPrompts && ' (not available for prompt variants)'}
+                </option>
+              </select>
+            </div>
 
-          {results.provider && (
-            <div className="provider-info">
-              Provider: {results.provider.name}
-              {results.provider.model && ` (${results.provider.model})`}
+            <div className="setting">
+              <label htmlFor="sampleSize">
+                {preference
+                  ? 'Comparisons per Pair:'
+                  : panelJudges ? 'Sample Size per Judge:' : sequentialEnabled ? 'Maximum Sample Size:' : 'Sample Size:'}
+              </label>
+              <input
+                id="sampleSize"
+                type="number"
+                min={2}
+                step={1}
+                value={sampleSize || ''}
+                onChange={(e) => handleSampleSizeChange(Math.round(Number(e.target.value)))}
+              />
             </div>
-          )}
 
-          <div className="stats-grid">
-            <div className="stat-card">
-              <h4>Image A</h4>
-              <div className="stat-value">{results.image1.mean.toFixed(2)}</div>
-              <div className="stat-label">Mean Rating</div>
-              <div className="stat-detail">SD: {results.image1.std.toFixed(2)}</div>
+            <div className="setting">
+              <label htmlFor="concurrency">Concurrency:</label>
+              <select
+                id="concurrency"
+                value={concurrency}
+                onChange={(e) => setConcurrency(Number(e.target.value))}
+              >
+                <option value={1}>1 at a time</option>
+                <option value={2}>2 parallel</option>
+                <option value={4}>4 parallel</option>
+                <option value={8}>8 parallel</option>
+              </select>
             </div>
 
-            <div className="stat-card">
-              <h4>Image B</h4>
-              <div className="stat-value">{results.image2.mean.toFixed(2)}</div>
-              <div className="stat-label">Mean Rating</div>
-              <div className="stat-detail">SD: {results.image2.std.toFixed(2)}</div>
+            {!preference && (
+              <div className="setting">
+                <label htmlFor="test">Statistical Test:</label>
+                <select
+                  id="test"
+                  value={test}
+                  onChange={(e) => setTest(e.target.value)}
+                >
+                  {Object.entries(TESTS).map(([key, { label }]) => (
+                    <option key={key} value={key}>{label}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+
+            <div className="setting">
+              <label htmlFor="alpha">Significance Level:</label>
+              <select
+                id="alpha"
+                value={alpha}
+                onChange={(e) => setAlpha(Number(e.target.value))}
+              >
+                <option value={0.01}>alpha = 0.01</option>
+                <option value={0.05}>alpha = 0.05</option>
+                <option value={0.1}>alpha = 0.10</option>
+              </select>
             </div>
+
+            {variantCount === 2 && (
+              <div className="setting">
+                <label htmlFor="alternative">Alternative Hypothesis:</label>
+                <select
+                  id="alternative"
+                  value={alternative}
+                  onChange={(e) => setAlternative(e.target.value)}
+                >
+                  <option value="two-sided">Two-sided ({variantLabels[0]} &ne; {variantLabels[1]})</option>
+                  <option value="greater">One-sided ({variantLabels[0]} &gt; {variantLabels[1]})</option>
+                  <option value="less">One-sided ({variantLabels[0]} &lt; {variantLabels[1]})</option>
+                </select>
+              </div>
+            )}
+
+            {criteria.length > 1 && (
+              <div className="setting">
+                <label htmlFor="correction">Correction Across Criteria:</label>
+                <select
+                  id="correction"
+                  value={correction}
+                  onChange={(e) => setCorrection(e.target.value)}
+                >
+                  {Object.entries(CORRECTIONS).map(([key, { label }]) => (
+                    <option key={key} value={key}>{label}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+
+            {!preference && variantCount === 2 && (
+              <div className="setting">
+                <label htmlFor="equivalence">Equivalence Test:</label>
+                <select
+                  id="equivalence"
+                  value={equivalence.type}
+                  onChange={(e) => setEquivalence(eq => ({ ...eq, type: e.target.value }))}
+                >
+                  <option value="">Off</option>
+                  {Object.entries(EQUIVALENCE_TYPES).map(([key, { label }]) => (
+                    <option key={key} value={key}>
+                      {key === 'non-inferiority' ? `${label} (${variantLabels[0]} not worse than ${variantLabels[1]})` : label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+
+            {equivalenceEnabled && (
+              <div className="setting">
+                <label htmlFor="equivalence-margin">Equivalence Margin (points):</label>
+                <input
+                  id="equivalence-margin"
+                  type="number"
+                  min={0}
+                  step={0.1}
+                  value={equivalence.margin}
+                  onChange={(e) => setEquivalence(eq => ({ ...eq, margin: e.target.value }))}
+                />
+              </div>
+            )}
+
+            {!preference && (
+              <div className="setting">
+                <label htmlFor="rope">Bayesian Analysis:</label>
+                <select
+                  id="rope"
+                  value={rope}
+                  onChange={(e) => setRope(e.target.value)}
+                >
+                  <option value="">Off</option>
+                  <option value="0.1">On, equivalent within &plusmn;0.1 points</option>
+                  <option value="0.25">On, equivalent within &plusmn;0.25 points</option>
+                  <option value="0.5">On, equivalent within &plusmn;0.5 points</option>
+                  <option value="1">On, equivalent within &plusmn;1 point</option>
+                </select>
+              </div>
+            )}
+
+            {!preference && !panelJudges && variantCount === 2 && criteria.length === 1 && (
+              <div className="setting">
+                <label htmlFor="spending">Sequential Testing:</label>
+                <select
+                  id="spending"
+                  value={spending}
+                  onChange={(e) => setSpending(e.target.value)}
+                >
+                  <option value="">Off (fixed sample size)</option>
+                  {Object.entries(SPENDING_FUNCTIONS).map(([key, { label }]) => (
+                    <option key={key} value={key}>{label} boundaries</option>
+                  ))}
+                </select>
+              </div>
+            )}
+
+            {sequentialEnabled && (
+              <div className="setting">
+                <label htmlFor="looks">Interim Looks:</label>
+                <select
+                  id="looks"
+                  value={looks}
+                  onChange={(e) => setLooks(Number(e.target.value))}
+                >
+                  <option value={3}>3 looks</option>
+                  <option value={5}>5 looks</option>
+                  <option value={10}>10 looks</option>
+                </select>
+              </div>
+            )}
           </div>
 
-          <div className="statistical-analysis">
-            <h3>Statistical Analysis (Welch's t-test, alpha = 0.05)</h3>
-            <table>
-              <tbody>
-                <tr>
-                  <td>t-statistic:</td>
-                  <td>{results.statistics.tStatistic.toFixed(4)}</td>
-                </tr>
-                <tr>
-                  <td>Degrees of Freedom:</td>
-                  <td>{results.statistics.degreesOfFreedom.toFixed(2)}</td>
-                </tr>
-                <tr>
-                  <td>p-value:</td>
-                  <td>{results.statistics.pValue.toFixed(6)}</td>
-                </tr>
-                <tr>
-                  <td>Effect Size (Cohen's d):</td>
-                  <td>{results.statistics.effectSize.toFixed(4)}</td>
-                </tr>
-              </tbody>
-            </table>
-
-            <div className={`conclusion ${results.statistics.isSignificant ? 'significant' : 'not-significant'}`}>
-              {results.statistics.isSignificant ? (
+          {!preference && (
+            <SampleSizePlanner
+              plan={plan}
+              onChange={setPlan}
+              alpha={alpha}
+              alternative={alternative}
+              variantCount={variantCount}
+              onApply={handleApplyPlan}
+              pilot={pilotRun.pilot}
+              pilotError={pilotRun.error}
+              isPilotRunning={pilotRun.isRunning}
+              onRunPilot={handleRunPilot}
+              onCancelPilot={pilotRun.cancel}
+              canRunPilot={allImagesUploaded && Boolean(criteria[0].question.trim())}
+              disabled={isRunning}
+            />
+          )}
+
+          {!preference && criteria.length === 1 && (
+            <JudgePanel
+              judges={judges}
+              mainJudge={providerConfig.model ? `${provider} (${providerConfig.model})` : provider}
+              onChange={updateJudge}
+              onAdd={handleAddJudge}
+              onRemove={handleRemoveJudge}
+              disabled={isRunning}
+            />
+          )}
+
+          <PromptTemplates
+            templates={promptTemplates}
+            selectedId={promptId}
+            onSelect={setPromptId}
+            onChange={updatePromptTemplates}
+            comparing={comparingPrompts}
+            comparedIds={comparedPromptIds}
+            onCompareChange={setComparedPromptIds}
+            question={criteria[0].question}
+            scale={{ min: runConfig.scaleMin ?? 1, max: runConfig.scaleMax ?? 10 }}
+            parser={runConfig.parser ?? 'first'}
+            disabled={isRunning}
+          />
+          {promptError && <p className="criteria-warning">{promptError}</p>}
+
+          <ImagePreprocessing
+            settings={preprocessing}
+            onChange={handlePreprocessingChange}
+            uploads={imageUploads}
+            disabled={isRunning}
+          />
+
+          <CacheSettings
+            cache={cache}
+            seed={seed}
+            onCacheChange={setCache}
+            onSeedChange={setSeed}
+            disabled={isRunning}
+          />
+
+          <ProviderSettings
+            provider={provider}
+            settings={currentSettings}
+            defaults={providerDefaults}
+            models={providerStatus?.provider === provider ? providerStatus.models : []}
+            onChange={handleSettingsChange}
+            disabled={isRunning}
+          />
+
+          {providerStatus?.provider === provider && (
+            <div className={`provider-status ${providerStatus.available ? 'available' : 'unavailable'}`}>
+              {providerStatus.available ? (
+                <>
+                  <span className="status-icon">&#10003;</span>
+                  {providerStatus.info.name} connected - Using {providerStatus.info.model}
+                </>
+              ) : provider === 'ollama' ? (
                 <>
-                  <strong>Statistically Significant Difference</strong>
-                  <p>
-                    The difference between Image A (M={results.image1.mean.toFixed(2)}) and
-                    Image B (M={results.image2.mean.toFixed(2)}) is statistically significant
-                    (p = {results.statistics.pValue.toFixed(6)} &lt; 0.05).
-                  </p>
+                  <span className="status-icon">&#10007;</span>
+                  Ollama not available. Make sure it's running: <code>ollama serve</code>
                 </>
               ) : (
                 <>
-                  <strong>No Statistically Significant Difference</strong>
-                  <p>
-                    There is no statistically significant difference between
-                    Image A (M={results.image1.mean.toFixed(2)}) and
-                    Image B (M={results.image2.mean.toFixed(2)})
-                    (p = {results.statistics.pValue.toFixed(6)} &ge; 0.05).
-                  </p>
+                  <span className="status-icon">&#10007;</span>
+                  {providerStatus.info.name} not available at <code>{providerStatus.info.baseUrl}</code>
                 </>
               )}
             </div>
+          )}
+
+          <div className="actions">
+            <button
+              className="run-button"
+              onClick={handleRunExperiment}
+              disabled={!canRun}
+            >
+              {isRunning ? 'Running Experiment...' : 'Run Experiment'}
+            </button>
+            <button className="reset-button" onClick={handleReset}>
+              Reset
+            </button>
+            <button
+              className="reset-button"
+              onClick={() => importInput.current?.click()}
+              disabled={isRunning}
+            >
+              Import Results
+            </button>
+            <input
+              ref={importInput}
+              type="file"
+              accept="application/json,.json"
+              onChange={handleImport}
+              hidden
+            />
           </div>
-        </div>
+
+          {isRunning && (
+            <div className="progress">
+              <div className="progress-bar">
+                <div
+                  className="progress-fill"
+                  style={{ width: `${(progress.current / progress.total) * 100}%` }}
+                />
+              </div>
+              <span>
+                {progress.current} / {progress.total} queries completed
+                {isPaused && ' (paused)'}
+              </span>
+              <div className="run-controls">
+                <button onClick={isPaused ? resume : pause}>
+                  {isPaused ? 'Resume' : 'Pause'}
+                </button>
+                <button onClick={() => cancel({ keepPartial: true })}>
+                  Stop &amp; Analyze
+                </button>
+                <button className="cancel-button" onClick={() => cancel()}>
+                  Cancel
+                </button>
+              </div>
+            </div>
+          )}
+
+          {error && (
+            <div className="error">
+              Error: {error}
+            </div>
+          )}
+
+          {importError && (
+            <div className="error">
+              {importError}
+            </div>
+          )}
+
+          {imported ? (
+            <>
+              <div className="import-notice">
+                Showing imported results from <strong>{imported.fileName}</strong>
+              </div>
+              <ExperimentResults results={imported.results} />
+            </>
+          ) : (
+            results && <ExperimentResults results={results} />
+          )}
+        </>
       )}
     </div>
   );
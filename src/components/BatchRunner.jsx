@@ -0,0 +1,270 @@
+import { useState, useRef } from 'react';
+import { parseManifest, groupImages, matchPath, isImagePath } from '../services/batch';
+import { batchCSV, downloadFile } from '../services/export';
+
+const STATUS_LABELS = {
+  queued: 'Queued',
+  running: 'Running',
+  done: 'Done',
+  failed: 'Failed',
+  cancelled: 'Cancelled',
+};
+
+function readAsDataURL(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+}
+
+/**
+ * Every file below a dropped file or folder entry, with its path
+ */
+async function readEntry(entry) {
+  if (entry.isFile) {
+    const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+    return [{ path: entry.fullPath.replace(/^\//, ''), file }];
+  }
+  const reader = entry.createReader();
+  const children = [];
+  // readEntries returns the directory's entries in chunks until it returns none
+  for (;;) {
+    const chunk = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+    if (chunk.length === 0) break;
+    children.push(...chunk);
+  }
+  return (await Promise.all(children.map(readEntry))).flat();
+}
+
+/**
+ * Turn the selected files into batch entries: a manifest and the images it names,
+ * or a folder of images grouped into experiments
+ */
+async function loadEntries(files) {
+  const manifests = files.filter(f => /\.(csv|json)$/i.test(f.path));
+  const images = files.filter(f => isImagePath(f.path));
+  const paths = images.map(f => f.path);
+  if (manifests.length > 1) {
+    throw new Error('Select a single manifest file.');
+  }
+
+  let entries;
+  let unpaired = [];
+  if (manifests.length === 1) {
+    const [manifest] = manifests;
+    entries = parseManifest(await manifest.file.text(), manifest.path);
+    const missing = entries.flatMap(entry => entry.images.filter(image => !matchPath(image, paths)));
+    if (missing.length > 0) {
+      throw new Error(`Images named in the manifest were not selected: ${missing.slice(0, 5).join(', ')}` +
+        `${missing.length > 5 ? ` and ${missing.length - 5} more` : ''}.`);
+    }
+    entries = entries.map(entry => ({ ...entry, images: entry.images.map(image => matchPath(image, paths)) }));
+  } else {
+    ({ entries, unpaired } = groupImages(paths));
+    if (entries.length === 0) {
+      throw new Error('No experiments found: select a manifest with its images, or a folder of paired images.');
+    }
+  }
+
+  const byPath = new Map(images.map(f => [f.path, f.file]));
+  const loaded = await Promise.all(entries.map(async (entry) => ({
+    name: entry.name,
+    question: entry.question,
+    variants: await Promise.all(entry.images.map(async (path) => ({ image: await readAsDataURL(byPath.get(path)) }))),
+  })));
+  return { entries: loaded, unpaired, source: manifests[0]?.path ?? null };
+}
+
+function formatP(value) {
+  return value === null ? '-' : value < 0.0001 ? '< 0.0001' : value.toFixed(4);
+}
+
+/**
+ * Batch mode: load many experiments from a manifest or a folder, run them as a queue
+ * with the settings of the Experiment tab, and summarize them with FDR correction.
+ * The batch state (from useBatch) and the loaded experiments are kept by the parent
+ * so they survive switching tabs.
+ */
+function BatchRunner({ batch, loaded, onLoad, settings, settingsLabel, canRun, onResults, disabled }) {
+  const [loadError, setLoadError] = useState(null);
+  const [isDragging, setIsDragging] = useState(false);
+  const fileInput = useRef(null);
+  const folderInput = useRef(null);
+
+  const load = async (files) => {
+    setLoadError(null);
+    try {
+      onLoad(await loadEntries(files));
+      batch.reset();
+    } catch (err) {
+      onLoad(null);
+      setLoadError(err.message);
+    }
+  };
+
+  const handleFiles = (e) => {
+    const files = Array.from(e.target.files ?? []).map(file => ({ path: file.webkitRelativePath || file.name, file }));
+    e.target.value = '';
+    if (files.length > 0) load(files);
+  };
+
+  const handleDrop = async (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    if (batch.isRunning) return;
+    const entries = Array.from(e.dataTransfer.items ?? [])
+      .map(item => item.webkitGetAsEntry?.())
+      .filter(Boolean);
+    try {
+      load((await Promise.all(entries.map(readEntry))).flat());
+    } catch (err) {
+      setLoadError(`Could not read the dropped files: ${err.message}`);
+    }
+  };
+
+  const items = batch.items.length > 0
+    ? batch.items
+    : loaded?.entries.map(entry => ({ name: entry.name, status: 'queued', progress: null })) ?? [];
+  const completed = batch.items.filter(item => ['done', 'failed', 'cancelled'].includes(item.status)).length;
+  const summaryRows = new Map(batch.summary?.rows.map(row => [row.name, row]) ?? []);
+
+  return (
+    <div className="batch-runner">
+      <div
+        className={`batch-drop ${isDragging ? 'dragging' : ''}`}
+        onDragOver={(e) => {
+          e.preventDefault();
+          setIsDragging(true);
+        }}
+        onDragLeave={() => setIsDragging(false)}
+        onDrop={handleDrop}
+      >
+        <p>
+          Drop a manifest (CSV or JSON) together with its images, or a folder of paired images
+          (one subfolder per experiment, or files named like <code>sku42_a.png</code> and <code>sku42_b.png</code>).
+        </p>
+        <div className="batch-pickers">
+          <button className="reset-button" onClick={() => fileInput.current?.click()} disabled={batch.isRunning}>
+            Select Manifest &amp; Images
+          </button>
+          <button className="reset-button" onClick={() => folderInput.current?.click()} disabled={batch.isRunning}>
+            Select Folder
+          </button>
+        </div>
+        <input
+          ref={fileInput}
+          type="file"
+          multiple
+          accept=".csv,.json,image/*"
+          onChange={handleFiles}
+          hidden
+        />
+        <input ref={folderInput} type="file" webkitdirectory="" onChange={handleFiles} hidden />
+      </div>
+
+      {loadError && <div className="error">{loadError}</div>}
+
+      {loaded && (
+        <p className="batch-note">
+          {loaded.entries.length} experiments {loaded.source ? `from ${loaded.source}` : 'from the folder'}
+          {loaded.unpaired.length > 0 && `; ${loaded.unpaired.length} images without a pair were skipped`}.
+          Each runs with {settingsLabel}. Completed experiments are saved to History.
+        </p>
+      )}
+
+      <div className="actions">
+        <button
+          className="run-button"
+          onClick={() => batch.runBatch(loaded.entries, settings, onResults)}
+          disabled={!loaded || !canRun || disabled || batch.isRunning}
+        >
+          {batch.isRunning ? 'Running Batch...' : 'Run Batch'}
+        </button>
+      </div>
+
+      {batch.isRunning && (
+        <div className="progress">
+          <div className="progress-bar">
+            <div className="progress-fill" style={{ width: `${(completed / batch.items.length) * 100}%` }} />
+          </div>
+          <span>
+            {completed} / {batch.items.length} experiments completed
+            {batch.isPaused && ' (paused)'}
+          </span>
+          <div className="run-controls">
+            <button onClick={batch.isPaused ? batch.resume : batch.pause}>
+              {batch.isPaused ? 'Resume' : 'Pause'}
+            </button>
+            <button className="cancel-button" onClick={batch.cancel}>
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      {batch.error && <div className="error">Error: {batch.error}</div>}
+
+      {items.length > 0 && (
+        <div className="batch-queue">
+          <h3>Queue</h3>
+          <table>
+            <thead>
+              <tr>
+                <th>#</th>
+                <th>Experiment</th>
+                <th>Status</th>
+                <th>Progress</th>
+                <th>Best</th>
+                <th>p-value</th>
+                <th>FDR-adjusted p</th>
+              </tr>
+            </thead>
+            <tbody>
+              {items.map((item, index) => {
+                const row = summaryRows.get(item.name);
+                return (
+                  <tr key={item.name} className={`${item.status} ${row?.isSignificant ? 'significant' : ''}`}>
+                    <td>{index + 1}</td>
+                    <td>{item.name}</td>
+                    <td title={item.error ?? undefined}>
+                      {STATUS_LABELS[item.status]}
+                      {item.results?.partial && ' (partial)'}
+                    </td>
+                    <td>{item.progress ? `${item.progress.current} / ${item.progress.total}` : '-'}</td>
+                    <td>{row?.best ?? '-'}</td>
+                    <td>{formatP(row?.pValue ?? null)}</td>
+                    <td>{formatP(row?.adjustedPValue ?? null)}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {batch.summary && (
+        <div className={`conclusion ${batch.summary.significant > 0 ? 'significant' : 'not-significant'}`}>
+          <strong>
+            {batch.summary.significant} of {batch.summary.completed} completed experiments significant
+          </strong>
+          <p>
+            Significance is at a false discovery rate of {batch.summary.alpha} across the batch
+            (Benjamini-Hochberg), using each experiment&apos;s main test. Failed experiments are excluded.
+            {batch.summary.untested > 0 &&
+              ` ${batch.summary.untested} completed experiments had no p-value (no spread in the ratings) and are left out of the correction.`}
+          </p>
+          <div className="export-buttons">
+            <span>Export:</span>
+            <button onClick={() => downloadFile('batch-summary.csv', batchCSV(batch.summary), 'text/csv')}>
+              Summary CSV
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default BatchRunner;
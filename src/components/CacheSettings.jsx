@@ -0,0 +1,81 @@
+import { useState, useEffect } from 'react';
+import { countResponses, clearResponses } from '../services/responseCache';
+
+const CACHE_LABELS = {
+  off: 'Off (always query the provider)',
+  cache: 'Cache (reuse stored responses)',
+  record: 'Record (query and store every response)',
+  replay: 'Replay (stored responses only)',
+};
+
+/**
+ * Collapsible panel for the response cache and the run seed. Recording a run and
+ * replaying it with the same seed reproduces its responses, query order and statistics.
+ */
+function CacheSettings({ cache, seed, onCacheChange, onSeedChange, disabled }) {
+  const [stored, setStored] = useState(null);
+  const [error, setError] = useState(null);
+
+  // Recount once a run has finished adding responses
+  useEffect(() => {
+    if (disabled) return;
+    countResponses().then(setStored, (err) => setError(err.message));
+  }, [disabled]);
+
+  const handleClear = async () => {
+    try {
+      await clearResponses();
+      setStored(0);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <details className="provider-settings cache-settings">
+      <summary>Caching &amp; Replay{cache !== 'off' && ` (${cache})`}</summary>
+
+      <div className="provider-settings-grid">
+        <div className="setting">
+          <label htmlFor="cache">Response Cache:</label>
+          <select id="cache" value={cache} onChange={(e) => onCacheChange(e.target.value)} disabled={disabled}>
+            {Object.entries(CACHE_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+
+        <div className="setting">
+          <label htmlFor="seed">Run Seed:</label>
+          <input
+            id="seed"
+            type="number"
+            step={1}
+            value={seed}
+            placeholder="Random"
+            onChange={(e) => onSeedChange(e.target.value)}
+            disabled={disabled}
+          />
+        </div>
+      </div>
+
+      <p className="cache-note">
+        The run seed fixes the order of the queries and the resampling of permutation and bootstrap
+        tests. Set the provider seed as well for reproducible responses from the mock provider and
+        from models that support it.
+      </p>
+
+      <div className="cache-status">
+        {error
+          ? <span className="cache-error">Response cache unavailable: {error}</span>
+          : <span>{stored ?? '...'} stored responses</span>}
+        <button className="settings-reset-button" onClick={handleClear} disabled={disabled || !stored}>
+          Clear Cache
+        </button>
+      </div>
+    </details>
+  );
+}
+
+export default CacheSettings;
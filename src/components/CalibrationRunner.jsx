@@ -0,0 +1,364 @@
+import { useRef } from 'react';
+import { PERTURBATIONS } from '../services/calibration';
+import { formatInterval } from '../services/format';
+import RatingCharts from './RatingCharts';
+
+export const DEFAULT_CALIBRATION_SETUP = {
+  image: null,
+  repeats: 30,
+  paraphrases: '',
+  perturbations: ['resize-50', 'jpeg-50'],
+  aaRuns: 20,
+  aaSampleSize: 10,
+};
+
+const FLAG_LABELS = {
+  constant: 'Constant: every rating was the same',
+  'near-constant': 'Nearly constant: almost every rating was the same',
+};
+
+function formatP(value) {
+  return value === null ? '-' : value < 0.0001 ? '< 0.0001' : value.toFixed(4);
+}
+
+function formatShift(value) {
+  return `${value > 0 ? '+' : ''}${value.toFixed(2)}`;
+}
+
+function paraphraseList(text) {
+  return text.split('\n').map(line => line.trim()).filter(Boolean);
+}
+
+/**
+ * Mean, spread and shift of the ratings in each condition, with the share of the
+ * rating variance the condition explains
+ */
+function SensitivityTable({ title, summary, note }) {
+  return (
+    <div className="calibration-section">
+      <h3>{title}</h3>
+      <table>
+        <thead>
+          <tr>
+            <th>Condition</th>
+            <th>n</th>
+            <th>Mean</th>
+            <th>SD</th>
+            <th>Shift</th>
+          </tr>
+        </thead>
+        <tbody>
+          {summary.conditions.map((row, index) => (
+            <tr key={row.label}>
+              <td>{row.label}</td>
+              <td>{row.n}</td>
+              <td>{row.mean.toFixed(2)}</td>
+              <td>{row.sd.toFixed(2)}</td>
+              <td>{index === 0 ? '-' : formatShift(row.shift)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <p className="calibration-note">
+        {summary.varianceShare !== null && (
+          <>Variance explained by the condition: <strong>{(summary.varianceShare * 100).toFixed(1)}%</strong>. </>
+        )}
+        {summary.anova
+          ? `Welch's ANOVA across conditions: p = ${formatP(summary.anova.pValue)}. `
+          : 'No ANOVA: a condition had no spread in its ratings. '}
+        {note}
+      </p>
+    </div>
+  );
+}
+
+/**
+ * Calibration mode: before trusting a judge with an experiment, rate one image many
+ * times to measure the judge's own noise, under reworded questions and perturbed
+ * copies of the image, and run A/A experiments to check the false-positive rate.
+ * The setup and the calibration state (from useCalibration) are kept by the parent
+ * so they survive switching tabs.
+ */
+function CalibrationRunner({ calibration, setup, onSetupChange, settings, settingsLabel, canRun, scale, disabled }) {
+  const fileInput = useRef(null);
+  const { results } = calibration;
+  const update = (changes) => onSetupChange({ ...setup, ...changes });
+  const paraphrases = paraphraseList(setup.paraphrases);
+  const queries = setup.repeats * (1 + paraphrases.length + setup.perturbations.length) +
+    setup.aaRuns * setup.aaSampleSize * 2;
+
+  const loadImage = (file) => {
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onloadend = () => {
+      update({ image: reader.result });
+      calibration.reset();
+    };
+    reader.readAsDataURL(file);
+  };
+
+  const togglePerturbation = (key) => {
+    update({
+      perturbations: setup.perturbations.includes(key)
+        ? setup.perturbations.filter(p => p !== key)
+        : [...setup.perturbations, key],
+    });
+  };
+
+  const handleRun = () => {
+    calibration.runCalibration(setup.image, settings.question, settings.providerName, settings.providerConfig, {
+      ...settings.options,
+      repeats: setup.repeats,
+      paraphrases,
+      perturbations: setup.perturbations,
+      aaRuns: setup.aaRuns,
+      aaSampleSize: setup.aaSampleSize,
+    });
+  };
+
+  const valid = Boolean(setup.image) && setup.repeats >= 2 && setup.aaRuns >= 0 &&
+    (setup.aaRuns === 0 || setup.aaSampleSize >= 2);
+  const falsePositives = results?.falsePositives;
+
+  return (
+    <div className="calibration-runner">
+      <p className="calibration-intro">
+        Measure how much a judge&apos;s ratings vary when nothing changes, before trusting it with an
+        experiment. Runs with {settingsLabel}. Responses are never cached, so every rating is a new query.
+      </p>
+
+      <div className="calibration-setup">
+        <div
+          className={`upload-area ${setup.image ? 'has-image' : ''}`}
+          onClick={() => !calibration.isRunning && fileInput.current?.click()}
+          onDrop={(e) => {
+            e.preventDefault();
+            if (!calibration.isRunning) loadImage(e.dataTransfer.files?.[0]);
+          }}
+          onDragOver={(e) => e.preventDefault()}
+        >
+          {setup.image ? (
+            <img src={setup.image} alt="Calibration image" />
+          ) : (
+            <div className="placeholder">
+              <span>Click or drag to upload the image to rate</span>
+            </div>
+          )}
+        </div>
+        <input
+          ref={fileInput}
+          type="file"
+          accept="image/*"
+          onChange={(e) => {
+            loadImage(e.target.files?.[0]);
+            e.target.value = '';
+          }}
+          hidden
+        />
+
+        <div className="calibration-options">
+          <div className="settings-section">
+            <div className="setting">
+              <label htmlFor="calibration-repeats">Ratings per Condition:</label>
+              <input
+                id="calibration-repeats"
+                type="number"
+                min="2"
+                value={setup.repeats}
+                onChange={(e) => update({ repeats: Math.max(2, Math.round(Number(e.target.value)) || 2) })}
+                disabled={calibration.isRunning}
+              />
+            </div>
+            <div className="setting">
+              <label htmlFor="calibration-aa-runs">A/A Experiments:</label>
+              <input
+                id="calibration-aa-runs"
+                type="number"
+                min="0"
+                value={setup.aaRuns}
+                onChange={(e) => update({ aaRuns: Math.max(0, Math.round(Number(e.target.value)) || 0) })}
+                disabled={calibration.isRunning}
+              />
+            </div>
+            <div className="setting">
+              <label htmlFor="calibration-aa-size">Queries per A/A Arm:</label>
+              <input
+                id="calibration-aa-size"
+                type="number"
+                min="2"
+                value={setup.aaSampleSize}
+                onChange={(e) => update({ aaSampleSize: Math.max(2, Math.round(Number(e.target.value)) || 2) })}
+                disabled={calibration.isRunning}
+              />
+            </div>
+          </div>
+
+          <fieldset className="calibration-perturbations">
+            <legend>Image perturbations, each rated as its own condition:</legend>
+            {Object.entries(PERTURBATIONS).map(([key, perturbation]) => (
+              <label key={key}>
+                <input
+                  type="checkbox"
+                  checked={setup.perturbations.includes(key)}
+                  onChange={() => togglePerturbation(key)}
+                  disabled={calibration.isRunning}
+                />
+                {perturbation.label}
+              </label>
+            ))}
+          </fieldset>
+
+          <label className="calibration-paraphrases">
+            Paraphrased questions, one per line:
+            <textarea
+              value={setup.paraphrases}
+              rows={3}
+              placeholder={'e.g., How appealing is this image?\nWould you click on this image?'}
+              onChange={(e) => update({ paraphrases: e.target.value })}
+              disabled={calibration.isRunning}
+            />
+          </label>
+        </div>
+      </div>
+
+      <div className="actions">
+        <button
+          className="run-button"
+          onClick={handleRun}
+          disabled={!valid || !canRun || disabled || calibration.isRunning}
+        >
+          {calibration.isRunning ? 'Calibrating...' : `Run Calibration (${queries} queries)`}
+        </button>
+      </div>
+
+      {calibration.isRunning && (
+        <div className="progress">
+          <div className="progress-bar">
+            <div
+              className="progress-fill"
+              style={{ width: `${calibration.progress.total ? (calibration.progress.current / calibration.progress.total) * 100 : 0}%` }}
+            />
+          </div>
+          <span>
+            {calibration.progress.current} / {calibration.progress.total} queries completed
+            {calibration.isPaused && ' (paused)'}
+          </span>
+          <div className="run-controls">
+            <button onClick={calibration.isPaused ? calibration.resume : calibration.pause}>
+              {calibration.isPaused ? 'Resume' : 'Pause'}
+            </button>
+            <button className="cancel-button" onClick={calibration.cancel}>
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      {calibration.error && <div className="error">Error: {calibration.error}</div>}
+
+      {results && (
+        <div className="results calibration-results">
+          <div className="calibration-section">
+            <h3>Intrinsic Variance</h3>
+            <div className="stats-grid">
+              <div className="stat-card">
+                <div className="stat-value">{results.reliability.sd.toFixed(2)}</div>
+                <div className="stat-label">SD of Repeated Ratings</div>
+                <div className="stat-detail">
+                  Mean {results.reliability.mean.toFixed(2)} over {results.reliability.n} ratings,
+                  range {results.reliability.min}-{results.reliability.max}
+                </div>
+              </div>
+              <div className="stat-card">
+                <div className="stat-value">{results.reliability.distinct}</div>
+                <div className="stat-label">Distinct Ratings</div>
+                <div className="stat-detail">
+                  {Math.round(results.reliability.modeShare * 100)}% were {results.reliability.mode}
+                </div>
+              </div>
+            </div>
+            {results.reliability.flag ? (
+              <div className="conclusion not-significant">
+                <strong>{FLAG_LABELS[results.reliability.flag]}</strong>
+                <p>
+                  A judge that always answers the same cannot tell images apart: experiments with it will find
+                  no differences however many queries they make. Try another model, a higher temperature, a wider
+                  scale or a more specific question.
+                </p>
+              </div>
+            ) : (
+              <p className="calibration-note">
+                The SD is the judge&apos;s own noise on an unchanged image; real differences between images need
+                to be large relative to it, or averaged over enough queries, to be detected.
+              </p>
+            )}
+            {results.failures > 0 && (
+              <p className="calibration-note">{results.failures} queries failed and were left out.</p>
+            )}
+          </div>
+
+          {results.paraphrases && (
+            <SensitivityTable
+              title="Prompt Sensitivity"
+              summary={results.paraphrases}
+              note="Shifts are relative to the original question; a judge that depends on the wording will give
+                results that depend on it too."
+            />
+          )}
+
+          {results.perturbations && (
+            <SensitivityTable
+              title="Image Perturbation Sensitivity"
+              summary={results.perturbations}
+              note="Resizing and recompression should not change a rating; large shifts mean differences in
+                file size or format between variants can bias an experiment."
+            />
+          )}
+
+          {falsePositives.runs + falsePositives.failed > 0 && (
+            <div className="calibration-section">
+              <h3>A/A False-Positive Rate</h3>
+              {falsePositives.valid > 0 ? (
+                <div className={`conclusion ${falsePositives.isConsistent ? 'significant' : 'not-significant'}`}>
+                  <strong>
+                    {falsePositives.significant} of {falsePositives.valid} A/A experiments significant
+                    ({(falsePositives.rate * 100).toFixed(1)}%, expected {(falsePositives.alpha * 100).toFixed(1)}%)
+                  </strong>
+                  <p>
+                    95% confidence interval of the rate: {formatInterval(falsePositives.confidenceInterval, 3)};
+                    binomial test against alpha: p = {formatP(falsePositives.pValue)}.{' '}
+                    {falsePositives.isConsistent
+                      ? 'The false-positive rate is consistent with the significance level.'
+                      : falsePositives.rate > falsePositives.alpha
+                        ? 'Identical images are found different too often: the test\'s assumptions do not hold for this judge, and its significant results should not be trusted.'
+                        : 'Identical images are found different less often than expected: the test is conservative with this judge and will miss real differences.'}
+                    {' '}Few A/A experiments give a wide interval; run more for a sharper check.
+                  </p>
+                </div>
+              ) : (
+                <p className="calibration-note">
+                  No A/A experiment produced a p-value; the judge&apos;s ratings had no spread to test.
+                </p>
+              )}
+              {(falsePositives.failed > 0 || falsePositives.runs > falsePositives.valid) && (
+                <p className="calibration-note">
+                  {falsePositives.failed > 0 && `${falsePositives.failed} A/A experiments failed (${falsePositives.errors.join('; ')}). `}
+                  {falsePositives.runs > falsePositives.valid &&
+                    `${falsePositives.runs - falsePositives.valid} had no p-value and were left out.`}
+                </p>
+              )}
+            </div>
+          )}
+
+          <RatingCharts
+            analysis={{ variants: results.conditions }}
+            scale={scale}
+            alpha={results.config.options.alpha}
+          />
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default CalibrationRunner;
@@ -0,0 +1,163 @@
+import { useState, useMemo } from 'react';
+import ExperimentResults from './ExperimentResults';
+import { experimentResults } from '../services/history';
+
+/**
+ * Overall significance of a saved experiment, whichever test it used
+ */
+function isSignificant(experiment) {
+  const { statistics, anova, pairwise, panel } = experiment.results;
+  return Boolean(
+    panel?.blocked.variant.isSignificant ??
+      statistics?.isSignificant ??
+      anova?.isSignificant ??
+      pairwise?.some(p => p.isSignificant)
+  );
+}
+
+/**
+ * Mean rating of a variant, or its win rate in a pairwise preference experiment
+ */
+function variantScore(results, index) {
+  const variant = results.variants[index];
+  return results.mode === 'preference' ? `${Math.round(variant.winRate * 100)}%` : variant.mean.toFixed(2);
+}
+
+function formatDate(iso) {
+  return new Date(iso).toLocaleString();
+}
+
+/**
+ * Browse, filter, view, delete and re-run saved experiments.
+ */
+function ExperimentHistory({ experiments, isLoading, error, onRerun, onDelete, disabled }) {
+  const [search, setSearch] = useState('');
+  const [providerFilter, setProviderFilter] = useState('');
+  const [significantOnly, setSignificantOnly] = useState(false);
+  const [selectedId, setSelectedId] = useState(null);
+
+  const providerNames = useMemo(
+    () => [...new Set(experiments.map(e => e.providerName))],
+    [experiments]
+  );
+
+  const filtered = useMemo(() => {
+    const term = search.trim().toLowerCase();
+    return experiments.filter(e =>
+      (!term ||
+        e.question.toLowerCase().includes(term) ||
+        e.results.provider?.model?.toLowerCase().includes(term)) &&
+      (!providerFilter || e.providerName === providerFilter) &&
+      (!significantOnly || isSignificant(e))
+    );
+  }, [experiments, search, providerFilter, significantOnly]);
+
+  const selected = experiments.find(e => e.id === selectedId);
+
+  const handleDelete = (experiment) => {
+    if (window.confirm(`Delete the experiment from ${formatDate(experiment.createdAt)}?`)) {
+      if (experiment.id === selectedId) setSelectedId(null);
+      onDelete(experiment.id);
+    }
+  };
+
+  if (selected) {
+    return (
+      <div className="history">
+        <div className="history-detail-header">
+          <button className="back-button" onClick={() => setSelectedId(null)}>
+            &larr; Back to History
+          </button>
+          <div className="history-detail-actions">
+            <button onClick={() => onRerun(selected)} disabled={disabled}>Re-run</button>
+            <button className="delete-button" onClick={() => handleDelete(selected)}>Delete</button>
+          </div>
+        </div>
+        <div className="history-meta">
+          <div>{formatDate(selected.createdAt)} &middot; {selected.sampleSize}{' '}
+            {selected.options?.mode === 'preference' ? 'comparisons per pair' : 'queries each'}
+          </div>
+          <div className="history-question">{selected.question}</div>
+          <div className="history-thumbnails">
+            {selected.variants.map(v => (
+              <img key={v.label} src={v.thumbnail} alt={v.label} title={v.label} />
+            ))}
+          </div>
+        </div>
+        <ExperimentResults results={experimentResults(selected)} />
+      </div>
+    );
+  }
+
+  return (
+    <div className="history">
+      <div className="history-filters">
+        <input
+          type="search"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          placeholder="Search questions or models"
+        />
+        <select value={providerFilter} onChange={(e) => setProviderFilter(e.target.value)}>
+          <option value="">All providers</option>
+          {providerNames.map(name => (
+            <option key={name} value={name}>{name}</option>
+          ))}
+        </select>
+        <label>
+          <input
+            type="checkbox"
+            checked={significantOnly}
+            onChange={(e) => setSignificantOnly(e.target.checked)}
+          />
+          Significant only
+        </label>
+      </div>
+
+      {error && <div className="error">Error: {error}</div>}
+
+      {isLoading ? (
+        <p className="history-empty">Loading history...</p>
+      ) : filtered.length === 0 ? (
+        <p className="history-empty">
+          {experiments.length === 0 ? 'No experiments have been run yet.' : 'No experiments match the filters.'}
+        </p>
+      ) : (
+        <ul className="history-list">
+          {filtered.map(experiment => (
+            <li key={experiment.id} className="history-item">
+              <div className="history-thumbnails">
+                {experiment.variants.map((v, index) => (
+                  <figure key={v.label}>
+                    <img src={v.thumbnail} alt={v.label} title={v.label} />
+                    <figcaption>{variantScore(experiment.results, index)}</figcaption>
+                  </figure>
+                ))}
+              </div>
+              <div className="history-summary">
+                <div className="history-question">{experiment.question}</div>
+                <div className="history-details">
+                  {formatDate(experiment.createdAt)} &middot; {experiment.results.provider?.name}
+                  {experiment.results.provider?.model && ` (${experiment.results.provider.model})`}
+                  {experiment.judges && ` · ${experiment.judges.length}-judge panel`}
+                  {' '}&middot; n={experiment.sampleSize}
+                  {experiment.results.partial && ' · partial'}
+                </div>
+                <span className={`history-badge ${isSignificant(experiment) ? 'significant' : 'not-significant'}`}>
+                  {isSignificant(experiment) ? 'Significant' : 'Not significant'}
+                </span>
+              </div>
+              <div className="history-actions">
+                <button onClick={() => setSelectedId(experiment.id)}>View</button>
+                <button onClick={() => onRerun(experiment)} disabled={disabled}>Re-run</button>
+                <button className="delete-button" onClick={() => handleDelete(experiment)}>Delete</button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default ExperimentHistory;
@@ -0,0 +1,654 @@
+import ExportButtons from './ExportButtons';
+import PreferenceResults from './PreferenceResults';
+import RatingCharts from './RatingCharts';
+import {
+  testLabel,
+  statisticRows,
+  hypothesisLabel,
+  sequentialLabel,
+  sequentialLookRows,
+  describeSequentialStop,
+  primaryOutcome,
+  formatPValue,
+  anovaRows,
+  describeUndefinedANOVA,
+  powerRows,
+  equivalenceLabel,
+  equivalenceRows,
+  describeEquivalence,
+  posteriorRows,
+  posteriorPairRows,
+  describeBayesianConclusion,
+  correctionLabel,
+  blockedRows,
+  agreementRows,
+  describePanelConclusion,
+  describeCache,
+  describePrompt,
+} from '../services/format';
+
+const PARSER_LABELS = {
+  first: 'First-number',
+  last: 'Last-number',
+  json: 'JSON',
+};
+
+/**
+ * Mean rating cards and ranking of the variants in an analysis.
+ */
+function VariantSummary({ analysis, scoreLabel = 'Mean Rating' }) {
+  return (
+    <>
+      <div className="stats-grid">
+        {analysis.variants.map((variant) => (
+          <div className="stat-card" key={variant.label}>
+            <h4>{variant.label}</h4>
+            <div className="stat-value">{variant.mean.toFixed(2)}</div>
+            <div className="stat-label">{scoreLabel}</div>
+            <div className="stat-detail">SD: {variant.std.toFixed(2)}</div>
+          </div>
+        ))}
+      </div>
+
+      <div className="ranking">
+        <h3>Ranking</h3>
+        <table>
+          <thead>
+            <tr>
+              <th>Rank</th>
+              <th>Variant</th>
+              <th>Mean</th>
+              <th>SD</th>
+              <th>n</th>
+            </tr>
+          </thead>
+          <tbody>
+            {[...analysis.variants]
+              .sort((a, b) => b.mean - a.mean)
+              .map((variant, rank) => (
+                <tr key={variant.label}>
+                  <td>{rank + 1}</td>
+                  <td>{variant.label}</td>
+                  <td>{variant.mean.toFixed(2)}</td>
+                  <td>{variant.std.toFixed(2)}</td>
+                  <td>{variant.ratings.length}</td>
+                </tr>
+              ))}
+          </tbody>
+        </table>
+      </div>
+    </>
+  );
+}
+
+/**
+ * Equivalence or non-inferiority test of two variants, concluding equivalent (or
+ * non-inferior), different or inconclusive instead of only significant or not
+ */
+function EquivalenceResults({ equivalence, labels }) {
+  const { title, text } = describeEquivalence(equivalence, labels);
+  const outcome = equivalence.isEquivalent ? 'significant' : equivalence.conclusion === 'different' ? 'different' : 'not-significant';
+
+  return (
+    <div className="statistical-analysis equivalence-analysis">
+      <h3>{equivalenceLabel(equivalence.type)} (margin &plusmn;{equivalence.margin}, alpha = {equivalence.alpha})</h3>
+      <table>
+        <tbody>
+          {equivalenceRows(equivalence, labels).map(([label, value]) => (
+            <tr key={label}>
+              <td>{label}:</td>
+              <td>{value}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div className={`conclusion ${outcome}`}>
+        <strong>{title}</strong>
+        <p>{text}</p>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Posterior of each variant's mean and of the differences, with the ROPE decision
+ */
+function BayesianAnalysis({ bayesian, labels }) {
+  const decided = bayesian.pairs.length === 1
+    ? bayesian.pairs[0].decision !== 'undecided'
+    : bayesian.pairs.every(pair => pair.decision !== 'undecided');
+  const mass = Math.round(bayesian.credibleMass * 100);
+
+  return (
+    <div className="statistical-analysis bayesian-analysis">
+      <h3>Bayesian Analysis (normal model, ROPE &plusmn;{bayesian.rope})</h3>
+      <table className="pairwise-table">
+        <thead>
+          <tr>
+            <th>Variant</th>
+            <th>Posterior Mean</th>
+            <th>{mass}% Credible Interval</th>
+            <th>P(Best)</th>
+            <th>Expected Loss</th>
+          </tr>
+        </thead>
+        <tbody>
+          {posteriorRows(bayesian, labels).map(row => (
+            <tr key={row[0]}>
+              {row.map((cell, index) => <td key={index}>{cell}</td>)}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <table className="pairwise-table">
+        <thead>
+          <tr>
+            <th>Comparison</th>
+            <th>Difference</th>
+            <th>{mass}% Credible Interval</th>
+            <th>P(First &gt; Second)</th>
+            <th>P(Within ROPE)</th>
+            <th>Decision</th>
+          </tr>
+        </thead>
+        <tbody>
+          {posteriorPairRows(bayesian, labels).map((row, index) => (
+            <tr key={row[0]} className={bayesian.pairs[index].decision !== 'undecided' ? 'significant' : ''}>
+              {row.map((cell, c) => <td key={c}>{cell}</td>)}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div className={`conclusion ${decided ? 'significant' : 'not-significant'}`}>
+        <strong>{decided ? 'Decided' : 'Undecided'}</strong>
+        <p>{describeBayesianConclusion(bayesian, labels)}</p>
+      </div>
+      <p className="power-note">
+        Expected loss is the rating points given up, on average over the posterior, by choosing a variant
+        that turns out not to be the best. Differences within the region of practical equivalence (ROPE)
+        are too small to matter; a decision needs {mass}% of the posterior on one side of it or inside it.
+      </p>
+    </div>
+  );
+}
+
+/**
+ * Test diagnostics, sequential looks, statistical tests, power and Bayesian analysis of an analysis:
+ * the whole experiment, the composite score, or a single criterion.
+ */
+function TestResults({ analysis, alpha }) {
+  const labels = analysis.variants.map(v => v.label);
+  const oneSided = analysis.statistics?.alternative && analysis.statistics.alternative !== 'two-sided';
+  const outcome = analysis.statistics && primaryOutcome(analysis);
+  const pNote = outcome?.adjusted ? ', sequentially adjusted' : '';
+
+  return (
+    <>
+      {(analysis.test ?? 'welch') === 'welch' && analysis.diagnostics?.isViolated && (
+        <div className="diagnostics-notice">
+          <strong>The t-test assumptions look doubtful for these ratings</strong>
+          <ul>
+            {analysis.diagnostics.issues.map(issue => (
+              <li key={issue}>{issue}</li>
+            ))}
+          </ul>
+          <p>
+            Consider re-running with the Mann-Whitney U test or the permutation test, which do not
+            assume normally distributed ratings.
+          </p>
+        </div>
+      )}
+
+      {analysis.sequential && (
+        <div className="sequential-analysis">
+          <h3>Sequential Analysis ({sequentialLabel(analysis.sequential)})</h3>
+          <table>
+            <thead>
+              <tr>
+                <th>Look</th>
+                <th>Ratings ({labels.join(' / ')})</th>
+                <th>Information</th>
+                <th>z</th>
+                <th>Boundary</th>
+                <th>Adjusted p</th>
+                <th>Decision</th>
+              </tr>
+            </thead>
+            <tbody>
+              {sequentialLookRows(analysis.sequential).map(row => (
+                <tr key={row[0]}>
+                  {row.map((cell, index) => <td key={index}>{cell}</td>)}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className="sequential-note">{describeSequentialStop(analysis.sequential)}</p>
+        </div>
+      )}
+
+      {analysis.statistics && (
+        <div className="statistical-analysis">
+          <h3>Statistical Analysis ({testLabel(analysis.statistics.test)}, alpha = {alpha})</h3>
+          <table>
+            <tbody>
+              {statisticRows(analysis.statistics, labels).map(([label, value]) => (
+                <tr key={label}>
+                  <td>{label}:</td>
+                  <td>{value}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {!analysis.equivalence && (
+            <div className={`conclusion ${outcome.isSignificant ? 'significant' : 'not-significant'}`}>
+              {outcome.isSignificant ? (
+                <>
+                  <strong>Statistically Significant Difference</strong>
+                  <p>
+                    The difference between {analysis.variants[0].label} (M={analysis.variants[0].mean.toFixed(2)}) and
+                    {' '}{analysis.variants[1].label} (M={analysis.variants[1].mean.toFixed(2)}) is statistically significant
+                    (p = {outcome.pValue.toFixed(6)} &lt; {alpha}{pNote}
+                    {oneSided && `, one-sided: ${hypothesisLabel(analysis.statistics.alternative, labels)}`}).
+                  </p>
+                </>
+              ) : (
+                <>
+                  <strong>No Statistically Significant Difference</strong>
+                  <p>
+                    There is no statistically significant difference between
+                    {' '}{analysis.variants[0].label} (M={analysis.variants[0].mean.toFixed(2)}) and
+                    {' '}{analysis.variants[1].label} (M={analysis.variants[1].mean.toFixed(2)})
+                    (p = {outcome.pValue.toFixed(6)} &ge; {alpha}{pNote}
+                    {oneSided && `, one-sided: ${hypothesisLabel(analysis.statistics.alternative, labels)}`}).
+                  </p>
+                </>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+
+      {analysis.equivalence && <EquivalenceResults equivalence={analysis.equivalence} labels={labels} />}
+
+      {analysis.power && (
+        <div className="statistical-analysis power-analysis">
+          <h3>Power Analysis</h3>
+          <table>
+            <tbody>
+              {powerRows(analysis.power).map(([label, value]) => (
+                <tr key={label}>
+                  <td>{label}:</td>
+                  <td>{value}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className="power-note">
+            Differences smaller than the minimum detectable effect could easily have been missed at this
+            sample size. Power for the observed difference follows directly from the p-value, so use it to
+            describe the run rather than to explain a non-significant result.
+          </p>
+        </div>
+      )}
+
+      {analysis.anova && (
+        <div className="statistical-analysis">
+          <h3>Statistical Analysis (Welch ANOVA, alpha = {alpha})</h3>
+          <table>
+            <tbody>
+              {anovaRows(analysis.anova).map(([label, value]) => (
+                <tr key={label}>
+                  <td>{label}:</td>
+                  <td>{value}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <h3>Pairwise Comparisons ({testLabel(analysis.test)}, Holm-corrected)</h3>
+          <table className="pairwise-table">
+            <thead>
+              <tr>
+                <th>Comparison</th>
+                <th>Mean Diff</th>
+                <th>p-value</th>
+                <th>Adjusted p</th>
+              </tr>
+            </thead>
+            <tbody>
+              {analysis.pairwise.map((pair) => (
+                <tr key={`${pair.group1}-${pair.group2}`} className={pair.isSignificant ? 'significant' : ''}>
+                  <td>
+                    {analysis.variants[pair.group1].label} vs {analysis.variants[pair.group2].label}
+                  </td>
+                  <td>{(pair.mean1 - pair.mean2).toFixed(2)}</td>
+                  <td>{formatPValue(pair.pValue)}</td>
+                  <td>{formatPValue(pair.adjustedPValue)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <div className={`conclusion ${analysis.anova.isSignificant ? 'significant' : 'not-significant'}`}>
+            {analysis.anova.pValue === null ? (
+              <>
+                <strong>Test Undefined</strong>
+                <p>{describeUndefinedANOVA(analysis.anova, labels)}</p>
+              </>
+            ) : analysis.anova.isSignificant ? (
+              <>
+                <strong>Statistically Significant Difference</strong>
+                <p>
+                  At least one of the {analysis.variants.length} variants differs from the others
+                  (p = {analysis.anova.pValue.toFixed(6)} &lt; {alpha}).
+                  {' '}{analysis.pairwise.filter(p => p.isSignificant).length} of {analysis.pairwise.length} pairwise
+                  comparisons remain significant after Holm correction.
+                </p>
+              </>
+            ) : (
+              <>
+                <strong>No Statistically Significant Difference</strong>
+                <p>
+                  There is no statistically significant difference among the {analysis.variants.length} variants
+                  (p = {analysis.anova.pValue.toFixed(6)} &ge; {alpha}).
+                </p>
+              </>
+            )}
+          </div>
+        </div>
+      )}
+
+      {analysis.bayesian && <BayesianAnalysis bayesian={analysis.bayesian} labels={labels} />}
+    </>
+  );
+}
+
+/**
+ * Per-criterion means and multiplicity-corrected significance of a multi-criteria run.
+ */
+function CriteriaSummary({ results, alpha }) {
+  const correction = correctionLabel(results.config?.options?.correction);
+  return (
+    <div className="criteria-summary">
+      <h3>Criteria ({correction}-corrected across {results.criteria.length} criteria)</h3>
+      <table>
+        <thead>
+          <tr>
+            <th>Criterion</th>
+            <th>Weight</th>
+            {results.variants.map(v => <th key={v.label}>{v.label}</th>)}
+            <th>p-value</th>
+            <th>Adjusted p</th>
+          </tr>
+        </thead>
+        <tbody>
+          {results.criteria.map(criterion => (
+            <tr key={criterion.label} className={criterion.isSignificant ? 'significant' : ''}>
+              <td title={criterion.question}>{criterion.label}</td>
+              <td>{criterion.weight}</td>
+              {criterion.variants.map(v => <td key={v.label}>{v.mean.toFixed(2)}</td>)}
+              <td>{formatPValue(criterion.pValue)}</td>
+              <td>{formatPValue(criterion.adjustedPValue)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <p className="criteria-note">
+        {results.criteria.filter(c => c.isSignificant).length} of {results.criteria.length} criteria
+        show a significant difference after {correction} correction (alpha = {alpha}). The composite
+        score below is the weighted mean of the criteria; the details of each criterion at the end show
+        uncorrected p-values.
+      </p>
+    </div>
+  );
+}
+
+/**
+ * Mean ratings per judge, the judge-blocked analysis of the variants and the
+ * agreement between the judges of a panel.
+ */
+function PanelSummary({ results, alpha }) {
+  const { panel, variants } = results;
+  const { blocked } = panel;
+
+  return (
+    <div className="panel-summary">
+      <h3>Judge Panel ({panel.judges.length} judges)</h3>
+      <table>
+        <thead>
+          <tr>
+            <th>Judge</th>
+            {variants.map(v => <th key={v.label}>{v.label}</th>)}
+            <th>Judge Mean</th>
+          </tr>
+        </thead>
+        <tbody>
+          {panel.judges.map((judge, j) => (
+            <tr key={judge.label}>
+              <td>{judge.label}</td>
+              {blocked.cellMeans[j].map((m, v) => <td key={v}>{m.toFixed(2)}</td>)}
+              <td>{blocked.judgeMeans[j].toFixed(2)}</td>
+            </tr>
+          ))}
+          <tr className="panel-total">
+            <td>Panel (judge-averaged)</td>
+            {blocked.variantMeans.map((m, v) => <td key={v}>{m.toFixed(2)}</td>)}
+            <td></td>
+          </tr>
+        </tbody>
+      </table>
+
+      <div className="statistical-analysis">
+        <h3>Blocked Analysis (two-way ANOVA, alpha = {alpha})</h3>
+        <table className="pairwise-table">
+          <thead>
+            <tr>
+              <th>Effect</th>
+              <th>F</th>
+              <th>df</th>
+              <th>p-value</th>
+            </tr>
+          </thead>
+          <tbody>
+            {blockedRows(blocked).map(row => (
+              <tr key={row[0]}>
+                {row.map((cell, index) => <td key={index}>{cell}</td>)}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        <div className={`conclusion ${blocked.variant.isSignificant ? 'significant' : 'not-significant'}`}>
+          <strong>
+            {blocked.variant.isSignificant ? 'Statistically Significant Difference' : 'No Statistically Significant Difference'}
+          </strong>
+          <p>{describePanelConclusion(results, alpha)}</p>
+        </div>
+
+        <h3>Agreement Between Judges</h3>
+        <table>
+          <tbody>
+            {agreementRows(panel.agreement).map(([label, value]) => (
+              <tr key={label}>
+                <td>{label}:</td>
+                <td>{value}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <p className="panel-note">
+          Agreement is computed on each judge&apos;s mean rating of each variant, so it rests on
+          only {variants.length} rated variants and is imprecise with few of them. Absolute agreement counts
+          differences in leniency between judges as disagreement; consistency only asks whether the judges
+          order the variants alike.
+        </p>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Valid ratings collected for a variant, across every criterion
+ */
+function validCount(results, index) {
+  if (!results.criteria) return results.variants[index].ratings.length;
+  return results.criteria.reduce((sum, c) => sum + c.variants[index].ratings.length, 0);
+}
+
+/**
+ * Displays the ratings, reliability and statistical analysis of a completed experiment.
+ * Multi-criteria runs show the weighted composite score first, then each criterion;
+ * judge panels show the blocked analysis and agreement first, then each judge;
+ * pairwise preference runs show win rates instead of ratings.
+ */
+function ExperimentResults({ results }) {
+  // Results saved before alpha was configurable used 0.05
+  const alpha = results.alpha ?? 0.05;
+  const preference = results.mode === 'preference';
+  const cacheInfo = describeCache(results.provider, results.config?.options?.seed);
+  const scale = results.provider?.scale;
+  const promptInfo = describePrompt(results.config);
+
+  return (
+    <div className="results">
+      <div className="results-header">
+        <h2>Results</h2>
+        <ExportButtons results={results} />
+      </div>
+
+      {results.partial && (
+        <div className="partial-notice">
+          Partial results: the experiment was stopped early. Statistics are computed on the
+          {' '}{preference
+            ? `${results.positionBias.trials} comparisons`
+            : `${results.variants.reduce((sum, v, index) => sum + validCount(results, index), 0)} ratings`} collected.
+        </div>
+      )}
+
+      {results.panel ? (
+        <div className="provider-info">
+          Judge panel: {results.panel.judges.map(judge => judge.label).join(', ')}
+          {results.provider?.scale && ` · Scale ${results.provider.scale.min}-${results.provider.scale.max}`}
+          {promptInfo && ` · ${promptInfo}`}
+          {cacheInfo && ` · ${cacheInfo}`}
+        </div>
+      ) : results.provider && (
+        <div className="provider-info">
+          Provider: {results.provider.name}
+          {results.provider.model && ` (${results.provider.model})`}
+          {preference && ' · Pairwise preference'}
+          {results.provider.scale && !preference && ` · Scale ${results.provider.scale.min}-${results.provider.scale.max}`}
+          {results.provider.parser && ` · ${PARSER_LABELS[results.provider.parser]} parser`}
+          {promptInfo && ` · ${promptInfo}`}
+          {cacheInfo && ` · ${cacheInfo}`}
+        </div>
+      )}
+
+      {preference ? (
+        <PreferenceResults results={results} alpha={alpha} />
+      ) : (
+        <>
+          {results.criteria && <CriteriaSummary results={results} alpha={alpha} />}
+          {results.panel && <PanelSummary results={results} alpha={alpha} />}
+
+          <VariantSummary
+            analysis={results}
+            scoreLabel={results.criteria ? 'Composite Score' : results.panel ? 'Mean Rating (All Judges)' : 'Mean Rating'}
+          />
+          <RatingCharts analysis={results} scale={scale} alpha={alpha} />
+
+          <div className="reliability">
+            <h3>Query Reliability</h3>
+            <table>
+              <thead>
+                <tr>
+                  <th>Variant</th>
+                  <th>Valid</th>
+                  <th>Unparseable</th>
+                  <th>Failed</th>
+                  <th>Retries</th>
+                  <th>Timeouts</th>
+                </tr>
+              </thead>
+              <tbody>
+                {results.variants.map((variant, index) => (
+                  <tr key={variant.label}>
+                    <td>{variant.label}</td>
+                    <td>{validCount(results, index)}</td>
+                    <td>{variant.failures.invalid}</td>
+                    <td>{variant.failures.failed}</td>
+                    <td>{variant.failures.retries}</td>
+                    <td>{variant.failures.timeouts}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <p className="reliability-note">
+              Unparseable and failed queries are excluded from the statistics.
+            </p>
+          </div>
+
+          {results.samples && (
+            <details className="raw-responses">
+              <summary>Raw Responses ({results.samples.length})</summary>
+              <table>
+                <thead>
+                  <tr>
+                    <th>#</th>
+                    <th>Variant</th>
+                    {results.criteria && <th>Criterion</th>}
+                    {results.panel && <th>Judge</th>}
+                    <th>Response</th>
+                    <th>Rating</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {results.samples.map((sample, index) => (
+                    <tr key={index} className={sample.status}>
+                      <td>{index + 1}</td>
+                      <td>{results.variants[sample.variant].label}</td>
+                      {results.criteria && <td>{results.criteria[sample.criterion].label}</td>}
+                      {results.panel && <td>{results.panel.judges[sample.judge].label}</td>}
+                      <td className="response-text">{sample.response ?? sample.error}</td>
+                      <td>{sample.rating ?? '-'}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </details>
+          )}
+
+          <TestResults analysis={results} alpha={alpha} />
+
+          {results.criteria?.map(criterion => (
+            <details className="criterion-details" key={criterion.label}>
+              <summary>
+                {criterion.label}: {criterion.question}
+              </summary>
+              <VariantSummary analysis={criterion} />
+              <RatingCharts analysis={criterion} scale={scale} alpha={alpha} />
+              <TestResults analysis={criterion} alpha={alpha} />
+            </details>
+          ))}
+
+          {results.panel?.judges.map(judge => (
+            <details className="criterion-details" key={judge.label}>
+              <summary>
+                Judge: {judge.label}
+              </summary>
+              <VariantSummary analysis={judge} />
+              <RatingCharts analysis={judge} scale={scale} alpha={alpha} />
+              <TestResults analysis={judge} alpha={alpha} />
+            </details>
+          ))}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default ExperimentResults;
@@ -0,0 +1,40 @@
+import {
+  toJSON,
+  toCSV,
+  toMarkdownReport,
+  toHTMLReport,
+  exportFilename,
+  downloadFile,
+} from '../services/export';
+
+const FORMATS = [
+  { label: 'JSON', extension: 'json', type: 'application/json', serialize: toJSON },
+  { label: 'CSV', extension: 'csv', type: 'text/csv', serialize: toCSV },
+  { label: 'Markdown', extension: 'md', type: 'text/markdown', serialize: toMarkdownReport },
+  { label: 'HTML', extension: 'html', type: 'text/html', serialize: toHTMLReport },
+];
+
+/**
+ * Download buttons for exporting results in each supported format.
+ */
+function ExportButtons({ results }) {
+  return (
+    <div className="export-buttons">
+      <span>Export:</span>
+      {FORMATS.map(format => (
+        <button
+          key={format.extension}
+          onClick={() => downloadFile(
+            exportFilename(results, format.extension),
+            format.serialize(results),
+            format.type
+          )}
+        >
+          {format.label}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+export default ExportButtons;
@@ -0,0 +1,136 @@
+const FORMAT_LABELS = {
+  auto: 'Auto (JPEG stays JPEG, others PNG)',
+  png: 'PNG (lossless)',
+  jpeg: 'JPEG',
+};
+
+// Nominal upload bandwidth for the transfer time estimate, in megabits per second
+const UPLOAD_MBPS = 10;
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function formatType(type) {
+  return type.replace(/^image\//, '').replace(/\+xml$/, '').toUpperCase();
+}
+
+/**
+ * One-line summary of how an uploaded image was preprocessed
+ */
+export function describePreprocessed({ original, processed }) {
+  const size = (info) => `${info.width}×${info.height} ${formatType(info.type)}, ${formatBytes(info.bytes)}`;
+  return original === processed ? size(original) : `${size(original)} → ${size(processed)}`;
+}
+
+/**
+ * Collapsible panel for preprocessing uploaded images before they are sent: resizing
+ * to a maximum dimension, re-encoding as PNG or JPEG (which drops EXIF and other
+ * metadata) and rasterizing SVG. Every query sends the whole image again, so the
+ * panel totals what a run sends with and without preprocessing.
+ * @param {Object[]} uploads - The images of the run, with preprocessed info and the
+ *   number of requests that send each
+ */
+function ImagePreprocessing({ settings, onChange, uploads, disabled }) {
+  const update = (changes) => onChange({ ...settings, ...changes });
+  const measured = uploads.filter(u => u.preprocessed);
+  const before = measured.reduce((sum, u) => sum + u.preprocessed.original.bytes * u.requests, 0);
+  const after = measured.reduce((sum, u) => sum + u.preprocessed.processed.bytes * u.requests, 0);
+  const requests = measured.reduce((sum, u) => sum + u.requests, 0);
+  const seconds = ((before - after) * 8) / (UPLOAD_MBPS * 1e6);
+
+  return (
+    <details className="provider-settings image-preprocessing">
+      <summary>
+        Image Preprocessing
+        {settings.enabled
+          ? ` (${settings.maxDimension ? `max ${settings.maxDimension}px, ` : ''}${settings.format})`
+          : ' (off)'}
+      </summary>
+
+      <div className="provider-settings-grid">
+        <div className="setting">
+          <label htmlFor="preprocess-enabled">Preprocess Uploads:</label>
+          <select
+            id="preprocess-enabled"
+            value={settings.enabled ? 'on' : 'off'}
+            onChange={(e) => update({ enabled: e.target.value === 'on' })}
+            disabled={disabled}
+          >
+            <option value="on">On</option>
+            <option value="off">Off (send the files as uploaded)</option>
+          </select>
+        </div>
+
+        <div className="setting">
+          <label htmlFor="preprocess-max">Max Dimension (px):</label>
+          <input
+            id="preprocess-max"
+            type="number"
+            min={16}
+            step={1}
+            value={settings.maxDimension ?? ''}
+            placeholder="Keep size"
+            onChange={(e) => update({ maxDimension: e.target.value === '' ? null : Math.max(16, Math.round(Number(e.target.value))) })}
+            disabled={disabled || !settings.enabled}
+          />
+        </div>
+
+        <div className="setting">
+          <label htmlFor="preprocess-format">Format:</label>
+          <select
+            id="preprocess-format"
+            value={settings.format}
+            onChange={(e) => update({ format: e.target.value })}
+            disabled={disabled || !settings.enabled}
+          >
+            {Object.entries(FORMAT_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+
+        {settings.format !== 'png' && (
+          <div className="setting">
+            <label htmlFor="preprocess-quality">JPEG Quality:</label>
+            <input
+              id="preprocess-quality"
+              type="number"
+              min={0.1}
+              max={1}
+              step={0.05}
+              value={settings.quality}
+              onChange={(e) => update({ quality: Math.min(1, Math.max(0.1, Number(e.target.value) || 0.9)) })}
+              disabled={disabled || !settings.enabled}
+            />
+          </div>
+        )}
+      </div>
+
+      <p className="cache-note">
+        Images are redrawn on a canvas, so EXIF data (camera, location, orientation tags) is not sent, and
+        SVG is rasterized for providers that only accept bitmaps. Changing these settings reprocesses the
+        uploaded images; images restored from History are sent as saved until they are uploaded again.
+      </p>
+
+      {measured.length > 0 && (
+        <div className="preprocess-savings">
+          {settings.enabled && before !== after ? (
+            <>
+              A run sends {formatBytes(after)} of images in {requests} requests instead of {formatBytes(before)}
+              {before > after
+                ? ` (${Math.round((1 - after / before) * 100)}% less, about ${seconds.toFixed(1)} s less upload time at ${UPLOAD_MBPS} Mbit/s).`
+                : ` (${Math.round((after / before - 1) * 100)}% more: the originals are already compact; try JPEG or a smaller maximum).`}
+            </>
+          ) : (
+            <>A run sends {formatBytes(after)} of images in {requests} requests.</>
+          )}
+        </div>
+      )}
+    </details>
+  );
+}
+
+export default ImagePreprocessing;
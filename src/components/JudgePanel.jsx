@@ -0,0 +1,62 @@
+import { listProviders, getProvider } from '../services/llm';
+
+const PROVIDER_LABELS = {
+  mock: 'Mock (Simulated)',
+  ollama: 'Ollama (Local)',
+  openai: 'OpenAI-compatible',
+  anthropic: 'Anthropic (Messages API)',
+};
+
+/**
+ * Collapsible panel for adding judges: further provider/model combinations that rate
+ * every variant alongside the selected provider. Each judge uses the saved settings of
+ * its provider, with an optional model override.
+ */
+function JudgePanel({ judges, mainJudge, onChange, onAdd, onRemove, disabled }) {
+  return (
+    <details className="provider-settings judge-panel">
+      <summary>Judge Panel{judges.length > 0 && ` (${judges.length + 1} judges)`}</summary>
+      <p className="judge-panel-note">
+        The selected provider ({mainJudge}) is the first judge. Add judges to have several models rate
+        the same variants and compare their verdicts; every judge must use the same rating scale.
+      </p>
+
+      {judges.map((judge, index) => (
+        <div className="judge" key={judge.id}>
+          <span className="judge-number">Judge {index + 2}</span>
+          <select
+            aria-label="Judge provider"
+            value={judge.provider}
+            onChange={(e) => onChange(judge.id, { provider: e.target.value, model: '' })}
+            disabled={disabled}
+          >
+            {listProviders().map(name => (
+              <option key={name} value={name}>{PROVIDER_LABELS[name] ?? name}</option>
+            ))}
+          </select>
+          <input
+            aria-label="Judge model"
+            value={judge.model}
+            placeholder={getProvider(judge.provider).model ?? 'No model to choose'}
+            onChange={(e) => onChange(judge.id, { model: e.target.value })}
+            disabled={disabled || judge.provider === 'mock'}
+          />
+          <button
+            className="remove-variant-button"
+            onClick={() => onRemove(judge.id)}
+            disabled={disabled}
+            title="Remove judge"
+          >
+            &times;
+          </button>
+        </div>
+      ))}
+
+      <button className="settings-reset-button" onClick={onAdd} disabled={disabled}>
+        + Add Judge
+      </button>
+    </details>
+  );
+}
+
+export default JudgePanel;
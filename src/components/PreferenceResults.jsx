@@ -0,0 +1,171 @@
+import {
+  preferenceRows,
+  describePositionBias,
+  describePreferenceConclusion,
+} from '../services/format';
+
+/**
+ * Win rates, position bias and sign tests of a pairwise preference run.
+ * Variants are ranked by their Bradley-Terry strength.
+ */
+function PreferenceResults({ results, alpha }) {
+  const { variants, statistics, pairwise, wins, positionBias } = results;
+  const labels = variants.map(v => v.label);
+  const label = (v) => (v === null ? '-' : labels[v]);
+  const isSignificant = statistics ? statistics.isSignificant : pairwise.some(pair => pair.isSignificant);
+
+  return (
+    <>
+      <div className="stats-grid">
+        {variants.map((variant) => (
+          <div className="stat-card" key={variant.label}>
+            <h4>{variant.label}</h4>
+            <div className="stat-value">{(variant.winRate * 100).toFixed(1)}%</div>
+            <div className="stat-label">Win Rate</div>
+            <div className="stat-detail">{variant.wins} wins, {variant.losses} losses</div>
+          </div>
+        ))}
+      </div>
+
+      <div className="ranking">
+        <h3>Ranking (Bradley-Terry)</h3>
+        <table>
+          <thead>
+            <tr>
+              <th>Rank</th>
+              <th>Variant</th>
+              <th>Strength</th>
+              <th>Wins</th>
+              <th>Losses</th>
+            </tr>
+          </thead>
+          <tbody>
+            {[...variants]
+              .sort((a, b) => b.strength - a.strength)
+              .map((variant, rank) => (
+                <tr key={variant.label}>
+                  <td>{rank + 1}</td>
+                  <td>{variant.label}</td>
+                  <td>{variant.strength.toFixed(3)}</td>
+                  <td>{variant.wins}</td>
+                  <td>{variant.losses}</td>
+                </tr>
+              ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className={`position-bias ${positionBias.isSignificant ? 'biased' : ''}`}>
+        <h3>Position Bias</h3>
+        <p className="position-bias-note">{describePositionBias(positionBias)}</p>
+      </div>
+
+      <div className="reliability">
+        <h3>Query Reliability</h3>
+        <table>
+          <thead>
+            <tr>
+              <th>Variant</th>
+              <th>Valid</th>
+              <th>Unparseable</th>
+              <th>Failed</th>
+              <th>Retries</th>
+              <th>Timeouts</th>
+            </tr>
+          </thead>
+          <tbody>
+            {variants.map((variant) => (
+              <tr key={variant.label}>
+                <td>{variant.label}</td>
+                <td>{variant.wins + variant.losses}</td>
+                <td>{variant.failures.invalid}</td>
+                <td>{variant.failures.failed}</td>
+                <td>{variant.failures.retries}</td>
+                <td>{variant.failures.timeouts}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <p className="reliability-note">
+          Counts are of the comparisons each variant took part in. Unparseable and failed comparisons
+          are excluded from the statistics.
+        </p>
+      </div>
+
+      <details className="raw-responses">
+        <summary>Raw Responses ({results.samples.length})</summary>
+        <table>
+          <thead>
+            <tr>
+              <th>#</th>
+              <th>Shown First</th>
+              <th>Shown Second</th>
+              <th>Response</th>
+              <th>Preferred</th>
+            </tr>
+          </thead>
+          <tbody>
+            {results.samples.map((sample, index) => (
+              <tr key={index} className={sample.status}>
+                <td>{index + 1}</td>
+                <td>{label(sample.first)}</td>
+                <td>{label(sample.second)}</td>
+                <td className="response-text">{sample.response ?? sample.error}</td>
+                <td>{label(sample.winner)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </details>
+
+      <div className="statistical-analysis">
+        {statistics ? (
+          <>
+            <h3>Statistical Analysis (Sign Test, alpha = {alpha})</h3>
+            <table>
+              <tbody>
+                {preferenceRows(statistics, labels).map(([rowLabel, value]) => (
+                  <tr key={rowLabel}>
+                    <td>{rowLabel}:</td>
+                    <td>{value}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </>
+        ) : (
+          <>
+            <h3>Pairwise Preferences (Sign Test, Holm-corrected)</h3>
+            <table className="pairwise-table">
+              <thead>
+                <tr>
+                  <th>Comparison</th>
+                  <th>Wins</th>
+                  <th>p-value</th>
+                  <th>Adjusted p</th>
+                </tr>
+              </thead>
+              <tbody>
+                {pairwise.map((pair) => (
+                  <tr key={`${pair.group1}-${pair.group2}`} className={pair.isSignificant ? 'significant' : ''}>
+                    <td>{labels[pair.group1]} vs {labels[pair.group2]}</td>
+                    <td>{wins[pair.group1][pair.group2]} - {wins[pair.group2][pair.group1]}</td>
+                    <td>{pair.pValue.toFixed(6)}</td>
+                    <td>{pair.adjustedPValue.toFixed(6)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </>
+        )}
+
+        <div className={`conclusion ${isSignificant ? 'significant' : 'not-significant'}`}>
+          <strong>{isSignificant ? 'Statistically Significant Preference' : 'No Statistically Significant Preference'}</strong>
+          <p>{describePreferenceConclusion(results, alpha)}</p>
+        </div>
+      </div>
+    </>
+  );
+}
+
+export default PreferenceResults;
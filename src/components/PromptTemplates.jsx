@@ -0,0 +1,206 @@
+import { useState } from 'react';
+import { TEMPLATE_VARIABLES, getRatingOptions, buildRatingMessages } from '../services/llm/rating';
+import { createTemplate, isBuiltIn, toPrompt } from '../services/prompts';
+
+/**
+ * Preview of the request a template produces for the current question and scale
+ */
+function preview(template, question, scale, parser) {
+  try {
+    const prompt = toPrompt(template);
+    const options = getRatingOptions({ scaleMin: scale.min, scaleMax: scale.max, parser, prompt });
+    const { system, examples, prompt: text } = buildRatingMessages(
+      question.trim() || 'How much do you like this image?', options, 'Rating'
+    );
+    return {
+      text: [
+        system && `[system]\n${system}`,
+        ...examples.flatMap(e => [`[user]\n${e.prompt}`, `[assistant]\n${e.response}`]),
+        `[user + image]\n${text}`,
+      ].filter(Boolean).join('\n\n'),
+      error: null,
+    };
+  } catch (err) {
+    return { text: null, error: err.message };
+  }
+}
+
+/**
+ * Collapsible panel for the prompt template library. The selected template words the
+ * rating requests of every provider and judge; in a prompt-variant experiment the
+ * checked templates are the variants instead. Built-in templates can be duplicated
+ * and edited; the user's templates are saved in the browser.
+ */
+function PromptTemplates({
+  templates,
+  selectedId,
+  onSelect,
+  onChange,
+  comparing,
+  comparedIds,
+  onCompareChange,
+  question,
+  scale,
+  parser,
+  disabled,
+}) {
+  const [editingId, setEditingId] = useState(selectedId);
+  const editing = templates.find(t => t.id === editingId) ?? templates[0];
+  const readOnly = disabled || isBuiltIn(editing);
+  const { text, error } = preview(editing, question, scale, parser);
+  const selected = templates.find(t => t.id === selectedId);
+
+  const update = (changes) => {
+    onChange(templates.map(t => (t.id === editing.id ? { ...t, ...changes } : t)));
+  };
+
+  const updateExample = (index, changes) => {
+    update({ examples: editing.examples.map((e, i) => (i === index ? { ...e, ...changes } : e)) });
+  };
+
+  const handleDuplicate = () => {
+    const copy = createTemplate(editing, `${editing.name} (copy)`);
+    onChange([...templates, copy]);
+    setEditingId(copy.id);
+  };
+
+  const handleDelete = () => {
+    onChange(templates.filter(t => t.id !== editing.id));
+    setEditingId(templates[0].id);
+  };
+
+  const toggleCompared = (id) => {
+    onCompareChange(comparedIds.includes(id) ? comparedIds.filter(c => c !== id) : [...comparedIds, id]);
+  };
+
+  return (
+    <details className="provider-settings prompt-templates">
+      <summary>
+        Prompt Templates
+        {comparing
+          ? ` (comparing ${comparedIds.length})`
+          : selected && selected.id !== 'default' && ` (${selected.name})`}
+      </summary>
+
+      {comparing ? (
+        <fieldset className="prompt-compare">
+          <legend>Prompts to compare, each a variant rated on the same image:</legend>
+          {templates.map(t => (
+            <label key={t.id}>
+              <input
+                type="checkbox"
+                checked={comparedIds.includes(t.id)}
+                onChange={() => toggleCompared(t.id)}
+                disabled={disabled}
+              />
+              {t.name}
+            </label>
+          ))}
+        </fieldset>
+      ) : (
+        <div className="setting">
+          <label htmlFor="prompt-template">Prompt for Every Judge:</label>
+          <select id="prompt-template" value={selectedId} onChange={(e) => onSelect(e.target.value)} disabled={disabled}>
+            {templates.map(t => <option key={t.id} value={t.id}>{t.name}</option>)}
+          </select>
+        </div>
+      )}
+
+      <div className="prompt-editor">
+        <div className="prompt-editor-header">
+          <select
+            aria-label="Template to edit"
+            value={editing.id}
+            onChange={(e) => setEditingId(e.target.value)}
+          >
+            {templates.map(t => (
+              <option key={t.id} value={t.id}>{t.name}{isBuiltIn(t) ? ' (built-in)' : ''}</option>
+            ))}
+          </select>
+          <button className="settings-reset-button" onClick={handleDuplicate} disabled={disabled}>
+            Duplicate
+          </button>
+          {!isBuiltIn(editing) && (
+            <button className="settings-reset-button" onClick={handleDelete} disabled={disabled}>
+              Delete
+            </button>
+          )}
+        </div>
+
+        <label>
+          Name
+          <input value={editing.name} onChange={(e) => update({ name: e.target.value })} disabled={readOnly} />
+        </label>
+        <label>
+          System Prompt
+          <textarea
+            value={editing.system}
+            rows={2}
+            placeholder="Optional"
+            onChange={(e) => update({ system: e.target.value })}
+            disabled={readOnly}
+          />
+        </label>
+        <label>
+          Prompt
+          <textarea
+            value={editing.template}
+            rows={4}
+            onChange={(e) => update({ template: e.target.value })}
+            disabled={readOnly}
+          />
+        </label>
+
+        <div className="prompt-examples">
+          <span>Few-shot Examples</span>
+          {editing.examples.map((example, index) => (
+            <div className="prompt-example" key={index}>
+              <input
+                aria-label="Example prompt"
+                value={example.prompt}
+                placeholder="Example prompt, e.g. A blurry, dark product photo"
+                onChange={(e) => updateExample(index, { prompt: e.target.value })}
+                disabled={readOnly}
+              />
+              <input
+                aria-label="Example response"
+                value={example.response}
+                placeholder="Response, e.g. 2"
+                onChange={(e) => updateExample(index, { response: e.target.value })}
+                disabled={readOnly}
+              />
+              <button
+                className="remove-variant-button"
+                onClick={() => update({ examples: editing.examples.filter((_, i) => i !== index) })}
+                disabled={readOnly}
+                title="Remove example"
+              >
+                &times;
+              </button>
+            </div>
+          ))}
+          <button
+            className="settings-reset-button"
+            onClick={() => update({ examples: [...editing.examples, { prompt: '', response: '' }] })}
+            disabled={readOnly}
+          >
+            + Add Example
+          </button>
+        </div>
+
+        <p className="prompt-note">
+          Variables: {Object.entries(TEMPLATE_VARIABLES).map(([name, description], index) => (
+            <span key={name} title={description}>{index > 0 && ', '}<code>{`{${name}}`}</code></span>
+          ))}. Examples are sent as earlier turns of the conversation, without images. Pairwise
+          preference uses only the system prompt. {isBuiltIn(editing) && 'Duplicate a built-in template to edit it.'}
+        </p>
+
+        {error
+          ? <div className="error">{error}</div>
+          : <pre className="prompt-preview">{text}</pre>}
+      </div>
+    </details>
+  );
+}
+
+export default PromptTemplates;
@@ -0,0 +1,130 @@
+const FIELDS = {
+  baseUrl: { label: 'Base URL', type: 'text' },
+  apiKey: { label: 'API Key', type: 'password' },
+  model: { label: 'Model', type: 'model' },
+  temperature: { label: 'Temperature', type: 'number', step: 0.1, min: 0, max: 2 },
+  topP: { label: 'Top P', type: 'number', step: 0.05, min: 0, max: 1 },
+  maxTokens: { label: 'Max Tokens', type: 'number', step: 1, min: 1 },
+  seed: { label: 'Seed', type: 'number', step: 1 },
+  rateLimit: { label: 'Rate Limit (req/s)', type: 'number', step: 0.5, min: 0 },
+  scaleMin: { label: 'Scale Minimum', type: 'number', step: 1 },
+  scaleMax: { label: 'Scale Maximum', type: 'number', step: 1 },
+  parser: {
+    label: 'Response Parser',
+    type: 'select',
+    options: [
+      { value: 'first', label: 'First number' },
+      { value: 'last', label: 'Last number' },
+      { value: 'json', label: 'Structured JSON' },
+    ],
+  },
+};
+
+// Rating scale and parsing apply to every provider
+const RATING_FIELDS = ['scaleMin', 'scaleMax', 'parser'];
+
+// Settings each provider understands, in display order
+const PROVIDER_FIELDS = {
+  mock: ['seed', 'rateLimit', ...RATING_FIELDS],
+  ollama: ['baseUrl', 'model', 'temperature', 'topP', 'maxTokens', 'seed', 'rateLimit', ...RATING_FIELDS],
+  openai: ['baseUrl', 'apiKey', 'model', 'temperature', 'topP', 'maxTokens', 'seed', 'rateLimit', ...RATING_FIELDS],
+  anthropic: ['baseUrl', 'apiKey', 'model', 'temperature', 'topP', 'maxTokens', 'rateLimit', ...RATING_FIELDS],
+};
+
+// Defaults for settings the provider keeps in a nested object rather than a field
+function getDefault(defaults, key) {
+  if (key === 'scaleMin') return defaults.ratingOptions?.scale.min;
+  if (key === 'scaleMax') return defaults.ratingOptions?.scale.max;
+  if (key === 'parser') return defaults.ratingOptions?.parser;
+  return defaults[key];
+}
+
+/**
+ * Collapsible panel for editing the configuration of the selected provider.
+ * Blank fields fall back to the provider's defaults, shown as placeholders.
+ */
+function ProviderSettings({ provider, settings, defaults, models, onChange, disabled }) {
+  const fields = PROVIDER_FIELDS[provider] ?? [];
+  if (fields.length === 0) return null;
+
+  const handleChange = (key, value) => {
+    onChange({ ...settings, [key]: value });
+  };
+
+  const renderInput = (key) => {
+    const field = FIELDS[key];
+    const value = settings[key] ?? '';
+    const defaultValue = getDefault(defaults, key);
+    const placeholder = defaultValue != null ? String(defaultValue) : '';
+
+    if (field.type === 'select') {
+      const defaultLabel = field.options.find(o => o.value === defaultValue)?.label ?? placeholder;
+      return (
+        <select
+          id={`setting-${key}`}
+          value={value}
+          onChange={(e) => handleChange(key, e.target.value)}
+          disabled={disabled}
+        >
+          <option value="">Default ({defaultLabel})</option>
+          {field.options.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+      );
+    }
+
+    if (field.type === 'model' && models.length > 0) {
+      return (
+        <select
+          id={`setting-${key}`}
+          value={value}
+          onChange={(e) => handleChange(key, e.target.value)}
+          disabled={disabled}
+        >
+          <option value="">Default ({placeholder})</option>
+          {models.map(model => (
+            <option key={model} value={model}>{model}</option>
+          ))}
+        </select>
+      );
+    }
+
+    return (
+      <input
+        id={`setting-${key}`}
+        type={field.type === 'model' ? 'text' : field.type}
+        value={value}
+        placeholder={placeholder}
+        step={field.step}
+        min={field.min}
+        max={field.max}
+        onChange={(e) => handleChange(key, e.target.value)}
+        disabled={disabled}
+      />
+    );
+  };
+
+  return (
+    <details className="provider-settings">
+      <summary>Provider Settings</summary>
+      <div className="provider-settings-grid">
+        {fields.map(key => (
+          <div className="setting" key={key}>
+            <label htmlFor={`setting-${key}`}>{FIELDS[key].label}:</label>
+            {renderInput(key)}
+          </div>
+        ))}
+      </div>
+      <button
+        className="settings-reset-button"
+        onClick={() => onChange({})}
+        disabled={disabled}
+      >
+        Restore Defaults
+      </button>
+    </details>
+  );
+}
+
+export default ProviderSettings;
@@ -0,0 +1,289 @@
+import {
+  scaleBins,
+  histogram,
+  boxStats,
+  kernelDensity,
+  runningMeans,
+  differenceIntervals,
+} from '../services/charts';
+
+const COLORS = ['#007bff', '#e65100', '#2e7d32', '#c62828', '#6a1b9a', '#00838f', '#5d4037', '#ad1457'];
+
+const DEFAULT_SCALE = { min: 1, max: 10 };
+
+function color(index) {
+  return COLORS[index % COLORS.length];
+}
+
+/**
+ * Linear map from a data range to a pixel range
+ */
+function linear([d0, d1], [r0, r1]) {
+  return value => r0 + ((value - d0) / (d1 - d0 || 1)) * (r1 - r0);
+}
+
+/**
+ * Up to about five round tick values covering a range
+ */
+function ticks(low, high, count = 5) {
+  const raw = (high - low) / count || 1;
+  const magnitude = Math.pow(10, Math.floor(Math.log10(raw)));
+  const step = [1, 2, 5, 10].map(m => m * magnitude).find(s => s >= raw);
+  const values = [];
+  for (let value = Math.ceil(low / step) * step; value <= high + step * 1e-9; value += step) {
+    values.push(Number(value.toFixed(10)));
+  }
+  return values;
+}
+
+function Legend({ variants }) {
+  return (
+    <div className="chart-legend">
+      {variants.map((variant, index) => (
+        <span key={variant.label}>
+          <i style={{ background: color(index) }} />
+          {variant.label}
+        </span>
+      ))}
+    </div>
+  );
+}
+
+/**
+ * One histogram of the rating distribution per variant, with a shared count axis
+ */
+function Histograms({ variants, scale }) {
+  const bins = scaleBins(scale);
+  const counts = variants.map(variant => histogram(variant.ratings, bins));
+  const maxCount = Math.max(1, ...counts.flat());
+  const width = 240;
+  const height = 150;
+  const margin = { top: 10, right: 8, bottom: 24, left: 28 };
+  const y = linear([0, maxCount], [height - margin.bottom, margin.top]);
+  const band = (width - margin.left - margin.right) / bins.length;
+
+  return (
+    <div className="chart-histograms">
+      {variants.map((variant, v) => (
+        <figure key={variant.label}>
+          <figcaption>{variant.label} (n = {variant.ratings.length})</figcaption>
+          <svg viewBox={`0 0 ${width} ${height}`} role="img" aria-label={`Rating distribution of ${variant.label}`}>
+            {ticks(0, maxCount, 4).filter(Number.isInteger).map(t => (
+              <g key={t}>
+                <line className="grid" x1={margin.left} x2={width - margin.right} y1={y(t)} y2={y(t)} />
+                <text className="tick" x={margin.left - 4} y={y(t) + 3} textAnchor="end">{t}</text>
+              </g>
+            ))}
+            {bins.map((bin, b) => (
+              <g key={bin.label}>
+                <rect
+                  x={margin.left + b * band + 1}
+                  y={y(counts[v][b])}
+                  width={Math.max(band - 2, 1)}
+                  height={y(0) - y(counts[v][b])}
+                  fill={color(v)}
+                >
+                  <title>{`${bin.label}: ${counts[v][b]}`}</title>
+                </rect>
+                {(bins.length <= 12 || b % 2 === 0) && (
+                  <text className="tick" x={margin.left + (b + 0.5) * band} y={height - 8} textAnchor="middle">
+                    {bin.label}
+                  </text>
+                )}
+              </g>
+            ))}
+          </svg>
+        </figure>
+      ))}
+    </div>
+  );
+}
+
+/**
+ * Violin (kernel density) with a box plot inside for every variant, on the rating scale
+ */
+function BoxViolin({ variants, scale }) {
+  const width = Math.max(240, 110 * variants.length + 40);
+  const height = 220;
+  const margin = { top: 10, right: 10, bottom: 24, left: 32 };
+  const y = linear([scale.min, scale.max], [height - margin.bottom, margin.top]);
+  const slot = (width - margin.left - margin.right) / variants.length;
+  const densities = variants.map(variant => kernelDensity(variant.ratings, scale));
+  const maxDensity = Math.max(...densities.flat().map(d => d.density));
+  const halfWidth = linear([0, maxDensity], [0, slot * 0.42]);
+
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} role="img" aria-label="Box and violin plots of the ratings">
+      {ticks(scale.min, scale.max).map(t => (
+        <g key={t}>
+          <line className="grid" x1={margin.left} x2={width - margin.right} y1={y(t)} y2={y(t)} />
+          <text className="tick" x={margin.left - 4} y={y(t) + 3} textAnchor="end">{t}</text>
+        </g>
+      ))}
+      {variants.map((variant, v) => {
+        const cx = margin.left + (v + 0.5) * slot;
+        const box = boxStats(variant.ratings);
+        const outline = [
+          ...densities[v].map(d => `${cx + halfWidth(d.density)},${y(d.x)}`),
+          ...[...densities[v]].reverse().map(d => `${cx - halfWidth(d.density)},${y(d.x)}`),
+        ].join(' ');
+        const boxWidth = Math.min(16, slot * 0.15);
+        return (
+          <g key={variant.label}>
+            <polygon points={outline} fill={color(v)} fillOpacity="0.25" stroke={color(v)} />
+            <line className="whisker" x1={cx} x2={cx} y1={y(box.whiskerLow)} y2={y(box.q1)} />
+            <line className="whisker" x1={cx} x2={cx} y1={y(box.q3)} y2={y(box.whiskerHigh)} />
+            <rect
+              x={cx - boxWidth / 2}
+              y={y(box.q3)}
+              width={boxWidth}
+              height={Math.max(y(box.q1) - y(box.q3), 1)}
+              fill="white"
+              stroke="#333"
+            >
+              <title>
+                {`Median ${box.median.toFixed(2)}, quartiles ${box.q1.toFixed(2)}-${box.q3.toFixed(2)}, ` +
+                  `range ${box.min}-${box.max}`}
+              </title>
+            </rect>
+            <line className="median" x1={cx - boxWidth / 2} x2={cx + boxWidth / 2} y1={y(box.median)} y2={y(box.median)} />
+            {box.outliers.map(value => (
+              <circle key={value} cx={cx} cy={y(value)} r="2.5" fill="none" stroke="#333" />
+            ))}
+            <text className="tick" x={cx} y={height - 8} textAnchor="middle">{variant.label}</text>
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
+
+/**
+ * Running mean of each variant over its ratings in the order they were collected
+ */
+function Convergence({ variants, scale }) {
+  const width = 480;
+  const height = 200;
+  const margin = { top: 10, right: 12, bottom: 30, left: 32 };
+  const series = variants.map(variant => runningMeans(variant.ratings));
+  const maxN = Math.max(2, ...series.map(s => s.length));
+  const x = linear([1, maxN], [margin.left, width - margin.right]);
+  const y = linear([scale.min, scale.max], [height - margin.bottom, margin.top]);
+
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} role="img" aria-label="Running mean of the ratings">
+      {ticks(scale.min, scale.max).map(t => (
+        <g key={t}>
+          <line className="grid" x1={margin.left} x2={width - margin.right} y1={y(t)} y2={y(t)} />
+          <text className="tick" x={margin.left - 4} y={y(t) + 3} textAnchor="end">{t}</text>
+        </g>
+      ))}
+      {ticks(1, maxN).filter(Number.isInteger).map(t => (
+        <text key={t} className="tick" x={x(t)} y={height - 16} textAnchor="middle">{t}</text>
+      ))}
+      <text className="tick" x={(margin.left + width - margin.right) / 2} y={height - 2} textAnchor="middle">
+        Rating number
+      </text>
+      {series.map((means, v) => (
+        <polyline
+          key={variants[v].label}
+          points={means.map((m, i) => `${x(i + 1)},${y(m)}`).join(' ')}
+          fill="none"
+          stroke={color(v)}
+          strokeWidth="1.5"
+        />
+      ))}
+    </svg>
+  );
+}
+
+/**
+ * Confidence interval of the mean difference of every pair of variants, against zero
+ */
+function ForestPlot({ intervals }) {
+  const width = 480;
+  const rowHeight = 26;
+  const labelWidth = 150;
+  const margin = { top: 8, right: 16, bottom: 24 };
+  const height = margin.top + intervals.length * rowHeight + margin.bottom;
+  const bounds = intervals.flatMap(d => [d.lower, d.upper]).concat(0);
+  const low = Math.min(...bounds);
+  const high = Math.max(...bounds);
+  const pad = (high - low) * 0.05 || 0.5;
+  const x = linear([low - pad, high + pad], [labelWidth, width - margin.right]);
+  const axisY = height - margin.bottom;
+
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} role="img" aria-label="Confidence intervals of the mean differences">
+      {ticks(low - pad, high + pad).map(t => (
+        <g key={t}>
+          <line className="grid" x1={x(t)} x2={x(t)} y1={margin.top} y2={axisY} />
+          <text className="tick" x={x(t)} y={axisY + 14} textAnchor="middle">{t}</text>
+        </g>
+      ))}
+      <line className="zero" x1={x(0)} x2={x(0)} y1={margin.top} y2={axisY} />
+      {intervals.map((d, i) => {
+        const cy = margin.top + (i + 0.5) * rowHeight;
+        const excludesZero = d.lower > 0 || d.upper < 0;
+        return (
+          <g key={d.label} className={excludesZero ? 'excludes-zero' : ''}>
+            <text className="tick" x={labelWidth - 8} y={cy + 4} textAnchor="end">{d.label}</text>
+            <line className="interval" x1={x(d.lower)} x2={x(d.upper)} y1={cy} y2={cy} />
+            <rect className="estimate" x={x(d.difference) - 4} y={cy - 4} width="8" height="8">
+              <title>{`${d.difference.toFixed(2)} [${d.lower.toFixed(2)}, ${d.upper.toFixed(2)}]`}</title>
+            </rect>
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
+
+/**
+ * Charts of the ratings of an analysis: the distribution of each variant as a
+ * histogram and as a box/violin plot, how each mean settled over the run, and
+ * the confidence intervals of the differences between the variants. Drawn as
+ * SVG so they need no network access.
+ */
+function RatingCharts({ analysis, scale = DEFAULT_SCALE, alpha = 0.05 }) {
+  const variants = analysis.variants.filter(variant => variant.ratings.length > 0);
+  if (variants.length === 0) return null;
+  const intervals = differenceIntervals(variants, { alpha });
+
+  return (
+    <details className="rating-charts" open>
+      <summary>Charts</summary>
+
+      <h4>Rating Distribution</h4>
+      <Histograms variants={variants} scale={scale} />
+
+      <h4>Box and Violin Plots</h4>
+      <BoxViolin variants={variants} scale={scale} />
+      <p className="chart-note">
+        Boxes show the median and quartiles, whiskers the ratings within 1.5 interquartile ranges, and
+        circles the outliers; the violin is a smoothed density of the ratings.
+      </p>
+
+      <h4>Convergence of the Mean</h4>
+      <Legend variants={variants} />
+      <Convergence variants={variants} scale={scale} />
+      <p className="chart-note">
+        The mean of each variant&apos;s first ratings, in the order they were collected. A line that is
+        still drifting at the end suggests more queries are needed.
+      </p>
+
+      {intervals.length > 0 && (
+        <>
+          <h4>Mean Differences ({Math.round((1 - alpha) * 1000) / 10}% confidence intervals)</h4>
+          <ForestPlot intervals={intervals} />
+          <p className="chart-note">
+            Welch intervals for each pair, not adjusted for multiple comparisons. Intervals that do not
+            cross zero are highlighted.
+          </p>
+        </>
+      )}
+    </details>
+  );
+}
+
+export default RatingCharts;
@@ -0,0 +1,128 @@
+import { requiredSampleSize } from '../services/statistics';
+
+const POWER_OPTIONS = [0.8, 0.9, 0.95];
+
+/**
+ * Collapsible panel that computes the sample size needed to detect a minimum
+ * effect, optionally estimating the rating spread with a short pilot run.
+ * With more than two variants, alpha is Bonferroni-split across the pairwise comparisons.
+ */
+function SampleSizePlanner({
+  plan,
+  onChange,
+  alpha,
+  alternative,
+  variantCount,
+  onApply,
+  pilot,
+  pilotError,
+  isPilotRunning,
+  onRunPilot,
+  onCancelPilot,
+  canRunPilot,
+  disabled,
+}) {
+  const pairs = (variantCount * (variantCount - 1)) / 2;
+  const required = requiredSampleSize({
+    effect: Number(plan.effect),
+    sd: Number(plan.sd),
+    alpha: alpha / pairs,
+    power: plan.power,
+    alternative: variantCount === 2 ? alternative : 'two-sided',
+  });
+
+  const handleChange = (key, value) => {
+    onChange({ ...plan, [key]: value });
+  };
+
+  return (
+    <details className="provider-settings sample-size-planner">
+      <summary>Sample Size Planner</summary>
+      <div className="provider-settings-grid">
+        <div className="setting">
+          <label htmlFor="plan-effect">Minimum Detectable Effect (rating points):</label>
+          <input
+            id="plan-effect"
+            type="number"
+            step={0.1}
+            min={0}
+            value={plan.effect}
+            onChange={(e) => handleChange('effect', e.target.value)}
+            disabled={disabled}
+          />
+        </div>
+        <div className="setting">
+          <label htmlFor="plan-sd">Rating Standard Deviation:</label>
+          <input
+            id="plan-sd"
+            type="number"
+            step={0.1}
+            min={0}
+            value={plan.sd}
+            onChange={(e) => handleChange('sd', e.target.value)}
+            disabled={disabled}
+          />
+        </div>
+        <div className="setting">
+          <label htmlFor="plan-power">Power:</label>
+          <select
+            id="plan-power"
+            value={plan.power}
+            onChange={(e) => handleChange('power', Number(e.target.value))}
+            disabled={disabled}
+          >
+            {POWER_OPTIONS.map(power => (
+              <option key={power} value={power}>{Math.round(power * 100)}%</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <p className="planner-result">
+        {required ? (
+          <>
+            <strong>{required}</strong> queries per variant ({required * variantCount} total) to detect a
+            difference of {plan.effect} points with {Math.round(plan.power * 100)}% power at alpha = {alpha}
+            {pairs > 1 && ` (${(alpha / pairs).toPrecision(2)} per pair across ${pairs} comparisons)`}.
+          </>
+        ) : (
+          'Enter a positive effect and standard deviation, or run a pilot to estimate the standard deviation.'
+        )}
+      </p>
+
+      {pilot && (
+        <p className="planner-pilot">
+          Pilot: {pilot.queriesPerVariant} queries per variant, pooled SD {pilot.sd.toFixed(2)}
+          {' '}(means {pilot.means.map(m => m.toFixed(2)).join(', ')}).
+        </p>
+      )}
+      {pilotError && <p className="planner-error">{pilotError}</p>}
+
+      <div className="planner-actions">
+        <button
+          className="settings-reset-button"
+          onClick={() => onApply(required)}
+          disabled={disabled || !required}
+        >
+          Use {required ?? '-'} per Variant
+        </button>
+        {isPilotRunning ? (
+          <button className="settings-reset-button" onClick={onCancelPilot}>
+            Cancel Pilot
+          </button>
+        ) : (
+          <button
+            className="settings-reset-button"
+            onClick={onRunPilot}
+            disabled={disabled || !canRunPilot}
+            title={canRunPilot ? undefined : 'Upload every image and enter a question first'}
+          >
+            Run Pilot (10 per Variant)
+          </button>
+        )}
+      </div>
+    </details>
+  );
+}
+
+export default SampleSizePlanner;
@@ -0,0 +1,88 @@
+import { useState, useCallback, useRef, useEffect } from 'react';
+import { Batch } from '../services/batch';
+
+/**
+ * Custom hook for running a batch of experiments with a shared queue.
+ */
+export function useBatch() {
+  const [items, setItems] = useState([]);
+  const [summary, setSummary] = useState(null);
+  const [isRunning, setIsRunning] = useState(false);
+  const [isPaused, setIsPaused] = useState(false);
+  const [error, setError] = useState(null);
+
+  // The batch currently running
+  const batchRef = useRef(null);
+
+  // Cancel the batch, and every experiment still queued in it, on unmount
+  useEffect(() => () => batchRef.current?.cancel(), []);
+
+  /**
+   * Run a batch; see Batch for the arguments
+   * @param {Function} onResults - Called with the results of each completed experiment
+   */
+  const runBatch = useCallback(async (entries, settings, onResults) => {
+    setSummary(null);
+    setError(null);
+    setIsPaused(false);
+
+    let batch;
+    try {
+      batch = new Batch(entries, settings);
+    } catch (err) {
+      setError(err.message);
+      return;
+    }
+    batchRef.current = batch;
+    setItems(batch.items);
+    setIsRunning(true);
+
+    try {
+      setSummary(await batch.run({ onUpdate: setItems, onResults }));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      if (batchRef.current === batch) {
+        batchRef.current = null;
+        setIsRunning(false);
+        setIsPaused(false);
+      }
+    }
+  }, []);
+
+  const cancel = useCallback(() => {
+    batchRef.current?.cancel();
+  }, []);
+
+  const pause = useCallback(() => {
+    if (!batchRef.current) return;
+    batchRef.current.pause();
+    setIsPaused(true);
+  }, []);
+
+  const resume = useCallback(() => {
+    if (!batchRef.current) return;
+    batchRef.current.resume();
+    setIsPaused(false);
+  }, []);
+
+  const reset = useCallback(() => {
+    cancel();
+    setItems([]);
+    setSummary(null);
+    setError(null);
+  }, [cancel]);
+
+  return {
+    runBatch,
+    cancel,
+    pause,
+    resume,
+    reset,
+    items,
+    summary,
+    isRunning,
+    isPaused,
+    error,
+  };
+}
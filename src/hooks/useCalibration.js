@@ -0,0 +1,91 @@
+import { useState, useCallback, useRef, useEffect } from 'react';
+import { Calibration, PERTURBATIONS } from '../services/calibration';
+import { transformImage } from '../services/images';
+
+/**
+ * Custom hook for calibration runs that measure a judge's intrinsic variance,
+ * its sensitivity to wording and image perturbations, and its A/A false-positive rate.
+ */
+export function useCalibration() {
+  const [isRunning, setIsRunning] = useState(false);
+  const [isPaused, setIsPaused] = useState(false);
+  const [progress, setProgress] = useState({ current: 0, total: 0 });
+  const [results, setResults] = useState(null);
+  const [error, setError] = useState(null);
+
+  // The calibration currently running
+  const calibrationRef = useRef(null);
+
+  // A calibration left running would keep querying the judge after unmount
+  useEffect(() => () => calibrationRef.current?.cancel(), []);
+
+  /**
+   * Run a calibration; see Calibration for the arguments
+   * @param {Object} options - Calibration options, with perturbations as keys of PERTURBATIONS
+   */
+  const runCalibration = useCallback(async (image, question, providerName, providerConfig, options = {}) => {
+    setResults(null);
+    setError(null);
+    setIsPaused(false);
+    setIsRunning(true);
+    setProgress({ current: 0, total: 0 });
+
+    let calibration = null;
+    try {
+      const perturbations = await Promise.all((options.perturbations ?? []).map(async (key) => ({
+        label: PERTURBATIONS[key].label,
+        image: await transformImage(image, PERTURBATIONS[key]),
+      })));
+      calibration = new Calibration(image, question, providerName, providerConfig, { ...options, perturbations });
+      calibrationRef.current = calibration;
+      setProgress({ current: 0, total: calibration.total });
+
+      const outcome = await calibration.run({ onProgress: setProgress });
+      if (outcome) setResults(outcome);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      if (!calibration || calibrationRef.current === calibration) {
+        calibrationRef.current = null;
+        setIsRunning(false);
+        setIsPaused(false);
+      }
+    }
+  }, []);
+
+  const cancel = useCallback(() => {
+    calibrationRef.current?.cancel();
+  }, []);
+
+  const pause = useCallback(() => {
+    if (!calibrationRef.current) return;
+    calibrationRef.current.pause();
+    setIsPaused(true);
+  }, []);
+
+  const resume = useCallback(() => {
+    if (!calibrationRef.current) return;
+    calibrationRef.current.resume();
+    setIsPaused(false);
+  }, []);
+
+  const reset = useCallback(() => {
+    cancel();
+    setResults(null);
+    setError(null);
+    setProgress({ current: 0, total: 0 });
+  }, [cancel]);
+
+  return {
+    runCalibration,
+    cancel,
+    pause,
+    resume,
+    reset,
+    isRunning,
+    isPaused,
+    progress,
+    results,
+    error,
+  };
+}
@@ -1,95 +1,91 @@
-import { useState, useCallback } from 'react';
-import { getProvider } from '../services/llm';
-import { independentTTest } from '../services/statistics';
+import { useState, useCallback, useRef, useEffect } from 'react';
+import { Experiment } from '../services/experiment';
 
 /**
  * Custom hook for running experiments.
  */
 export function useExperiment() {
   const [isRunning, setIsRunning] = useState(false);
+  const [isPaused, setIsPaused] = useState(false);
   const [progress, setProgress] = useState({ current: 0, total: 0 });
   const [results, setResults] = useState(null);
   const [error, setError] = useState(null);
 
+  // The experiment currently running
+  const runRef = useRef(null);
+
+  // Abort any in-flight queries when the component using the hook unmounts
+  useEffect(() => () => runRef.current?.cancel(), []);
+
+  /**
+   * Run an experiment; see Experiment for the arguments
+   */
   const runExperiment = useCallback(async (
-    image1Data,
-    image2Data,
+    variants,
     question,
     providerName = 'mock',
     providerConfig = {},
-    sampleSize = 50
+    sampleSize = 50,
+    options = {}
   ) => {
+    const run = new Experiment(variants, question, providerName, providerConfig, sampleSize, options);
+    runRef.current = run;
+
     setIsRunning(true);
+    setIsPaused(false);
     setError(null);
     setResults(null);
-    setProgress({ current: 0, total: sampleSize * 2 });
+    setProgress({ current: 0, total: run.total });
 
     try {
-      const provider = getProvider(providerName, providerConfig);
-
-      // Check if provider is available
-      const available = await provider.isAvailable();
-      if (!available) {
-        throw new Error(`Provider "${providerName}" is not available. Make sure the service is running.`);
-      }
-
-      // Collect ratings for both images
-      const ratings1 = [];
-      const ratings2 = [];
-
-      // Run ratings for image 1
-      for (let i = 0; i < sampleSize; i++) {
-        const rating = await provider.rateImage(image1Data, question);
-        ratings1.push(rating);
-        setProgress(p => ({ ...p, current: p.current + 1 }));
-      }
-
-      // Run ratings for image 2
-      for (let i = 0; i < sampleSize; i++) {
-        const rating = await provider.rateImage(image2Data, question);
-        ratings2.push(rating);
-        setProgress(p => ({ ...p, current: p.current + 1 }));
-      }
-
-      // Perform statistical analysis
-      const stats = independentTTest(ratings1, ratings2);
-
-      setResults({
-        image1: {
-          ratings: ratings1,
-          mean: stats.mean1,
-          std: stats.std1,
-        },
-        image2: {
-          ratings: ratings2,
-          mean: stats.mean2,
-          std: stats.std2,
-        },
-        statistics: {
-          tStatistic: stats.tStatistic,
-          degreesOfFreedom: stats.degreesOfFreedom,
-          pValue: stats.pValue,
-          isSignificant: stats.isSignificant,
-          effectSize: stats.effectSize,
-        },
-        provider: provider.getInfo(),
-      });
+      const outcome = await run.run({ onProgress: setProgress });
+      if (outcome) setResults(outcome);
     } catch (err) {
       setError(err.message);
     } finally {
-      setIsRunning(false);
+      if (runRef.current === run) {
+        runRef.current = null;
+        setIsRunning(false);
+        setIsPaused(false);
+      }
     }
   }, []);
 
+  /**
+   * Cancel the running experiment
+   * @param {Object} options
+   * @param {boolean} options.keepPartial - Analyze the ratings collected so far
+   */
+  const cancel = useCallback(({ keepPartial = false } = {}) => {
+    runRef.current?.cancel({ keepPartial });
+  }, []);
+
+  const pause = useCallback(() => {
+    if (!runRef.current?.schedulers.length) return;
+    runRef.current.pause();
+    setIsPaused(true);
+  }, []);
+
+  const resume = useCallback(() => {
+    if (!runRef.current?.schedulers.length) return;
+    runRef.current.resume();
+    setIsPaused(false);
+  }, []);
+
   const reset = useCallback(() => {
+    cancel();
     setResults(null);
     setError(null);
     setProgress({ current: 0, total: 0 });
-  }, []);
+  }, [cancel]);
 
   return {
     runExperiment,
+    cancel,
+    pause,
+    resume,
     isRunning,
+    isPaused,
     progress,
     results,
     error,
@@ -0,0 +1,61 @@
+import { useState, useCallback, useEffect } from 'react';
+import {
+  saveExperiment,
+  listExperiments,
+  deleteExperiment,
+  loadExperimentVariants,
+} from '../services/history';
+
+/**
+ * Custom hook for browsing and managing saved experiments.
+ */
+export function useExperimentHistory() {
+  const [experiments, setExperiments] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const refresh = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      setExperiments(await listExperiments());
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const save = useCallback(async (results) => {
+    try {
+      await saveExperiment(results);
+      await refresh();
+    } catch (err) {
+      setError(`Could not save experiment to history: ${err.message}`);
+    }
+  }, [refresh]);
+
+  const remove = useCallback(async (id) => {
+    try {
+      await deleteExperiment(id);
+      await refresh();
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [refresh]);
+
+  const loadVariants = useCallback((experiment) => loadExperimentVariants(experiment), []);
+
+  return {
+    experiments,
+    isLoading,
+    error,
+    save,
+    remove,
+    loadVariants,
+  };
+}
@@ -0,0 +1,87 @@
+import { useState, useCallback, useRef, useEffect } from 'react';
+import { getProvider } from '../services/llm';
+import { Scheduler } from '../services/scheduler';
+import { rateRepeatedly } from '../services/runner';
+import { mean, pooledStandardDeviation } from '../services/statistics';
+
+/**
+ * Custom hook for short pilot runs that estimate the spread of a provider's
+ * ratings before planning the sample size of an experiment.
+ */
+export function usePilotRun() {
+  const [isRunning, setIsRunning] = useState(false);
+  const [pilot, setPilot] = useState(null);
+  const [error, setError] = useState(null);
+
+  const controllerRef = useRef(null);
+
+  // Stop the pilot's queries if the planner is closed while it runs
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  const runPilot = useCallback(async (
+    images,
+    question,
+    providerName = 'mock',
+    providerConfig = {},
+    { queriesPerVariant = 10, concurrency = 4, timeout = 60000, retries = 3 } = {}
+  ) => {
+    const controller = new AbortController();
+    controllerRef.current = controller;
+
+    setIsRunning(true);
+    setError(null);
+    setPilot(null);
+
+    try {
+      const provider = getProvider(providerName, providerConfig);
+      if (!(await provider.isAvailable())) {
+        throw new Error(`Provider "${providerName}" is not available. Make sure the service is running.`);
+      }
+
+      const { ratings } = await rateRepeatedly(images.map(image => ({ provider, image })), question, {
+        repeats: queriesPerVariant,
+        scheduler: new Scheduler({ concurrency, rateLimit: provider.rateLimit }),
+        signal: controller.signal,
+        timeout,
+        retries,
+      });
+
+      if (ratings.some(r => r.length < 2)) {
+        throw new Error('Not enough valid ratings were collected in the pilot run to estimate the variance.');
+      }
+
+      setPilot({
+        queriesPerVariant,
+        ratings,
+        means: ratings.map(mean),
+        sd: pooledStandardDeviation(ratings),
+      });
+    } catch (err) {
+      controller.abort();
+      if (controllerRef.current === controller) {
+        setError(err.message);
+      }
+    } finally {
+      if (controllerRef.current === controller) {
+        controllerRef.current = null;
+        setIsRunning(false);
+      }
+    }
+  }, []);
+
+  const cancel = useCallback(() => {
+    const controller = controllerRef.current;
+    if (!controller) return;
+    controllerRef.current = null;
+    controller.abort();
+    setIsRunning(false);
+  }, []);
+
+  return {
+    runPilot,
+    cancel,
+    isRunning,
+    pilot,
+    error,
+  };
+}
@@ -0,0 +1,380 @@
+/**
+ * Batch experiments - Runs many experiments defined by a manifest or a folder of images
+ *
+ * Every experiment of a batch uses the same question, provider and settings unless its
+ * manifest row gives its own question. The experiments share the provider's concurrency
+ * and rate limits, and their primary p-values are corrected for the false discovery rate
+ * across the batch.
+ */
+
+import { Experiment } from './experiment.js';
+import { getProvider } from './llm/index.js';
+import { Scheduler } from './scheduler.js';
+import { benjaminiHochberg } from './statistics.js';
+import { primaryOutcome } from './format.js';
+
+const IMAGE_EXTENSIONS = ['png', 'jpg', 'jpeg', 'gif', 'webp', 'bmp', 'svg'];
+
+function variantLabel(index) {
+  return `Image ${String.fromCharCode(65 + index)}`;
+}
+
+/**
+ * Whether a file name has an image extension
+ */
+export function isImagePath(name) {
+  const extension = name.split('.').pop().toLowerCase();
+  return name.includes('.') && IMAGE_EXTENSIONS.includes(extension);
+}
+
+/**
+ * Parse CSV text into rows of cells, with quoted fields as written by the CSV export
+ */
+function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+/**
+ * Parse a batch manifest. A CSV manifest has a header row with a `name` column, one
+ * column per image (`image_a`, `image_b`, ... or any header starting with "image") and
+ * an optional `question` column. A JSON manifest is a list (or `{ experiments: [...] }`)
+ * of objects with a name, a list of images and an optional question. Images are file
+ * paths or URLs as given in the manifest.
+ *
+ * @param {string} text - Manifest contents
+ * @param {string} fileName - Manifest file name, used to tell CSV from JSON
+ * @returns {Array<{name: string, images: string[], question: string|null}>}
+ * @throws {Error} If the manifest is malformed
+ */
+export function parseManifest(text, fileName = '') {
+  const entries = /\.json$/i.test(fileName) || /^\s*[[{]/.test(text)
+    ? parseJSONManifest(text)
+    : parseCSVManifest(text);
+
+  if (entries.length === 0) {
+    throw new Error('The manifest does not list any experiments.');
+  }
+  entries.forEach((entry, index) => {
+    if (entry.images.length < 2) {
+      throw new Error(`Experiment ${index + 1} (${entry.name}) needs at least two images.`);
+    }
+  });
+  const names = new Set(entries.map(entry => entry.name));
+  if (names.size < entries.length) {
+    throw new Error('Every experiment in the manifest needs a unique name.');
+  }
+  return entries;
+}
+
+function parseJSONManifest(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('The manifest is not valid JSON.');
+  }
+  const list = Array.isArray(data) ? data : data?.experiments;
+  if (!Array.isArray(list)) {
+    throw new Error('A JSON manifest must be a list of experiments or have an "experiments" list.');
+  }
+  return list.map((entry, index) => ({
+    name: String(entry.name ?? `Experiment ${index + 1}`),
+    images: Array.isArray(entry.images) ? entry.images.map(String) : [],
+    question: entry.question ? String(entry.question) : null,
+  }));
+}
+
+function parseCSVManifest(text) {
+  const [header, ...rows] = parseCSV(text);
+  if (!header) return [];
+
+  const columns = header.map(h => h.trim().toLowerCase());
+  const imageColumns = columns.flatMap((column, index) => (column.startsWith('image') ? [index] : []));
+  if (imageColumns.length < 2) {
+    throw new Error('A CSV manifest needs a header row with at least two image columns (e.g. image_a, image_b).');
+  }
+  const nameColumn = columns.indexOf('name');
+  const questionColumn = columns.indexOf('question');
+
+  return rows.map((row, index) => ({
+    name: (nameColumn >= 0 && row[nameColumn]?.trim()) || `Experiment ${index + 1}`,
+    images: imageColumns.map(column => row[column]?.trim()).filter(Boolean),
+    question: (questionColumn >= 0 && row[questionColumn]?.trim()) || null,
+  }));
+}
+
+/**
+ * Find the file a manifest refers to among the selected files: by relative path, by a
+ * path ending in the reference, or by a unique file name
+ * @param {string} reference - Image path from the manifest
+ * @param {string[]} paths - Paths of the selected files
+ * @returns {string|null} The matching path
+ */
+export function matchPath(reference, paths) {
+  const normalized = reference.replace(/\\/g, '/').replace(/^\.\//, '');
+  const exact = paths.find(p => p === normalized);
+  if (exact) return exact;
+
+  const suffix = paths.filter(p => p.endsWith(`/${normalized}`));
+  if (suffix.length === 1) return suffix[0];
+
+  const baseName = normalized.split('/').pop();
+  const sameName = paths.filter(p => p.split('/').pop() === baseName);
+  return sameName.length === 1 ? sameName[0] : null;
+}
+
+/**
+ * Group a folder of images into experiments. Images in subfolders form one experiment
+ * per subfolder; images directly in the folder are paired by name, ignoring the last
+ * `_` or `-` part (so `sku42_a.png` and `sku42_b.png` form experiment "sku42").
+ * Within an experiment the images are ordered by name.
+ *
+ * @param {string[]} paths - Image paths relative to the dropped folder's parent
+ * @returns {{entries: Array<{name: string, images: string[], question: null}>, unpaired: string[]}}
+ */
+export function groupImages(paths) {
+  const images = paths.filter(isImagePath);
+  // Paths from a dropped folder start with the folder's own name
+  const parts = images.map(p => p.split('/'));
+  const commonRoot = parts.length > 0 && parts.every(segments => segments.length > 1 && segments[0] === parts[0][0]);
+
+  const groups = new Map();
+  images.forEach((path, index) => {
+    const segments = commonRoot ? parts[index].slice(1) : parts[index];
+    const key = segments.length > 1
+      ? segments.slice(0, -1).join('/')
+      : segments[0].replace(/\.[^.]+$/, '').replace(/[_-][^_-]*$/, '');
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(path);
+  });
+
+  const entries = [];
+  const unpaired = [];
+  for (const [name, group] of groups) {
+    if (group.length < 2) {
+      unpaired.push(...group);
+    } else {
+      entries.push({ name, images: [...group].sort(), question: null });
+    }
+  }
+  entries.sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+  return { entries, unpaired };
+}
+
+/**
+ * The p-value an experiment's conclusion rests on, for correction across the batch:
+ * the (sequentially adjusted) two-variant test or the ANOVA, the judge-blocked variant
+ * effect of a panel, or the sign test of a preference run. Preference runs with more
+ * than two variants use the smallest Holm-adjusted pairwise p-value.
+ */
+export function primaryPValue(results) {
+  if (results.panel) return results.panel.blocked.variant.pValue;
+  if (results.mode === 'preference') {
+    return results.statistics?.pValue ?? Math.min(...results.pairwise.map(pair => pair.adjustedPValue));
+  }
+  return results.statistics ? primaryOutcome(results).pValue : results.anova.pValue;
+}
+
+/**
+ * Summary table of a batch, with Benjamini-Hochberg adjusted p-values across the
+ * experiments that completed. Experiments whose test has no p-value (every rating
+ * the same, for instance) are left out of the correction and counted as untested.
+ * @param {Object[]} items - Batch items with name, status and results
+ * @param {Object} options
+ * @param {number} options.alpha - False discovery rate
+ */
+export function summarizeBatch(items, { alpha = 0.05 } = {}) {
+  const completed = items.filter(item => item.results);
+  const pValues = completed.map(item => primaryPValue(item.results));
+  const tested = pValues.map((p, index) => index).filter(index => Number.isFinite(pValues[index]));
+  const adjusted = benjaminiHochberg(tested.map(index => pValues[index]));
+
+  const rows = items.map((item) => {
+    const index = completed.indexOf(item);
+    if (index < 0) {
+      return { name: item.name, status: item.status, error: item.error, variants: null, best: null, pValue: null, adjustedPValue: null, isSignificant: null };
+    }
+    const { results } = item;
+    const preference = results.mode === 'preference';
+    const variants = results.variants.map(v => ({ label: v.label, score: preference ? v.winRate : v.mean }));
+    const best = variants.reduce((top, v) => (v.score > top.score ? v : top));
+    const rank = tested.indexOf(index);
+    return {
+      name: item.name,
+      status: item.status,
+      error: null,
+      partial: results.partial,
+      variants,
+      best: best.label,
+      pValue: rank < 0 ? null : pValues[index],
+      adjustedPValue: rank < 0 ? null : adjusted[rank],
+      isSignificant: rank < 0 ? null : adjusted[rank] < alpha,
+    };
+  });
+
+  return {
+    alpha,
+    rows,
+    completed: completed.length,
+    untested: completed.length - tested.length,
+    significant: rows.filter(row => row.isSignificant).length,
+  };
+}
+
+/**
+ * Options of one experiment of the batch. A one-sided alternative, sequential monitoring
+ * and an equivalence test only apply to a pair of variants, so larger groups run without them.
+ */
+function entryOptions(options = {}, variantCount) {
+  if (variantCount === 2) return options;
+  return { ...options, alternative: 'two-sided', sequential: null, equivalence: null };
+}
+
+/**
+ * A queue of experiments run by the engine. A few experiments run at a time so the
+ * shared schedulers stay busy between them; progress is reported per experiment.
+ */
+export class Batch {
+  /**
+   * @param {Array<{name: string, variants: Object[], question: string|null}>} entries - Experiments with
+   *   their variants as { label, image } data URLs
+   * @param {Object} settings - Shared settings
+   * @param {string|Object[]} settings.question - Question (or criteria) for entries without their own
+   * @param {string} settings.providerName - Name of the provider
+   * @param {Object} settings.providerConfig - Provider-specific configuration
+   * @param {number} settings.sampleSize - Queries per variant, or comparisons per pair
+   * @param {Object} settings.options - Experiment options for pairs of variants; the concurrency is
+   *   shared by the batch
+   * @param {Object} options
+   * @param {number} options.maxActive - Experiments running at once
+   */
+  constructor(entries, settings, { maxActive = 2 } = {}) {
+    this.settings = settings;
+    this.maxActive = maxActive;
+    this.experiments = entries.map(entry => new Experiment(
+      entry.variants.map((variant, v) => ({ label: variant.label ?? variantLabel(v), image: variant.image })),
+      entry.question ?? settings.question,
+      settings.providerName,
+      settings.providerConfig,
+      settings.sampleSize,
+      entryOptions(settings.options, entry.variants.length)
+    ));
+    this.items = entries.map((entry, index) => ({
+      name: entry.name,
+      status: 'queued',
+      progress: { current: 0, total: this.experiments[index].total },
+      results: null,
+      error: null,
+    }));
+    this.schedulers = [];
+    this.cancelled = false;
+  }
+
+  /**
+   * Run every queued experiment
+   * @param {Object} options
+   * @param {Function} options.onUpdate - Called with the items whenever one changes
+   * @param {Function} options.onResults - Called with the results of each completed experiment
+   * @param {Object} options.cacheStore - Response store passed to each experiment, see Experiment.run
+   * @returns {Promise<Object>} Summary of the batch, see summarizeBatch
+   */
+  async run({ onUpdate, onResults, cacheStore } = {}) {
+    const { providerName, providerConfig, options = {} } = this.settings;
+    const raters = options.judges?.length > 1 ? options.judges : [{ providerName, providerConfig }];
+    this.schedulers = raters.map(rater => new Scheduler({
+      concurrency: options.concurrency ?? 4,
+      rateLimit: getProvider(rater.providerName, rater.providerConfig).rateLimit,
+    }));
+
+    const update = (index, changes) => {
+      this.items = this.items.map((item, i) => (i === index ? { ...item, ...changes } : item));
+      onUpdate?.(this.items);
+    };
+
+    let next = 0;
+    const worker = async () => {
+      while (next < this.experiments.length && !this.cancelled) {
+        const index = next++;
+        const experiment = this.experiments[index];
+        update(index, { status: 'running' });
+        try {
+          const results = await experiment.run({
+            schedulers: this.schedulers,
+            ...(cacheStore && { cacheStore }),
+            onProgress: (progress) => update(index, { progress }),
+          });
+          if (results) {
+            update(index, { status: 'done', results });
+            onResults?.(results);
+          } else {
+            update(index, { status: 'cancelled' });
+          }
+        } catch (err) {
+          update(index, { status: 'failed', error: err.message });
+        }
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(this.maxActive, this.experiments.length) }, worker));
+
+    this.items.forEach((item, index) => {
+      if (item.status === 'queued') update(index, { status: 'cancelled' });
+    });
+    return summarizeBatch(this.items, { alpha: options.alpha ?? 0.05 });
+  }
+
+  /**
+   * Stop starting new queries in every experiment
+   */
+  pause() {
+    this.schedulers.forEach(scheduler => scheduler.pause());
+  }
+
+  resume() {
+    this.schedulers.forEach(scheduler => scheduler.resume());
+  }
+
+  /**
+   * Cancel the running experiments and skip the queued ones
+   */
+  cancel() {
+    this.cancelled = true;
+    this.experiments.forEach(experiment => experiment.cancel());
+    // Resume a paused batch so the shared schedulers can drop the cancelled experiments' queued queries
+    this.resume();
+  }
+}
@@ -0,0 +1,308 @@
+/**
+ * Judge calibration - Measures how stable a judge's ratings are before it is trusted
+ * with an experiment: the spread of repeated ratings of one image, how much paraphrased
+ * questions and small image perturbations move them, and the false-positive rate of
+ * A/A experiments that compare the image with itself.
+ *
+ * Calibration always queries the provider: replaying cached responses would hide the
+ * variability it sets out to measure.
+ */
+
+import { getProvider } from './llm/index.js';
+import { Scheduler } from './scheduler.js';
+import { createRandom, deriveSeed } from './random.js';
+import { rateRepeatedly } from './runner.js';
+import { Experiment } from './experiment.js';
+import { mean, standardDeviation, welchANOVA, binomialTest } from './statistics.js';
+
+/**
+ * Image perturbations a judge's ratings should not depend on, as canvas transforms
+ * for transformImage: a scale factor and an output type and quality
+ */
+export const PERTURBATIONS = {
+  'resize-75': { label: 'Resized to 75%', scale: 0.75 },
+  'resize-50': { label: 'Resized to 50%', scale: 0.5 },
+  'jpeg-80': { label: 'JPEG quality 80', type: 'image/jpeg', quality: 0.8 },
+  'jpeg-50': { label: 'JPEG quality 50', type: 'image/jpeg', quality: 0.5 },
+};
+
+// Share of identical ratings above which a judge is flagged as nearly constant
+const NEAR_CONSTANT_SHARE = 0.9;
+
+/**
+ * Spread of repeated ratings of the same image. A judge that gives one value
+ * (or nearly always the same one) carries no information about differences
+ * between images, however many queries are made.
+ * @param {number[]} ratings
+ */
+export function reliabilitySummary(ratings) {
+  const counts = new Map();
+  ratings.forEach(r => counts.set(r, (counts.get(r) ?? 0) + 1));
+  const [mode, modeCount] = [...counts].sort((a, b) => b[1] - a[1] || a[0] - b[0])[0] ?? [null, 0];
+  const modeShare = ratings.length > 0 ? modeCount / ratings.length : 0;
+
+  return {
+    n: ratings.length,
+    mean: mean(ratings),
+    sd: standardDeviation(ratings),
+    min: Math.min(...ratings),
+    max: Math.max(...ratings),
+    distinct: counts.size,
+    mode,
+    modeShare,
+    flag: counts.size === 1 ? 'constant' : modeShare >= NEAR_CONSTANT_SHARE ? 'near-constant' : null,
+  };
+}
+
+/**
+ * How much the rating depends on conditions that should not matter, compared with
+ * the original question and image. The variance share is the intraclass correlation
+ * of a one-way random effects model: the part of the rating variance explained by
+ * the condition rather than by query-to-query noise.
+ * @param {Object[]} conditions - { label, ratings }, the first being the original
+ * @param {Object} options
+ * @param {number} options.alpha - Significance level of the ANOVA across conditions
+ */
+export function sensitivitySummary(conditions, { alpha = 0.05 } = {}) {
+  const groups = conditions.filter(c => c.ratings.length >= 2);
+  const baseline = mean(conditions[0].ratings);
+  const rows = conditions.map(c => ({
+    label: c.label,
+    n: c.ratings.length,
+    mean: mean(c.ratings),
+    sd: standardDeviation(c.ratings),
+    shift: mean(c.ratings) - baseline,
+  }));
+  if (groups.length < 2) {
+    return { conditions: rows, anova: null, varianceShare: null };
+  }
+
+  const k = groups.length;
+  const sizes = groups.map(g => g.ratings.length);
+  const total = sizes.reduce((sum, n) => sum + n, 0);
+  const grandMean = mean(groups.flatMap(g => g.ratings));
+  const msBetween = groups.reduce((sum, g) => sum + g.ratings.length * Math.pow(mean(g.ratings) - grandMean, 2), 0) / (k - 1);
+  const msWithin = groups.reduce((sum, g) => {
+    const m = mean(g.ratings);
+    return sum + g.ratings.reduce((s, r) => s + (r - m) * (r - m), 0);
+  }, 0) / (total - k);
+  const n0 = (total - sizes.reduce((sum, n) => sum + n * n, 0) / total) / (k - 1);
+  const between = Math.max(0, (msBetween - msWithin) / n0);
+
+  return {
+    conditions: rows,
+    // Welch's ANOVA needs some spread in every condition
+    anova: groups.every(g => standardDeviation(g.ratings) > 0) ? welchANOVA(groups.map(g => g.ratings), { alpha }) : null,
+    varianceShare: between + msWithin > 0 ? between / (between + msWithin) : 0,
+  };
+}
+
+/**
+ * False-positive rate of A/A experiments, with its Clopper-Pearson interval and a
+ * binomial test against the nominal alpha. Runs without a p-value (a judge with no
+ * spread at all) are counted separately.
+ * @param {number[]} pValues - One per completed A/A run
+ * @param {number} alpha - Significance level of the runs
+ */
+export function falsePositiveSummary(pValues, alpha = 0.05) {
+  const valid = pValues.filter(p => Number.isFinite(p));
+  const significant = valid.filter(p => p < alpha).length;
+  const test = valid.length > 0 ? binomialTest(significant, valid.length, { p: alpha, alpha: 0.05 }) : null;
+  return {
+    runs: pValues.length,
+    valid: valid.length,
+    significant,
+    rate: test?.proportion ?? null,
+    confidenceInterval: test?.confidenceInterval ?? null,
+    pValue: test?.pValue ?? null,
+    // Consistent when the observed rate doesn't differ significantly from alpha
+    isConsistent: test ? !test.isSignificant : null,
+    alpha,
+  };
+}
+
+/**
+ * A calibration run for one judge and one image
+ */
+export class Calibration {
+  /**
+   * @param {string} image - Image as a data URL
+   * @param {string} question - The question used in experiments
+   * @param {string} providerName - Name of the provider
+   * @param {Object} providerConfig - Provider-specific configuration
+   * @param {Object} options
+   * @param {number} options.repeats - Ratings of the image in each condition
+   * @param {string[]} options.paraphrases - Rewordings of the question, each rated as its own condition
+   * @param {Array<{label: string, image: string}>} options.perturbations - Perturbed copies of the image
+   * @param {number} options.aaRuns - A/A experiments to run
+   * @param {number} options.aaSampleSize - Ratings per arm of each A/A experiment
+   * @param {string} options.test - Statistical test of the A/A experiments
+   * @param {number} options.alpha - Significance level
+   * @param {number|null} options.seed - Run seed; each A/A run derives its own from it
+   */
+  constructor(image, question, providerName = 'mock', providerConfig = {}, options = {}) {
+    const {
+      repeats = 30,
+      paraphrases = [],
+      perturbations = [],
+      aaRuns = 20,
+      aaSampleSize = 10,
+      test = 'welch',
+      alpha = 0.05,
+      concurrency = 4,
+      timeout = 60000,
+      retries = 3,
+      seed = null,
+    } = options;
+
+    this.config = {
+      image,
+      question,
+      providerName,
+      providerConfig,
+      options: { repeats, paraphrases, perturbations, aaRuns, aaSampleSize, test, alpha, concurrency, timeout, retries, seed },
+    };
+    this.conditions = [
+      { kind: 'original', label: 'Original', image, prompt: null },
+      ...paraphrases.map(text => ({
+        kind: 'paraphrase',
+        label: text,
+        image,
+        prompt: { name: text, template: `${text}\n\n{instructions}` },
+      })),
+      ...perturbations.map(p => ({ kind: 'perturbation', label: p.label, image: p.image, prompt: null })),
+    ];
+
+    // Every A/A run gets its own seeds, so a seeded judge doesn't repeat the same draws in each run
+    const runSeed = (r, value) => (value === null || value === undefined ? value : deriveSeed(value, 'aa', r));
+    this.experiments = Array.from({ length: aaRuns }, (_, r) => new Experiment(
+      [{ label: 'Arm A', image }, { label: 'Arm B', image }],
+      question,
+      providerName,
+      { ...providerConfig, ...(providerConfig.seed !== undefined && { seed: runSeed(r, providerConfig.seed) }) },
+      aaSampleSize,
+      { test, alpha, concurrency, timeout, retries, seed: runSeed(r, seed) }
+    ));
+
+    this.total = repeats * this.conditions.length + this.experiments.reduce((sum, e) => sum + e.total, 0);
+    this.controller = new AbortController();
+    this.scheduler = null;
+  }
+
+  /**
+   * Rate the image in every condition, then run the A/A experiments
+   * @param {Object} options
+   * @param {Function} options.onProgress - Called with { current, total } after each query
+   * @returns {Promise<Object|null>} The calibration results, or null when cancelled
+   */
+  async run({ onProgress } = {}) {
+    const { config, conditions, experiments, controller } = this;
+    const { question, providerName, providerConfig } = config;
+    const { repeats, alpha, concurrency, timeout, retries, seed } = config.options;
+
+    let completed = 0;
+    const aaProgress = experiments.map(() => 0);
+    const report = () => onProgress?.({
+      current: completed + aaProgress.reduce((sum, n) => sum + n, 0),
+      total: this.total,
+    });
+
+    try {
+      const base = getProvider(providerName, providerConfig);
+      if (!(await base.isAvailable())) {
+        throw new Error(`Provider "${providerName}" is not available. Make sure the service is running.`);
+      }
+      const providers = conditions.map(c => (c.prompt ? getProvider(providerName, { ...providerConfig, prompt: c.prompt }) : base));
+
+      this.scheduler = new Scheduler({ concurrency, rateLimit: base.rateLimit });
+      const { ratings, failures } = await rateRepeatedly(
+        conditions.map((c, i) => ({ provider: providers[i], image: c.image })),
+        question,
+        {
+          repeats,
+          scheduler: this.scheduler,
+          signal: controller.signal,
+          timeout,
+          retries,
+          random: seed === null ? Math.random : createRandom(deriveSeed(seed, 'calibration')),
+          onQuery: () => {
+            completed++;
+            report();
+          },
+        }
+      );
+
+      if (ratings[0].length < 2) {
+        throw new Error('Not enough valid ratings of the original image were collected. Check the query reliability of the provider.');
+      }
+
+      // The A/A experiments share the scheduler, so the concurrency limit covers the whole calibration
+      const aaResults = await Promise.all(experiments.map(async (experiment, r) => {
+        try {
+          return await experiment.run({
+            schedulers: [this.scheduler],
+            onProgress: ({ current }) => {
+              aaProgress[r] = current;
+              report();
+            },
+          });
+        } catch (err) {
+          controller.signal.throwIfAborted();
+          return { error: err.message };
+        }
+      }));
+      controller.signal.throwIfAborted();
+
+      const byKind = kind => conditions.map((c, i) => ({ ...c, ratings: ratings[i] })).filter(c => c.kind === kind);
+      const [original] = byKind('original');
+      const pValues = aaResults.filter(results => !results.error).map(results => results.statistics.pValue);
+
+      return {
+        reliability: reliabilitySummary(original.ratings),
+        conditions: conditions.map((c, i) => ({ kind: c.kind, label: c.label, ratings: ratings[i], failures: failures[i] })),
+        paraphrases: byKind('paraphrase').length > 0
+          ? sensitivitySummary([original, ...byKind('paraphrase')], { alpha })
+          : null,
+        perturbations: byKind('perturbation').length > 0
+          ? sensitivitySummary([original, ...byKind('perturbation')], { alpha })
+          : null,
+        failures: failures.reduce((sum, n) => sum + n, 0),
+        falsePositives: {
+          ...falsePositiveSummary(pValues, alpha),
+          failed: aaResults.filter(results => results.error).length,
+          errors: [...new Set(aaResults.filter(results => results.error).map(results => results.error))],
+          pValues,
+        },
+        provider: base.getInfo(),
+        completedAt: new Date().toISOString(),
+        config: {
+          ...config,
+          options: { ...config.options, perturbations: config.options.perturbations.map(p => p.label) },
+        },
+      };
+    } catch (err) {
+      controller.abort();
+      if (this.cancelled) return null;
+      throw err;
+    }
+  }
+
+  pause() {
+    this.scheduler?.pause();
+  }
+
+  resume() {
+    this.scheduler?.resume();
+  }
+
+  /**
+   * Cancel the calibration, discarding what was collected
+   */
+  cancel() {
+    this.cancelled = true;
+    this.controller.abort();
+    this.experiments.forEach(experiment => experiment.cancel());
+    this.scheduler?.clear(this.controller.signal.reason);
+    this.resume();
+  }
+}
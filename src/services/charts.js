@@ -0,0 +1,130 @@
+/**
+ * Chart data - Summaries of the ratings for the results charts: histograms,
+ * box plots, kernel densities, running means and confidence intervals of the
+ * mean differences. Rendering is left to the components, as plain SVG.
+ */
+
+import { mean, standardDeviation, independentTTest } from './statistics.js';
+
+const MAX_BINS = 20;
+
+/**
+ * Bins spanning a rating scale: one per scale point, or wider bins on long scales
+ * @param {{ min: number, max: number }} scale
+ * @returns {{ start: number, end: number, label: string }[]}
+ */
+export function scaleBins({ min, max }) {
+  const width = Math.max(1, Math.ceil((max - min + 1) / MAX_BINS));
+  const bins = [];
+  for (let start = min; start <= max; start += width) {
+    const end = Math.min(start + width - 1, max);
+    bins.push({ start, end, label: start === end ? String(start) : `${start}-${end}` });
+  }
+  return bins;
+}
+
+/**
+ * Counts of the ratings in each bin. Ratings are rounded to the nearest scale
+ * point first, so composite and decimal ratings land in the closest bin.
+ */
+export function histogram(ratings, bins) {
+  const counts = bins.map(() => 0);
+  const min = bins[0].start;
+  const max = bins[bins.length - 1].end;
+  ratings.forEach((rating) => {
+    const point = Math.min(max, Math.max(min, Math.round(rating)));
+    const index = bins.findIndex(bin => point >= bin.start && point <= bin.end);
+    counts[index]++;
+  });
+  return counts;
+}
+
+function quantile(sorted, q) {
+  const position = (sorted.length - 1) * q;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * Five-number summary with Tukey whiskers: the most extreme ratings within 1.5
+ * interquartile ranges of the quartiles; ratings beyond them are outliers
+ */
+export function boxStats(ratings) {
+  const sorted = [...ratings].sort((a, b) => a - b);
+  const q1 = quantile(sorted, 0.25);
+  const q3 = quantile(sorted, 0.75);
+  const fence = 1.5 * (q3 - q1);
+  const inside = sorted.filter(r => r >= q1 - fence && r <= q3 + fence);
+  return {
+    min: sorted[0],
+    q1,
+    median: quantile(sorted, 0.5),
+    q3,
+    max: sorted[sorted.length - 1],
+    whiskerLow: inside[0],
+    whiskerHigh: inside[inside.length - 1],
+    outliers: [...new Set(sorted.filter(r => r < q1 - fence || r > q3 + fence))],
+  };
+}
+
+/**
+ * Gaussian kernel density of the ratings over the scale, for violin plots. The
+ * bandwidth follows Silverman's rule, but is at least a quarter of a scale point
+ * so that ratings stuck at one value still show as a narrow peak.
+ * @returns {{ x: number, density: number }[]}
+ */
+export function kernelDensity(ratings, { min, max }, points = 60) {
+  const sorted = [...ratings].sort((a, b) => a - b);
+  const iqr = quantile(sorted, 0.75) - quantile(sorted, 0.25);
+  const spread = Math.min(standardDeviation(ratings) || Infinity, iqr > 0 ? iqr / 1.34 : Infinity);
+  const silverman = Number.isFinite(spread) ? 0.9 * spread * Math.pow(ratings.length, -0.2) : 0;
+  const bandwidth = Math.max(silverman, 0.25);
+  const norm = ratings.length * bandwidth * Math.sqrt(2 * Math.PI);
+
+  return Array.from({ length: points }, (_, i) => {
+    const x = min + ((max - min) * i) / (points - 1);
+    const density = ratings.reduce((sum, r) => sum + Math.exp(-0.5 * ((x - r) / bandwidth) ** 2), 0) / norm;
+    return { x, density };
+  });
+}
+
+/**
+ * Mean of the first k ratings for every k, in the order they were collected
+ */
+export function runningMeans(ratings) {
+  let sum = 0;
+  return ratings.map((rating, index) => {
+    sum += rating;
+    return sum / (index + 1);
+  });
+}
+
+/**
+ * Welch confidence interval of the mean difference for every pair of variants
+ * with at least two ratings each, for a forest plot
+ * @param {Object[]} variants - Variants with label and ratings
+ * @param {Object} options
+ * @param {number} options.alpha - 1 minus the confidence level
+ */
+export function differenceIntervals(variants, { alpha = 0.05 } = {}) {
+  const intervals = [];
+  for (let i = 0; i < variants.length; i++) {
+    for (let j = i + 1; j < variants.length; j++) {
+      const a = variants[i].ratings;
+      const b = variants[j].ratings;
+      if (a.length < 2 || b.length < 2) continue;
+      const difference = mean(a) - mean(b);
+      const { confidenceInterval } = independentTTest(a, b, { alpha });
+      // Two constant samples have no sampling error: the interval is the difference itself
+      const exact = Number.isNaN(confidenceInterval.lower);
+      intervals.push({
+        label: `${variants[i].label} - ${variants[j].label}`,
+        difference,
+        lower: exact ? difference : confidenceInterval.lower,
+        upper: exact ? difference : confidenceInterval.upper,
+      });
+    }
+  }
+  return intervals;
+}
@@ -0,0 +1,69 @@
+/**
+ * IndexedDB access - Opens the app database and wraps requests in promises
+ */
+
+const DB_NAME = 'experiment-platform';
+const DB_VERSION = 2;
+
+let dbPromise = null;
+
+function upgrade(db) {
+  if (!db.objectStoreNames.contains('experiments')) {
+    const experiments = db.createObjectStore('experiments', { keyPath: 'id', autoIncrement: true });
+    experiments.createIndex('createdAt', 'createdAt');
+  }
+  if (!db.objectStoreNames.contains('images')) {
+    db.createObjectStore('images', { keyPath: 'hash' });
+  }
+  if (!db.objectStoreNames.contains('responses')) {
+    db.createObjectStore('responses', { keyPath: 'key' });
+  }
+}
+
+/**
+ * Get the shared database connection, opening it on first use
+ * @returns {Promise<IDBDatabase>}
+ */
+export function getDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => upgrade(request.result);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Allow a later call to retry if opening failed
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+}
+
+/**
+ * Resolve with the result of an IDBRequest
+ */
+export function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Run a function inside a transaction and resolve once the transaction commits
+ * @param {string|string[]} storeNames - Object stores used by the transaction
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+ * @param {Function} fn - Receives the transaction and returns a promise (or value)
+ */
+export async function withTransaction(storeNames, mode, fn) {
+  const db = await getDatabase();
+  const transaction = db.transaction(storeNames, mode);
+  const done = new Promise((resolve, reject) => {
+    transaction.oncomplete = resolve;
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+  const [result] = await Promise.all([fn(transaction), done]);
+  return result;
+}
@@ -0,0 +1,641 @@
+/**
+ * Experiment engine - Runs the queries of an experiment and analyzes the ratings,
+ * independent of any UI framework. Used by the useExperiment hook and the CLI.
+ */
+
+import { getProvider, supportsComparison, rateWithRetry, compareWithRetry, CachedProvider } from './llm/index.js';
+import { Scheduler, shuffle } from './scheduler.js';
+import { createRandom, deriveSeed } from './random.js';
+import { SequentialMonitor } from './sequential.js';
+import {
+  mean,
+  standardDeviation,
+  compareSamples,
+  welchANOVA,
+  pairwiseComparisons,
+  tTestDiagnostics,
+  powerAnalysis,
+  bayesianAnalysis,
+  equivalenceTest,
+  CORRECTIONS,
+  binomialTest,
+  pairwisePreferences,
+  bradleyTerry,
+  blockedANOVA,
+  krippendorffAlpha,
+  intraclassCorrelation,
+} from './statistics.js';
+
+/**
+ * Runs the statistical analysis appropriate for the number of variants.
+ * Two variants are compared with the selected test, and optionally tested for
+ * equivalence or non-inferiority; more use Welch ANOVA with Holm-corrected
+ * pairwise comparisons using the selected test.
+ * The optional Bayesian analysis is reported alongside, with credible
+ * intervals at the same level as the confidence intervals.
+ * With a run seed the resampling tests and posterior draws are the same on every analysis.
+ */
+function analyze(
+  ratings,
+  labels,
+  { test, alpha, alternative, power, plannedEffect, equivalence = null, bayesian = null, seed = null }
+) {
+  const diagnostics = tTestDiagnostics(ratings, labels);
+  const random = seed === null ? Math.random : createRandom(deriveSeed(seed, 'analysis'));
+  const posterior = bayesian && bayesianAnalysis(ratings, {
+    rope: bayesian.rope,
+    credibleMass: 1 - alpha,
+    random: seed === null ? Math.random : createRandom(deriveSeed(seed, 'bayesian')),
+  });
+
+  if (ratings.length === 2) {
+    return {
+      test,
+      alpha,
+      statistics: compareSamples(ratings[0], ratings[1], test, { alpha, alternative, random }),
+      power: powerAnalysis(ratings[0], ratings[1], { alpha, alternative, power, plannedEffect }),
+      equivalence: equivalence && equivalenceTest(ratings[0], ratings[1], { ...equivalence, alpha }),
+      anova: null,
+      pairwise: null,
+      bayesian: posterior,
+      diagnostics,
+    };
+  }
+
+  // Pairwise comparisons among many variants are always two-sided
+  return {
+    test,
+    alpha,
+    statistics: null,
+    power: null,
+    equivalence: null,
+    anova: welchANOVA(ratings, { alpha }),
+    pairwise: pairwiseComparisons(ratings, test, { alpha, random }),
+    bayesian: posterior,
+    diagnostics,
+  };
+}
+
+/**
+ * Whether every variant has enough valid ratings for statistical analysis,
+ * for every criterion.
+ */
+function hasEnoughRatings(ratings) {
+  return ratings.every(criterion => criterion.every(r => r.length >= 2));
+}
+
+/**
+ * Normalizes the question argument: a single question string, or a list of
+ * criteria each with a label, question and optional weight.
+ */
+function toCriteria(question) {
+  if (!Array.isArray(question)) {
+    return [{ label: 'Rating', question, weight: 1 }];
+  }
+  return question.map(c => ({ label: c.label, question: c.question, weight: c.weight ?? 1 }));
+}
+
+/**
+ * Combines the criteria into weighted composite ratings. The i-th valid rating
+ * of every criterion forms the i-th composite rating, so each variant gets as many
+ * composite ratings as its least-rated criterion.
+ */
+function compositeRatings(ratings, criteria) {
+  const totalWeight = criteria.reduce((sum, c) => sum + c.weight, 0);
+  return ratings[0].map((_, v) => {
+    const n = Math.min(...ratings.map(criterion => criterion[v].length));
+    return Array.from({ length: n }, (_, i) =>
+      criteria.reduce((sum, c, index) => sum + c.weight * ratings[index][v][i], 0) / totalWeight
+    );
+  });
+}
+
+function summarizeVariants(variants, ratings, failures) {
+  return variants.map((variant, v) => ({
+    label: variant.label,
+    ratings: ratings[v],
+    mean: mean(ratings[v]),
+    std: standardDeviation(ratings[v]),
+    failures: failures[v],
+  }));
+}
+
+/**
+ * Analyzes every criterion separately and corrects their p-values for multiplicity.
+ * Each criterion is judged on its main test: the two-variant comparison, or the ANOVA.
+ */
+function analyzeCriteria(config, ratings, failures) {
+  const { variants, criteria, options } = config;
+  const labels = variants.map(v => v.label);
+
+  const analyses = criteria.map((criterion, c) => ({
+    ...criterion,
+    variants: summarizeVariants(variants, ratings[c], failures[c]),
+    ...analyze(ratings[c], labels, options),
+  }));
+
+  const pValues = analyses.map(a => (a.statistics ?? a.anova).pValue);
+  const adjusted = CORRECTIONS[options.correction].run(pValues);
+  return analyses.map((analysis, c) => ({
+    ...analysis,
+    pValue: pValues[c],
+    adjustedPValue: adjusted[c],
+    isSignificant: adjusted[c] < options.alpha,
+  }));
+}
+
+/**
+ * Analyzes a judge panel: results for each judge, the variant effect with judges as
+ * blocks, and the agreement between judges. Agreement is computed on each judge's
+ * mean rating of each variant, with the variants as the rated targets.
+ */
+function analyzePanel(config, collected, providers) {
+  const { variants, judges, options } = config;
+  const { judgeRatings, judgeFailures } = collected;
+  const labels = variants.map(v => v.label);
+
+  const blocked = blockedANOVA(judgeRatings, { alpha: options.alpha });
+  const table = labels.map((_, v) => blocked.cellMeans.map(row => row[v]));
+
+  return {
+    judges: judges.map((judge, j) => ({
+      label: judge.label,
+      provider: providers[j].getInfo(),
+      variants: summarizeVariants(variants, judgeRatings[j], judgeFailures[j]),
+      ...analyze(judgeRatings[j], labels, options),
+    })),
+    blocked,
+    agreement: {
+      krippendorffAlpha: krippendorffAlpha(table),
+      icc: intraclassCorrelation(table),
+    },
+  };
+}
+
+/**
+ * Builds the results object from the ratings collected for each criterion and variant.
+ * With several criteria, the top-level analysis is of the weighted composite score.
+ * With a judge panel, the variants summarize every judge's ratings and the analysis
+ * is in the panel results, since pooling the judges would ignore their differences.
+ */
+function buildResults(config, collected, providers, partial, monitor) {
+  const { variants, options } = config;
+  const { ratings, failures, samples } = collected;
+  const multiCriteria = ratings.length > 1;
+
+  // Failures are reported per variant across all criteria
+  const totalFailures = variants.map((_, v) => failures.reduce((total, criterion) => ({
+    invalid: total.invalid + criterion[v].invalid,
+    failed: total.failed + criterion[v].failed,
+    retries: total.retries + criterion[v].retries,
+    timeouts: total.timeouts + criterion[v].timeouts,
+  }), { invalid: 0, failed: 0, retries: 0, timeouts: 0 }));
+
+  const scores = multiCriteria ? compositeRatings(ratings, config.criteria) : ratings[0];
+  const panel = config.judges ? analyzePanel(config, collected, providers) : null;
+
+  return {
+    variants: summarizeVariants(variants, scores, totalFailures),
+    samples,
+    ...(panel
+      ? {
+        test: options.test,
+        alpha: options.alpha,
+        statistics: null,
+        power: null,
+        equivalence: null,
+        anova: null,
+        pairwise: null,
+        bayesian: null,
+        diagnostics: null,
+      }
+      : analyze(scores, variants.map(v => v.label), options)),
+    criteria: multiCriteria ? analyzeCriteria(config, ratings, failures) : null,
+    sequential: monitor?.summary() ?? null,
+    panel,
+    provider: providers[0].getInfo(),
+    partial,
+    completedAt: new Date().toISOString(),
+    config,
+  };
+}
+
+/**
+ * Comparison queries for every pair of variants. Each pair is shown in both orders
+ * equally often (up to one query for odd sample sizes) so a judge's preference for
+ * one position cancels out of the win counts.
+ */
+function comparisonQueries(variantCount, sampleSize) {
+  const queries = [];
+  for (let i = 0; i < variantCount; i++) {
+    for (let j = i + 1; j < variantCount; j++) {
+      for (let k = 0; k < sampleSize; k++) {
+        queries.push(k % 2 === 0 ? { first: i, second: j } : { first: j, second: i });
+      }
+    }
+  }
+  return queries;
+}
+
+/**
+ * Whether every pair of variants has at least one decided comparison
+ */
+function hasEnoughComparisons(wins) {
+  return wins.every((row, i) => row.every((count, j) => i === j || count + wins[j][i] > 0));
+}
+
+/**
+ * Analyzes pairwise preferences: the sign test for two variants, Holm-corrected sign
+ * tests between every pair for more, and Bradley-Terry strengths for ranking. The share
+ * of comparisons won by the image shown first measures the judge's position bias.
+ */
+function analyzePreferences(wins, position, { alpha, alternative }) {
+  return {
+    test: 'sign',
+    alpha,
+    statistics: wins.length === 2
+      ? binomialTest(wins[0][1], wins[0][1] + wins[1][0], { alpha, alternative })
+      : null,
+    anova: null,
+    pairwise: wins.length > 2 ? pairwisePreferences(wins, { alpha }) : null,
+    strengths: bradleyTerry(wins),
+    positionBias: binomialTest(position.firstWins, position.decided, { alpha }),
+  };
+}
+
+/**
+ * Builds the results object of a pairwise preference run. Failures are counted
+ * for both variants of a comparison.
+ */
+function buildPreferenceResults(config, collected, provider, partial) {
+  const { wins, position, failures, samples } = collected;
+  const { strengths, ...analysis } = analyzePreferences(wins, position, config.options);
+
+  return {
+    mode: 'preference',
+    variants: config.variants.map((variant, v) => {
+      const won = wins[v].reduce((sum, count) => sum + count, 0);
+      const lost = wins.reduce((sum, row) => sum + row[v], 0);
+      return {
+        label: variant.label,
+        wins: won,
+        losses: lost,
+        winRate: won / (won + lost),
+        strength: strengths[v],
+        failures: failures[0][v],
+      };
+    }),
+    samples,
+    wins,
+    ...analysis,
+    criteria: null,
+    sequential: null,
+    provider: provider.getInfo(),
+    partial,
+    completedAt: new Date().toISOString(),
+    config,
+  };
+}
+
+/**
+ * One run of an experiment. Create it with the experiment's settings, then call run();
+ * pause, resume and cancel control it while it runs.
+ */
+export class Experiment {
+  /**
+   * @param {Array<{label: string, image: string, prompt?: Object}>} variants - Variants with their images as
+   *   data URLs. A variant with a prompt template is rated with that prompt instead of the provider's, so
+   *   variants that share one image and differ in their prompts compare the prompts.
+   * @param {string|Object[]} question - A question, or criteria with a label, question and optional weight
+   * @param {string} providerName - Name of the provider
+   * @param {Object} providerConfig - Provider-specific configuration
+   * @param {number} sampleSize - Queries per variant, or comparisons per pair in preference mode
+   * @param {Object} options - Concurrency, retries, test and analysis options, mode, judges, cache and seed
+   */
+  constructor(variants, question, providerName = 'mock', providerConfig = {}, sampleSize = 50, options = {}) {
+    const {
+      concurrency = 4,
+      timeout = 60000,
+      retries = 3,
+      test = 'welch',
+      alpha = 0.05,
+      alternative = 'two-sided',
+      sequential = null,
+      power = 0.8,
+      plannedEffect = null,
+      equivalence = null,
+      bayesian = null,
+      correction = 'holm',
+      mode = 'rating',
+      judges = null,
+      cache = 'off',
+      seed = null,
+    } = options;
+
+    this.criteria = toCriteria(question);
+    this.preference = mode === 'preference';
+
+    // A judge panel has several provider/model combinations rate every variant;
+    // otherwise the single provider is the only judge
+    this.panel = Array.isArray(judges) && judges.length > 1;
+    this.raters = this.panel
+      ? judges.map((judge, j) => ({ ...judge, label: judge.label ?? `Judge ${j + 1}` }))
+      : [{ label: null, providerName, providerConfig }];
+
+    this.total = this.preference
+      ? sampleSize * (variants.length * (variants.length - 1)) / 2
+      : sampleSize * variants.length * this.criteria.length * this.raters.length;
+
+    // Everything needed to re-run the experiment with identical settings
+    this.config = {
+      variants,
+      question: this.criteria.length === 1
+        ? this.criteria[0].question
+        : this.criteria.map(c => `${c.label}: ${c.question}`).join('\n'),
+      criteria: this.criteria.length > 1 ? this.criteria : null,
+      judges: this.panel ? this.raters : null,
+      providerName,
+      providerConfig,
+      sampleSize,
+      options: {
+        concurrency,
+        timeout,
+        retries,
+        test,
+        alpha,
+        alternative,
+        sequential,
+        power,
+        plannedEffect,
+        equivalence,
+        bayesian,
+        correction,
+        mode,
+        cache,
+        seed,
+      },
+    };
+
+    this.controller = new AbortController();
+    this.schedulers = [];
+    this.cancelRequest = null;
+  }
+
+  /**
+   * Run every query and analyze the results
+   * @param {Object} options
+   * @param {Function} options.onProgress - Called with { current, total } after each query
+   * @param {Object} options.cacheStore - Store for the response cache; defaults to IndexedDB
+   * @param {Scheduler[]} options.schedulers - Schedulers shared with other runs, one per judge;
+   *   by default the run creates its own with the concurrency option
+   * @returns {Promise<Object|null>} The results, or null when the run was cancelled without keeping partial results
+   */
+  async run({ onProgress, cacheStore, schedulers: shared = null } = {}) {
+    const { config, criteria, preference, panel, raters, controller } = this;
+    const { variants, providerName, sampleSize } = config;
+    const { concurrency, timeout, retries, alpha, alternative, sequential, cache, seed } = config.options;
+
+    // Ratings and failures are kept per criterion, then per variant
+    const ratings = criteria.map(() => variants.map(() => []));
+    const failures = criteria.map(() => variants.map(() => ({ invalid: 0, failed: 0, retries: 0, timeouts: 0 })));
+    // A judge panel also keeps each judge's ratings and failures per variant
+    const judgeRatings = raters.map(() => variants.map(() => []));
+    const judgeFailures = raters.map(() => variants.map(() => ({ invalid: 0, failed: 0, retries: 0, timeouts: 0 })));
+    const samples = [];
+    // In preference mode wins[i][j] counts how often variant i was preferred over variant j
+    const wins = variants.map(() => variants.map(() => 0));
+    const position = { firstWins: 0, decided: 0 };
+    const collected = { ratings, failures, judgeRatings, judgeFailures, samples, wins, position };
+    let providers = [];
+
+    // Valid ratings and samples are kept in the slot of their query in the shuffled order,
+    // and compacted into the arrays above in that order rather than in completion order,
+    // so a replayed run analyzes the same ratings in the same order as the recorded one
+    const ratingSlots = [];
+    const sampleSlots = [];
+    const compact = () => {
+      [...ratings, ...judgeRatings].forEach(perVariant => perVariant.forEach(r => { r.length = 0; }));
+      ratingSlots.forEach(({ c, v, j, rating }) => {
+        ratings[c][v].push(rating);
+        if (panel) judgeRatings[j][v].push(rating);
+      });
+      samples.splice(0, samples.length, ...sampleSlots.filter(Boolean));
+    };
+
+    let completed = 0;
+    const advance = () => onProgress?.({ current: ++completed, total: this.total });
+
+    // Sequential mode treats the sample size as a maximum and may stop at an interim look
+    const monitor = sequential && !preference && !panel && variants.length === 2 && criteria.length === 1
+      ? new SequentialMonitor({ ...sequential, maxSampleSize: sampleSize, alpha, alternative })
+      : null;
+
+    // Every judge of a panel needs enough ratings of every variant, like a criterion
+    const isEnough = () => (preference
+      ? hasEnoughComparisons(wins)
+      : hasEnoughRatings(panel ? judgeRatings : ratings));
+    const build = (partial) => (preference
+      ? buildPreferenceResults(config, collected, providers[0], partial)
+      : buildResults(config, collected, providers, partial, monitor));
+
+    try {
+      if (panel && (preference || criteria.length > 1)) {
+        throw new Error('Judge panels rate the variants on a single question in absolute rating mode.');
+      }
+      if (preference && criteria.length > 1) {
+        throw new Error('Pairwise preference experiments judge the variants on a single question.');
+      }
+      if (preference && variants.some(v => v.prompt)) {
+        throw new Error('Prompt variants are compared in absolute rating mode.');
+      }
+      if (config.options.equivalence && !(config.options.equivalence.margin > 0)) {
+        throw new Error('The equivalence margin must be greater than zero.');
+      }
+
+      const connect = (rater, prompt) => {
+        const provider = getProvider(rater.providerName, prompt ? { ...rater.providerConfig, prompt } : rater.providerConfig);
+        return cache === 'off' ? provider : new CachedProvider(provider, { mode: cache, ...(cacheStore && { store: cacheStore }) });
+      };
+      providers = raters.map(rater => connect(rater));
+      // Each judge rates a variant with a prompt template through a provider using that template
+      const variantProviders = raters.map((rater, j) => variants.map(variant => (
+        variant.prompt ? connect(rater, variant.prompt) : providers[j]
+      )));
+
+      // Check if every provider is available
+      for (const [j, provider] of providers.entries()) {
+        if (!(await provider.isAvailable())) {
+          const name = raters[j].label ?? raters[j].providerName;
+          throw new Error(`Provider "${name}" is not available. Make sure the service is running.`);
+        }
+      }
+      const scales = new Set(providers.map(p => JSON.stringify(p.ratingOptions.scale)));
+      if (panel && scales.size > 1) {
+        throw new Error('Every judge of a panel must use the same rating scale.');
+      }
+      const [provider] = providers;
+      if (preference && !supportsComparison(providerName)) {
+        throw new Error(`Provider "${providerName}" does not support pairwise preference experiments.`);
+      }
+
+      // Interleave queries for all variants and criteria (or pairs and orders) in random
+      // order so every arm is sampled under the same conditions over the course of the run.
+      // A run seed fixes the order, so a replayed run makes its queries in the same sequence.
+      const queries = shuffle(preference
+        ? comparisonQueries(variants.length, sampleSize).map(query => ({ ...query, j: 0 }))
+        : raters.flatMap((rater, j) => criteria.flatMap((criterion, c) =>
+          variants.flatMap((variant, v) => Array.from({ length: sampleSize }, () => ({ c, v, j })))
+        )), seed === null ? Math.random : createRandom(deriveSeed(seed, 'queries')));
+
+      // Each judge's provider gets its own concurrency and rate limit. Shared schedulers
+      // are not cleared on abort, since they hold other runs' queries too; they drop this
+      // run's queued queries by its signal instead.
+      const schedulers = shared ?? providers.map(p => new Scheduler({ concurrency, rateLimit: p.rateLimit }));
+      this.schedulers = schedulers;
+      controller.signal.throwIfAborted();
+      if (!shared) {
+        controller.signal.addEventListener('abort', () => {
+          schedulers.forEach(scheduler => scheduler.clear(controller.signal.reason));
+        });
+      }
+
+      const compare = async ({ first, second }, index) => {
+        const startedAt = Date.now();
+        const outcome = await compareWithRetry(
+          provider, variants[first].image, variants[second].image, criteria[0].question,
+          { signal: controller.signal, timeout, retries }
+        );
+
+        let winner = null;
+        if (outcome.status === 'ok') {
+          winner = outcome.choice === 'first' ? first : second;
+          wins[winner][winner === first ? second : first]++;
+          position.decided++;
+          if (outcome.choice === 'first') position.firstWins++;
+        }
+        [first, second].forEach(v => {
+          if (outcome.status !== 'ok') failures[0][v][outcome.status]++;
+          failures[0][v].retries += outcome.retries;
+          failures[0][v].timeouts += outcome.timeouts;
+        });
+
+        sampleSlots[index] = {
+          first,
+          second,
+          timestamp: new Date(startedAt).toISOString(),
+          latencyMs: Date.now() - startedAt,
+          status: outcome.status,
+          choice: outcome.choice,
+          winner,
+          response: outcome.response,
+          error: outcome.error,
+          retries: outcome.retries,
+          timeouts: outcome.timeouts,
+        };
+
+        advance();
+      };
+
+      const rate = async ({ c, v, j }, index) => {
+        const startedAt = Date.now();
+        const outcome = await rateWithRetry(variantProviders[j][v], variants[v].image, criteria[c].question, {
+          signal: controller.signal,
+          timeout,
+          retries,
+          criterion: criteria[c].label,
+        });
+
+        // Queries that finish after an early stop are not part of the analysis
+        if (monitor?.decision) return;
+
+        // Invalid and failed queries are counted but excluded from the statistics
+        if (outcome.status === 'ok') {
+          ratingSlots[index] = { c, v, j, rating: outcome.rating };
+        }
+        const record = (variantFailures) => {
+          if (outcome.status !== 'ok') variantFailures[outcome.status]++;
+          variantFailures.retries += outcome.retries;
+          variantFailures.timeouts += outcome.timeouts;
+        };
+        record(failures[c][v]);
+        if (panel) record(judgeFailures[j][v]);
+
+        // Keep every query, valid or not, so the run can be audited later
+        sampleSlots[index] = {
+          variant: v,
+          ...(criteria.length > 1 && { criterion: c }),
+          ...(panel && { judge: j }),
+          timestamp: new Date(startedAt).toISOString(),
+          latencyMs: Date.now() - startedAt,
+          status: outcome.status,
+          rating: outcome.rating,
+          response: outcome.response,
+          error: outcome.error,
+          retries: outcome.retries,
+          timeouts: outcome.timeouts,
+        };
+
+        advance();
+
+        // Abort the remaining queries once an interim look stops for efficacy or futility
+        if (outcome.status === 'ok' && monitor) {
+          compact();
+          if (monitor.check(ratings[0]) && monitor.decision) controller.abort();
+        }
+      };
+
+      await Promise.all(queries.map((query, index) => schedulers[query.j].run(() => (
+        preference ? compare(query, index) : rate(query, index)
+      ), { signal: controller.signal })));
+      compact();
+
+      if (!isEnough()) {
+        throw new Error(preference
+          ? 'Not enough valid comparisons were collected for analysis. Check the query reliability of the provider.'
+          : 'Not enough valid ratings were collected for analysis. Check the query reliability of the provider.');
+      }
+
+      monitor?.finish(ratings[0]);
+      return build(false);
+    } catch (err) {
+      // Stop remaining queries so a failed run doesn't keep hitting the provider
+      controller.abort();
+      compact();
+
+      if (monitor?.decision && !this.cancelRequest) {
+        return build(false);
+      }
+      if (!this.cancelRequest) {
+        throw err;
+      }
+      if (!this.cancelRequest.keepPartial) {
+        return null;
+      }
+      if (providers.length > 0 && isEnough()) {
+        return build(true);
+      }
+      throw new Error('Experiment cancelled before enough ratings were collected for analysis.');
+    }
+  }
+
+  /**
+   * Cancel the run
+   * @param {Object} options
+   * @param {boolean} options.keepPartial - Analyze the ratings collected so far
+   */
+  cancel({ keepPartial = false } = {}) {
+    this.cancelRequest = { keepPartial };
+    this.controller.abort();
+  }
+
+  /**
+   * Stop starting new queries; queries already in flight run to completion
+   */
+  pause() {
+    this.schedulers.forEach(scheduler => scheduler.pause());
+  }
+
+  resume() {
+    this.schedulers.forEach(scheduler => scheduler.resume());
+  }
+}
@@ -0,0 +1,612 @@
+/**
+ * Export and import of experiment results (JSON, CSV, Markdown and HTML reports)
+ */
+
+import {
+  testLabel,
+  statisticRows,
+  hypothesisLabel,
+  sequentialLabel,
+  sequentialLookRows,
+  describeSequentialStop,
+  primaryOutcome,
+  formatPValue,
+  anovaRows,
+  describeUndefinedANOVA,
+  powerRows,
+  equivalenceLabel,
+  equivalenceRows,
+  describeEquivalence,
+  posteriorRows,
+  posteriorPairRows,
+  describeBayesianConclusion,
+  correctionLabel,
+  preferenceRows,
+  describePositionBias,
+  describePreferenceConclusion,
+  blockedRows,
+  agreementRows,
+  describePanelConclusion,
+  describeCache,
+  describePrompt,
+} from './format.js';
+
+export const EXPORT_FORMAT = 'experiment-platform/experiment';
+export const EXPORT_VERSION = 2;
+
+// JSON has no infinite numbers, so one-sided interval bounds and the like are written as
+// { "$number": "Infinity" } and restored on import. Version 1 exports wrote them as null.
+const NON_FINITE = '$number';
+
+function encodeNonFinite(key, value) {
+  return typeof value === 'number' && !Number.isFinite(value) ? { [NON_FINITE]: String(value) } : value;
+}
+
+function decodeNonFinite(key, value) {
+  return value !== null && typeof value === 'object' && Object.keys(value).length === 1 && NON_FINITE in value
+    ? Number(value[NON_FINITE])
+    : value;
+}
+
+/**
+ * Serialize results, including the run config, as versioned JSON
+ */
+export function toJSON(results) {
+  return JSON.stringify({
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    results,
+  }, encodeNonFinite, 2);
+}
+
+/**
+ * Parse results previously exported with toJSON
+ * @throws {Error} If the file is not a supported experiment export
+ */
+export function parseJSON(text) {
+  let data;
+  try {
+    data = JSON.parse(text, decodeNonFinite);
+  } catch {
+    throw new Error('File is not valid JSON.');
+  }
+
+  if (data?.format !== EXPORT_FORMAT) {
+    throw new Error('File is not an experiment export.');
+  }
+  if (typeof data.version !== 'number' || data.version > EXPORT_VERSION) {
+    throw new Error(`Unsupported export version: ${data.version}. This app supports up to version ${EXPORT_VERSION}.`);
+  }
+  if (!Array.isArray(data.results?.variants)) {
+    throw new Error('Export does not contain experiment results.');
+  }
+  return data.results;
+}
+
+/**
+ * Per-query samples, falling back to bare ratings for results recorded before samples were kept
+ */
+function getSamples(results) {
+  if (results.samples) return results.samples;
+  return results.variants.flatMap((variant, v) =>
+    variant.ratings.map(rating => ({ variant: v, status: 'ok', rating }))
+  );
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * One CSV row per comparison with the variants in the order shown, raw response and preferred variant
+ */
+function preferenceCSV(results) {
+  const label = (v) => (v === null ? null : results.variants[v].label);
+  const headers = [
+    'query', 'first', 'second', 'timestamp', 'status', 'choice', 'preferred', 'response',
+    'error', 'retries', 'timeouts', 'latency_ms',
+  ];
+  const rows = results.samples.map((sample, index) => [
+    index + 1,
+    label(sample.first),
+    label(sample.second),
+    sample.timestamp,
+    sample.status,
+    sample.choice,
+    label(sample.winner),
+    sample.response,
+    sample.error,
+    sample.retries,
+    sample.timeouts,
+    sample.latencyMs,
+  ]);
+  return [headers, ...rows].map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+}
+
+/**
+ * One CSV row per query with variant, timestamp, raw response and parsed rating
+ */
+export function toCSV(results) {
+  if (results.mode === 'preference') return preferenceCSV(results);
+
+  const { criteria, panel } = results;
+  const headers = [
+    'query', 'variant', ...(criteria ? ['criterion'] : []), ...(panel ? ['judge'] : []), 'timestamp', 'status', 'rating', 'response',
+    'error', 'retries', 'timeouts', 'latency_ms',
+  ];
+  const rows = getSamples(results).map((sample, index) => [
+    index + 1,
+    results.variants[sample.variant].label,
+    ...(criteria ? [criteria[sample.criterion].label] : []),
+    ...(panel ? [panel.judges[sample.judge].label] : []),
+    sample.timestamp,
+    sample.status,
+    sample.rating,
+    sample.response,
+    sample.error,
+    sample.retries,
+    sample.timeouts,
+    sample.latencyMs,
+  ]);
+  return [headers, ...rows].map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+}
+
+/**
+ * One CSV row per experiment of a batch, with its scores and FDR-adjusted significance
+ * @param {Object} summary - Batch summary from summarizeBatch
+ */
+export function batchCSV(summary) {
+  const headers = ['experiment', 'status', 'scores', 'best', 'p_value', 'adjusted_p_value', 'significant', 'error'];
+  const rows = summary.rows.map(row => [
+    row.name,
+    row.partial ? 'partial' : row.status,
+    row.variants?.map(v => `${v.label}=${v.score.toFixed(3)}`).join('; '),
+    row.best,
+    row.pValue,
+    row.adjustedPValue,
+    row.isSignificant === null ? null : String(row.isSignificant),
+    row.error,
+  ]);
+  return [headers, ...rows].map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+}
+
+/**
+ * Plain-text conclusion of an analysis, matching the one shown in the results view
+ */
+function describeConclusion(analysis, alpha) {
+  const { variants, statistics, anova, pairwise } = analysis;
+
+  if (analysis.equivalence) {
+    const { title, text } = describeEquivalence(analysis.equivalence, variants.map(v => v.label));
+    return `${title}: ${text}`;
+  }
+
+  if (statistics) {
+    const [a, b] = variants;
+    const outcome = primaryOutcome(analysis);
+    const p = outcome.pValue.toFixed(6);
+    const sided = (outcome.adjusted ? ', sequentially adjusted' : '') +
+      (statistics.alternative && statistics.alternative !== 'two-sided'
+        ? `, one-sided: ${hypothesisLabel(statistics.alternative, [a.label, b.label])}`
+        : '');
+    return outcome.isSignificant
+      ? `Statistically significant difference: ${a.label} (M=${a.mean.toFixed(2)}) vs ${b.label} (M=${b.mean.toFixed(2)}), p = ${p} < ${alpha}${sided}.`
+      : `No statistically significant difference between ${a.label} (M=${a.mean.toFixed(2)}) and ${b.label} (M=${b.mean.toFixed(2)}), p = ${p} >= ${alpha}${sided}.`;
+  }
+
+  if (anova.pValue === null) {
+    return describeUndefinedANOVA(anova, variants.map(v => v.label));
+  }
+  const p = anova.pValue.toFixed(6);
+  if (!anova.isSignificant) {
+    return `No statistically significant difference among the ${variants.length} variants, p = ${p} >= ${alpha}.`;
+  }
+  const significantPairs = pairwise.filter(pair => pair.isSignificant).length;
+  return `At least one of the ${variants.length} variants differs from the others, p = ${p} < ${alpha}. ` +
+    `${significantPairs} of ${pairwise.length} pairwise comparisons remain significant after Holm correction.`;
+}
+
+/**
+ * Report blocks for the tests of an analysis: the whole experiment, the composite score, or a criterion
+ */
+function analysisBlocks(analysis, alpha, prefix = '') {
+  const { variants, statistics, anova, pairwise } = analysis;
+  const blocks = [];
+
+  if (analysis.sequential) {
+    blocks.push({ type: 'heading', text: `Sequential Analysis (${sequentialLabel(analysis.sequential)})` });
+    blocks.push({
+      type: 'table',
+      headers: ['Look', 'Ratings', 'Information', 'z', 'Boundary', 'Adjusted p', 'Decision'],
+      rows: sequentialLookRows(analysis.sequential),
+    });
+    blocks.push({ type: 'paragraph', text: describeSequentialStop(analysis.sequential) });
+  }
+
+  if (statistics) {
+    blocks.push({ type: 'heading', text: `${prefix}Statistical Analysis (${testLabel(statistics.test)}, alpha = ${alpha})` });
+    blocks.push({
+      type: 'table',
+      headers: ['Statistic', 'Value'],
+      rows: statisticRows(statistics, variants.map(v => v.label)),
+    });
+  }
+
+  if (analysis.equivalence) {
+    const { equivalence } = analysis;
+    blocks.push({
+      type: 'heading',
+      text: `${prefix}${equivalenceLabel(equivalence.type)} (margin \u00b1${equivalence.margin}, alpha = ${alpha})`,
+    });
+    blocks.push({ type: 'table', headers: ['Statistic', 'Value'], rows: equivalenceRows(equivalence, variants.map(v => v.label)) });
+  }
+
+  if (analysis.power) {
+    blocks.push({ type: 'heading', text: `${prefix}Power Analysis` });
+    blocks.push({ type: 'table', headers: ['Statistic', 'Value'], rows: powerRows(analysis.power) });
+  }
+
+  if (anova) {
+    blocks.push({ type: 'heading', text: `${prefix}Statistical Analysis (Welch ANOVA, alpha = ${alpha})` });
+    blocks.push({
+      type: 'table',
+      headers: ['Statistic', 'Value'],
+      rows: anovaRows(anova),
+    });
+    blocks.push({ type: 'heading', text: `${prefix}Pairwise Comparisons (${testLabel(analysis.test)}, Holm-corrected)` });
+    blocks.push({
+      type: 'table',
+      headers: ['Comparison', 'Mean Diff', 'p-value', 'Adjusted p'],
+      rows: pairwise.map(pair => [
+        `${variants[pair.group1].label} vs ${variants[pair.group2].label}`,
+        (pair.mean1 - pair.mean2).toFixed(2),
+        formatPValue(pair.pValue),
+        formatPValue(pair.adjustedPValue),
+      ]),
+    });
+  }
+
+  if (analysis.bayesian) {
+    const labels = variants.map(v => v.label);
+    const mass = `${Math.round(analysis.bayesian.credibleMass * 100)}%`;
+    blocks.push({ type: 'heading', text: `${prefix}Bayesian Analysis (normal model, ROPE \u00b1${analysis.bayesian.rope})` });
+    blocks.push({
+      type: 'table',
+      headers: ['Variant', 'Posterior Mean', `${mass} Credible Interval`, 'P(Best)', 'Expected Loss'],
+      rows: posteriorRows(analysis.bayesian, labels),
+    });
+    blocks.push({
+      type: 'table',
+      headers: ['Comparison', 'Difference', `${mass} Credible Interval`, 'P(First > Second)', 'P(Within ROPE)', 'Decision'],
+      rows: posteriorPairRows(analysis.bayesian, labels),
+    });
+    blocks.push({ type: 'paragraph', text: describeBayesianConclusion(analysis.bayesian, labels) });
+  }
+
+  return blocks;
+}
+
+/**
+ * Report blocks summarizing each criterion of a multi-criteria run
+ */
+function criteriaBlocks(results, alpha) {
+  const { criteria, variants } = results;
+  const correction = correctionLabel(results.config?.options?.correction);
+  const blocks = [
+    { type: 'heading', text: `Criteria (${correction}-corrected across ${criteria.length} criteria)` },
+    {
+      type: 'table',
+      headers: ['Criterion', 'Weight', ...variants.map(v => v.label), 'p-value', 'Adjusted p'],
+      rows: criteria.map(c => [
+        c.label,
+        c.weight,
+        ...c.variants.map(v => v.mean.toFixed(2)),
+        formatPValue(c.pValue),
+        formatPValue(c.adjustedPValue),
+      ]),
+    },
+  ];
+
+  criteria.forEach(criterion => {
+    blocks.push({ type: 'heading', text: `Criterion: ${criterion.label}` });
+    blocks.push({ type: 'paragraph', text: criterion.question });
+    blocks.push({
+      type: 'table',
+      headers: ['Variant', 'Mean', 'SD', 'Valid'],
+      rows: criterion.variants.map(v => [v.label, v.mean.toFixed(2), v.std.toFixed(2), v.ratings.length]),
+    });
+    blocks.push(...analysisBlocks(criterion, alpha, `${criterion.label}: `));
+    blocks.push({
+      type: 'paragraph',
+      text: `${describeConclusion(criterion, alpha)} After ${correction} correction across criteria: ` +
+        (Number.isFinite(criterion.adjustedPValue)
+          ? `p = ${formatPValue(criterion.adjustedPValue)}, ${criterion.isSignificant ? 'significant' : 'not significant'}.`
+          : 'no p-value to correct.'),
+    });
+  });
+
+  return blocks;
+}
+
+/**
+ * Report blocks for a judge panel: mean ratings per judge, the blocked analysis,
+ * agreement between judges, and each judge's own analysis
+ */
+function panelBlocks(results, alpha) {
+  const { panel, variants } = results;
+  const { blocked } = panel;
+  const blocks = [
+    { type: 'heading', text: `Judge Panel (${panel.judges.length} judges)` },
+    {
+      type: 'table',
+      headers: ['Judge', ...variants.map(v => v.label), 'Judge Mean'],
+      rows: [
+        ...panel.judges.map((judge, j) => [
+          judge.label,
+          ...blocked.cellMeans[j].map(m => m.toFixed(2)),
+          blocked.judgeMeans[j].toFixed(2),
+        ]),
+        ['Panel (judge-averaged)', ...blocked.variantMeans.map(m => m.toFixed(2)), ''],
+      ],
+    },
+    { type: 'heading', text: `Blocked Analysis (two-way ANOVA, alpha = ${alpha})` },
+    { type: 'table', headers: ['Effect', 'F', 'df', 'p-value'], rows: blockedRows(blocked) },
+    { type: 'heading', text: 'Agreement Between Judges' },
+    { type: 'table', headers: ['Statistic', 'Value'], rows: agreementRows(panel.agreement) },
+  ];
+
+  panel.judges.forEach(judge => {
+    blocks.push({ type: 'heading', text: `Judge: ${judge.label}` });
+    blocks.push({
+      type: 'table',
+      headers: ['Variant', 'Mean', 'SD', 'Valid', 'Unparseable', 'Failed'],
+      rows: judge.variants.map(v => [
+        v.label, v.mean.toFixed(2), v.std.toFixed(2), v.ratings.length, v.failures.invalid, v.failures.failed,
+      ]),
+    });
+    blocks.push(...analysisBlocks(judge, alpha, `${judge.label}: `));
+  });
+
+  return blocks;
+}
+
+/**
+ * Report blocks for a pairwise preference run: wins, position bias and sign tests
+ */
+function preferenceBlocks(results, alpha) {
+  const { variants, statistics, pairwise, wins } = results;
+  const blocks = [
+    { type: 'heading', text: 'Variants (Pairwise Preference)' },
+    {
+      type: 'table',
+      headers: ['Variant', 'Wins', 'Losses', 'Win Rate', 'Bradley-Terry Strength', 'Unparseable', 'Failed'],
+      rows: variants.map(v => [
+        v.label,
+        v.wins,
+        v.losses,
+        `${(v.winRate * 100).toFixed(1)}%`,
+        v.strength.toFixed(3),
+        v.failures.invalid,
+        v.failures.failed,
+      ]),
+    },
+    { type: 'heading', text: 'Position Bias' },
+    { type: 'paragraph', text: describePositionBias(results.positionBias) },
+  ];
+
+  if (statistics) {
+    blocks.push({ type: 'heading', text: `Statistical Analysis (Sign Test, alpha = ${alpha})` });
+    blocks.push({
+      type: 'table',
+      headers: ['Statistic', 'Value'],
+      rows: preferenceRows(statistics, variants.map(v => v.label)),
+    });
+  } else {
+    blocks.push({ type: 'heading', text: 'Pairwise Preferences (Sign Test, Holm-corrected)' });
+    blocks.push({
+      type: 'table',
+      headers: ['Comparison', 'Wins', 'p-value', 'Adjusted p'],
+      rows: pairwise.map(pair => [
+        `${variants[pair.group1].label} vs ${variants[pair.group2].label}`,
+        `${wins[pair.group1][pair.group2]} - ${wins[pair.group2][pair.group1]}`,
+        pair.pValue.toFixed(6),
+        pair.adjustedPValue.toFixed(6),
+      ]),
+    });
+  }
+
+  blocks.push({ type: 'heading', text: 'Conclusion' });
+  blocks.push({ type: 'paragraph', text: describePreferenceConclusion(results, alpha) });
+  return blocks;
+}
+
+/**
+ * Build the report as a list of format-independent blocks
+ */
+function buildReport(results) {
+  const { config, variants, provider, criteria, panel } = results;
+  const preference = results.mode === 'preference';
+  const alpha = results.alpha ?? 0.05;
+  const reproducibility = describeCache(provider, config?.options?.seed);
+  const blocks = [{ type: 'title', text: 'Experiment Report' }];
+
+  blocks.push({
+    type: 'list',
+    items: [
+      ['Date', results.completedAt ? new Date(results.completedAt).toLocaleString() : 'Unknown'],
+      ['Question', config?.question ?? 'Unknown'],
+      panel
+        ? ['Judges', panel.judges.map(judge => judge.label).join(', ')]
+        : ['Provider', provider ? `${provider.name}${provider.model ? ` (${provider.model})` : ''}` : 'Unknown'],
+      ...(preference
+        ? [['Mode', 'Pairwise preference'], ['Comparisons per pair', config?.sampleSize ?? 'Unknown']]
+        : [[panel ? 'Queries per variant and judge' : 'Queries per variant', config?.sampleSize ?? 'Unknown']]),
+      ...(provider?.scale && !preference ? [['Rating scale', `${provider.scale.min}-${provider.scale.max}`]] : []),
+      ...(provider?.parser ? [['Response parser', provider.parser]] : []),
+      ...(describePrompt(config) ? [['Prompt', describePrompt(config)]] : []),
+      ...(reproducibility ? [['Reproducibility', reproducibility]] : []),
+      ...(results.partial ? [['Note', 'Partial results: the experiment was stopped early']] : []),
+    ],
+  });
+
+  if (preference) {
+    return [...blocks, ...preferenceBlocks(results, alpha)];
+  }
+
+  blocks.push({
+    type: 'heading',
+    text: criteria ? 'Variants (Composite Score)' : panel ? 'Variants (All Judges)' : 'Variants',
+  });
+  blocks.push({
+    type: 'table',
+    headers: ['Variant', 'Mean', 'SD', 'Valid', 'Unparseable', 'Failed'],
+    rows: variants.map((v, index) => [
+      v.label,
+      v.mean.toFixed(2),
+      v.std.toFixed(2),
+      criteria ? criteria.reduce((sum, c) => sum + c.variants[index].ratings.length, 0) : v.ratings.length,
+      v.failures?.invalid ?? 0,
+      v.failures?.failed ?? 0,
+    ]),
+  });
+
+  if (config?.variants?.some(v => v.prompt)) {
+    blocks.push({ type: 'heading', text: 'Prompts' });
+    blocks.push({
+      type: 'table',
+      headers: ['Variant', 'System prompt', 'Prompt', 'Examples'],
+      rows: config.variants.map(v => [
+        v.label,
+        v.prompt?.system || '-',
+        v.prompt?.template ?? 'Default',
+        v.prompt?.examples?.length ?? 0,
+      ]),
+    });
+  }
+
+  blocks.push(...analysisBlocks(results, alpha, criteria ? 'Composite: ' : ''));
+  if (criteria) {
+    blocks.push(...criteriaBlocks(results, alpha));
+  }
+  if (panel) {
+    blocks.push(...panelBlocks(results, alpha));
+  }
+
+  blocks.push({ type: 'heading', text: 'Conclusion' });
+  blocks.push({
+    type: 'paragraph',
+    text: panel ? describePanelConclusion(results, alpha) : describeConclusion(results, alpha),
+  });
+  if (criteria) {
+    const significant = criteria.filter(c => c.isSignificant).length;
+    blocks.push({
+      type: 'paragraph',
+      text: `The conclusion above is for the weighted composite score. ${significant} of ${criteria.length} ` +
+        `criteria show a significant difference after ${correctionLabel(config?.options?.correction)} correction.`,
+    });
+  }
+
+  return blocks;
+}
+
+function markdownCell(value) {
+  return String(value).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
+
+/**
+ * Markdown summary suitable for pasting into design reviews
+ */
+export function toMarkdownReport(results) {
+  return buildReport(results).map(block => {
+    switch (block.type) {
+      case 'title':
+        return `# ${block.text}`;
+      case 'heading':
+        return `## ${block.text}`;
+      case 'list':
+        return block.items.map(([label, value]) => `- **${label}:** ${markdownCell(value)}`).join('\n');
+      case 'table':
+        return [
+          `| ${block.headers.join(' | ')} |`,
+          `| ${block.headers.map(() => '---').join(' | ')} |`,
+          ...block.rows.map(row => `| ${row.map(markdownCell).join(' | ')} |`),
+        ].join('\n');
+      default:
+        return block.text;
+    }
+  }).join('\n\n') + '\n';
+}
+
+function escapeHTML(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Standalone HTML summary with the same content as the Markdown report
+ */
+export function toHTMLReport(results) {
+  const body = buildReport(results).map(block => {
+    switch (block.type) {
+      case 'title':
+        return `<h1>${escapeHTML(block.text)}</h1>`;
+      case 'heading':
+        return `<h2>${escapeHTML(block.text)}</h2>`;
+      case 'list':
+        return `<ul>${block.items
+          .map(([label, value]) => `<li><strong>${escapeHTML(label)}:</strong> ${escapeHTML(value)}</li>`)
+          .join('')}</ul>`;
+      case 'table':
+        return `<table><thead><tr>${block.headers.map(h => `<th>${escapeHTML(h)}</th>`).join('')}</tr></thead>` +
+          `<tbody>${block.rows
+            .map(row => `<tr>${row.map(cell => `<td>${escapeHTML(cell)}</td>`).join('')}</tr>`)
+            .join('')}</tbody></table>`;
+      default:
+        return `<p>${escapeHTML(block.text)}</p>`;
+    }
+  }).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8" />
+<title>Experiment Report</title>
+<style>
+  body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 800px; margin: 40px auto; color: #333; }
+  table { border-collapse: collapse; width: 100%; margin-bottom: 16px; }
+  th, td { border-bottom: 1px solid #eee; padding: 6px 8px; text-align: left; }
+  th { color: #666; }
+</style>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+/**
+ * File name for an export, based on when the experiment completed
+ */
+export function exportFilename(results, extension) {
+  const stamp = (results.completedAt ?? new Date().toISOString()).replace(/[:.]/g, '-');
+  return `experiment-${stamp}.${extension}`;
+}
+
+/**
+ * Trigger a browser download of text content
+ */
+export function downloadFile(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
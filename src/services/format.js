@@ -0,0 +1,537 @@
+/**
+ * Display formatting of statistical test results, shared by the results view and reports
+ */
+
+import { TESTS, CORRECTIONS, EQUIVALENCE_TYPES } from './statistics.js';
+import { SPENDING_FUNCTIONS } from './sequential.js';
+
+/**
+ * Human-readable name of a test. Results saved before tests were selectable used Welch's t-test.
+ */
+export function testLabel(test = 'welch') {
+  return TESTS[test]?.label ?? test;
+}
+
+/**
+ * Human-readable name of a multiple-comparison correction
+ */
+export function correctionLabel(correction = 'holm') {
+  return CORRECTIONS[correction]?.label ?? correction;
+}
+
+/**
+ * The hypothesis a test's alternative stands for, in terms of the variant labels
+ */
+export function hypothesisLabel(alternative = 'two-sided', [label1, label2]) {
+  if (alternative === 'greater') return `${label1} > ${label2}`;
+  if (alternative === 'less') return `${label1} < ${label2}`;
+  return `${label1} \u2260 ${label2}`;
+}
+
+/**
+ * Format a number that may be infinite. Version 1 exports wrote infinite values as null;
+ * outside of interval bounds those were always positive.
+ */
+function formatBound(value, digits) {
+  const bound = value ?? Infinity;
+  if (bound === Infinity) return '\u221e';
+  if (bound === -Infinity) return '-\u221e';
+  return bound.toFixed(digits);
+}
+
+/**
+ * Format a confidence interval, using open brackets for unbounded sides
+ */
+export function formatInterval(interval, digits = 4) {
+  // A null bound in a version 1 export is an unbounded side
+  const lower = interval.lower ?? -Infinity;
+  const upper = interval.upper ?? Infinity;
+  const open = lower === -Infinity ? '(' : '[';
+  const close = upper === Infinity ? ')' : ']';
+  return `${open}${formatBound(lower, digits)}, ${formatBound(upper, digits)}${close}`;
+}
+
+/**
+ * Format a p-value, with a dash for a test that could not be computed
+ */
+export function formatPValue(value, digits = 6) {
+  return Number.isFinite(value) ? value.toFixed(digits) : '-';
+}
+
+const percent = (level) => `${Math.round(level * 100)}%`;
+
+/**
+ * Label/value rows describing a two-sample test result
+ * @param {Object} statistics - Result of compareSamples
+ * @param {string[]} labels - Labels of the two variants compared
+ * @returns {Array<[string, string]>}
+ */
+export function statisticRows(statistics, labels) {
+  const alternative = statistics.alternative && statistics.alternative !== 'two-sided'
+    ? [['Alternative Hypothesis', hypothesisLabel(statistics.alternative, labels)]]
+    : [];
+  return [...alternative, ...testRows(statistics)];
+}
+
+function testRows(statistics) {
+  switch (statistics.test ?? 'welch') {
+    case 'mann-whitney':
+      return [
+        ['U statistic', statistics.uStatistic.toFixed(1)],
+        ['z-score', statistics.zScore.toFixed(4)],
+        ['p-value', statistics.pValue.toFixed(6)],
+        ['Effect Size (rank-biserial r)', statistics.effectSize.toFixed(4)],
+      ];
+    case 'permutation':
+      return [
+        ['Mean Difference', statistics.observedDifference.toFixed(4)],
+        ['Permutations', String(statistics.iterations)],
+        ['p-value', statistics.pValue.toFixed(6)],
+      ];
+    case 'bootstrap':
+      return [
+        ['Mean Difference', statistics.difference.toFixed(4)],
+        [`${percent(statistics.confidence)} Confidence Interval`, formatInterval(statistics)],
+        ['Resamples', String(statistics.iterations)],
+        ['p-value', statistics.pValue.toFixed(6)],
+      ];
+    default:
+      // Results saved before confidence intervals were added only have the test statistics
+      if (!statistics.confidenceInterval) {
+        return [
+          ['t-statistic', statistics.tStatistic.toFixed(4)],
+          ['Degrees of Freedom', statistics.degreesOfFreedom.toFixed(2)],
+          ['p-value', statistics.pValue.toFixed(6)],
+          ["Effect Size (Cohen's d)", statistics.effectSize.toFixed(4)],
+        ];
+      }
+      return [
+        ['Mean Difference', statistics.meanDifference.toFixed(4)],
+        [`${percent(statistics.confidenceLevel)} Confidence Interval`, formatInterval(statistics.confidenceInterval)],
+        // Constant samples leave no sampling error: the difference is exact and has no t or effect size
+        ['t-statistic', statistics.tStatistic === null ? 'none (no variance)' : statistics.tStatistic.toFixed(4)],
+        ['Degrees of Freedom', statistics.degreesOfFreedom.toFixed(2)],
+        ['p-value', statistics.pValue.toFixed(6)],
+        ["Effect Size (Cohen's d)", statistics.effectSize === null ? '-' : statistics.effectSize.toFixed(4)],
+        ["Hedges' g", statistics.hedgesG === null ? '-' : statistics.hedgesG.toFixed(4)],
+        [`Hedges' g ${percent(statistics.confidenceLevel)} CI`, statistics.hedgesGCI ? formatInterval(statistics.hedgesGCI) : '-'],
+      ];
+  }
+}
+
+const SEQUENTIAL_DECISIONS = {
+  continue: 'Continue',
+  efficacy: 'Stop for efficacy',
+  futility: 'Stop for futility',
+  completed: 'Final analysis',
+  untestable: 'Not testable',
+};
+
+/**
+ * Short description of a sequential design
+ */
+export function sequentialLabel(sequential) {
+  return `${SPENDING_FUNCTIONS[sequential.spending]?.label ?? sequential.spending} spending, ` +
+    `up to ${sequential.plannedLooks} looks`;
+}
+
+/**
+ * Table rows for the interim looks of a sequential run
+ * @returns {Array<string[]>} Look, ratings per variant, information fraction, z, boundary, adjusted p and decision
+ */
+export function sequentialLookRows(sequential) {
+  return sequential.looks.map(look => [
+    String(look.look),
+    look.n.join(' / '),
+    `${Math.round(look.fraction * 100)}%`,
+    look.zStatistic === null ? '-' : look.zStatistic.toFixed(3),
+    formatBound(look.boundary, 3),
+    look.pValue === null ? '-' : look.pValue.toFixed(6),
+    SEQUENTIAL_DECISIONS[look.decision],
+  ]);
+}
+
+/**
+ * One-sentence summary of how a sequential run ended
+ */
+export function describeSequentialStop(sequential) {
+  const last = sequential.looks[sequential.looks.length - 1];
+  if (!sequential.decision) {
+    return 'The run was stopped before a sequential decision, so the p-values are not adjusted for the interim looks.';
+  }
+  if (sequential.decision === 'untestable') {
+    return 'The ratings of each variant had no spread, so the sequential test is undefined; ' +
+      'the conclusion rests on the unadjusted test.';
+  }
+  if (!sequential.stoppedEarly) {
+    return `Ran to the maximum sample size; the final analysis is look ${last.look}.`;
+  }
+  const saved = sequential.maxSampleSize * 2 - last.n[0] - last.n[1];
+  return `Stopped early for ${sequential.decision} at look ${last.look} of ${sequential.plannedLooks} ` +
+    `with ${last.n.join(' / ')} ratings, about ${saved} fewer queries than the maximum.`;
+}
+
+/**
+ * The p-value and significance a two-variant conclusion rests on: the
+ * sequentially adjusted ones when a sequential run reached a decision
+ */
+export function primaryOutcome(results) {
+  const { sequential, statistics } = results;
+  if (sequential?.decision && sequential.pValue !== null) {
+    return { pValue: sequential.pValue, isSignificant: sequential.isSignificant, adjusted: true };
+  }
+  return { pValue: statistics.pValue, isSignificant: statistics.isSignificant, adjusted: false };
+}
+
+/**
+ * Label/value rows of a Welch ANOVA, with dashes when a variant without spread left it undefined
+ * @param {Object} anova - Result of welchANOVA
+ * @returns {Array<[string, string]>}
+ */
+export function anovaRows(anova) {
+  return [
+    ['F-statistic', anova.fStatistic === null ? '-' : anova.fStatistic.toFixed(4)],
+    ['Degrees of Freedom', anova.df2 === null ? '-' : `${anova.df1} / ${anova.df2.toFixed(2)}`],
+    ['p-value', formatPValue(anova.pValue)],
+  ];
+}
+
+/**
+ * Why a Welch ANOVA has no p-value
+ * @param {Object} anova - Result of welchANOVA with constant groups
+ * @param {string[]} labels - Labels of the variants
+ */
+export function describeUndefinedANOVA(anova, labels) {
+  const names = anova.constantGroups.map(i => labels[i]);
+  return `Welch's ANOVA is undefined because ${names.join(', ')} received the same rating every time, ` +
+    'and the test weights each variant by the inverse of its variance. The pairwise comparisons still apply; ' +
+    'the Mann-Whitney U and permutation tests also handle variants with constant ratings.';
+}
+
+const percentage = (value) => `${(value * 100).toFixed(1)}%`;
+
+/**
+ * Label/value rows of a post-hoc power analysis
+ * @param {Object} power - Result of powerAnalysis
+ * @returns {Array<[string, string]>}
+ */
+export function powerRows(power) {
+  const target = Math.round(power.targetPower * 100);
+  return [
+    [
+      `Minimum Detectable Effect (${target}% power)`,
+      `${power.mde.toFixed(3)} points` +
+        (power.standardizedMDE !== null ? ` (d = ${power.standardizedMDE.toFixed(2)})` : ''),
+    ],
+    [`Power for Observed Difference (${power.observedEffect.toFixed(3)})`, percentage(power.achievedPower)],
+    ...(power.plannedPower !== null
+      ? [[`Power for Planned Effect (${power.plannedEffect})`, percentage(power.plannedPower)]]
+      : []),
+  ];
+}
+
+/**
+ * Label/value rows describing a sign test of two variants' pairwise preferences
+ * @param {Object} statistics - Result of binomialTest, counting wins of the first variant
+ * @param {string[]} labels - Labels of the two variants compared
+ * @returns {Array<[string, string]>}
+ */
+export function preferenceRows(statistics, labels) {
+  const alternative = statistics.alternative !== 'two-sided'
+    ? [['Alternative Hypothesis', hypothesisLabel(statistics.alternative, labels)]]
+    : [];
+  return [
+    ...alternative,
+    [`${labels[0]} Preferred`, `${statistics.successes} of ${statistics.trials} (${percentage(statistics.proportion)})`],
+    [`${percent(statistics.confidenceLevel)} Confidence Interval`, formatInterval(statistics.confidenceInterval)],
+    ['p-value', statistics.pValue.toFixed(6)],
+  ];
+}
+
+/**
+ * One-sentence summary of how often the image shown first won its comparisons
+ */
+export function describePositionBias(positionBias) {
+  const share = `The image shown first won ${positionBias.successes} of ${positionBias.trials} ` +
+    `comparisons (${percentage(positionBias.proportion)}, p = ${positionBias.pValue.toFixed(6)})`;
+  return positionBias.isSignificant
+    ? `${share}: the judge is biased towards one position. Every pair was shown in both orders equally often, so the bias cancels out of the win counts, but it makes each judgement noisier.`
+    : `${share}: no significant position bias.`;
+}
+
+/**
+ * Plain-text conclusion of a pairwise preference run
+ */
+export function describePreferenceConclusion(results, alpha) {
+  const { variants, statistics, pairwise } = results;
+
+  if (statistics) {
+    const [a, b] = variants;
+    const preferred = `${a.label} was preferred over ${b.label} in ${statistics.successes} of ${statistics.trials} ` +
+      `comparisons (${percentage(statistics.proportion)})`;
+    const sided = statistics.alternative !== 'two-sided'
+      ? `, one-sided: ${hypothesisLabel(statistics.alternative, [a.label, b.label])}`
+      : '';
+    return statistics.isSignificant
+      ? `Statistically significant preference: ${preferred}, p = ${statistics.pValue.toFixed(6)} < ${alpha}${sided}.`
+      : `No statistically significant preference: ${preferred}, p = ${statistics.pValue.toFixed(6)} >= ${alpha}${sided}.`;
+  }
+
+  const ranking = [...variants]
+    .sort((x, y) => y.strength - x.strength)
+    .map(v => `${v.label} (${v.strength.toFixed(3)})`)
+    .join(', ');
+  const significant = pairwise.filter(pair => pair.isSignificant).length;
+  return `${significant} of ${pairwise.length} pairwise preferences are statistically significant after Holm ` +
+    `correction (alpha = ${alpha}). Bradley-Terry ranking: ${ranking}.`;
+}
+
+/**
+ * Human-readable name of an equivalence test
+ */
+export function equivalenceLabel(type = 'equivalence') {
+  return EQUIVALENCE_TYPES[type]?.label ?? type;
+}
+
+/**
+ * Label/value rows of an equivalence or non-inferiority test
+ * @param {Object} equivalence - Result of equivalenceTest
+ * @param {string[]} labels - Labels of the two variants compared
+ * @returns {Array<[string, string]>}
+ */
+export function equivalenceRows(equivalence, labels) {
+  const { margin } = equivalence;
+  const t = (test) => (test.tStatistic === null ? '-' : test.tStatistic.toFixed(4));
+  return [
+    [
+      'Hypothesis',
+      equivalence.type === 'equivalence'
+        ? `|${labels[0]} - ${labels[1]}| < ${margin}`
+        : `${labels[0]} - ${labels[1]} > -${margin}`,
+    ],
+    ['Mean Difference', equivalence.difference.toFixed(4)],
+    [`${percent(equivalence.confidenceLevel)} Confidence Interval`, formatInterval(equivalence.confidenceInterval)],
+    [`Lower Test (difference > -${margin})`, `t = ${t(equivalence.lower)}, p = ${equivalence.lower.pValue.toFixed(6)}`],
+    ...(equivalence.upper
+      ? [[`Upper Test (difference < ${margin})`, `t = ${t(equivalence.upper)}, p = ${equivalence.upper.pValue.toFixed(6)}`]]
+      : []),
+    ['p-value', equivalence.pValue.toFixed(6)],
+    ['Difference Test p-value', Number.isFinite(equivalence.differencePValue) ? equivalence.differencePValue.toFixed(6) : '-'],
+  ];
+}
+
+/**
+ * Heading and plain-text explanation of an equivalence test's conclusion
+ * @param {Object} equivalence - Result of equivalenceTest
+ * @param {string[]} labels - Labels of the two variants compared
+ * @returns {{ title: string, text: string }}
+ */
+export function describeEquivalence(equivalence, [a, b]) {
+  const { margin, alpha, pValue, differencePValue } = equivalence;
+  const interval = `${percent(equivalence.confidenceLevel)} CI ${formatInterval(equivalence.confidenceInterval, 2)}`;
+  const p = (value) => (Number.isFinite(value) ? value.toFixed(6) : '-');
+
+  if (equivalence.type === 'non-inferiority') {
+    return {
+      'non-inferior': {
+        title: 'Non-inferior',
+        text: `${a} is not worse than ${b} by ${margin} points or more (p = ${p(pValue)} < ${alpha}, ${interval}).`,
+      },
+      different: {
+        title: 'Inferior',
+        text: `${a} is rated significantly lower than ${b} (p = ${p(differencePValue)} < ${alpha}), and non-inferiority ` +
+          `within ${margin} points could not be shown (p = ${p(pValue)}, ${interval}).`,
+      },
+      inconclusive: {
+        title: 'Inconclusive',
+        text: `Non-inferiority of ${a} within ${margin} points could not be shown (p = ${p(pValue)} >= ${alpha}, ${interval}), ` +
+          `but ${a} is not significantly worse either. More ratings are needed to tell.`,
+      },
+    }[equivalence.conclusion];
+  }
+
+  return {
+    equivalent: {
+      title: 'Equivalent',
+      text: `${a} and ${b} differ by less than ${margin} points (TOST p = ${p(pValue)} < ${alpha}, ${interval}).` +
+        (differencePValue < alpha ? ' The difference is statistically significant but too small to matter.' : ''),
+    },
+    different: {
+      title: 'Different',
+      text: `${a} and ${b} differ significantly (p = ${p(differencePValue)} < ${alpha}), and equivalence within ` +
+        `${margin} points could not be shown (TOST p = ${p(pValue)}, ${interval}).`,
+    },
+    inconclusive: {
+      title: 'Inconclusive',
+      text: `Neither a difference (p = ${p(differencePValue)}) nor equivalence within ${margin} points ` +
+        `(TOST p = ${p(pValue)}, ${interval}) could be shown at alpha = ${alpha}. More ratings are needed to tell.`,
+    },
+  }[equivalence.conclusion];
+}
+
+/**
+ * Short label of a pair's ROPE decision
+ * @param {string} decision - 'equivalent', 'first', 'second' or 'undecided'
+ * @param {string[]} labels - Labels of the two variants of the pair
+ */
+export function ropeDecisionLabel(decision, [label1, label2]) {
+  return {
+    equivalent: 'Practically equivalent',
+    first: `${label1} better`,
+    second: `${label2} better`,
+    undecided: 'Undecided',
+  }[decision];
+}
+
+/**
+ * Table rows of the posterior of each variant's mean
+ * @param {Object} bayesian - Result of bayesianAnalysis
+ * @param {string[]} labels - Variant labels
+ * @returns {Array<string[]>} Variant, posterior mean, credible interval, probability of being best and expected loss
+ */
+export function posteriorRows(bayesian, labels) {
+  return bayesian.variants.map((v, index) => [
+    labels[index],
+    v.mean.toFixed(3),
+    formatInterval(v, 3),
+    percentage(v.probabilityBest),
+    v.expectedLoss.toFixed(3),
+  ]);
+}
+
+/**
+ * Table rows of the posterior differences between variants
+ * @param {Object} bayesian - Result of bayesianAnalysis
+ * @param {string[]} labels - Variant labels
+ * @returns {Array<string[]>} Comparison, difference, credible interval, P(first > second), mass inside the ROPE and decision
+ */
+export function posteriorPairRows(bayesian, labels) {
+  return bayesian.pairs.map((pair) => {
+    const pairLabels = [labels[pair.group1], labels[pair.group2]];
+    return [
+      `${pairLabels[0]} vs ${pairLabels[1]}`,
+      pair.difference.toFixed(3),
+      formatInterval(pair, 3),
+      percentage(pair.probabilityGreater),
+      percentage(pair.rope.inside),
+      ropeDecisionLabel(pair.decision, pairLabels),
+    ];
+  });
+}
+
+/**
+ * Plain-text conclusion of a Bayesian analysis: the ROPE decision for two variants,
+ * or the most likely best variant for more
+ * @param {Object} bayesian - Result of bayesianAnalysis
+ * @param {string[]} labels - Variant labels
+ */
+export function describeBayesianConclusion(bayesian, labels) {
+  const rope = `\u00b1${bayesian.rope}`;
+  const mass = percent(bayesian.credibleMass);
+
+  if (bayesian.pairs.length === 1) {
+    const [pair] = bayesian.pairs;
+    const [a, b] = labels;
+    const chance = `There is a ${percentage(pair.probabilityGreater)} probability that ${a} is rated higher than ${b} ` +
+      `(difference ${pair.difference.toFixed(2)}, ${mass} credible interval ${formatInterval(pair, 2)}).`;
+    const loss = `Expected loss: ${pair.expectedLoss[0].toFixed(3)} points choosing ${a}, ` +
+      `${pair.expectedLoss[1].toFixed(3)} choosing ${b}.`;
+    const decision = {
+      equivalent: `Practically equivalent: ${percentage(pair.rope.inside)} of the posterior lies within the region of practical equivalence (${rope} points).`,
+      first: `${a} is better by more than ${bayesian.rope} points with ${percentage(pair.rope.above)} probability.`,
+      second: `${b} is better by more than ${bayesian.rope} points with ${percentage(pair.rope.below)} probability.`,
+      undecided: `Undecided: ${percentage(pair.rope.inside)} of the posterior lies within ${rope} points, ` +
+        `${percentage(pair.rope.above)} above and ${percentage(pair.rope.below)} below; ` +
+        `neither reaches ${mass}, so more ratings are needed to decide.`,
+    }[pair.decision];
+    return `${decision} ${chance} ${loss}`;
+  }
+
+  const best = bayesian.variants.reduce((top, v, index) => (v.probabilityBest > bayesian.variants[top].probabilityBest ? index : top), 0);
+  const decided = bayesian.pairs.filter(pair => pair.decision !== 'undecided').length;
+  return `${labels[best]} has the highest probability of being best (${percentage(bayesian.variants[best].probabilityBest)}), ` +
+    `with an expected loss of ${bayesian.variants[best].expectedLoss.toFixed(3)} points. ` +
+    `${decided} of ${bayesian.pairs.length} pairs are decided with the region of practical equivalence of ${rope} points.`;
+}
+
+const statistic = (value, digits = 3) => (Number.isFinite(value) ? value.toFixed(digits) : '-');
+
+/**
+ * Table rows of a judge-blocked two-way ANOVA
+ * @param {Object} blocked - Result of blockedANOVA
+ * @returns {Array<string[]>} Effect, F-statistic, degrees of freedom and p-value
+ */
+export function blockedRows(blocked) {
+  return [
+    ['Variant (judges as blocks)', blocked.variant],
+    ['Variant (judges as random, mixed model)', blocked.mixedVariant],
+    ['Judge (overall leniency)', blocked.judge],
+    ['Judge \u00d7 Variant (disagreement)', blocked.interaction],
+  ].map(([label, test]) => [
+    label,
+    formatBound(test.fStatistic, 4),
+    `${test.df1} / ${test.df2}`,
+    test.pValue.toFixed(6),
+  ]);
+}
+
+/**
+ * Label/value rows of the agreement between the judges of a panel
+ */
+export function agreementRows(agreement) {
+  const { icc } = agreement;
+  return [
+    ["Krippendorff's Alpha (interval)", statistic(agreement.krippendorffAlpha)],
+    ['ICC(2,1) Absolute Agreement, Single Judge', statistic(icc.agreement)],
+    ['ICC(2,k) Absolute Agreement, Panel Mean', statistic(icc.averageAgreement)],
+    ['ICC(3,1) Consistency, Single Judge', statistic(icc.consistency)],
+    ['ICC(3,k) Consistency, Panel Mean', statistic(icc.averageConsistency)],
+  ];
+}
+
+/**
+ * Plain-text conclusion of a judge panel's blocked analysis
+ */
+export function describePanelConclusion(results, alpha) {
+  const { variant, mixedVariant, interaction } = results.panel.blocked;
+  const f = (test) => `F(${test.df1}, ${test.df2}) = ${formatBound(test.fStatistic, 2)}`;
+
+  let text = variant.isSignificant
+    ? `With the ${results.panel.judges.length} judges as blocks, the variants differ significantly, ${f(variant)}, p = ${variant.pValue.toFixed(6)} < ${alpha}.`
+    : `With the ${results.panel.judges.length} judges as blocks, there is no statistically significant difference between the variants, ${f(variant)}, p = ${variant.pValue.toFixed(6)} >= ${alpha}.`;
+
+  if (variant.isSignificant) {
+    text += mixedVariant.isSignificant
+      ? ` The difference also holds treating the judges as a sample of possible judges (mixed model, p = ${mixedVariant.pValue.toFixed(6)}).`
+      : ` Treating the judges as a sample of possible judges, it is not significant (mixed model, p = ${mixedVariant.pValue.toFixed(6)}), so it may not hold for other models.`;
+  }
+  if (interaction.isSignificant) {
+    text += ` The judges disagree about the variants (judge \u00d7 variant interaction, p = ${interaction.pValue.toFixed(6)}); compare the per-judge results.`;
+  }
+  return text;
+}
+
+/**
+ * How a run used the response cache, or null when it queried the provider directly
+ * @param {Object} provider - Provider info from the results
+ * @param {number|null} seed - Seed of the query order and resampling tests
+ */
+export function describeCache(provider, seed = null) {
+  const parts = [];
+  if (provider?.cache === 'replay') parts.push('Replayed from the response cache');
+  if (provider?.cache === 'record') parts.push('Responses recorded to the cache');
+  if (provider?.cache === 'cache') parts.push(`${provider.cacheHits} responses from the cache`);
+  if (seed !== null && seed !== undefined) parts.push(`seed ${seed}`);
+  return parts.length > 0 ? parts.join(', ') : null;
+}
+
+/**
+ * The prompt template of a run, or null for the default prompt. Prompt-variant runs
+ * name their variants after the templates, so they are described by the mode alone.
+ * @param {Object} config - Run config from the results
+ */
+export function describePrompt(config) {
+  if (config?.variants?.some(v => v.prompt)) return 'Prompt variants on the same image';
+  const prompt = config?.providerConfig?.prompt;
+  return prompt ? `Prompt template "${prompt.name ?? 'Custom'}"` : null;
+}
@@ -0,0 +1,121 @@
+/**
+ * Experiment history - Persists completed experiments in IndexedDB
+ *
+ * Experiments reference their images by hash; the full images are stored once
+ * in a separate object store so repeated runs on the same images share them.
+ */
+
+import { withTransaction, promisifyRequest } from './db.js';
+import { hashImage, createThumbnail } from './images.js';
+
+// Secrets are never written to history; re-runs use the key from the current settings
+const SECRET_CONFIG_KEYS = ['apiKey'];
+
+function stripSecrets(providerConfig) {
+  return Object.fromEntries(
+    Object.entries(providerConfig).filter(([key]) => !SECRET_CONFIG_KEYS.includes(key))
+  );
+}
+
+/**
+ * Save a completed experiment
+ * @param {Object} results - Results from useExperiment, including the run config
+ * @returns {Promise<number>} ID of the saved experiment
+ */
+export async function saveExperiment(results) {
+  const { config, ...data } = results;
+
+  const variants = await Promise.all(config.variants.map(async (variant) => ({
+    label: variant.label,
+    image: variant.image,
+    hash: await hashImage(variant.image),
+    thumbnail: await createThumbnail(variant.image),
+    ...(variant.prompt && { prompt: variant.prompt }),
+  })));
+
+  const record = {
+    createdAt: results.completedAt,
+    question: config.question,
+    criteria: config.criteria ?? null,
+    judges: config.judges?.map(judge => ({ ...judge, providerConfig: stripSecrets(judge.providerConfig) })) ?? null,
+    providerName: config.providerName,
+    providerConfig: stripSecrets(config.providerConfig),
+    sampleSize: config.sampleSize,
+    options: config.options,
+    variants: variants.map(({ label, hash, thumbnail, prompt }) => ({ label, hash, thumbnail, ...(prompt && { prompt }) })),
+    results: data,
+  };
+
+  return withTransaction(['experiments', 'images'], 'readwrite', (transaction) => {
+    const images = transaction.objectStore('images');
+    variants.forEach(({ hash, image }) => images.put({ hash, image }));
+    return promisifyRequest(transaction.objectStore('experiments').add(record));
+  });
+}
+
+/**
+ * List saved experiments, most recent first
+ */
+export async function listExperiments() {
+  const experiments = await withTransaction('experiments', 'readonly', (transaction) =>
+    promisifyRequest(transaction.objectStore('experiments').index('createdAt').getAll())
+  );
+  return experiments.reverse();
+}
+
+/**
+ * Rebuild the results object, with its run config, from a saved experiment.
+ * Variants reference images by hash; use loadExperimentVariants for the full images.
+ */
+export function experimentResults(experiment) {
+  return {
+    ...experiment.results,
+    config: {
+      variants: experiment.variants,
+      question: experiment.question,
+      criteria: experiment.criteria ?? null,
+      judges: experiment.judges ?? null,
+      providerName: experiment.providerName,
+      providerConfig: experiment.providerConfig,
+      sampleSize: experiment.sampleSize,
+      options: experiment.options,
+    },
+  };
+}
+
+/**
+ * Load the full images for a saved experiment's variants
+ * @returns {Promise<Object[]>} Variants with label, image data URL and prompt template, if any
+ */
+export async function loadExperimentVariants(experiment) {
+  return withTransaction('images', 'readonly', (transaction) => {
+    const images = transaction.objectStore('images');
+    return Promise.all(experiment.variants.map(async (variant) => {
+      const stored = await promisifyRequest(images.get(variant.hash));
+      if (!stored) {
+        throw new Error(`Image for ${variant.label} is missing from history`);
+      }
+      return { label: variant.label, image: stored.image, ...(variant.prompt && { prompt: variant.prompt }) };
+    }));
+  });
+}
+
+/**
+ * Delete a saved experiment and any images no other experiment uses
+ */
+export async function deleteExperiment(id) {
+  return withTransaction(['experiments', 'images'], 'readwrite', async (transaction) => {
+    const experiments = transaction.objectStore('experiments');
+    const images = transaction.objectStore('images');
+
+    const target = await promisifyRequest(experiments.get(id));
+    if (!target) return;
+    await promisifyRequest(experiments.delete(id));
+
+    const remaining = await promisifyRequest(experiments.getAll());
+    const inUse = new Set(remaining.flatMap(e => e.variants.map(v => v.hash)));
+    target.variants
+      .filter(v => !inUse.has(v.hash))
+      .forEach(v => images.delete(v.hash));
+  });
+}
@@ -0,0 +1,134 @@
+/**
+ * Image helpers - Hashing, thumbnails and canvas preprocessing of uploaded images
+ */
+
+export const DEFAULT_PREPROCESSING = {
+  enabled: true,
+  maxDimension: 1024,
+  format: 'auto',
+  quality: 0.9,
+};
+
+/**
+ * Compute a SHA-256 hash of image data
+ * @param {string} dataUrl - Image as a data URL
+ * @returns {Promise<string>} Hex-encoded hash
+ */
+export async function hashImage(dataUrl) {
+  const bytes = new TextEncoder().encode(dataUrl);
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  return Array.from(new Uint8Array(digest))
+    .map(b => b.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+/**
+ * Load a data URL into an image element
+ */
+export function loadImage(dataUrl) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error('Could not load image'));
+    img.src = dataUrl;
+  });
+}
+
+/**
+ * Create a small JPEG thumbnail of an image
+ * @param {string} dataUrl - Image as a data URL
+ * @param {number} maxSize - Maximum width or height in pixels
+ * @returns {Promise<string>} Thumbnail as a data URL
+ */
+export async function createThumbnail(dataUrl, maxSize = 96) {
+  const img = await loadImage(dataUrl);
+  const scale = Math.min(1, maxSize / Math.max(img.width, img.height));
+
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(img.width * scale));
+  canvas.height = Math.max(1, Math.round(img.height * scale));
+  canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+
+  return canvas.toDataURL('image/jpeg', 0.8);
+}
+
+/**
+ * Size in bytes of the payload of a base64 data URL
+ */
+export function dataUrlBytes(dataUrl) {
+  const data = dataUrl.slice(dataUrl.indexOf(',') + 1);
+  const padding = data.endsWith('==') ? 2 : data.endsWith('=') ? 1 : 0;
+  return Math.floor((data.length * 3) / 4) - padding;
+}
+
+function mediaType(dataUrl) {
+  return dataUrl.match(/^data:([^;,]+)/)?.[1] ?? 'image/png';
+}
+
+/**
+ * Draw an image onto a canvas of the given size and encode it. Only the pixels
+ * are kept, so metadata such as EXIF is dropped.
+ */
+function encode(img, width, height, type, quality) {
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(width));
+  canvas.height = Math.max(1, Math.round(height));
+  const context = canvas.getContext('2d');
+  // JPEG has no transparency: flatten onto white rather than black
+  if (type === 'image/jpeg') {
+    context.fillStyle = '#fff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+  }
+  context.drawImage(img, 0, 0, canvas.width, canvas.height);
+  return canvas.toDataURL(type, quality);
+}
+
+/**
+ * Redraw an image through a canvas: rescaled, and/or re-encoded in another format
+ * @param {string} dataUrl - Image as a data URL
+ * @param {Object} options
+ * @param {number} options.scale - Size relative to the original
+ * @param {string} options.type - Output MIME type
+ * @param {number} options.quality - Encoder quality from 0 to 1, for lossy formats
+ * @returns {Promise<string>} The transformed image as a data URL
+ */
+export async function transformImage(dataUrl, { scale = 1, type = 'image/png', quality } = {}) {
+  const img = await loadImage(dataUrl);
+  return encode(img, img.width * scale, img.height * scale, type, quality);
+}
+
+/**
+ * Prepare an uploaded image for the providers: scale it down to fit the maximum
+ * dimension, rasterize SVG, and re-encode it as PNG or JPEG without its metadata.
+ * With format 'auto', JPEG stays JPEG and everything else becomes PNG.
+ * @param {string} dataUrl - The uploaded image as a data URL
+ * @param {Object} options - See DEFAULT_PREPROCESSING; maxDimension null keeps the size
+ * @returns {Promise<{ image: string, original: Object, processed: Object }>} The image
+ *   to send, and the type, size in bytes and dimensions before and after
+ */
+export async function preprocessImage(dataUrl, options = DEFAULT_PREPROCESSING) {
+  const { enabled, maxDimension, format, quality } = { ...DEFAULT_PREPROCESSING, ...options };
+  const img = await loadImage(dataUrl);
+  const type = mediaType(dataUrl);
+  // An SVG without width and height has no intrinsic size: rasterize it at the maximum dimension
+  const width = img.naturalWidth || maxDimension || 1024;
+  const height = img.naturalHeight || maxDimension || 1024;
+  const original = { type, bytes: dataUrlBytes(dataUrl), width, height };
+  if (!enabled) {
+    return { image: dataUrl, original, processed: original };
+  }
+
+  const scale = maxDimension ? Math.min(1, maxDimension / Math.max(width, height)) : 1;
+  const outputType = format === 'jpeg' || (format === 'auto' && type === 'image/jpeg') ? 'image/jpeg' : 'image/png';
+  const image = encode(img, width * scale, height * scale, outputType, quality);
+  return {
+    image,
+    original,
+    processed: {
+      type: outputType,
+      bytes: dataUrlBytes(image),
+      width: Math.max(1, Math.round(width * scale)),
+      height: Math.max(1, Math.round(height * scale)),
+    },
+  };
+}
@@ -0,0 +1,168 @@
+/**
+ * Response caching - Wraps any provider to store its responses and replay them later
+ *
+ * Responses are keyed on the images, the question, the provider, its endpoint and model, and every
+ * sampling option, plus how many times the same query has already been made in the run:
+ * the n-th rating of an image is a different sample from the first, so each is stored
+ * separately. Replaying a recorded run returns the same responses in the same slots.
+ */
+
+import { ProviderError, RatingParseError, PreferenceParseError } from './errors.js';
+import { hashImage } from '../images.js';
+import { responseStore } from '../responseCache.js';
+
+/**
+ * How a cached provider uses the store:
+ * cache - return a stored response when there is one, otherwise query the provider and store it
+ * record - always query the provider and store the response, replacing any stored one
+ * replay - only return stored responses; a query with no stored response fails
+ */
+export const CACHE_MODES = ['off', 'cache', 'record', 'replay'];
+
+// Provider fields that change what a query may return; different servers may serve
+// different models under the same name, so the endpoint is one of them
+const KEY_FIELDS = ['name', 'baseUrl', 'model', 'temperature', 'topP', 'maxTokens', 'seed', 'ratingOptions', 'positionBias'];
+
+export class CachedProvider {
+  /**
+   * @param {Object} provider - Provider instance to wrap
+   * @param {Object} options
+   * @param {string} options.mode - 'cache' | 'record' | 'replay'
+   * @param {Object} options.store - Object with async get(key) and put(entry); defaults to IndexedDB
+   */
+  constructor(provider, { mode = 'cache', store = responseStore } = {}) {
+    if (!CACHE_MODES.includes(mode) || mode === 'off') {
+      throw new Error(`Unknown cache mode: ${mode}. Available: ${CACHE_MODES.slice(1).join(', ')}`);
+    }
+    this.provider = provider;
+    this.mode = mode;
+    this.store = store;
+    this.name = provider.name;
+    this.model = provider.model;
+    // Replayed responses come from the store, so there is nothing to rate limit
+    this.rateLimit = mode === 'replay' ? null : provider.rateLimit;
+    this.ratingOptions = provider.ratingOptions;
+    this.hashes = new Map();
+    this.occurrences = new Map();
+    this.hits = 0;
+  }
+
+  /**
+   * Rate an image, using the store according to the cache mode
+   * @see MockProvider#rateImage
+   */
+  async rateImage(imageBase64, question, options = {}) {
+    // The criterion name only changes the query when a prompt template can use it
+    const description = this.ratingOptions.prompt ? { question, criterion: options.criterion } : question;
+    return this.cached(
+      'rate', [imageBase64], description, RatingParseError,
+      () => this.provider.rateImage(imageBase64, question, options)
+    );
+  }
+
+  /**
+   * Choose the better of two images, using the store according to the cache mode
+   * @see MockProvider#compareImages
+   */
+  async compareImages(firstImage, secondImage, question, options = {}) {
+    return this.cached(
+      'compare', [firstImage, secondImage], question, PreferenceParseError,
+      () => this.provider.compareImages(firstImage, secondImage, question, options)
+    );
+  }
+
+  /**
+   * Look up, or make and store, one query. Unparseable responses are stored too and
+   * replayed as the same parse error; failed requests are not stored.
+   */
+  async cached(method, images, question, ParseError, request) {
+    const base = await this.baseKey(method, images, question);
+    const index = this.acquire(base);
+    const key = `${base}:${index}`;
+
+    try {
+      if (this.mode !== 'record') {
+        const entry = await this.store.get(key);
+        if (entry) {
+          this.hits++;
+          if (entry.result) return entry.result;
+          throw new ParseError(entry.response);
+        }
+      }
+      if (this.mode === 'replay') {
+        throw new ProviderError(
+          `No recorded response for query ${index + 1} of this ${method === 'rate' ? 'rating' : 'comparison'}. ` +
+          'Record the experiment with the same settings before replaying it.'
+        );
+      }
+
+      try {
+        const result = await request();
+        await this.store.put({ key, result, createdAt: new Date().toISOString() });
+        return result;
+      } catch (err) {
+        if (err instanceof ParseError) {
+          await this.store.put({ key, response: err.response, createdAt: new Date().toISOString() });
+        }
+        throw err;
+      }
+    } catch (err) {
+      // A failed request is retried or abandoned, so its slot goes to the next identical query
+      if (!(err instanceof ParseError)) this.release(base, index);
+      throw err;
+    }
+  }
+
+  /**
+   * Hash of everything that identifies a query, apart from its occurrence in the run
+   */
+  async baseKey(method, images, question) {
+    const provider = Object.fromEntries(KEY_FIELDS.map(field => [field, this.provider[field]]));
+    const description = JSON.stringify({
+      method,
+      images: await Promise.all(images.map(image => this.hash(image))),
+      question,
+      provider,
+    });
+    return hashImage(description);
+  }
+
+  hash(image) {
+    if (!this.hashes.has(image)) {
+      this.hashes.set(image, hashImage(image));
+    }
+    return this.hashes.get(image);
+  }
+
+  /**
+   * Take the lowest free occurrence index of a query
+   */
+  acquire(base) {
+    const slots = this.occurrences.get(base) ?? { next: 0, free: [] };
+    this.occurrences.set(base, slots);
+    if (slots.free.length > 0) {
+      slots.free.sort((a, b) => a - b);
+      return slots.free.shift();
+    }
+    return slots.next++;
+  }
+
+  release(base, index) {
+    this.occurrences.get(base).free.push(index);
+  }
+
+  /**
+   * Replay needs no connection to the provider
+   */
+  async isAvailable() {
+    return this.mode === 'replay' || this.provider.isAvailable();
+  }
+
+  async listModels() {
+    return this.provider.listModels();
+  }
+
+  getInfo() {
+    return { ...this.provider.getInfo(), cache: this.mode, cacheHits: this.hits };
+  }
+}
@@ -0,0 +1,60 @@
+/**
+ * Error types shared by LLM providers
+ */
+
+/**
+ * A request to the provider failed
+ */
+export class ProviderError extends Error {
+  /**
+   * @param {string} message - Error description
+   * @param {Object} options
+   * @param {number} options.status - HTTP status code, if any
+   * @param {boolean} options.transient - Whether retrying the request may succeed
+   */
+  constructor(message, { status = null, transient = false } = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.status = status;
+    this.transient = transient;
+  }
+
+  /**
+   * Create an error from a non-OK HTTP response
+   */
+  static async fromResponse(providerLabel, response) {
+    const body = await response.text();
+    return new ProviderError(`${providerLabel} API error: ${response.status} - ${body}`, {
+      status: response.status,
+      transient: response.status === 429 || response.status >= 500,
+    });
+  }
+}
+
+/**
+ * The provider responded, but no rating could be parsed from the response
+ */
+export class RatingParseError extends Error {
+  /**
+   * @param {string} response - The raw response text
+   */
+  constructor(response) {
+    super(`Could not extract rating from: "${response}"`);
+    this.name = 'RatingParseError';
+    this.response = response;
+  }
+}
+
+/**
+ * The provider responded to a comparison, but no choice between the images could be parsed
+ */
+export class PreferenceParseError extends Error {
+  /**
+   * @param {string} response - The raw response text
+   */
+  constructor(response) {
+    super(`Could not extract a preferred image from: "${response}"`);
+    this.name = 'PreferenceParseError';
+    this.response = response;
+  }
+}
@@ -4,15 +4,19 @@
 
 import { MockProvider } from './providers/mock.js';
 import { OllamaProvider } from './providers/ollama.js';
+import { OpenAIProvider } from './providers/openai.js';
+import { AnthropicProvider } from './providers/anthropic.js';
 
 const providers = {
   mock: MockProvider,
   ollama: OllamaProvider,
+  openai: OpenAIProvider,
+  anthropic: AnthropicProvider,
 };
 
 /**
  * Get an LLM provider instance
- * @param {string} providerName - Name of the provider ('mock' | 'ollama')
+ * @param {string} providerName - Name of the provider ('mock' | 'ollama' | 'openai' | 'anthropic')
  * @param {Object} config - Provider-specific configuration
  * @returns {Object} Provider instance
  */
@@ -24,6 +28,14 @@ export function getProvider(providerName, config = {}) {
   return new Provider(config);
 }
 
+/**
+ * Whether a provider can judge two images side by side for pairwise preference experiments
+ * @param {string} providerName - Name of the provider
+ */
+export function supportsComparison(providerName) {
+  return typeof providers[providerName]?.prototype.compareImages === 'function';
+}
+
 /**
  * List available providers
  */
@@ -31,4 +43,7 @@ export function listProviders() {
   return Object.keys(providers);
 }
 
-export { MockProvider, OllamaProvider };
+export { MockProvider, OllamaProvider, OpenAIProvider, AnthropicProvider };
+export { ProviderError, RatingParseError, PreferenceParseError } from './errors.js';
+export { rateWithRetry, compareWithRetry } from './retry.js';
+export { CachedProvider, CACHE_MODES } from './cache.js';
@@ -0,0 +1,125 @@
+/**
+ * Anthropic LLM Provider - Uses the Messages API format for vision model inference
+ */
+
+import { ProviderError, RatingParseError } from '../errors.js';
+import { getRatingOptions, buildRatingMessages, exampleMessages, parseRating, parseImageData } from '../rating.js';
+
+const API_VERSION = '2023-06-01';
+
+export class AnthropicProvider {
+  constructor(config = {}) {
+    this.name = 'anthropic';
+    this.baseUrl = config.baseUrl ?? 'https://api.anthropic.com';
+    this.model = config.model ?? 'claude-3-5-sonnet-latest';
+    this.apiKey = config.apiKey ?? '';
+    this.rateLimit = config.rateLimit ?? null; // Max requests per second
+    this.ratingOptions = getRatingOptions(config);
+    this.temperature = config.temperature ?? 0.7;
+    this.maxTokens = config.maxTokens ?? 10;
+    this.topP = config.topP ?? null;
+  }
+
+  getHeaders() {
+    return {
+      'Content-Type': 'application/json',
+      'x-api-key': this.apiKey,
+      'anthropic-version': API_VERSION,
+      // Required for requests made directly from the browser
+      'anthropic-dangerous-direct-browser-access': 'true',
+    };
+  }
+
+  /**
+   * Rate an image on a scale using the Messages API.
+   * The Messages API has no output schema option, so the JSON parser relies on the prompt alone.
+   * @param {string} imageBase64 - Base64 encoded image data (with or without data URL prefix)
+   * @param {string} question - The question to ask about the image
+   * @param {Object} options
+   * @param {AbortSignal} options.signal - Aborts the in-flight request
+   * @param {string} options.criterion - Name of the criterion being rated, for prompt templates
+   * @returns {Promise<{rating: number, response: string}>} Rating within the configured scale and the raw response text
+   */
+  async rateImage(imageBase64, question, { signal, criterion } = {}) {
+    const { mediaType, data } = parseImageData(imageBase64);
+    const { system, examples, prompt } = buildRatingMessages(question, this.ratingOptions, criterion);
+
+    const response = await fetch(`${this.baseUrl}/v1/messages`, {
+      method: 'POST',
+      headers: this.getHeaders(),
+      body: JSON.stringify({
+        model: this.model,
+        max_tokens: this.maxTokens, // Limit response length
+        temperature: this.temperature,
+        ...(this.topP !== null && { top_p: this.topP }),
+        ...(system && { system }),
+        messages: [
+          ...exampleMessages(examples),
+          {
+            role: 'user',
+            content: [
+              { type: 'image', source: { type: 'base64', media_type: mediaType, data } },
+              { type: 'text', text: prompt },
+            ],
+          },
+        ],
+      }),
+      signal,
+    });
+
+    if (!response.ok) {
+      throw await ProviderError.fromResponse('Anthropic', response);
+    }
+
+    const result = await response.json();
+    const content = result.content?.find(block => block.type === 'text')?.text?.trim() ?? '';
+
+    const rating = parseRating(content, this.ratingOptions);
+    if (rating === null) {
+      throw new RatingParseError(content);
+    }
+    return { rating, response: content };
+  }
+
+  /**
+   * Check if the API is reachable with the configured key
+   */
+  async isAvailable() {
+    try {
+      const response = await fetch(`${this.baseUrl}/v1/models`, { headers: this.getHeaders() });
+      return response.ok;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * List available models
+   */
+  async listModels() {
+    try {
+      const response = await fetch(`${this.baseUrl}/v1/models`, { headers: this.getHeaders() });
+      if (!response.ok) return [];
+
+      const result = await response.json();
+      return result.data?.map(m => ({ name: m.id })) ?? [];
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * Get provider info
+   */
+  getInfo() {
+    return {
+      name: 'Anthropic',
+      description: `Messages API using ${this.model}`,
+      supportsVision: true,
+      model: this.model,
+      scale: this.ratingOptions.scale,
+      parser: this.ratingOptions.parser,
+      baseUrl: this.baseUrl,
+    };
+  }
+}
@@ -2,29 +2,115 @@
  * Mock LLM Provider - Simulates LLM responses for testing
  */
 
+import { RatingParseError, PreferenceParseError } from '../errors.js';
+import { getRatingOptions, buildRatingPrompt, parseRating, parseChoice } from '../rating.js';
+import { createRandom, deriveSeed } from '../../random.js';
+
 export class MockProvider {
   constructor(config = {}) {
     this.name = 'mock';
     this.delay = config.delay ?? { min: 20, max: 50 };
+    this.rateLimit = config.rateLimit ?? null; // Max requests per second
+    this.ratingOptions = getRatingOptions(config);
+    // Score bonus for the image shown first in comparisons, to simulate a position-biased judge
+    this.positionBias = config.positionBias ?? 0;
+    // With a seed, delays and scores are reproducible from run to run
+    this.seed = config.seed ?? null;
+    this.delayRandom = this.seed === null ? Math.random : createRandom(deriveSeed(this.seed, 'delay'));
+    this.draws = new Map();
   }
 
   /**
    * Rate an image on a scale (mock implementation)
    * @param {string} imageBase64 - Base64 encoded image data
    * @param {string} question - The question to ask about the image
-   * @returns {Promise<number>} Rating between 1-10
+   * @param {Object} options
+   * @param {AbortSignal} options.signal - Aborts the simulated request
+   * @param {string} options.criterion - Name of the criterion being rated, for prompt templates
+   * @returns {Promise<{rating: number, response: string}>} Rating within the configured scale and the raw response text
+   */
+  async rateImage(imageBase64, question, { signal, criterion } = {}) {
+    await this.simulateDelay(signal);
+
+    // With a prompt template, each rendered prompt draws its own ratings
+    const prompt = this.ratingOptions.prompt ? buildRatingPrompt(question, this.ratingOptions, criterion) : question;
+    const random = this.random('rate', this.simpleHash(imageBase64), this.simpleHash(prompt));
+    const score = this.score(imageBase64, random);
+
+    // Map the 1-10 score onto the configured scale and format it the way a real model would
+    const { scale, parser } = this.ratingOptions;
+    const value = Math.round(scale.min + ((score - 1) / 9) * (scale.max - scale.min));
+    const response = parser === 'json' ? JSON.stringify({ rating: value }) : String(value);
+
+    const rating = parseRating(response, this.ratingOptions);
+    if (rating === null) {
+      throw new RatingParseError(response);
+    }
+    return { rating, response };
+  }
+
+  /**
+   * Choose the better of two images (mock implementation)
+   * @param {string} firstImage - Base64 encoded image shown first
+   * @param {string} secondImage - Base64 encoded image shown second
+   * @param {string} question - The question to judge the images on
+   * @param {Object} options
+   * @param {AbortSignal} options.signal - Aborts the simulated request
+   * @returns {Promise<{choice: 'first'|'second', response: string}>} The preferred image and the raw response text
+   */
+  async compareImages(firstImage, secondImage, question, { signal } = {}) {
+    await this.simulateDelay(signal);
+
+    const random = this.random('compare', this.simpleHash(firstImage), this.simpleHash(secondImage), this.simpleHash(question));
+    const preferred = this.score(firstImage, random) + this.positionBias > this.score(secondImage, random) ? 1 : 2;
+    const response = this.ratingOptions.parser === 'json'
+      ? JSON.stringify({ choice: preferred })
+      : String(preferred);
+
+    const choice = parseChoice(response, this.ratingOptions);
+    if (choice === null) {
+      throw new PreferenceParseError(response);
+    }
+    return { choice, response };
+  }
+
+  /**
+   * Simulate network delay
+   */
+  async simulateDelay(signal) {
+    signal?.throwIfAborted();
+
+    const delayMs = this.delay.min + this.delayRandom() * (this.delay.max - this.delay.min);
+    await new Promise((resolve, reject) => {
+      const timer = setTimeout(resolve, delayMs);
+      signal?.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      }, { once: true });
+    });
+  }
+
+  /**
+   * Random numbers for one query. With a seed, the n-th query for the same images and
+   * question draws the same numbers in every run, whatever order the queries finish in.
    */
-  async rateImage(imageBase64, question) {
-    // Simulate network delay
-    const delayMs = this.delay.min + Math.random() * (this.delay.max - this.delay.min);
-    await new Promise(resolve => setTimeout(resolve, delayMs));
+  random(...query) {
+    if (this.seed === null) return Math.random;
+    const key = query.join(':');
+    const n = this.draws.get(key) ?? 0;
+    this.draws.set(key, n + 1);
+    return createRandom(deriveSeed(this.seed, key, n));
+  }
 
-    // Generate rating based on image hash for consistency
+  /**
+   * Noisy 1-10 score, centered on a value derived from the image hash for consistency
+   */
+  score(imageBase64, random = Math.random) {
     const hash = this.simpleHash(imageBase64);
     const baseRating = 3 + (hash % 5); // Base rating between 3-7
-    const variation = (Math.random() - 0.5) * 4;
+    const variation = (random() - 0.5) * 4;
 
-    return Math.round(Math.min(10, Math.max(1, baseRating + variation)));
+    return Math.min(10, Math.max(1, baseRating + variation));
   }
 
   /**
@@ -34,6 +120,13 @@ export class MockProvider {
     return true;
   }
 
+  /**
+   * List available models
+   */
+  async listModels() {
+    return [];
+  }
+
   /**
    * Get provider info
    */
@@ -42,6 +135,8 @@ export class MockProvider {
       name: 'Mock Provider',
       description: 'Simulated responses for testing',
       supportsVision: true,
+      scale: this.ratingOptions.scale,
+      parser: this.ratingOptions.parser,
     };
   }
 
@@ -2,27 +2,81 @@
  * Ollama LLM Provider - Uses local Ollama for vision model inference
  */
 
+import { ProviderError, RatingParseError, PreferenceParseError } from '../errors.js';
+import {
+  getRatingOptions,
+  buildRatingMessages,
+  exampleMessages,
+  parseRating,
+  ratingSchema,
+  buildComparisonPrompt,
+  parseChoice,
+  comparisonSchema,
+  parseImageData,
+} from '../rating.js';
+
 export class OllamaProvider {
   constructor(config = {}) {
     this.name = 'ollama';
     this.baseUrl = config.baseUrl ?? 'http://localhost:11434';
     this.model = config.model ?? 'llama3.2-vision:latest';
+    this.rateLimit = config.rateLimit ?? null; // Max requests per second
+    this.ratingOptions = getRatingOptions(config);
+    this.temperature = config.temperature ?? 0.7;
+    this.maxTokens = config.maxTokens ?? 10;
+    this.topP = config.topP ?? null;
+    this.seed = config.seed ?? null;
   }
 
   /**
    * Rate an image on a scale using Ollama vision model
    * @param {string} imageBase64 - Base64 encoded image data (with or without data URL prefix)
    * @param {string} question - The question to ask about the image
-   * @returns {Promise<number>} Rating between 1-10
+   * @param {Object} options
+   * @param {AbortSignal} options.signal - Aborts the in-flight request
+   * @param {string} options.criterion - Name of the criterion being rated, for prompt templates
+   * @returns {Promise<{rating: number, response: string}>} Rating within the configured scale and the raw response text
    */
-  async rateImage(imageBase64, question) {
-    // Strip data URL prefix if present
-    const base64Data = imageBase64.replace(/^data:image\/[a-z]+;base64,/, '');
+  async rateImage(imageBase64, question, { signal, criterion } = {}) {
+    const request = buildRatingMessages(question, this.ratingOptions, criterion);
+    const format = this.ratingOptions.parser === 'json' ? ratingSchema(this.ratingOptions.scale) : null;
+    const content = await this.chat(request, [imageBase64], format, signal);
 
-    const prompt = `${question}
+    const rating = parseRating(content, this.ratingOptions);
+    if (rating === null) {
+      throw new RatingParseError(content);
+    }
+    return { rating, response: content };
+  }
 
-IMPORTANT: You must respond with ONLY a single number between 1 and 10. No words, no explanation, just the number.`;
+  /**
+   * Ask the vision model which of two images is better, sending both in one request
+   * @param {string} firstImage - Base64 encoded image shown first (with or without data URL prefix)
+   * @param {string} secondImage - Base64 encoded image shown second
+   * @param {string} question - The question to judge the images on
+   * @param {Object} options
+   * @param {AbortSignal} options.signal - Aborts the in-flight request
+   * @returns {Promise<{choice: 'first'|'second', response: string}>} The preferred image and the raw response text
+   */
+  async compareImages(firstImage, secondImage, question, { signal } = {}) {
+    // Comparisons use the template's system prompt; its rating examples don't apply
+    const { system } = buildRatingMessages(question, this.ratingOptions);
+    const prompt = buildComparisonPrompt(question, this.ratingOptions);
+    const format = this.ratingOptions.parser === 'json' ? comparisonSchema() : null;
+    const content = await this.chat({ system, examples: [], prompt }, [firstImage, secondImage], format, signal);
 
+    const choice = parseChoice(content, this.ratingOptions);
+    if (choice === null) {
+      throw new PreferenceParseError(content);
+    }
+    return { choice, response: content };
+  }
+
+  /**
+   * Send a chat request with images and return the trimmed response text. The images
+   * go with the final prompt, after the system prompt and any few-shot examples.
+   */
+  async chat({ system, examples, prompt }, images, format, signal) {
     const response = await fetch(`${this.baseUrl}/api/chat`, {
       method: 'POST',
       headers: {
@@ -31,46 +85,33 @@ IMPORTANT: You must respond with ONLY a single number between 1 and 10. No words
       body: JSON.stringify({
         model: this.model,
         messages: [
+          ...(system ? [{ role: 'system', content: system }] : []),
+          ...exampleMessages(examples),
           {
             role: 'user',
             content: prompt,
-            images: [base64Data],
+            // Strip data URL prefixes if present
+            images: images.map(image => parseImageData(image).data),
           },
         ],
         stream: false,
+        ...(format && { format }),
         options: {
-          temperature: 0.7,
-          num_predict: 10, // Limit response length
+          temperature: this.temperature,
+          num_predict: this.maxTokens, // Limit response length
+          ...(this.topP !== null && { top_p: this.topP }),
+          ...(this.seed !== null && { seed: this.seed }),
         },
       }),
+      signal,
     });
 
     if (!response.ok) {
-      const error = await response.text();
-      throw new Error(`Ollama API error: ${response.status} - ${error}`);
+      throw await ProviderError.fromResponse('Ollama', response);
     }
 
     const data = await response.json();
-    const content = data.message?.content?.trim() ?? '';
-
-    // Extract number from response
-    const rating = this.extractRating(content);
-    return rating;
-  }
-
-  /**
-   * Extract a rating number from LLM response
-   */
-  extractRating(response) {
-    // Try to find a number between 1-10 in the response
-    const match = response.match(/\b([1-9]|10)\b/);
-    if (match) {
-      return parseInt(match[1], 10);
-    }
-
-    // Fallback: if no valid number found, return middle value
-    console.warn(`Could not extract rating from: "${response}", using default 5`);
-    return 5;
+    return data.message?.content?.trim() ?? '';
   }
 
   /**
@@ -113,6 +154,8 @@ IMPORTANT: You must respond with ONLY a single number between 1 and 10. No words
       description: `Local LLM inference using ${this.model}`,
       supportsVision: true,
       model: this.model,
+      scale: this.ratingOptions.scale,
+      parser: this.ratingOptions.parser,
       baseUrl: this.baseUrl,
     };
   }
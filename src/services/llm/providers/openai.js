@@ -0,0 +1,137 @@
+/**
+ * OpenAI-compatible LLM Provider - Works with any server implementing /v1/chat/completions
+ * (llama.cpp server, vLLM, LM Studio, OpenAI)
+ */
+
+import { ProviderError, RatingParseError } from '../errors.js';
+import {
+  getRatingOptions,
+  buildRatingMessages,
+  exampleMessages,
+  parseRating,
+  ratingSchema,
+  parseImageData,
+} from '../rating.js';
+
+export class OpenAIProvider {
+  constructor(config = {}) {
+    this.name = 'openai';
+    this.baseUrl = config.baseUrl ?? 'http://localhost:8080/v1';
+    this.model = config.model ?? 'default';
+    this.apiKey = config.apiKey ?? '';
+    this.rateLimit = config.rateLimit ?? null; // Max requests per second
+    this.ratingOptions = getRatingOptions(config);
+    this.temperature = config.temperature ?? 0.7;
+    this.maxTokens = config.maxTokens ?? 10;
+    this.topP = config.topP ?? null;
+    this.seed = config.seed ?? null;
+  }
+
+  getHeaders() {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+    return headers;
+  }
+
+  /**
+   * Rate an image on a scale using an OpenAI-compatible vision model
+   * @param {string} imageBase64 - Base64 encoded image data (with or without data URL prefix)
+   * @param {string} question - The question to ask about the image
+   * @param {Object} options
+   * @param {AbortSignal} options.signal - Aborts the in-flight request
+   * @param {string} options.criterion - Name of the criterion being rated, for prompt templates
+   * @returns {Promise<{rating: number, response: string}>} Rating within the configured scale and the raw response text
+   */
+  async rateImage(imageBase64, question, { signal, criterion } = {}) {
+    // The image_url content part expects a full data URL
+    const { mediaType, data } = parseImageData(imageBase64);
+    const { system, examples, prompt } = buildRatingMessages(question, this.ratingOptions, criterion);
+
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: this.getHeaders(),
+      body: JSON.stringify({
+        model: this.model,
+        messages: [
+          ...(system ? [{ role: 'system', content: system }] : []),
+          ...exampleMessages(examples),
+          {
+            role: 'user',
+            content: [
+              { type: 'text', text: prompt },
+              { type: 'image_url', image_url: { url: `data:${mediaType};base64,${data}` } },
+            ],
+          },
+        ],
+        temperature: this.temperature,
+        max_tokens: this.maxTokens, // Limit response length
+        ...(this.topP !== null && { top_p: this.topP }),
+        ...(this.seed !== null && { seed: this.seed }),
+        ...(this.ratingOptions.parser === 'json' && {
+          response_format: {
+            type: 'json_schema',
+            json_schema: { name: 'rating', schema: ratingSchema(this.ratingOptions.scale), strict: true },
+          },
+        }),
+      }),
+      signal,
+    });
+
+    if (!response.ok) {
+      throw await ProviderError.fromResponse('OpenAI-compatible', response);
+    }
+
+    const result = await response.json();
+    const content = result.choices?.[0]?.message?.content?.trim() ?? '';
+
+    const rating = parseRating(content, this.ratingOptions);
+    if (rating === null) {
+      throw new RatingParseError(content);
+    }
+    return { rating, response: content };
+  }
+
+  /**
+   * Check if the server is reachable
+   */
+  async isAvailable() {
+    try {
+      const response = await fetch(`${this.baseUrl}/models`, { headers: this.getHeaders() });
+      return response.ok;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * List available models
+   */
+  async listModels() {
+    try {
+      const response = await fetch(`${this.baseUrl}/models`, { headers: this.getHeaders() });
+      if (!response.ok) return [];
+
+      const result = await response.json();
+      return result.data?.map(m => ({ name: m.id })) ?? [];
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * Get provider info
+   */
+  getInfo() {
+    return {
+      name: 'OpenAI-compatible',
+      description: `Chat completions API using ${this.model}`,
+      supportsVision: true,
+      model: this.model,
+      scale: this.ratingOptions.scale,
+      parser: this.ratingOptions.parser,
+      baseUrl: this.baseUrl,
+    };
+  }
+}
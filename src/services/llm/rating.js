@@ -0,0 +1,269 @@
+/**
+ * Prompt construction and response parsing shared by all providers
+ *
+ * Providers are configured with a rating scale and a parser strategy:
+ * - 'first': the first number within the scale found in the response
+ * - 'last': the last number within the scale found in the response
+ * - 'json': structured output of the form {"rating": <number>}, requested
+ *   through the provider's schema support where available
+ *
+ * Pairwise comparisons use the same parser strategies, with the choice of image
+ * given as 1 or 2 (or {"choice": 1} as structured output).
+ *
+ * An optional prompt template changes the wording of rating requests: a template
+ * with {variables}, a system prompt and few-shot examples (see TEMPLATE_VARIABLES).
+ */
+
+export const PARSER_STRATEGIES = ['first', 'last', 'json'];
+
+/**
+ * Variables available in prompt templates, system prompts and few-shot examples
+ */
+export const TEMPLATE_VARIABLES = {
+  question: 'The question (or criterion question) being rated',
+  criterion: 'The name of the criterion being rated',
+  scale_min: 'The lowest rating on the scale',
+  scale_max: 'The highest rating on the scale',
+  instructions: 'The response format instruction for the configured parser',
+};
+
+// The prompt used without a template: the question followed by the format instruction
+export const DEFAULT_TEMPLATE = '{question}\n\n{instructions}';
+
+const VARIABLE_PATTERN = /\{([a-z_]+)\}/g;
+
+/**
+ * Validate a prompt template and drop what the default prompt already does
+ * @param {Object} prompt - Template with optional template, system and examples ({ prompt, response } pairs)
+ * @returns {Object|null} The template, system prompt and examples, or null for the default prompt
+ */
+export function normalizePrompt(prompt) {
+  if (!prompt) return null;
+  const template = prompt.template?.trim() || DEFAULT_TEMPLATE;
+  const system = prompt.system?.trim() ?? '';
+  const examples = (prompt.examples ?? []).filter(e => e.prompt?.trim() || e.response?.trim());
+
+  const texts = [template, system, ...examples.flatMap(e => [e.prompt ?? '', e.response ?? ''])];
+  const unknown = texts.flatMap(text => [...text.matchAll(VARIABLE_PATTERN)].map(match => match[1]))
+    .filter(name => !(name in TEMPLATE_VARIABLES));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown prompt variable: {${unknown[0]}}. Available: ` +
+      `${Object.keys(TEMPLATE_VARIABLES).map(name => `{${name}}`).join(', ')}`);
+  }
+  if (examples.some(e => !e.prompt?.trim() || !e.response?.trim())) {
+    throw new Error('Every few-shot example needs both a prompt and a response.');
+  }
+
+  if (template === DEFAULT_TEMPLATE && !system && examples.length === 0) return null;
+  return {
+    template,
+    system,
+    examples: examples.map(e => ({ prompt: e.prompt.trim(), response: e.response.trim() })),
+  };
+}
+
+function renderTemplate(text, variables) {
+  return text.replace(VARIABLE_PATTERN, (match, name) => variables[name] ?? match);
+}
+
+/**
+ * Read and validate the rating options from a provider config
+ * @param {Object} config - Provider config with optional scaleMin, scaleMax, parser and prompt template
+ * @returns {{ scale: { min: number, max: number }, parser: string, prompt?: Object }}
+ */
+export function getRatingOptions(config = {}) {
+  const scale = { min: config.scaleMin ?? 1, max: config.scaleMax ?? 10 };
+  const parser = config.parser ?? 'first';
+
+  if (!(scale.min < scale.max)) {
+    throw new Error(`Invalid rating scale: minimum (${scale.min}) must be less than maximum (${scale.max})`);
+  }
+  if (!PARSER_STRATEGIES.includes(parser)) {
+    throw new Error(`Unknown parser: ${parser}. Available: ${PARSER_STRATEGIES.join(', ')}`);
+  }
+  // Only a custom prompt is part of the options, so default prompts keep their cache keys
+  const prompt = normalizePrompt(config.prompt);
+  return { scale, parser, ...(prompt && { prompt }) };
+}
+
+function ratingInstructions({ scale, parser }) {
+  if (parser === 'json') {
+    return `IMPORTANT: Respond with ONLY a JSON object of the form {"rating": <number>}, where the rating is a whole number between ${scale.min} and ${scale.max}. No other text.`;
+  }
+  return `IMPORTANT: You must respond with ONLY a single number between ${scale.min} and ${scale.max}. No words, no explanation, just the number.`;
+}
+
+/**
+ * The rating request for a question: the system prompt, few-shot examples and the
+ * prompt sent with the image, rendered from the prompt template. Without a template
+ * the prompt is the question followed by the rating instruction.
+ * @param {string} question - The question to ask about the image
+ * @param {Object} options - Rating options from getRatingOptions
+ * @param {string} criterion - Name of the criterion being rated, for {criterion}
+ * @returns {{ system: string, examples: Object[], prompt: string }}
+ */
+export function buildRatingMessages(question, options = getRatingOptions(), criterion = 'Rating') {
+  const { scale, prompt } = options;
+  const variables = {
+    question,
+    criterion,
+    scale_min: String(scale.min),
+    scale_max: String(scale.max),
+    instructions: ratingInstructions(options),
+  };
+  const render = text => renderTemplate(text, variables);
+  return {
+    system: prompt ? render(prompt.system) : '',
+    examples: prompt ? prompt.examples.map(e => ({ prompt: render(e.prompt), response: render(e.response) })) : [],
+    prompt: render(prompt?.template ?? DEFAULT_TEMPLATE),
+  };
+}
+
+/**
+ * The prompt sent with the image to rate it, without the system prompt and examples
+ */
+export function buildRatingPrompt(question, options = getRatingOptions(), criterion = 'Rating') {
+  return buildRatingMessages(question, options, criterion).prompt;
+}
+
+/**
+ * Few-shot examples as alternating user and assistant chat messages
+ */
+export function exampleMessages(examples) {
+  return examples.flatMap(e => [
+    { role: 'user', content: e.prompt },
+    { role: 'assistant', content: e.response },
+  ]);
+}
+
+/**
+ * JSON schema for structured rating output
+ */
+export function ratingSchema(scale) {
+  return {
+    type: 'object',
+    properties: {
+      rating: { type: 'integer', minimum: scale.min, maximum: scale.max },
+    },
+    required: ['rating'],
+    additionalProperties: false,
+  };
+}
+
+const inScale = (value, scale) => Number.isFinite(value) && value >= scale.min && value <= scale.max;
+
+/**
+ * Numbers in the response that fall within the scale, in order of appearance.
+ * Denominators such as "7/10" or "7 out of 10" and ranges such as "1-10" or "1 to 10",
+ * usually the scale echoed back, are ignored so they aren't mistaken for ratings.
+ */
+function findNumbers(response, scale) {
+  const text = response
+    .replace(/\d+(?:\.\d+)?\s*(?:[-–]|\bto\b)\s*\d+(?:\.\d+)?/gi, ' ')
+    .replace(/(?:\/|\bout of\b)\s*\d+(?:\.\d+)?/gi, ' ');
+  const matches = text.match(/(?<![\w.])\d+(?:\.\d+)?(?!\w)/g) ?? [];
+  return matches.map(Number).filter(n => inScale(n, scale));
+}
+
+function parseJSONRating(response, scale) {
+  const start = response.indexOf('{');
+  const end = response.lastIndexOf('}');
+  if (start === -1 || end < start) return null;
+
+  try {
+    const value = Number(JSON.parse(response.slice(start, end + 1)).rating);
+    return inScale(value, scale) ? value : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Extract a rating from an LLM response
+ * @param {string} response - Raw response text
+ * @param {Object} options - Rating options from getRatingOptions
+ * @returns {number|null} The rating, or null if none was found
+ */
+export function parseRating(response, { scale, parser } = getRatingOptions()) {
+  if (parser === 'json') {
+    return parseJSONRating(response, scale);
+  }
+
+  const numbers = findNumbers(response, scale);
+  if (numbers.length === 0) return null;
+  return parser === 'last' ? numbers[numbers.length - 1] : numbers[0];
+}
+
+/**
+ * Ask which of two images, shown in order, better answers the user's question
+ */
+export function buildComparisonPrompt(question, { parser } = getRatingOptions()) {
+  const intro = 'You are shown two images: Image 1 first, then Image 2.';
+
+  if (parser === 'json') {
+    return `${intro}
+
+${question}
+
+IMPORTANT: Respond with ONLY a JSON object of the form {"choice": <number>}, where the choice is 1 or 2 for the better image. No other text.`;
+  }
+
+  return `${intro}
+
+${question}
+
+IMPORTANT: You must respond with ONLY the number 1 or 2 for the better image. No words, no explanation, just the number.`;
+}
+
+/**
+ * JSON schema for structured comparison output
+ */
+export function comparisonSchema() {
+  return {
+    type: 'object',
+    properties: {
+      choice: { type: 'integer', enum: [1, 2] },
+    },
+    required: ['choice'],
+    additionalProperties: false,
+  };
+}
+
+const CHOICES = { 1: 'first', 2: 'second' };
+
+/**
+ * Extract the preferred image from a comparison response
+ * @param {string} response - Raw response text
+ * @param {Object} options - Rating options from getRatingOptions; only the parser is used
+ * @returns {'first'|'second'|null} The preferred image, or null if none was found
+ */
+export function parseChoice(response, { parser } = getRatingOptions()) {
+  if (parser === 'json') {
+    const start = response.indexOf('{');
+    const end = response.lastIndexOf('}');
+    if (start === -1 || end < start) return null;
+
+    try {
+      return CHOICES[JSON.parse(response.slice(start, end + 1)).choice] ?? null;
+    } catch {
+      return null;
+    }
+  }
+
+  const choices = findNumbers(response, { min: 1, max: 2 }).filter(Number.isInteger);
+  if (choices.length === 0) return null;
+  return CHOICES[parser === 'last' ? choices[choices.length - 1] : choices[0]];
+}
+
+/**
+ * Split image data into its media type and raw base64 payload
+ * @param {string} imageBase64 - Base64 encoded image data (with or without data URL prefix)
+ * @returns {{ mediaType: string, data: string }}
+ */
+export function parseImageData(imageBase64) {
+  const match = imageBase64.match(/^data:(image\/[a-z0-9.+-]+);base64,/i);
+  if (!match) {
+    return { mediaType: 'image/png', data: imageBase64 };
+  }
+  return { mediaType: match[1], data: imageBase64.slice(match[0].length) };
+}
@@ -0,0 +1,120 @@
+/**
+ * Retry and timeout handling for individual rating and comparison queries
+ */
+
+import { ProviderError, RatingParseError, PreferenceParseError } from './errors.js';
+
+/**
+ * Wait between attempts; the abort listener is removed once the wait is over, as the
+ * run's signal outlives every query
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Whether a failed request is worth retrying
+ */
+function isTransient(err) {
+  if (err instanceof ProviderError) return err.transient;
+  // fetch rejects with a TypeError on network failures
+  return err instanceof TypeError;
+}
+
+/**
+ * Run a provider request, retrying transient failures and timeouts with exponential backoff.
+ * Unparseable responses are reported as invalid rather than retried or imputed.
+ *
+ * @param {Function} request - Makes one attempt given its abort signal and resolves with the parsed result
+ * @param {Object} empty - Result fields reported when no attempt succeeds
+ * @param {Object} options - See rateWithRetry
+ */
+async function withRetry(request, empty, options = {}) {
+  const { signal, timeout = 60000, retries = 3, baseDelay = 500 } = options;
+  const outcome = { ...empty, response: null, status: 'ok', retries: 0, timeouts: 0, error: null };
+
+  for (let attempt = 0; ; attempt++) {
+    signal?.throwIfAborted();
+
+    const timeoutSignal = AbortSignal.timeout(timeout);
+    const attemptSignal = signal ? AbortSignal.any([signal, timeoutSignal]) : timeoutSignal;
+
+    try {
+      return { ...outcome, ...(await request(attemptSignal)) };
+    } catch (err) {
+      if (signal?.aborted) throw err;
+
+      if (err instanceof RatingParseError || err instanceof PreferenceParseError) {
+        return { ...outcome, status: 'invalid', response: err.response, error: err.message };
+      }
+
+      const timedOut = timeoutSignal.aborted;
+      if (timedOut) {
+        outcome.timeouts++;
+      } else if (!isTransient(err)) {
+        throw err;
+      }
+
+      if (attempt >= retries) {
+        const error = timedOut ? `Timed out after ${timeout}ms` : err.message;
+        return { ...outcome, status: 'failed', error };
+      }
+
+      outcome.retries++;
+      const delay = baseDelay * Math.pow(2, attempt) * (0.5 + Math.random());
+      await sleep(delay, signal);
+    }
+  }
+}
+
+/**
+ * Rate an image, retrying transient failures and timeouts with exponential backoff.
+ * Unparseable responses are reported as invalid rather than retried or imputed.
+ *
+ * @param {Object} provider - Provider instance
+ * @param {string} imageBase64 - Base64 encoded image data
+ * @param {string} question - The question to ask about the image
+ * @param {Object} options
+ * @param {AbortSignal} options.signal - Aborts the query, including any pending retries
+ * @param {number} options.timeout - Per-attempt timeout in milliseconds
+ * @param {number} options.retries - Maximum number of retries after the first attempt
+ * @param {number} options.baseDelay - Backoff delay before the first retry in milliseconds
+ * @param {string} options.criterion - Name of the criterion being rated, for prompt templates
+ * @returns {Promise<Object>} Outcome with rating, raw response, status ('ok' | 'invalid' | 'failed'), retries, timeouts and error
+ */
+export function rateWithRetry(provider, imageBase64, question, options = {}) {
+  const { criterion } = options;
+  return withRetry(
+    (signal) => provider.rateImage(imageBase64, question, { signal, ...(criterion && { criterion }) }),
+    { rating: null },
+    options
+  );
+}
+
+/**
+ * Ask which of two images is better, with the same retry handling as rateWithRetry
+ *
+ * @param {Object} provider - Provider instance implementing compareImages
+ * @param {string} firstImage - Base64 encoded image shown first
+ * @param {string} secondImage - Base64 encoded image shown second
+ * @param {string} question - The question to judge the images on
+ * @param {Object} options - See rateWithRetry
+ * @returns {Promise<Object>} Outcome with choice ('first' | 'second'), raw response, status, retries, timeouts and error
+ */
+export function compareWithRetry(provider, firstImage, secondImage, question, options = {}) {
+  return withRetry(
+    (signal) => provider.compareImages(firstImage, secondImage, question, { signal }),
+    { choice: null },
+    options
+  );
+}
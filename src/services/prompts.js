@@ -0,0 +1,86 @@
+/**
+ * Prompt template library - Built-in judge prompts and the user's own templates,
+ * persisted in localStorage. A template is applied to every provider of a run, or
+ * to one variant of a prompt-variant experiment.
+ */
+
+import { DEFAULT_TEMPLATE, normalizePrompt } from './llm/rating.js';
+
+const STORAGE_KEY = 'experiment-platform:prompt-templates';
+
+export const BUILT_IN_TEMPLATES = [
+  {
+    id: 'default',
+    name: 'Default',
+    system: '',
+    template: DEFAULT_TEMPLATE,
+    examples: [],
+  },
+  {
+    id: 'strict',
+    name: 'Strict judge',
+    system: 'You are a demanding design critic. You rate consistently and reserve the top of the scale for exceptional work.',
+    template: '{question}\n\nUse the whole scale: {scale_min} is very poor, {scale_max} is exceptional, and an average image is in the middle.\n\n{instructions}',
+    examples: [],
+  },
+  {
+    id: 'rubric',
+    name: 'Criterion rubric',
+    system: 'You evaluate images on one criterion at a time and ignore every other quality of the image.',
+    template: 'Criterion: {criterion}\n{question}\n\nRate only this criterion, from {scale_min} (fails it completely) to {scale_max} (meets it perfectly).\n\n{instructions}',
+    examples: [],
+  },
+];
+
+let nextTemplateId = Date.now();
+
+/**
+ * A new, empty user template
+ */
+export function createTemplate(base = BUILT_IN_TEMPLATES[0], name = 'New template') {
+  return {
+    id: `user-${nextTemplateId++}`,
+    name,
+    system: base.system,
+    template: base.template,
+    examples: base.examples.map(e => ({ ...e })),
+  };
+}
+
+export function isBuiltIn(template) {
+  return BUILT_IN_TEMPLATES.some(t => t.id === template.id);
+}
+
+/**
+ * Load the user's saved templates
+ * @returns {Object[]} Templates with id, name, system, template and examples
+ */
+export function loadPromptTemplates() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) ?? [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Save the user's templates; built-in templates are not stored
+ * @param {Object[]} templates
+ */
+export function savePromptTemplates(templates) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(templates.filter(t => !isBuiltIn(t))));
+  } catch {
+    // Storage may be unavailable (private browsing, quota exceeded)
+  }
+}
+
+/**
+ * The prompt option of a provider config for a template: null for the default
+ * prompt, so runs without a template keep their settings and cache keys
+ * @throws {Error} When the template uses an unknown variable or has an incomplete example
+ */
+export function toPrompt(template) {
+  const prompt = normalizePrompt(template);
+  return prompt && { name: template.name, ...prompt };
+}
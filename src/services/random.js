@@ -0,0 +1,35 @@
+/**
+ * Seedable random numbers - Reproducible alternatives to Math.random
+ */
+
+/**
+ * Create a pseudo-random number generator (mulberry32). The same seed always
+ * produces the same sequence.
+ * @param {number} seed - Integer seed
+ * @returns {Function} Returns uniform random numbers in [0, 1), like Math.random
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Derive a 32-bit seed from a base seed and any number of values (FNV-1a),
+ * giving independent streams for e.g. each image of a seeded run
+ * @param {...*} parts - Values identifying the stream
+ * @returns {number}
+ */
+export function deriveSeed(...parts) {
+  let hash = 0x811c9dc5;
+  for (const char of parts.join('\u0000')) {
+    hash ^= char.charCodeAt(0);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
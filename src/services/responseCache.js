@@ -0,0 +1,49 @@
+/**
+ * Response cache - Persists provider responses in IndexedDB for cached and replayed runs
+ */
+
+import { withTransaction, promisifyRequest } from './db.js';
+
+/**
+ * Look up a cached response
+ * @param {string} key - Cache key built by CachedProvider
+ * @returns {Promise<Object|undefined>} The stored entry, if any
+ */
+export function getResponse(key) {
+  return withTransaction('responses', 'readonly', (transaction) =>
+    promisifyRequest(transaction.objectStore('responses').get(key))
+  );
+}
+
+/**
+ * Store a response, replacing any entry with the same key
+ * @param {Object} entry - Entry with a `key` field
+ */
+export function putResponse(entry) {
+  return withTransaction('responses', 'readwrite', (transaction) =>
+    promisifyRequest(transaction.objectStore('responses').put(entry))
+  );
+}
+
+/**
+ * Number of cached responses
+ */
+export function countResponses() {
+  return withTransaction('responses', 'readonly', (transaction) =>
+    promisifyRequest(transaction.objectStore('responses').count())
+  );
+}
+
+/**
+ * Delete every cached response
+ */
+export function clearResponses() {
+  return withTransaction('responses', 'readwrite', (transaction) =>
+    promisifyRequest(transaction.objectStore('responses').clear())
+  );
+}
+
+/**
+ * Default store used by CachedProvider
+ */
+export const responseStore = { get: getResponse, put: putResponse };
@@ -0,0 +1,47 @@
+/**
+ * Query runner - Rates images repeatedly with retries and cancellation, for runs that
+ * only need the ratings: pilot runs and calibration. Experiments use the engine instead.
+ */
+
+import { rateWithRetry } from './llm/index.js';
+import { shuffle } from './scheduler.js';
+
+/**
+ * Rate every target a number of times. The queries for all targets are interleaved in
+ * random order so each target is rated under the same conditions over the course of the
+ * run, and the ratings are kept in that order rather than the order the queries finish in.
+ *
+ * @param {Array<{provider: Object, image: string}>} targets - The provider and image of each target
+ * @param {string} question - The question to ask about every image
+ * @param {Object} options
+ * @param {number} options.repeats - Queries per target
+ * @param {Scheduler} options.scheduler - Scheduler that runs the queries
+ * @param {AbortSignal} options.signal - Aborts the run, including its queries still queued in the scheduler
+ * @param {number} options.timeout - Per-attempt timeout in milliseconds
+ * @param {number} options.retries - Maximum number of retries after the first attempt of a query
+ * @param {Function} options.random - Uniform random number generator for the query order
+ * @param {Function} options.onQuery - Called after each query
+ * @returns {Promise<{ratings: number[][], failures: number[]}>} Valid ratings, and invalid or failed queries, per target
+ */
+export async function rateRepeatedly(targets, question, options) {
+  const { repeats, scheduler, signal, timeout = 60000, retries = 3, random = Math.random, onQuery } = options;
+  signal.throwIfAborted();
+
+  const queries = shuffle(targets.flatMap((_, t) => Array.from({ length: repeats }, () => t)), random);
+  const outcomes = [];
+  await Promise.all(queries.map((t, index) => scheduler.run(async () => {
+    outcomes[index] = await rateWithRetry(targets[t].provider, targets[t].image, question, { signal, timeout, retries });
+    onQuery?.();
+  }, { signal })));
+
+  const ratings = targets.map(() => []);
+  const failures = targets.map(() => 0);
+  queries.forEach((t, index) => {
+    if (outcomes[index].status === 'ok') {
+      ratings[t].push(outcomes[index].rating);
+    } else {
+      failures[t]++;
+    }
+  });
+  return { ratings, failures };
+}
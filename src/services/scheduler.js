@@ -0,0 +1,108 @@
+/**
+ * Query scheduler - Runs async tasks with a concurrency limit and optional rate limit
+ */
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+export class Scheduler {
+  /**
+   * @param {Object} options
+   * @param {number} options.concurrency - Maximum number of tasks in flight at once
+   * @param {number|null} options.rateLimit - Maximum task starts per second (null for unlimited)
+   */
+  constructor({ concurrency = 4, rateLimit = null } = {}) {
+    this.concurrency = Math.max(1, concurrency);
+    this.minInterval = rateLimit ? 1000 / rateLimit : 0;
+    this.active = 0;
+    this.queue = [];
+    this.nextSlot = 0;
+    this.paused = false;
+  }
+
+  /**
+   * Queue a task for execution
+   * @param {Function} task - Function returning a promise
+   * @param {Object} options
+   * @param {AbortSignal} options.signal - Signal of the run the task belongs to; once it is
+   *   aborted the task is dropped without running, so a shared scheduler moves on to other runs' tasks
+   * @returns {Promise<*>} Resolves or rejects with the task's outcome
+   */
+  run(task, { signal } = {}) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ task, signal, resolve, reject });
+      this.drain();
+    });
+  }
+
+  /**
+   * Stop starting new tasks; tasks already in flight run to completion
+   */
+  pause() {
+    this.paused = true;
+  }
+
+  /**
+   * Resume starting queued tasks
+   */
+  resume() {
+    this.paused = false;
+    this.drain();
+  }
+
+  /**
+   * Reject every task that has not started yet
+   * @param {*} reason - Rejection reason passed to each queued task's promise
+   */
+  clear(reason) {
+    const pending = this.queue;
+    this.queue = [];
+    pending.forEach(({ reject }) => reject(reason));
+  }
+
+  drain() {
+    while (!this.paused && this.active < this.concurrency && this.queue.length > 0) {
+      const { task, signal, resolve, reject } = this.queue.shift();
+      // Dropped before it takes a rate-limited start slot
+      if (signal?.aborted) {
+        reject(signal.reason);
+        continue;
+      }
+      this.active++;
+      this.throttle()
+        .then(() => {
+          signal?.throwIfAborted();
+          return task();
+        })
+        .then(resolve, reject)
+        .finally(() => {
+          this.active--;
+          this.drain();
+        });
+    }
+  }
+
+  /**
+   * Wait until the next rate-limited start slot is available
+   */
+  async throttle() {
+    if (!this.minInterval) return;
+    const now = Date.now();
+    const slot = Math.max(now, this.nextSlot);
+    this.nextSlot = slot + this.minInterval;
+    if (slot > now) await sleep(slot - now);
+  }
+}
+
+/**
+ * Return a shuffled copy of an array (Fisher-Yates)
+ * @param {Array} arr - Array to shuffle
+ * @param {Function} random - Uniform random number generator in [0, 1)
+ */
+export function shuffle(arr, random = Math.random) {
+  const result = [...arr];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
@@ -0,0 +1,308 @@
+/**
+ * Group-sequential testing - Interim looks at a two-variant experiment with
+ * Lan-DeMets alpha-spending boundaries, so a run can stop early for efficacy
+ * or futility without inflating the false positive rate.
+ */
+
+import { compareSamples, mean, standardDeviation, normalCDF, normalQuantile } from './statistics.js';
+
+/**
+ * Alpha-spending functions: the cumulative one-sided type I error allowed to be
+ * spent by information fraction t (0 < t <= 1) for a one-sided level alpha.
+ * Two-sided designs spend alpha / 2 on each side.
+ */
+export const SPENDING_FUNCTIONS = {
+  'obrien-fleming': {
+    label: "O'Brien-Fleming",
+    spend: (t, alpha) => 2 * (1 - normalCDF(normalQuantile(1 - alpha / 2) / Math.sqrt(t))),
+  },
+  pocock: {
+    label: 'Pocock',
+    spend: (t, alpha) => alpha * Math.log(1 + (Math.E - 1) * t),
+  },
+};
+
+// Odd number of points so Simpson's rule applies
+const GRID_POINTS = 201;
+
+// Lower edge of the continuation region for one-sided boundaries, in standard deviations
+const LOWER_TAIL = 10;
+
+function normalDensity(x) {
+  return Math.exp(-0.5 * x * x) / Math.sqrt(2 * Math.PI);
+}
+
+/**
+ * Grid over [lower, upper] with Simpson's rule weights
+ */
+function simpsonGrid(lower, upper) {
+  const h = (upper - lower) / (GRID_POINTS - 1);
+  return Array.from({ length: GRID_POINTS }, (_, i) => ({
+    s: lower + i * h,
+    weight: (h / 3) * (i === 0 || i === GRID_POINTS - 1 ? 1 : i % 2 === 1 ? 4 : 2),
+  }));
+}
+
+/**
+ * Probability of crossing the boundary at the next look, given the sub-density
+ * of the score statistic S = Z * sqrt(t) on the continuation region of the previous look.
+ */
+function crossingProbability(previous, fraction, boundary, twoSided) {
+  if (boundary === Infinity) return 0;
+  const b = boundary * Math.sqrt(fraction);
+
+  if (!previous) {
+    const tail = 1 - normalCDF(boundary);
+    return twoSided ? 2 * tail : tail;
+  }
+
+  const sd = Math.sqrt(fraction - previous.fraction);
+  return previous.grid.reduce((sum, { s, mass }) => {
+    const upper = 1 - normalCDF((b - s) / sd);
+    const lower = twoSided ? normalCDF((-b - s) / sd) : 0;
+    return sum + mass * (upper + lower);
+  }, 0);
+}
+
+/**
+ * Sub-density of S on the continuation region of a look, for the next recursion step
+ */
+function continuationDensity(previous, fraction, boundary, twoSided) {
+  const sqrtT = Math.sqrt(fraction);
+  const upper = Math.min(boundary, LOWER_TAIL) * sqrtT;
+  const lower = twoSided ? -upper : -LOWER_TAIL * sqrtT;
+
+  const grid = simpsonGrid(lower, upper).map(({ s, weight }) => {
+    let density;
+    if (!previous) {
+      density = normalDensity(s / sqrtT) / sqrtT;
+    } else {
+      const sd = Math.sqrt(fraction - previous.fraction);
+      density = previous.grid.reduce((sum, point) => sum + point.mass * normalDensity((s - point.s) / sd), 0) / sd;
+    }
+    return { s, mass: weight * density };
+  });
+  return { fraction, grid };
+}
+
+/**
+ * Computes the efficacy boundary (on the z scale) for each look.
+ *
+ * @param {number[]} fractions - Increasing information fractions, the last usually 1
+ * @param {Object} options
+ * @param {number} options.alpha - Overall significance level
+ * @param {boolean} options.twoSided - Whether the boundaries are symmetric
+ * @param {string} options.spending - Key of SPENDING_FUNCTIONS
+ * @returns {Object[]} - Per look: fraction, boundary, cumulative alpha spent, and the
+ *   sub-density carried into the look (used for stage-wise p-values)
+ */
+export function sequentialBoundaries(fractions, { alpha = 0.05, twoSided = true, spending = 'obrien-fleming' } = {}) {
+  const { spend } = SPENDING_FUNCTIONS[spending];
+  const sides = twoSided ? 2 : 1;
+  const looks = [];
+  let previous = null;
+  let spent = 0;
+
+  for (const fraction of fractions) {
+    const cumulative = fraction >= 1 ? alpha : sides * spend(fraction, alpha / sides);
+    const increment = cumulative - spent;
+
+    // The crossing probability decreases in the boundary, so bisect for the one spending the increment
+    let boundary = Infinity;
+    if (increment > 1e-12) {
+      let low = 0;
+      let high = 40;
+      for (let i = 0; i < 60; i++) {
+        const mid = (low + high) / 2;
+        if (crossingProbability(previous, fraction, mid, twoSided) > increment) {
+          low = mid;
+        } else {
+          high = mid;
+        }
+      }
+      boundary = (low + high) / 2;
+    }
+
+    looks.push({ fraction, boundary, alphaSpent: cumulative, previous });
+    previous = continuationDensity(previous, fraction, boundary, twoSided);
+    spent = cumulative;
+  }
+
+  return looks;
+}
+
+/**
+ * Welch z-statistic in the direction of the alternative: the t-statistic is
+ * mapped to the normal quantile with the same one-sided tail probability.
+ * Arms without any spread have no standard error: identical constant ratings
+ * give z = 0, and different ones give null, as the statistic is undefined.
+ */
+function directionalZ(sample1, sample2, alternative) {
+  if (standardDeviation(sample1) === 0 && standardDeviation(sample2) === 0) {
+    return mean(sample1) === mean(sample2) ? 0 : null;
+  }
+  const { pValue } = compareSamples(sample1, sample2, 'welch', { alternative: 'greater' });
+  if (!Number.isFinite(pValue)) return null;
+  const z = normalQuantile(1 - pValue);
+  return alternative === 'less' ? -z : z;
+}
+
+/**
+ * Monitors a two-variant experiment at equally spaced interim looks.
+ * Information is measured by the valid ratings of the smaller arm relative to
+ * the maximum sample size. Futility stopping is non-binding: it only lowers
+ * the false positive rate, so the efficacy boundaries ignore it.
+ */
+export class SequentialMonitor {
+  /**
+   * @param {Object} options
+   * @param {number} options.maxSampleSize - Maximum valid ratings per variant
+   * @param {number} options.looks - Planned number of looks, including the final analysis
+   * @param {string} options.spending - Key of SPENDING_FUNCTIONS
+   * @param {number} options.alpha - Overall significance level
+   * @param {string} options.alternative - 'two-sided' | 'greater' | 'less'
+   * @param {number} options.futility - Stop when conditional power under the current trend falls below this (0 to disable)
+   */
+  constructor({
+    maxSampleSize,
+    looks = 5,
+    spending = 'obrien-fleming',
+    alpha = 0.05,
+    alternative = 'two-sided',
+    futility = 0.1,
+  }) {
+    if (!SPENDING_FUNCTIONS[spending]) {
+      throw new Error(`Unknown spending function: ${spending}. Available: ${Object.keys(SPENDING_FUNCTIONS).join(', ')}`);
+    }
+    this.maxSampleSize = maxSampleSize;
+    this.plannedLooks = Math.max(2, looks);
+    this.spending = spending;
+    this.alpha = alpha;
+    this.alternative = alternative;
+    this.futility = futility;
+    this.looks = [];
+    this.decision = null;
+
+    // Interim looks happen when the smaller arm reaches each threshold; the last look is the final analysis
+    this.thresholds = Array.from({ length: this.plannedLooks - 1 }, (_, k) =>
+      Math.max(2, Math.ceil(((k + 1) * maxSampleSize) / this.plannedLooks))
+    ).filter((n, k, all) => n < maxSampleSize && n !== all[k - 1]);
+  }
+
+  /**
+   * Runs an interim look if the ratings collected have reached the next threshold
+   * @param {number[][]} ratings - Valid ratings for the two variants
+   * @returns {Object|null} - The look, or null if none was due; stop with `look.decision`
+   */
+  check(ratings) {
+    if (this.decision) return null;
+    const n = Math.min(ratings[0].length, ratings[1].length);
+    const next = this.thresholds[this.looks.length];
+    if (next === undefined || n < next) return null;
+
+    return this.evaluate(ratings, n / this.maxSampleSize, false);
+  }
+
+  /**
+   * Runs the final analysis once every query has completed
+   * @param {number[][]} ratings - Valid ratings for the two variants
+   */
+  finish(ratings) {
+    if (this.decision) return this.looks[this.looks.length - 1];
+    return this.evaluate(ratings, 1, true);
+  }
+
+  evaluate(ratings, fraction, isFinal) {
+    const twoSided = this.alternative === 'two-sided';
+    const design = { alpha: this.alpha, twoSided, spending: this.spending };
+    const observed = [...this.looks.map(look => look.fraction), fraction];
+    const boundaries = sequentialBoundaries(observed, design);
+    const { boundary, alphaSpent, previous } = boundaries[boundaries.length - 1];
+
+    const zStatistic = directionalZ(ratings[0], ratings[1], this.alternative);
+    if (zStatistic === null) {
+      return this.record({
+        look: this.looks.length + 1,
+        n: ratings.map(r => r.length),
+        fraction,
+        zStatistic: null,
+        boundary,
+        alphaSpent,
+        pValue: null,
+        conditionalPower: null,
+        // The look cannot be tested: keep collecting ratings, or leave the conclusion to the fixed-sample test
+        decision: isFinal ? 'untestable' : 'continue',
+      });
+    }
+    const z = twoSided ? Math.abs(zStatistic) : zStatistic;
+
+    // Stage-wise ordering: alpha spent at earlier looks plus the chance of a more extreme statistic at this one
+    const spentBefore = boundaries.length > 1 ? boundaries[boundaries.length - 2].alphaSpent : 0;
+    const pValue = Math.min(1, spentBefore + crossingProbability(previous, fraction, z, twoSided));
+
+    let conditionalPower = null;
+    let decision = isFinal ? 'completed' : 'continue';
+    if (z >= boundary) {
+      decision = 'efficacy';
+    } else if (!isFinal) {
+      conditionalPower = this.conditionalPower(z, fraction, observed, design);
+      if (conditionalPower < this.futility) {
+        decision = 'futility';
+      }
+    }
+
+    return this.record({
+      look: this.looks.length + 1,
+      n: ratings.map(r => r.length),
+      fraction,
+      zStatistic,
+      boundary,
+      alphaSpent,
+      pValue,
+      conditionalPower,
+      decision,
+    });
+  }
+
+  record(look) {
+    this.looks.push(look);
+    if (look.decision !== 'continue') {
+      this.decision = look.decision;
+    }
+    return look;
+  }
+
+  /**
+   * Probability of crossing the final boundary if the current trend continues
+   */
+  conditionalPower(z, fraction, observed, design) {
+    const remaining = this.thresholds
+      .map(n => n / this.maxSampleSize)
+      .filter(t => t > fraction);
+    const planned = sequentialBoundaries([...observed, ...remaining, 1], design);
+    const finalBoundary = planned[planned.length - 1].boundary;
+    return 1 - normalCDF((finalBoundary - z / Math.sqrt(fraction)) / Math.sqrt(1 - fraction));
+  }
+
+  /**
+   * Summary of the looks taken, stored with the results
+   */
+  summary() {
+    const last = this.looks[this.looks.length - 1];
+    // A final look without a statistic leaves the conclusion to the fixed-sample test
+    const concluded = this.decision !== null && this.decision !== 'untestable';
+    return {
+      spending: this.spending,
+      plannedLooks: this.plannedLooks,
+      maxSampleSize: this.maxSampleSize,
+      alpha: this.alpha,
+      alternative: this.alternative,
+      futility: this.futility,
+      looks: this.looks,
+      decision: this.decision,
+      stoppedEarly: concluded && this.decision !== 'completed',
+      pValue: concluded ? last.pValue : null,
+      isSignificant: this.decision === 'efficacy',
+    };
+  }
+}
@@ -0,0 +1,50 @@
+/**
+ * Persistence of per-provider settings in localStorage
+ */
+
+const STORAGE_KEY = 'experiment-platform:provider-settings';
+
+// Settings entered as text that the providers expect as numbers
+const NUMERIC_SETTINGS = ['temperature', 'maxTokens', 'topP', 'seed', 'rateLimit', 'scaleMin', 'scaleMax'];
+
+/**
+ * Load saved settings for all providers
+ * @returns {Object} Settings keyed by provider name
+ */
+export function loadProviderSettings() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) ?? {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Save settings for all providers
+ * @param {Object} settings - Settings keyed by provider name
+ */
+export function saveProviderSettings(settings) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch {
+    // Storage may be unavailable (private browsing, quota exceeded)
+  }
+}
+
+/**
+ * Convert settings as entered in the UI into a provider config.
+ * Blank fields are omitted so the provider falls back to its defaults.
+ */
+export function toProviderConfig(settings = {}) {
+  const config = {};
+  for (const [key, value] of Object.entries(settings)) {
+    if (value === '' || value === null || value === undefined) continue;
+    if (NUMERIC_SETTINGS.includes(key)) {
+      const number = Number(value);
+      if (!Number.isNaN(number)) config[key] = number;
+    } else {
+      config[key] = value;
+    }
+  }
+  return config;
+}
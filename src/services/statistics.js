@@ -21,15 +21,47 @@ export function standardDeviation(arr) {
   return Math.sqrt(variance);
 }
 
+/**
+ * Calculates the sample skewness (adjusted Fisher-Pearson coefficient).
+ */
+export function skewness(arr) {
+  const n = arr.length;
+  const std = standardDeviation(arr);
+  if (n < 3 || std === 0) return 0;
+  const avg = mean(arr);
+  const cubed = arr.reduce((sum, val) => sum + Math.pow((val - avg) / std, 3), 0);
+  return (n / ((n - 1) * (n - 2))) * cubed;
+}
+
+/**
+ * Alternative hypotheses for two-sample tests. 'greater' tests whether the
+ * first sample is larger than the second; 'less' tests the reverse.
+ */
+export const ALTERNATIVES = ['two-sided', 'greater', 'less'];
+
+/**
+ * Converts a test statistic's CDF value into a p-value for the chosen alternative.
+ */
+function pValueFromCDF(cdf, alternative) {
+  if (alternative === 'greater') return 1 - cdf;
+  if (alternative === 'less') return cdf;
+  return Math.min(1, 2 * Math.min(cdf, 1 - cdf));
+}
+
 /**
  * Performs an independent samples t-test (Welch's t-test).
  * This test does not assume equal variances.
  *
  * @param {number[]} sample1 - First sample array
  * @param {number[]} sample2 - Second sample array
- * @returns {Object} - Test results including t-statistic, p-value, and significance
+ * @param {Object} options
+ * @param {number} options.alpha - Significance level
+ * @param {string} options.alternative - 'two-sided' | 'greater' | 'less'
+ * @returns {Object} - Test results including t-statistic, p-value, confidence interval, effect sizes, and significance.
+ *   When neither sample varies the difference is known exactly: the p-value is 0 or 1 and the
+ *   t-statistic and effect sizes, which divide by a zero spread, are null.
  */
-export function independentTTest(sample1, sample2) {
+export function independentTTest(sample1, sample2, { alpha = 0.05, alternative = 'two-sided' } = {}) {
   const n1 = sample1.length;
   const n2 = sample2.length;
 
@@ -43,38 +75,1161 @@ export function independentTTest(sample1, sample2) {
   const var2 = std2 * std2;
 
   // Welch's t-test
+  const meanDifference = mean1 - mean2;
   const se = Math.sqrt(var1 / n1 + var2 / n2);
-  const tStatistic = (mean1 - mean2) / se;
+  const exact = se === 0;
+  const tStatistic = exact ? null : meanDifference / se;
 
   // Welch-Satterthwaite degrees of freedom
   const numerator = Math.pow(var1 / n1 + var2 / n2, 2);
   const denominator =
     Math.pow(var1 / n1, 2) / (n1 - 1) + Math.pow(var2 / n2, 2) / (n2 - 1);
-  const df = numerator / denominator;
+  const df = exact ? n1 + n2 - 2 : numerator / denominator;
+
+  const pValue = exact
+    ? exactPValue(meanDifference, alternative)
+    : pValueFromCDF(tCDF(tStatistic, df), alternative);
+
+  // Confidence interval for the mean difference, one-sided for one-sided alternatives
+  const confidenceLevel = 1 - alpha;
+  const confidenceInterval = confidenceBounds(meanDifference, se, df, alpha, alternative);
 
-  // Calculate two-tailed p-value using t-distribution
-  const pValue = 2 * (1 - tCDF(Math.abs(tStatistic), df));
+  // Cohen's d with the pooled SD weighted by degrees of freedom, and its
+  // small-sample bias-corrected form, Hedges' g
+  const pooledSD = Math.sqrt(((n1 - 1) * var1 + (n2 - 1) * var2) / (n1 + n2 - 2));
+  const cohensD = exact ? null : meanDifference / pooledSD;
+  const correction = 1 - 3 / (4 * (n1 + n2) - 9);
+  const hedgesG = exact ? null : correction * cohensD;
+  const hedgesGSE = Math.sqrt((n1 + n2) / (n1 * n2) + (hedgesG * hedgesG) / (2 * (n1 + n2)));
+  const hedgesGCI = exact ? null : confidenceBounds(hedgesG, hedgesGSE, n1 + n2 - 2, alpha, 'two-sided');
 
   return {
     mean1,
     mean2,
     std1,
     std2,
+    meanDifference,
     tStatistic,
     degreesOfFreedom: df,
     pValue,
-    isSignificant: pValue < 0.05,
-    effectSize: (mean1 - mean2) / Math.sqrt((var1 + var2) / 2), // Cohen's d approximation
+    alpha,
+    alternative,
+    isSignificant: pValue < alpha,
+    confidenceLevel,
+    confidenceInterval,
+    effectSize: cohensD,
+    hedgesG,
+    hedgesGCI,
+  };
+}
+
+/**
+ * p-value of a difference known without sampling error: 0 when it lies in the
+ * direction of the alternative, 1 otherwise.
+ */
+function exactPValue(difference, alternative) {
+  if (alternative === 'greater') return difference > 0 ? 0 : 1;
+  if (alternative === 'less') return difference < 0 ? 0 : 1;
+  return difference !== 0 ? 0 : 1;
+}
+
+/**
+ * Confidence bounds for an estimate with a t-distributed sampling error.
+ * One-sided alternatives give an interval that is unbounded on one side.
+ */
+function confidenceBounds(estimate, se, df, alpha, alternative) {
+  if (alternative === 'greater') {
+    return { lower: estimate - tQuantile(1 - alpha, df) * se, upper: Infinity };
+  }
+  if (alternative === 'less') {
+    return { lower: -Infinity, upper: estimate + tQuantile(1 - alpha, df) * se };
+  }
+  const margin = tQuantile(1 - alpha / 2, df) * se;
+  return { lower: estimate - margin, upper: estimate + margin };
+}
+
+/**
+ * Equivalence tests available for two variants.
+ */
+export const EQUIVALENCE_TYPES = {
+  equivalence: { label: 'Equivalence (TOST)' },
+  'non-inferiority': { label: 'Non-inferiority' },
+};
+
+/**
+ * Tests whether two means are practically the same, rather than merely not shown to
+ * differ. The equivalence test is Welch's two one-sided tests (TOST): the difference
+ * is shown to lie within [-margin, margin] when both one-sided tests against the
+ * margins are significant, which matches a 1 - 2 alpha confidence interval inside
+ * the margins. The non-inferiority test is the lower one alone: the first variant is
+ * not worse than the second by the margin or more.
+ *
+ * The conclusion also uses Welch's test of any difference (one-sided towards the first
+ * variant being worse for non-inferiority): 'equivalent' or 'non-inferior' when the
+ * margin test is significant, 'different' when only the difference test is, and
+ * 'inconclusive' when neither is.
+ *
+ * @param {number[]} sample1 - First sample array
+ * @param {number[]} sample2 - Second sample array
+ * @param {Object} options
+ * @param {number} options.margin - Largest difference in means that doesn't matter, in rating points
+ * @param {number} options.alpha - Significance level
+ * @param {string} options.type - Key of EQUIVALENCE_TYPES
+ * @returns {Object} - The one-sided tests, overall p-value, confidence interval and conclusion
+ */
+export function equivalenceTest(sample1, sample2, { margin, alpha = 0.05, type = 'equivalence' } = {}) {
+  if (!EQUIVALENCE_TYPES[type]) {
+    throw new Error(`Unknown equivalence test: ${type}. Available: ${Object.keys(EQUIVALENCE_TYPES).join(', ')}`);
+  }
+  if (!(margin > 0)) {
+    throw new Error('The equivalence margin must be greater than zero.');
+  }
+
+  const n1 = sample1.length;
+  const n2 = sample2.length;
+  const var1 = Math.pow(standardDeviation(sample1), 2);
+  const var2 = Math.pow(standardDeviation(sample2), 2);
+  const difference = mean(sample1) - mean(sample2);
+  const se = Math.sqrt(var1 / n1 + var2 / n2);
+  const df = se === 0
+    ? n1 + n2 - 2
+    : Math.pow(se, 4) / (Math.pow(var1 / n1, 2) / (n1 - 1) + Math.pow(var2 / n2, 2) / (n2 - 1));
+
+  // Without sampling error the difference is known exactly
+  const oneSided = (shift, upper) => {
+    if (se === 0) return { tStatistic: null, pValue: (upper ? difference < shift : difference > shift) ? 0 : 1 };
+    const tStatistic = (difference - shift) / se;
+    return { tStatistic, pValue: upper ? tCDF(tStatistic, df) : 1 - tCDF(tStatistic, df) };
+  };
+  const lower = oneSided(-margin, false);
+  const upper = type === 'equivalence' ? oneSided(margin, true) : null;
+  const pValue = Math.max(lower.pValue, upper?.pValue ?? 0);
+
+  const differenceTest = independentTTest(sample1, sample2, {
+    alpha,
+    alternative: type === 'equivalence' ? 'two-sided' : 'less',
+  });
+  const isEquivalent = pValue < alpha;
+
+  return {
+    type,
+    margin,
+    alpha,
+    difference,
+    standardError: se,
+    degreesOfFreedom: df,
+    lower,
+    upper,
+    pValue,
+    confidenceLevel: type === 'equivalence' ? 1 - 2 * alpha : 1 - alpha,
+    confidenceInterval: type === 'equivalence'
+      ? confidenceBounds(difference, se, df, 2 * alpha, 'two-sided')
+      : confidenceBounds(difference, se, df, alpha, 'greater'),
+    isEquivalent,
+    differencePValue: differenceTest.pValue,
+    conclusion: isEquivalent
+      ? (type === 'equivalence' ? 'equivalent' : 'non-inferior')
+      : differenceTest.isSignificant ? 'different' : 'inconclusive',
+  };
+}
+
+/**
+ * Performs a one-way Welch ANOVA across any number of samples.
+ * Like Welch's t-test, this does not assume equal variances.
+ *
+ * @param {number[][]} samples - Array of sample arrays, one per group
+ * @param {Object} options
+ * @param {number} options.alpha - Significance level
+ * @returns {Object} - Test results including F-statistic, degrees of freedom, p-value, and significance.
+ *   The test weights groups by their inverse variance, so it is undefined when a group has no
+ *   spread: the statistics are then null and `constantGroups` lists the indices of those groups.
+ */
+export function welchANOVA(samples, { alpha = 0.05 } = {}) {
+  const k = samples.length;
+  const groups = samples.map(sample => {
+    const n = sample.length;
+    const std = standardDeviation(sample);
+    return { n, mean: mean(sample), std, weight: n / (std * std) };
+  });
+
+  const constantGroups = groups.map((g, i) => (g.std === 0 ? i : -1)).filter(i => i >= 0);
+  if (constantGroups.length > 0) {
+    return { fStatistic: null, df1: k - 1, df2: null, pValue: null, alpha, isSignificant: false, constantGroups };
+  }
+
+  const totalWeight = groups.reduce((sum, g) => sum + g.weight, 0);
+  const weightedMean = groups.reduce((sum, g) => sum + g.weight * g.mean, 0) / totalWeight;
+
+  const between =
+    groups.reduce((sum, g) => sum + g.weight * Math.pow(g.mean - weightedMean, 2), 0) / (k - 1);
+  const lambda = groups.reduce(
+    (sum, g) => sum + Math.pow(1 - g.weight / totalWeight, 2) / (g.n - 1),
+    0
+  );
+
+  const fStatistic = between / (1 + (2 * (k - 2) * lambda) / (k * k - 1));
+  const df1 = k - 1;
+  const df2 = (k * k - 1) / (3 * lambda);
+
+  const pValue = 1 - fCDF(fStatistic, df1, df2);
+
+  return {
+    fStatistic,
+    df1,
+    df2,
+    pValue,
+    alpha,
+    isSignificant: pValue < alpha,
+    constantGroups,
+  };
+}
+
+/**
+ * Indices of the tests that produced a p-value
+ */
+function testedIndices(pValues) {
+  return pValues.map((p, i) => i).filter(i => Number.isFinite(pValues[i]));
+}
+
+/**
+ * Adjusts p-values for multiple comparisons using the Holm-Bonferroni method.
+ *
+ * @param {number[]} pValues - Unadjusted p-values
+ * @returns {number[]} - Adjusted p-values, in the same order as the input. Tests without a
+ *   p-value (null or NaN) are left out of the family and adjusted to NaN.
+ */
+export function holmCorrection(pValues) {
+  const order = testedIndices(pValues).sort((a, b) => pValues[a] - pValues[b]);
+  const m = order.length;
+  const adjusted = pValues.map(() => NaN);
+
+  let runningMax = 0;
+  order.forEach((index, rank) => {
+    runningMax = Math.max(runningMax, Math.min(1, (m - rank) * pValues[index]));
+    adjusted[index] = runningMax;
+  });
+
+  return adjusted;
+}
+
+/**
+ * Adjusts p-values with the Benjamini-Hochberg procedure, controlling the
+ * false discovery rate rather than the family-wise error rate.
+ *
+ * @param {number[]} pValues - Unadjusted p-values
+ * @returns {number[]} - Adjusted p-values, in the same order as the input. Tests without a
+ *   p-value (null or NaN) are left out of the family and adjusted to NaN.
+ */
+export function benjaminiHochberg(pValues) {
+  const order = testedIndices(pValues).sort((a, b) => pValues[b] - pValues[a]);
+  const m = order.length;
+  const adjusted = pValues.map(() => NaN);
+
+  let runningMin = 1;
+  order.forEach((index, i) => {
+    const rank = m - i;
+    runningMin = Math.min(runningMin, (m / rank) * pValues[index]);
+    adjusted[index] = runningMin;
+  });
+
+  return adjusted;
+}
+
+/**
+ * Multiple-comparison corrections available across families of tests.
+ */
+export const CORRECTIONS = {
+  holm: { label: 'Holm', run: holmCorrection },
+  bh: { label: 'Benjamini-Hochberg', run: benjaminiHochberg },
+};
+
+/**
+ * Performs the Mann-Whitney U test (Wilcoxon rank-sum test).
+ * Uses the normal approximation with tie and continuity corrections,
+ * which suits discrete ratings with many ties.
+ *
+ * @param {number[]} sample1 - First sample array
+ * @param {number[]} sample2 - Second sample array
+ * @param {Object} options
+ * @param {number} options.alpha - Significance level
+ * @param {string} options.alternative - 'two-sided' | 'greater' | 'less'
+ * @returns {Object} - Test results including U statistic, z-score, p-value, and rank-biserial correlation
+ */
+export function mannWhitneyU(sample1, sample2, { alpha = 0.05, alternative = 'two-sided' } = {}) {
+  const n1 = sample1.length;
+  const n2 = sample2.length;
+  const n = n1 + n2;
+
+  // Rank the pooled samples, giving tied values their average rank
+  const pooled = [
+    ...sample1.map(value => ({ value, group: 1 })),
+    ...sample2.map(value => ({ value, group: 2 })),
+  ].sort((a, b) => a.value - b.value);
+
+  let rankSum1 = 0;
+  let tieTerm = 0;
+  for (let i = 0; i < n; ) {
+    let j = i;
+    while (j < n && pooled[j].value === pooled[i].value) j++;
+    const ties = j - i;
+    const averageRank = (i + 1 + j) / 2;
+    for (let k = i; k < j; k++) {
+      if (pooled[k].group === 1) rankSum1 += averageRank;
+    }
+    tieTerm += ties * ties * ties - ties;
+    i = j;
+  }
+
+  const u1 = rankSum1 - (n1 * (n1 + 1)) / 2;
+  const u2 = n1 * n2 - u1;
+  const meanU = (n1 * n2) / 2;
+  const varianceU = ((n1 * n2) / 12) * ((n + 1) - tieTerm / (n * (n - 1)));
+
+  let zScore = 0;
+  let pValue = alternative === 'two-sided' ? 1 : 0.5;
+  if (varianceU > 0) {
+    const sd = Math.sqrt(varianceU);
+    const continuity = u1 === meanU ? 0 : 0.5 * Math.sign(u1 - meanU);
+    zScore = (u1 - meanU - continuity) / sd;
+
+    // One-sided tests apply the continuity correction toward the null
+    if (alternative === 'greater') {
+      pValue = 1 - normalCDF((u1 - meanU - 0.5) / sd);
+    } else if (alternative === 'less') {
+      pValue = normalCDF((u1 - meanU + 0.5) / sd);
+    } else {
+      pValue = pValueFromCDF(normalCDF(zScore), alternative);
+    }
+  }
+
+  return {
+    uStatistic: Math.min(u1, u2),
+    u1,
+    zScore,
+    pValue,
+    alpha,
+    alternative,
+    isSignificant: pValue < alpha,
+    effectSize: (2 * u1) / (n1 * n2) - 1, // Rank-biserial correlation
+  };
+}
+
+/**
+ * Performs a permutation test on the difference in means.
+ *
+ * @param {number[]} sample1 - First sample array
+ * @param {number[]} sample2 - Second sample array
+ * @param {Object} options
+ * @param {number} options.alpha - Significance level
+ * @param {string} options.alternative - 'two-sided' | 'greater' | 'less'
+ * @param {number} options.iterations - Number of random permutations
+ * @param {Function} options.random - Uniform random number generator in [0, 1)
+ * @returns {Object} - Test results including observed difference and p-value
+ */
+export function permutationTest(
+  sample1,
+  sample2,
+  { alpha = 0.05, alternative = 'two-sided', iterations = 10000, random = Math.random } = {}
+) {
+  const n1 = sample1.length;
+  const pooled = [...sample1, ...sample2];
+  const total = pooled.reduce((sum, val) => sum + val, 0);
+  const observed = mean(sample1) - mean(sample2);
+
+  let extreme = 0;
+  for (let iter = 0; iter < iterations; iter++) {
+    // Partial Fisher-Yates shuffle: only the first n1 positions are needed
+    let sum1 = 0;
+    for (let i = 0; i < n1; i++) {
+      const j = i + Math.floor(random() * (pooled.length - i));
+      [pooled[i], pooled[j]] = [pooled[j], pooled[i]];
+      sum1 += pooled[i];
+    }
+    const difference = sum1 / n1 - (total - sum1) / (pooled.length - n1);
+    // Small tolerance so permutations tied with the observed difference count as extreme
+    if (alternative === 'greater') {
+      if (difference >= observed - 1e-12) extreme++;
+    } else if (alternative === 'less') {
+      if (difference <= observed + 1e-12) extreme++;
+    } else if (Math.abs(difference) >= Math.abs(observed) - 1e-12) {
+      extreme++;
+    }
+  }
+
+  const pValue = (extreme + 1) / (iterations + 1);
+
+  return {
+    observedDifference: observed,
+    iterations,
+    pValue,
+    alpha,
+    alternative,
+    isSignificant: pValue < alpha,
   };
 }
 
+/**
+ * Computes a percentile bootstrap confidence interval for the difference in means.
+ * The confidence level is 1 - alpha, one-sided for one-sided alternatives.
+ * The p-value is the bootstrap estimate of how often the difference crosses zero.
+ *
+ * @param {number[]} sample1 - First sample array
+ * @param {number[]} sample2 - Second sample array
+ * @param {Object} options
+ * @param {number} options.alpha - Significance level
+ * @param {string} options.alternative - 'two-sided' | 'greater' | 'less'
+ * @param {number} options.iterations - Number of bootstrap resamples
+ * @param {Function} options.random - Uniform random number generator in [0, 1)
+ * @returns {Object} - Observed difference, confidence interval bounds, and p-value
+ */
+export function bootstrapMeanDifference(
+  sample1,
+  sample2,
+  { alpha = 0.05, alternative = 'two-sided', iterations = 10000, random = Math.random } = {}
+) {
+  const resampleMean = (sample) => {
+    let sum = 0;
+    for (let i = 0; i < sample.length; i++) {
+      sum += sample[Math.floor(random() * sample.length)];
+    }
+    return sum / sample.length;
+  };
+
+  const differences = new Float64Array(iterations);
+  for (let iter = 0; iter < iterations; iter++) {
+    differences[iter] = resampleMean(sample1) - resampleMean(sample2);
+  }
+  differences.sort();
+
+  const percentile = (q) => differences[Math.round(q * (iterations - 1))];
+  const tail = alternative === 'two-sided' ? alpha / 2 : alpha;
+  const lower = alternative === 'less' ? -Infinity : percentile(tail);
+  const upper = alternative === 'greater' ? Infinity : percentile(1 - tail);
+
+  const atOrBelowZero = differences.filter(d => d <= 0).length;
+  const atOrAboveZero = differences.filter(d => d >= 0).length;
+  const crossings = {
+    greater: atOrBelowZero,
+    less: atOrAboveZero,
+    'two-sided': 2 * Math.min(atOrBelowZero, atOrAboveZero),
+  }[alternative];
+  const pValue = Math.min(1, (crossings + 1) / (iterations + 1));
+
+  return {
+    difference: mean(sample1) - mean(sample2),
+    lower,
+    upper,
+    confidence: 1 - alpha,
+    iterations,
+    pValue,
+    alpha,
+    alternative,
+    isSignificant: lower > 0 || upper < 0,
+  };
+}
+
+/**
+ * Two-sample tests available for comparing variants.
+ */
+export const TESTS = {
+  welch: { label: "Welch's t-test", run: independentTTest },
+  'mann-whitney': { label: 'Mann-Whitney U test', run: mannWhitneyU },
+  permutation: { label: 'Permutation test', run: permutationTest },
+  bootstrap: { label: 'Bootstrap confidence interval', run: bootstrapMeanDifference },
+};
+
+/**
+ * Compares two samples with the selected test.
+ *
+ * @param {number[]} sample1 - First sample array
+ * @param {number[]} sample2 - Second sample array
+ * @param {string} test - Key of TESTS
+ * @param {Object} options
+ * @param {number} options.alpha - Significance level
+ * @param {string} options.alternative - 'two-sided' | 'greater' | 'less'
+ * @param {Function} options.random - Random number generator for the resampling tests
+ * @returns {Object} - Test results, always including the test name, p-value, and significance
+ */
+export function compareSamples(
+  sample1,
+  sample2,
+  test = 'welch',
+  { alpha = 0.05, alternative = 'two-sided', random = Math.random } = {}
+) {
+  const selected = TESTS[test];
+  if (!selected) {
+    throw new Error(`Unknown test: ${test}. Available: ${Object.keys(TESTS).join(', ')}`);
+  }
+  if (!ALTERNATIVES.includes(alternative)) {
+    throw new Error(`Unknown alternative: ${alternative}. Available: ${ALTERNATIVES.join(', ')}`);
+  }
+  return {
+    test,
+    mean1: mean(sample1),
+    mean2: mean(sample2),
+    ...selected.run(sample1, sample2, { alpha, alternative, random }),
+  };
+}
+
+/**
+ * Runs the selected test between every pair of samples and applies Holm correction.
+ *
+ * @param {number[][]} samples - Array of sample arrays, one per group
+ * @param {string} test - Key of TESTS
+ * @param {Object} options
+ * @param {number} options.alpha - Significance level for the adjusted p-values
+ * @param {Function} options.random - Random number generator for the resampling tests
+ * @returns {Object[]} - One entry per pair with group indices, test results and adjusted p-value
+ */
+export function pairwiseComparisons(samples, test = 'welch', { alpha = 0.05, random = Math.random } = {}) {
+  const comparisons = [];
+  for (let i = 0; i < samples.length; i++) {
+    for (let j = i + 1; j < samples.length; j++) {
+      comparisons.push({ group1: i, group2: j, ...compareSamples(samples[i], samples[j], test, { alpha, random }) });
+    }
+  }
+
+  const adjusted = holmCorrection(comparisons.map(c => c.pValue));
+  return comparisons.map((c, index) => ({
+    ...c,
+    adjustedPValue: adjusted[index],
+    isSignificant: adjusted[index] < alpha,
+  }));
+}
+
+/**
+ * Checks samples for signs that the t-test's normality assumption is doubtful.
+ * Discrete ratings often cluster on a few values or pile up at one end of the scale.
+ *
+ * @param {number[][]} samples - Array of sample arrays, one per group
+ * @param {string[]} labels - Group labels used in the issue descriptions
+ * @returns {Object} - Whether the assumptions look violated and the issues found
+ */
+export function tTestDiagnostics(samples, labels) {
+  const issues = [];
+
+  samples.forEach((sample, index) => {
+    const label = labels[index];
+    const distinct = new Set(sample).size;
+    const skew = skewness(sample);
+
+    if (standardDeviation(sample) === 0) {
+      issues.push(`${label} has no variance: every rating is ${sample[0]}.`);
+    } else if (distinct <= 3) {
+      issues.push(`${label} uses only ${distinct} distinct rating values.`);
+    }
+    if (Math.abs(skew) > 1 && sample.length < 30) {
+      issues.push(`${label} is strongly skewed (skewness ${skew.toFixed(2)}) with only ${sample.length} ratings.`);
+    }
+  });
+
+  return {
+    isViolated: issues.length > 0,
+    issues,
+  };
+}
+
+/**
+ * Exact binomial test of a count of successes against a hypothesized proportion.
+ * The two-sided p-value sums the probabilities of every outcome no more likely than
+ * the observed one. With a proportion of 0.5 this is the sign test.
+ *
+ * @param {number} successes - Number of successes
+ * @param {number} trials - Number of trials
+ * @param {Object} options
+ * @param {number} options.p - Success probability under the null hypothesis
+ * @param {number} options.alpha - Significance level
+ * @param {string} options.alternative - 'two-sided' | 'greater' | 'less'
+ * @returns {Object} - Test results including the observed proportion, p-value and Clopper-Pearson interval
+ */
+export function binomialTest(successes, trials, { p = 0.5, alpha = 0.05, alternative = 'two-sided' } = {}) {
+  const probabilities = Array.from({ length: trials + 1 }, (_, k) => binomialPMF(k, trials, p));
+  const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+  let pValue;
+  if (alternative === 'greater') {
+    pValue = sum(probabilities.slice(successes));
+  } else if (alternative === 'less') {
+    pValue = sum(probabilities.slice(0, successes + 1));
+  } else {
+    // Relative tolerance so outcomes as likely as the observed one aren't lost to rounding
+    const observed = probabilities[successes] * (1 + 1e-7);
+    pValue = sum(probabilities.filter(probability => probability <= observed));
+  }
+  pValue = Math.min(1, pValue);
+
+  return {
+    test: 'sign',
+    successes,
+    trials,
+    proportion: trials > 0 ? successes / trials : NaN,
+    nullProportion: p,
+    pValue,
+    confidenceLevel: 1 - alpha,
+    confidenceInterval: clopperPearson(successes, trials, alpha, alternative),
+    isSignificant: pValue < alpha,
+    alpha,
+    alternative,
+  };
+}
+
+function binomialPMF(k, n, p) {
+  if (p === 0) return k === 0 ? 1 : 0;
+  if (p === 1) return k === n ? 1 : 0;
+  return Math.exp(
+    gammaLn(n + 1) - gammaLn(k + 1) - gammaLn(n - k + 1) + k * Math.log(p) + (n - k) * Math.log(1 - p)
+  );
+}
+
+/**
+ * Exact confidence interval for a binomial proportion, from quantiles of the beta distribution.
+ * One-sided alternatives get a one-sided interval.
+ */
+function clopperPearson(successes, trials, alpha, alternative) {
+  const tail = alternative === 'two-sided' ? alpha / 2 : alpha;
+  const lower = alternative === 'less' || successes === 0
+    ? 0
+    : betaQuantile(tail, successes, trials - successes + 1);
+  const upper = alternative === 'greater' || successes === trials
+    ? 1
+    : betaQuantile(1 - tail, successes + 1, trials - successes);
+  return { lower, upper };
+}
+
+/**
+ * Compares every pair of variants on how often one was preferred over the other,
+ * using the sign test with Holm-corrected p-values. Pairs without any decided
+ * comparison get a p-value of 1.
+ *
+ * @param {number[][]} wins - wins[i][j] is how often variant i was preferred over variant j
+ * @param {Object} options
+ * @param {number} options.alpha - Significance level for the adjusted p-values
+ * @param {Function} options.random - Random number generator for the resampling tests
+ * @returns {Object[]} - One entry per pair with group indices, test results and adjusted p-value
+ */
+export function pairwisePreferences(wins, { alpha = 0.05 } = {}) {
+  const comparisons = [];
+  for (let i = 0; i < wins.length; i++) {
+    for (let j = i + 1; j < wins.length; j++) {
+      comparisons.push({ group1: i, group2: j, ...binomialTest(wins[i][j], wins[i][j] + wins[j][i], { alpha }) });
+    }
+  }
+
+  const adjusted = holmCorrection(comparisons.map(c => c.pValue));
+  return comparisons.map((c, index) => ({
+    ...c,
+    adjustedPValue: adjusted[index],
+    isSignificant: adjusted[index] < alpha,
+  }));
+}
+
+/**
+ * Fits Bradley-Terry strengths to pairwise preference counts with the MM algorithm
+ * (Hunter, 2004). Variant i is preferred over variant j with probability
+ * strength[i] / (strength[i] + strength[j]). A prior of half a win in each direction
+ * for every compared pair keeps the strengths finite when a variant wins or loses
+ * all of its comparisons.
+ *
+ * @param {number[][]} wins - wins[i][j] is how often variant i was preferred over variant j
+ * @param {Object} options
+ * @param {number} options.prior - Pseudo-wins added in each direction for every compared pair
+ * @param {number} options.maxIterations - Iteration limit
+ * @param {number} options.tolerance - Stop once no strength changes by more than this
+ * @returns {number[]} - Strengths, normalized to sum to 1
+ */
+export function bradleyTerry(wins, { prior = 0.5, maxIterations = 1000, tolerance = 1e-9 } = {}) {
+  const k = wins.length;
+  const counts = wins.map((row, i) => row.map((count, j) => {
+    if (i === j) return 0;
+    return count + (count + wins[j][i] > 0 ? prior : 0);
+  }));
+  const totalWins = counts.map(row => row.reduce((sum, count) => sum + count, 0));
+
+  let strengths = new Array(k).fill(1 / k);
+  for (let iteration = 0; iteration < maxIterations; iteration++) {
+    const next = strengths.map((strength, i) => {
+      let denominator = 0;
+      for (let j = 0; j < k; j++) {
+        const comparisons = counts[i][j] + counts[j][i];
+        if (j !== i && comparisons > 0) {
+          denominator += comparisons / (strength + strengths[j]);
+        }
+      }
+      return denominator > 0 ? totalWins[i] / denominator : strength;
+    });
+
+    const total = next.reduce((sum, strength) => sum + strength, 0);
+    const normalized = next.map(strength => strength / total);
+    const change = Math.max(...normalized.map((strength, i) => Math.abs(strength - strengths[i])));
+    strengths = normalized;
+    if (change < tolerance) break;
+  }
+
+  return strengths;
+}
+
+/**
+ * F-test of an effect's mean square against an error mean square
+ */
+function fTest(msEffect, msError, df1, df2, alpha) {
+  let fStatistic;
+  if (msError > 0) {
+    fStatistic = msEffect / msError;
+  } else {
+    // No error variance: any effect at all is conclusive
+    fStatistic = msEffect > 0 ? Infinity : 0;
+  }
+  const pValue = fStatistic === Infinity ? 0 : 1 - fCDF(fStatistic, df1, df2);
+  return { fStatistic, df1, df2, pValue, alpha, isSignificant: pValue < alpha };
+}
+
+/**
+ * Two-way ANOVA of ratings blocked by judge, for experiments where several judges
+ * rate every variant repeatedly. Unequal cell sizes are handled with the unweighted
+ * means analysis: sums of squares are computed on the cell means, scaled by the
+ * harmonic mean cell size.
+ *
+ * The variant effect is tested two ways: against the within-cell error, treating the
+ * judges as fixed blocks, and against the judge-by-variant interaction, treating them
+ * as a random sample of judges (mixed model) so the conclusion generalizes beyond the
+ * panel. A significant interaction means the judges disagree about the variants.
+ *
+ * @param {number[][][]} cells - cells[j][v] holds judge j's ratings of variant v, at least one per cell
+ * @param {Object} options
+ * @param {number} options.alpha - Significance level
+ * @returns {Object} - Cell and marginal means, and the variant, judge, interaction and mixed-model variant F-tests
+ */
+export function blockedANOVA(cells, { alpha = 0.05 } = {}) {
+  const judges = cells.length;
+  const variants = cells[0].length;
+  const cellMeans = cells.map(row => row.map(mean));
+  const sizes = cells.flatMap(row => row.map(cell => cell.length));
+  const total = sizes.reduce((sum, n) => sum + n, 0);
+  const harmonicN = sizes.length / sizes.reduce((sum, n) => sum + 1 / n, 0);
+
+  const judgeMeans = cellMeans.map(mean);
+  const variantMeans = cellMeans[0].map((_, v) => mean(cellMeans.map(row => row[v])));
+  const grandMean = mean(judgeMeans);
+
+  const ssVariant = harmonicN * judges * variantMeans.reduce((sum, m) => sum + Math.pow(m - grandMean, 2), 0);
+  const ssJudge = harmonicN * variants * judgeMeans.reduce((sum, m) => sum + Math.pow(m - grandMean, 2), 0);
+  const ssInteraction = harmonicN * cellMeans.reduce((sum, row, j) => sum + row.reduce(
+    (rowSum, m, v) => rowSum + Math.pow(m - judgeMeans[j] - variantMeans[v] + grandMean, 2), 0
+  ), 0);
+  const ssWithin = cells.reduce((sum, row, j) => sum + row.reduce(
+    (rowSum, cell, v) => rowSum + cell.reduce((cellSum, x) => cellSum + Math.pow(x - cellMeans[j][v], 2), 0), 0
+  ), 0);
+
+  const dfVariant = variants - 1;
+  const dfJudge = judges - 1;
+  const dfInteraction = dfVariant * dfJudge;
+  const dfWithin = total - judges * variants;
+
+  const msVariant = ssVariant / dfVariant;
+  const msInteraction = ssInteraction / dfInteraction;
+  const msWithin = dfWithin > 0 ? ssWithin / dfWithin : 0;
+
+  return {
+    cellMeans,
+    variantMeans,
+    judgeMeans,
+    harmonicN,
+    variant: fTest(msVariant, msWithin, dfVariant, dfWithin, alpha),
+    judge: fTest(ssJudge / dfJudge, msWithin, dfJudge, dfWithin, alpha),
+    interaction: fTest(msInteraction, msWithin, dfInteraction, dfWithin, alpha),
+    mixedVariant: fTest(msVariant, msInteraction, dfVariant, dfInteraction, alpha),
+  };
+}
+
+/**
+ * Krippendorff's alpha for interval data: 1 - observed / expected disagreement,
+ * where disagreement is the mean squared difference between pairable values.
+ * 1 is perfect agreement, 0 is agreement at chance level, negative values are
+ * systematic disagreement. Units with fewer than two values are not pairable and
+ * are ignored.
+ *
+ * @param {number[][]} units - The values each coder assigned to a unit, one array per unit
+ * @returns {number} - Alpha, or NaN when there is no variation to agree on
+ */
+export function krippendorffAlpha(units) {
+  const pairable = units.filter(values => values.length >= 2);
+  const values = pairable.flat();
+  const n = values.length;
+  const sumOfSquares = (xs) => {
+    const m = mean(xs);
+    return xs.reduce((sum, x) => sum + Math.pow(x - m, 2), 0);
+  };
+
+  // For the squared-difference metric, the sum over ordered pairs within a set of
+  // m values is 2 * m * (sum of squared deviations from their mean)
+  const observed = pairable.reduce((sum, xs) => sum + (2 * xs.length * sumOfSquares(xs)) / (xs.length - 1), 0) / n;
+  const expected = (2 * n * sumOfSquares(values)) / (n * (n - 1));
+
+  return expected > 0 ? 1 - observed / expected : NaN;
+}
+
+/**
+ * Intraclass correlations of a targets-by-raters table from a two-way ANOVA
+ * (Shrout & Fleiss; McGraw & Wong). Agreement treats differences in the raters'
+ * overall leniency as disagreement, consistency does not. Single-rater values
+ * describe one rater; average values describe the mean of all the raters.
+ *
+ * @param {number[][]} table - table[i][r] is rater r's score for target i, with no missing scores
+ * @returns {Object} - ICC(2,1), ICC(2,k), ICC(3,1) and ICC(3,k)
+ */
+export function intraclassCorrelation(table) {
+  const n = table.length;
+  const k = table[0].length;
+  const grandMean = mean(table.flat());
+  const rowMeans = table.map(mean);
+  const columnMeans = table[0].map((_, r) => mean(table.map(row => row[r])));
+
+  const ssRows = k * rowMeans.reduce((sum, m) => sum + Math.pow(m - grandMean, 2), 0);
+  const ssColumns = n * columnMeans.reduce((sum, m) => sum + Math.pow(m - grandMean, 2), 0);
+  const ssTotal = table.flat().reduce((sum, x) => sum + Math.pow(x - grandMean, 2), 0);
+  const ssError = ssTotal - ssRows - ssColumns;
+
+  const msRows = ssRows / (n - 1);
+  const msColumns = ssColumns / (k - 1);
+  const msError = ssError / ((n - 1) * (k - 1));
+
+  return {
+    agreement: (msRows - msError) / (msRows + (k - 1) * msError + (k * (msColumns - msError)) / n),
+    averageAgreement: (msRows - msError) / (msRows + (msColumns - msError) / n),
+    consistency: (msRows - msError) / (msRows + (k - 1) * msError),
+    averageConsistency: (msRows - msError) / msRows,
+  };
+}
+
+/**
+ * Pooled standard deviation of several samples, weighting each variance by its degrees of freedom.
+ */
+export function pooledStandardDeviation(samples) {
+  const df = samples.reduce((sum, s) => sum + Math.max(0, s.length - 1), 0);
+  if (df === 0) return 0;
+  const ss = samples.reduce((sum, s) => sum + (s.length - 1) * Math.pow(standardDeviation(s), 2), 0);
+  return Math.sqrt(ss / df);
+}
+
+/**
+ * Power of Welch's t-test to detect a true mean difference, using a shifted
+ * central t-distribution as an approximation of the noncentral one.
+ *
+ * @param {Object} params
+ * @param {number} params.effect - True difference in means (first minus second)
+ * @param {number} params.se - Standard error of the difference
+ * @param {number} params.df - Degrees of freedom
+ * @param {number} params.alpha - Significance level
+ * @param {string} params.alternative - 'two-sided' | 'greater' | 'less'
+ * @returns {number} - Probability of a significant result
+ */
+export function tTestPower({ effect, se, df, alpha = 0.05, alternative = 'two-sided' }) {
+  if (se === 0) return effect === 0 ? alpha : 1;
+  const shift = effect / se;
+  if (alternative === 'greater') return 1 - tCDF(tQuantile(1 - alpha, df) - shift, df);
+  if (alternative === 'less') return tCDF(-tQuantile(1 - alpha, df) - shift, df);
+  const critical = tQuantile(1 - alpha / 2, df);
+  return 1 - tCDF(critical - shift, df) + tCDF(-critical - shift, df);
+}
+
+/**
+ * Smallest true difference in means detectable with the given power.
+ */
+function detectableEffect(se, df, alpha, power, alternative) {
+  const sides = alternative === 'two-sided' ? 2 : 1;
+  return (tQuantile(1 - alpha / sides, df) + tQuantile(power, df)) * se;
+}
+
+/**
+ * Ratings per variant needed to detect a difference in means with Welch's t-test,
+ * assuming equal group sizes and standard deviations.
+ *
+ * @param {Object} params
+ * @param {number} params.effect - Minimum detectable difference in means, in rating points
+ * @param {number} params.sd - Expected standard deviation of the ratings
+ * @param {number} params.alpha - Significance level
+ * @param {number} params.power - Target probability of detecting the effect
+ * @param {string} params.alternative - 'two-sided' | 'greater' | 'less'
+ * @returns {number} - Required sample size per variant (at least 2)
+ */
+export function requiredSampleSize({ effect, sd, alpha = 0.05, power = 0.8, alternative = 'two-sided' }) {
+  if (!(effect > 0) || !(sd > 0)) return null;
+  const sides = alternative === 'two-sided' ? 2 : 1;
+
+  // Start from the normal approximation, then iterate with t quantiles at the implied degrees of freedom
+  const z = normalQuantile(1 - alpha / sides) + normalQuantile(power);
+  let n = Math.max(2, Math.ceil(2 * Math.pow((z * sd) / effect, 2)));
+  for (let i = 0; i < 20; i++) {
+    const df = 2 * n - 2;
+    const t = tQuantile(1 - alpha / sides, df) + tQuantile(power, df);
+    const next = Math.max(2, Math.ceil(2 * Math.pow((t * sd) / effect, 2)));
+    if (next === n) break;
+    n = next;
+  }
+  return n;
+}
+
+/**
+ * Post-hoc power analysis of a two-variant comparison: the minimum detectable
+ * effect at the sample sizes reached, and the power against the observed and
+ * (optionally) the planned difference.
+ *
+ * @param {number[]} sample1 - First sample array
+ * @param {number[]} sample2 - Second sample array
+ * @param {Object} options
+ * @param {number} options.alpha - Significance level
+ * @param {string} options.alternative - 'two-sided' | 'greater' | 'less'
+ * @param {number} options.power - Target power for the minimum detectable effect
+ * @param {number|null} options.plannedEffect - Difference in means the run was planned to detect
+ * @returns {Object} - Target power, MDE (raw and standardized), achieved power, and power at the planned effect
+ */
+export function powerAnalysis(sample1, sample2, { alpha = 0.05, alternative = 'two-sided', power = 0.8, plannedEffect = null } = {}) {
+  const n1 = sample1.length;
+  const n2 = sample2.length;
+  const var1 = Math.pow(standardDeviation(sample1), 2);
+  const var2 = Math.pow(standardDeviation(sample2), 2);
+  const se = Math.sqrt(var1 / n1 + var2 / n2);
+  const df = se === 0
+    ? n1 + n2 - 2
+    : Math.pow(se, 4) / (Math.pow(var1 / n1, 2) / (n1 - 1) + Math.pow(var2 / n2, 2) / (n2 - 1));
+  const sd = pooledStandardDeviation([sample1, sample2]);
+
+  const observedEffect = mean(sample1) - mean(sample2);
+  const mde = detectableEffect(se, df, alpha, power, alternative);
+
+  // A one-sided 'less' test detects negative differences, so planned effects are taken in its direction
+  const direction = alternative === 'less' ? -1 : 1;
+
+  return {
+    targetPower: power,
+    mde,
+    standardizedMDE: sd > 0 ? mde / sd : null,
+    observedEffect,
+    achievedPower: tTestPower({ effect: observedEffect, se, df, alpha, alternative }),
+    plannedEffect,
+    plannedPower: plannedEffect
+      ? tTestPower({ effect: direction * plannedEffect, se, df, alpha, alternative })
+      : null,
+  };
+}
+
+/**
+ * Standard normal draw (Box-Muller).
+ */
+function normalDraw(random) {
+  return Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+}
+
+/**
+ * Gamma draw with unit scale (Marsaglia-Tsang); shapes below 1 are boosted by a uniform power.
+ */
+function gammaDraw(shape, random) {
+  if (shape < 1) return gammaDraw(shape + 1, random) * Math.pow(1 - random(), 1 / shape);
+  const d = shape - 1 / 3;
+  const c = 1 / Math.sqrt(9 * d);
+  for (;;) {
+    let x;
+    let v;
+    do {
+      x = normalDraw(random);
+      v = 1 + c * x;
+    } while (v <= 0);
+    v = v * v * v;
+    const u = 1 - random();
+    if (Math.log(u) < 0.5 * x * x + d - d * v + d * Math.log(v)) return d * v;
+  }
+}
+
+/**
+ * Bayesian comparison of the mean ratings with a normal model per variant and a
+ * conjugate normal-inverse-gamma prior. The prior is weak and shared: centred on the
+ * grand mean with the pooled variance, worth one rating, so it pulls every variant's
+ * mean slightly towards the others and never favors one of them. Each posterior mean
+ * is a Student t distribution; differences, the probability of being best and the
+ * expected loss are estimated from posterior draws.
+ *
+ * A pair's ROPE decision compares the posterior of the difference with the region of
+ * practical equivalence [-rope, rope]: practically equivalent when at least the credible
+ * mass lies inside it, one variant better when that much lies beyond it on one side,
+ * and undecided otherwise: 'equivalent', 'first', 'second' or 'undecided'.
+ *
+ * @param {number[][]} samples - Array of sample arrays, one per variant (at least two ratings each)
+ * @param {Object} options
+ * @param {number} options.rope - Half-width of the region of practical equivalence, in rating points
+ * @param {number} options.credibleMass - Mass of the credible intervals and the ROPE decision
+ * @param {number} options.draws - Posterior draws per variant
+ * @param {Function} options.random - Uniform random number generator in [0, 1)
+ * @returns {Object} - Posterior of each variant's mean with its probability of being best and
+ *   expected loss, and for every pair the difference, P(first > second) and the ROPE decision
+ */
+export function bayesianAnalysis(
+  samples,
+  { rope = 0.5, credibleMass = 0.95, draws = 10000, random = Math.random } = {}
+) {
+  const grandMean = mean(samples.flat());
+  const pooled = pooledStandardDeviation(samples);
+  const prior = { mean: grandMean, strength: 1, df: 1, variance: pooled > 0 ? pooled * pooled : 1 };
+  const tail = (1 - credibleMass) / 2;
+
+  const posteriors = samples.map((sample) => {
+    const n = sample.length;
+    const sampleMean = mean(sample);
+    const sd = standardDeviation(sample);
+    const strength = prior.strength + n;
+    const location = (prior.strength * prior.mean + n * sampleMean) / strength;
+    const df = prior.df + n;
+    const variance = (prior.df * prior.variance + (n - 1) * sd * sd +
+      (prior.strength * n * Math.pow(sampleMean - prior.mean, 2)) / strength) / df;
+    const scale = Math.sqrt(variance / strength);
+    return { location, scale, df };
+  });
+
+  // Draws of every variant's mean: location + scale * t, with t = z / sqrt(chi-square / df)
+  const means = posteriors.map(({ location, scale, df }) => {
+    const values = new Float64Array(draws);
+    for (let i = 0; i < draws; i++) {
+      values[i] = location + (scale * normalDraw(random)) / Math.sqrt((2 * gammaDraw(df / 2, random)) / df);
+    }
+    return values;
+  });
+
+  const best = samples.map(() => 0);
+  const loss = samples.map(() => 0);
+  for (let i = 0; i < draws; i++) {
+    let top = 0;
+    for (let v = 1; v < samples.length; v++) {
+      if (means[v][i] > means[top][i]) top = v;
+    }
+    best[top]++;
+    for (let v = 0; v < samples.length; v++) {
+      loss[v] += means[top][i] - means[v][i];
+    }
+  }
+
+  const pairs = [];
+  for (let i = 0; i < samples.length; i++) {
+    for (let j = i + 1; j < samples.length; j++) {
+      const differences = means[i].map((m, d) => m - means[j][d]).sort();
+      const below = differences.filter(d => d < -rope).length / draws;
+      const above = differences.filter(d => d > rope).length / draws;
+      const inside = 1 - below - above;
+      const decision = inside >= credibleMass ? 'equivalent'
+        : above >= credibleMass ? 'first'
+          : below >= credibleMass ? 'second'
+            : 'undecided';
+      pairs.push({
+        group1: i,
+        group2: j,
+        difference: mean(differences),
+        lower: differences[Math.round(tail * (draws - 1))],
+        upper: differences[Math.round((1 - tail) * (draws - 1))],
+        probabilityGreater: differences.filter(d => d > 0).length / draws,
+        expectedLoss: [
+          differences.reduce((sum, d) => sum + Math.max(-d, 0), 0) / draws,
+          differences.reduce((sum, d) => sum + Math.max(d, 0), 0) / draws,
+        ],
+        rope: { below, inside, above },
+        decision,
+      });
+    }
+  }
+
+  return {
+    model: 'normal',
+    prior,
+    rope,
+    credibleMass,
+    draws,
+    variants: posteriors.map(({ location, scale, df }, v) => ({
+      mean: location,
+      sd: df > 2 ? scale * Math.sqrt(df / (df - 2)) : null,
+      lower: location + scale * tQuantile(tail, df),
+      upper: location + scale * tQuantile(1 - tail, df),
+      probabilityBest: best[v] / draws,
+      expectedLoss: loss[v] / draws,
+    })),
+    pairs,
+  };
+}
+
+/**
+ * Approximation of the F-distribution CDF using the regularized incomplete beta function.
+ */
+function fCDF(f, df1, df2) {
+  if (f <= 0) return 0;
+  return incompleteBeta((df1 * f) / (df1 * f + df2), df1 / 2, df2 / 2);
+}
+
+/**
+ * Standard normal CDF using the Abramowitz-Stegun approximation of the error function.
+ */
+export function normalCDF(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf =
+    1 -
+    ((((1.061405429 * t - 1.453152027) * t + 1.421413741) * t - 0.284496736) * t + 0.254829592) *
+      t *
+      Math.exp(-x * x);
+  return z >= 0 ? 0.5 * (1 + erf) : 0.5 * (1 - erf);
+}
+
 /**
  * Approximation of the t-distribution CDF using the regularized incomplete beta function.
  * This is accurate enough for practical purposes.
  */
 function tCDF(t, df) {
   const x = df / (df + t * t);
-  return 1 - 0.5 * incompleteBeta(x, df / 2, 0.5);
+  const tail = 0.5 * incompleteBeta(x, df / 2, 0.5);
+  return t >= 0 ? 1 - tail : tail;
+}
+
+/**
+ * Inverse of the t-distribution CDF: the value t such that P(T <= t) = p.
+ * Found by bisection, which is robust for the small degrees of freedom seen here.
+ */
+export function tQuantile(p, df) {
+  if (p <= 0) return -Infinity;
+  if (p >= 1) return Infinity;
+  if (p === 0.5) return 0;
+
+  // Bracket the quantile, then bisect
+  let low = -1;
+  let high = 1;
+  while (tCDF(low, df) > p) low *= 2;
+  while (tCDF(high, df) < p) high *= 2;
+
+  for (let i = 0; i < 100; i++) {
+    const mid = (low + high) / 2;
+    if (tCDF(mid, df) < p) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+    if (high - low < 1e-10) break;
+  }
+  return (low + high) / 2;
+}
+
+/**
+ * Inverse of the standard normal CDF: the value z such that P(Z <= z) = p.
+ */
+export function normalQuantile(p) {
+  if (p <= 0) return -Infinity;
+  if (p >= 1) return Infinity;
+
+  let low = -40;
+  let high = 40;
+  for (let i = 0; i < 100; i++) {
+    const mid = (low + high) / 2;
+    if (normalCDF(mid) < p) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+    if (high - low < 1e-10) break;
+  }
+  return (low + high) / 2;
 }
 
 /**
@@ -102,6 +1257,24 @@ function incompleteBeta(x, a, b) {
   }
 }
 
+/**
+ * Quantile of the beta distribution, found by bisection on the regularized incomplete beta function
+ */
+function betaQuantile(p, a, b) {
+  let low = 0;
+  let high = 1;
+  for (let i = 0; i < 100; i++) {
+    const mid = (low + high) / 2;
+    if (incompleteBeta(mid, a, b) < p) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+    if (high - low < 1e-10) break;
+  }
+  return (low + high) / 2;
+}
+
 /**
  * Continued fraction for incomplete beta function.
  */
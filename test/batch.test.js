@@ -0,0 +1,92 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { summarizeBatch, Batch } from '../src/services/batch.js';
+import { Experiment } from '../src/services/experiment.js';
+import { Scheduler } from '../src/services/scheduler.js';
+
+const item = (name, pValue) => ({
+  name,
+  status: 'done',
+  results: {
+    variants: [{ label: 'A', mean: 6 }, { label: 'B', mean: 5 }],
+    statistics: { pValue, isSignificant: pValue < 0.05 },
+  },
+});
+
+describe('summarizeBatch', () => {
+  it('corrects across the completed experiments with Benjamini-Hochberg', () => {
+    const summary = summarizeBatch([item('a', 0.01), item('b', 0.04), item('c', 0.03), { name: 'd', status: 'failed', results: null }]);
+    assert.deepEqual(summary.rows.map(row => row.adjustedPValue?.toFixed(6) ?? null), ['0.030000', '0.040000', '0.040000', null]);
+    assert.equal(summary.completed, 3);
+    assert.equal(summary.significant, 3);
+  });
+
+  it('leaves experiments without a p-value out of the correction', () => {
+    const summary = summarizeBatch([item('a', 0.01), item('b', NaN), item('c', 0.03)]);
+    assert.equal(summary.untested, 1);
+    assert.deepEqual(summary.rows.map(row => row.adjustedPValue), [0.02, null, 0.03]);
+    assert.equal(summary.rows[1].isSignificant, null);
+    assert.equal(summary.significant, 2);
+  });
+});
+
+describe('Batch', () => {
+  it('drops pair-only options for groups of more variants', () => {
+    const image = 'data:image/png;base64,AAAA';
+    const batch = new Batch(
+      [
+        { name: 'pair', variants: [{ image }, { image }] },
+        { name: 'triple', variants: [{ image }, { image }, { image }] },
+      ],
+      {
+        question: 'Q',
+        providerName: 'mock',
+        providerConfig: {},
+        sampleSize: 5,
+        options: { alternative: 'greater', sequential: { spending: 'pocock', looks: 3 }, equivalence: { type: 'equivalence', margin: 1 } },
+      }
+    );
+    const [pair, triple] = batch.experiments.map(experiment => experiment.config.options);
+    assert.equal(pair.alternative, 'greater');
+    assert.deepEqual(pair.equivalence, { type: 'equivalence', margin: 1 });
+    assert.equal(triple.alternative, 'two-sided');
+    assert.equal(triple.sequential, null);
+    assert.equal(triple.equivalence, null);
+  });
+});
+
+describe('shared schedulers', () => {
+  const VARIANTS = [
+    { label: 'A', image: 'data:image/png;base64,AAAA' },
+    { label: 'B', image: 'data:image/png;base64,BBBB' },
+  ];
+
+  it('drop a cancelled experiment\'s queries without holding up the others', async () => {
+    const scheduler = new Scheduler({ concurrency: 2, rateLimit: 1000 });
+    let throttled = 0;
+    const throttle = scheduler.throttle.bind(scheduler);
+    scheduler.throttle = () => {
+      throttled++;
+      return throttle();
+    };
+    const mock = { delay: { min: 1, max: 1 } };
+    const cancelled = new Experiment(VARIANTS, 'Q', 'mock', mock, 50);
+    const other = new Experiment(VARIANTS, 'Q', 'mock', mock, 5);
+
+    const [first, second] = await Promise.all([
+      cancelled.run({
+        schedulers: [scheduler],
+        onProgress: ({ current }) => {
+          if (current === 4) cancelled.cancel();
+        },
+      }),
+      other.run({ schedulers: [scheduler] }),
+    ]);
+
+    assert.equal(first, null);
+    assert.equal(second.samples.length, 10);
+    // The other run's 10 queries, the cancelled run's first 4 and at most one in flight per slot
+    assert.ok(throttled <= 16, `${throttled} start slots taken`);
+    assert.equal(scheduler.queue.length, 0);
+  });
+});
@@ -0,0 +1,120 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { CachedProvider } from '../src/services/llm/cache.js';
+import { OpenAIProvider } from '../src/services/llm/providers/openai.js';
+import { ProviderError, RatingParseError } from '../src/services/llm/errors.js';
+import { Experiment } from '../src/services/experiment.js';
+import { shuffle } from '../src/services/scheduler.js';
+import { createRandom, deriveSeed } from '../src/services/random.js';
+
+const IMAGE = 'data:image/png;base64,AAAA';
+
+function memoryStore() {
+  const entries = new Map();
+  return {
+    entries,
+    get: async (key) => entries.get(key),
+    put: async (entry) => { entries.set(entry.key, entry); },
+  };
+}
+
+/**
+ * Provider answering from a list of responses, counting its requests
+ */
+function scriptedProvider(responses, config = {}) {
+  const provider = new OpenAIProvider(config);
+  provider.requests = 0;
+  provider.rateImage = async () => {
+    const response = responses[provider.requests++];
+    const rating = Number(response);
+    if (!Number.isFinite(rating)) throw new RatingParseError(response);
+    return { rating, response };
+  };
+  return provider;
+}
+
+describe('CachedProvider', () => {
+  it('stores each occurrence of a query separately and reuses them', async () => {
+    const store = memoryStore();
+    const first = new CachedProvider(scriptedProvider(['3', '7']), { store });
+    assert.equal((await first.rateImage(IMAGE, 'Q')).rating, 3);
+    assert.equal((await first.rateImage(IMAGE, 'Q')).rating, 7);
+
+    const provider = scriptedProvider(['9', '9', '9']);
+    const second = new CachedProvider(provider, { store });
+    const ratings = [];
+    for (let i = 0; i < 3; i++) ratings.push((await second.rateImage(IMAGE, 'Q')).rating);
+
+    assert.deepEqual(ratings, [3, 7, 9]);
+    assert.equal(provider.requests, 1);
+    assert.equal(second.getInfo().cacheHits, 2);
+  });
+
+  it('replays unparseable responses as parse errors', async () => {
+    const store = memoryStore();
+    await assert.rejects(new CachedProvider(scriptedProvider(['unsure']), { store, mode: 'record' }).rateImage(IMAGE, 'Q'), RatingParseError);
+    await assert.rejects(new CachedProvider(scriptedProvider([]), { store, mode: 'replay' }).rateImage(IMAGE, 'Q'), (err) => (
+      err instanceof RatingParseError && err.response === 'unsure'
+    ));
+  });
+
+  it('fails a replayed query without a recorded response', async () => {
+    const replay = new CachedProvider(scriptedProvider([]), { store: memoryStore(), mode: 'replay' });
+    await assert.rejects(replay.rateImage(IMAGE, 'Q'), (err) => err instanceof ProviderError && /No recorded response for query 1/.test(err.message));
+  });
+
+  it('keys responses on the endpoint and model', async () => {
+    const store = memoryStore();
+    const record = (config) => new CachedProvider(scriptedProvider(['5'], config), { store }).rateImage(IMAGE, 'Q');
+    await record({ baseUrl: 'http://one.test/v1', model: 'llava' });
+    await record({ baseUrl: 'http://two.test/v1', model: 'llava' });
+    await record({ baseUrl: 'http://one.test/v1', model: 'qwen-vl' });
+    await record({ baseUrl: 'http://one.test/v1', model: 'llava' });
+
+    assert.equal(store.entries.size, 3);
+  });
+
+  it('keys responses on the prompt template and, with a template, the criterion', async () => {
+    const store = memoryStore();
+    const rate = (prompt, criterion) => new CachedProvider(scriptedProvider(['5'], prompt ? { prompt } : {}), { store })
+      .rateImage(IMAGE, 'Q', { criterion });
+    await rate(null, 'Clarity');
+    await rate(null, 'Appeal');
+    await rate({ template: '{criterion}: {question}' }, 'Clarity');
+    await rate({ template: '{criterion}: {question}' }, 'Appeal');
+    await rate({ template: 'Rate: {question}' }, 'Clarity');
+
+    assert.equal(store.entries.size, 4);
+  });
+});
+
+describe('seeded replay', () => {
+  const VARIANTS = [
+    { label: 'A', image: 'data:image/png;base64,AAAA' },
+    { label: 'B', image: 'data:image/png;base64,BBBB' },
+  ];
+  const run = (cache, cacheStore) => new Experiment(
+    VARIANTS, 'How appealing is this image?', 'mock', { seed: 11, delay: { min: 0, max: 10 } }, 15,
+    { cache, seed: 3, concurrency: 4 }
+  ).run({ cacheStore });
+
+  it('analyzes the recorded ratings in the same order', async () => {
+    const store = memoryStore();
+    const recorded = await run('record', store);
+    const replayed = await run('replay', store);
+
+    assert.deepEqual(replayed.variants.map(v => v.ratings), recorded.variants.map(v => v.ratings));
+    assert.equal(replayed.statistics.pValue, recorded.statistics.pValue);
+    assert.deepEqual(replayed.samples.map(s => s.response), recorded.samples.map(s => s.response));
+    assert.equal(replayed.provider.cacheHits, 30);
+  });
+
+  it('keeps the samples in query order whatever order the queries finish in', async () => {
+    const results = await run('off');
+    const queries = shuffle(
+      VARIANTS.flatMap((variant, v) => Array.from({ length: 15 }, () => v)),
+      createRandom(deriveSeed(3, 'queries'))
+    );
+    assert.deepEqual(results.samples.map(sample => sample.variant), queries);
+  });
+});
@@ -0,0 +1,84 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { mkdtemp, writeFile, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseJSON } from '../src/services/export.js';
+
+const CLI = fileURLToPath(new URL('../bin/experiment.js', import.meta.url));
+
+/**
+ * Run the CLI to completion
+ * @returns {Promise<{code: number, stdout: string, stderr: string}>}
+ */
+function cli(args, cwd) {
+  return new Promise((resolve) => {
+    execFile(process.execPath, [CLI, ...args], { cwd, timeout: 30000 }, (err, stdout, stderr) => {
+      resolve({ code: err ? err.code : 0, stdout, stderr });
+    });
+  });
+}
+
+describe('experiment CLI', () => {
+  let dir;
+  before(async () => {
+    dir = await mkdtemp(path.join(tmpdir(), 'experiment-cli-'));
+    await writeFile(path.join(dir, 'a.png'), Buffer.from('first image'));
+    await writeFile(path.join(dir, 'b.png'), Buffer.from('second image'));
+  });
+  after(() => rm(dir, { recursive: true, force: true }));
+
+  it('prints the usage', async () => {
+    const { code, stdout } = await cli(['--help'], dir);
+    assert.equal(code, 0);
+    assert.match(stdout, /^Usage: experiment/);
+  });
+
+  it('runs an experiment and writes the report, JSON and CSV', async () => {
+    const { code, stdout, stderr } = await cli([
+      'a.png', 'b.png', '-q', 'How appealing is this image?', '-n', '5', '--seed', '1',
+      '-o', 'results.json', '--csv', 'queries.csv',
+    ], dir);
+
+    assert.equal(code, 0, stderr);
+    assert.match(stderr, /Running 2 variants with mock, 5 per variant \(10 queries\)/);
+    assert.match(stdout, /Image A/);
+    const results = parseJSON(await readFile(path.join(dir, 'results.json'), 'utf8'));
+    assert.deepEqual(results.variants.map(v => v.ratings.length), [5, 5]);
+    const csv = (await readFile(path.join(dir, 'queries.csv'), 'utf8')).trim().split('\n');
+    assert.equal(csv.length, 11);
+    assert.match(csv[0], /^query,variant,timestamp,status,rating/);
+  });
+
+  it('replays a recorded run from the cache file', async () => {
+    const args = ['a.png', 'b.png', '-q', 'Q', '-n', '5', '--seed', '2', '--quiet', '--cache-file', 'cache.json'];
+    assert.equal((await cli([...args, '--cache', 'record', '-o', 'recorded.json'], dir)).code, 0);
+    assert.equal((await cli([...args, '--cache', 'replay', '-o', 'replayed.json'], dir)).code, 0);
+
+    const recorded = parseJSON(await readFile(path.join(dir, 'recorded.json'), 'utf8'));
+    const replayed = parseJSON(await readFile(path.join(dir, 'replayed.json'), 'utf8'));
+    assert.deepEqual(replayed.variants.map(v => v.ratings), recorded.variants.map(v => v.ratings));
+    assert.equal(replayed.provider.cacheHits, 10);
+  });
+
+  it('exits with 2 on invalid arguments', async () => {
+    for (const args of [
+      ['a.png', '-q', 'Q'],
+      ['a.png', 'b.png', '-q', 'Q', '--test', 'sign'],
+      ['a.png', 'b.png', '-q', 'Q', '-n', '1'],
+      ['a.png', 'b.png', '--unknown'],
+    ]) {
+      const { code, stderr } = await cli(args, dir);
+      assert.equal(code, 2, args.join(' '));
+      assert.match(stderr, /Run with --help for usage/);
+    }
+  });
+
+  it('exits with 1 when the run fails', async () => {
+    const { code, stderr } = await cli(['a.png', 'b.png', '-q', 'Q', '-n', '5', '--cache', 'replay', '--cache-file', 'empty.json'], dir);
+    assert.equal(code, 1);
+    assert.match(stderr, /Error: /);
+  });
+});
@@ -0,0 +1,162 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Experiment } from '../src/services/experiment.js';
+import { benjaminiHochberg } from '../src/services/statistics.js';
+
+const VARIANTS = [
+  { label: 'A', image: 'data:image/png;base64,AAAA' },
+  { label: 'B', image: 'data:image/png;base64,BBBB' },
+];
+const MOCK = { delay: { min: 1, max: 1 } };
+
+describe('Experiment cancel', () => {
+  it('returns null when cancelled without keeping partial results', async () => {
+    const experiment = new Experiment(VARIANTS, 'How appealing is this image?', 'mock', MOCK, 20, { concurrency: 2 });
+    const results = await experiment.run({
+      onProgress: ({ current }) => current === 10 && experiment.cancel(),
+    });
+    assert.equal(results, null);
+  });
+
+  it('analyzes the ratings collected so far with keepPartial', async () => {
+    const experiment = new Experiment(VARIANTS, 'How appealing is this image?', 'mock', MOCK, 20, { concurrency: 2 });
+    const results = await experiment.run({
+      onProgress: ({ current }) => current === 20 && experiment.cancel({ keepPartial: true }),
+    });
+
+    assert.equal(results.partial, true);
+    const collected = results.samples.filter(sample => sample.status === 'ok').length;
+    assert.ok(collected >= 20 && collected < 40, `${collected} ratings`);
+    assert.equal(results.variants.reduce((total, variant) => total + variant.ratings.length, 0), collected);
+    assert.ok(Number.isFinite(results.statistics.pValue));
+  });
+
+  it('fails with keepPartial when too few ratings were collected', async () => {
+    const experiment = new Experiment(VARIANTS, 'How appealing is this image?', 'mock', MOCK, 20, { concurrency: 1 });
+    await assert.rejects(
+      experiment.run({ onProgress: ({ current }) => current === 1 && experiment.cancel({ keepPartial: true }) }),
+      /cancelled before enough ratings/
+    );
+  });
+
+  it('runs to completion without a cancel', async () => {
+    const experiment = new Experiment(VARIANTS, 'How appealing is this image?', 'mock', MOCK, 10);
+    const results = await experiment.run();
+    assert.equal(results.partial, false);
+    assert.equal(results.samples.length, 20);
+  });
+});
+
+describe('Experiment criteria', () => {
+  const CRITERIA = [
+    { label: 'Appeal', question: 'How appealing is this image?', weight: 2 },
+    { label: 'Clarity', question: 'How clear is this image?' },
+    { label: 'Trust', question: 'How trustworthy is this image?' },
+  ];
+
+  it('analyzes each criterion and corrects their p-values', async () => {
+    const experiment = new Experiment(VARIANTS, CRITERIA, 'mock', { ...MOCK, seed: 4 }, 10, { correction: 'bh' });
+    const results = await experiment.run();
+
+    assert.deepEqual(results.criteria.map(c => c.label), ['Appeal', 'Clarity', 'Trust']);
+    const pValues = results.criteria.map(c => c.statistics.pValue);
+    assert.deepEqual(results.criteria.map(c => c.adjustedPValue), benjaminiHochberg(pValues));
+    assert.equal(results.samples.filter(sample => sample.criterion === 1).length, 20);
+  });
+
+  it('rates the weighted composite score', async () => {
+    const experiment = new Experiment(VARIANTS, CRITERIA, 'mock', { ...MOCK, seed: 4 }, 10);
+    const results = await experiment.run();
+
+    results.variants.forEach((variant, v) => {
+      const composite = (2 * results.criteria[0].variants[v].ratings[0]
+        + results.criteria[1].variants[v].ratings[0]
+        + results.criteria[2].variants[v].ratings[0]) / 4;
+      assert.equal(variant.ratings[0], composite);
+    });
+  });
+});
+
+describe('Experiment equivalence', () => {
+  it('tests equivalence within the margin alongside the difference test', async () => {
+    const results = await new Experiment(VARIANTS, 'Q', 'mock', MOCK, 10, { equivalence: { margin: 20 } }).run();
+    assert.equal(results.equivalence.conclusion, 'equivalent');
+    assert.equal(results.equivalence.confidenceLevel, 0.9);
+  });
+
+  it('rejects a margin that is not positive', async () => {
+    await assert.rejects(new Experiment(VARIANTS, 'Q', 'mock', MOCK, 10, { equivalence: { margin: 0 } }).run(), /greater than zero/);
+  });
+});
+
+describe('Experiment Bayesian analysis', () => {
+  it('draws the same posterior on every run with a seed', async () => {
+    const run = () => new Experiment(VARIANTS, 'Q', 'mock', { ...MOCK, seed: 2 }, 10, { seed: 5, bayesian: { rope: 0.5 } }).run();
+    const [first, second] = [await run(), await run()];
+
+    assert.equal(first.bayesian.variants.length, 2);
+    assert.deepEqual(second.bayesian, first.bayesian);
+  });
+});
+
+describe('Experiment prompt variants', () => {
+  it('rates one image with each variant\'s prompt', async () => {
+    const image = VARIANTS[0].image;
+    const variants = [
+      { label: 'Plain', image },
+      { label: 'Strict', image, prompt: { system: 'You are a demanding critic.', template: 'Be strict. {question}\n\n{instructions}' } },
+    ];
+    const results = await new Experiment(variants, 'How appealing is this image?', 'mock', { ...MOCK, seed: 4 }, 10).run();
+
+    assert.deepEqual(results.variants.map(v => v.ratings.length), [10, 10]);
+    assert.notDeepEqual(results.variants[0].ratings, results.variants[1].ratings);
+  });
+});
+
+describe('Experiment preference mode', () => {
+  it('shows each pair in both orders and measures position bias', async () => {
+    const experiment = new Experiment(VARIANTS, 'Which image is more appealing?', 'mock', { ...MOCK, positionBias: 10 }, 10, {
+      mode: 'preference',
+    });
+    const results = await experiment.run();
+
+    assert.equal(results.mode, 'preference');
+    assert.equal(results.samples.filter(sample => sample.first === 0).length, 5);
+    // A judge biased this strongly always picks the image shown first
+    assert.equal(results.positionBias.successes, 10);
+    assert.deepEqual(results.wins, [[0, 5], [5, 0]]);
+    assert.equal(results.statistics.pValue, 1);
+  });
+
+  it('rejects criteria and prompt variants', async () => {
+    const criteria = [{ label: 'A', question: 'A?' }, { label: 'B', question: 'B?' }];
+    await assert.rejects(new Experiment(VARIANTS, criteria, 'mock', MOCK, 10, { mode: 'preference' }).run(), /single question/);
+    const prompted = VARIANTS.map(v => ({ ...v, prompt: { template: 'Rate: {question}' } }));
+    await assert.rejects(new Experiment(prompted, 'Q', 'mock', MOCK, 10, { mode: 'preference' }).run(), /absolute rating mode/);
+  });
+});
+
+describe('Experiment judge panel', () => {
+  const JUDGES = [
+    { label: 'Seed 1', providerName: 'mock', providerConfig: { ...MOCK, seed: 1 } },
+    { label: 'Seed 2', providerName: 'mock', providerConfig: { ...MOCK, seed: 2 } },
+  ];
+
+  it('has every judge rate every variant and reports their agreement', async () => {
+    const experiment = new Experiment(VARIANTS, 'How appealing is this image?', 'mock', {}, 5, { judges: JUDGES });
+    const results = await experiment.run();
+
+    assert.equal(results.samples.length, 20);
+    assert.deepEqual(results.panel.judges.map(judge => judge.label), ['Seed 1', 'Seed 2']);
+    results.panel.judges.forEach(judge => judge.variants.forEach(variant => assert.equal(variant.ratings.length, 5)));
+    assert.equal(results.variants[0].ratings.length, 10);
+    assert.equal(results.statistics, null);
+    assert.ok(Number.isFinite(results.panel.blocked.variant.pValue));
+    assert.ok('krippendorffAlpha' in results.panel.agreement);
+  });
+
+  it('requires the judges to share a rating scale', async () => {
+    const judges = [JUDGES[0], { ...JUDGES[1], providerConfig: { ...MOCK, scaleMax: 5 } }];
+    await assert.rejects(new Experiment(VARIANTS, 'Q', 'mock', {}, 5, { judges }).run(), /same rating scale/);
+  });
+});
@@ -0,0 +1,50 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Experiment } from '../src/services/experiment.js';
+import { toJSON, parseJSON, toMarkdownReport, EXPORT_FORMAT } from '../src/services/export.js';
+import { formatInterval, statisticRows } from '../src/services/format.js';
+
+const VARIANTS = [
+  { label: 'A', image: 'data:image/png;base64,AAAA' },
+  { label: 'B', image: 'data:image/png;base64,BBBB' },
+];
+
+async function runOneSided() {
+  const experiment = new Experiment(VARIANTS, 'How appealing is this image?', 'mock', { delay: { min: 0, max: 0 } }, 10, {
+    alternative: 'greater',
+    seed: 1,
+  });
+  return experiment.run();
+}
+
+describe('JSON export', () => {
+  it('keeps the unbounded side of one-sided intervals', async () => {
+    const results = await runOneSided();
+    assert.equal(results.statistics.confidenceInterval.upper, Infinity);
+
+    const imported = parseJSON(toJSON(results));
+
+    assert.deepEqual(imported.statistics, results.statistics);
+    assert.deepEqual(imported.variants, results.variants);
+    assert.match(formatInterval(imported.statistics.confidenceInterval), /^\[-?\d+\.\d{4}, ∞\)$/);
+    assert.doesNotThrow(() => toMarkdownReport(imported));
+  });
+
+  it('shows null bounds of version 1 exports as unbounded', async () => {
+    const results = await runOneSided();
+    const text = JSON.stringify({ format: EXPORT_FORMAT, version: 1, results });
+    const imported = parseJSON(text);
+
+    assert.equal(imported.statistics.confidenceInterval.upper, null);
+    assert.equal(formatInterval({ lower: 0.5, upper: null }), '[0.5000, ∞)');
+    assert.equal(formatInterval({ lower: null, upper: 0.5 }), '(-∞, 0.5000]');
+    assert.ok(statisticRows(imported.statistics, ['A', 'B']).some(([, value]) => value.endsWith('∞)')));
+    assert.doesNotThrow(() => toMarkdownReport(imported));
+  });
+
+  it('rejects files from newer versions and other formats', () => {
+    assert.throws(() => parseJSON('{"format": "other"}'), /not an experiment export/);
+    assert.throws(() => parseJSON(JSON.stringify({ format: EXPORT_FORMAT, version: 99, results: { variants: [] } })), /Unsupported export version: 99/);
+    assert.throws(() => parseJSON('{'), /not valid JSON/);
+  });
+});
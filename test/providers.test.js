@@ -0,0 +1,112 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { OpenAIProvider } from '../src/services/llm/providers/openai.js';
+import { AnthropicProvider } from '../src/services/llm/providers/anthropic.js';
+import { ProviderError, RatingParseError } from '../src/services/llm/errors.js';
+import { startStubServer } from './stub-server.js';
+
+const IMAGE = 'data:image/jpeg;base64,/9j/AAAA';
+
+describe('OpenAIProvider', () => {
+  let server;
+  before(async () => {
+    server = await startStubServer((request) => (request.path === '/v1/models'
+      ? { body: { data: [{ id: 'llava' }, { id: 'qwen-vl' }] } }
+      : { body: { choices: [{ message: { content: ' 7 ' } }] } }));
+  });
+  after(() => server.close());
+  beforeEach(() => server.requests.splice(0));
+
+  const provider = (config = {}) => new OpenAIProvider({ baseUrl: `${server.url}/v1`, model: 'llava', ...config });
+
+  it('sends the image as a data URL and parses the rating', async () => {
+    const result = await provider({ apiKey: 'secret', seed: 3 }).rateImage(IMAGE, 'How appealing is this image?');
+
+    assert.deepEqual(result, { rating: 7, response: '7' });
+    const [request] = server.requests;
+    assert.equal(request.method, 'POST');
+    assert.equal(request.path, '/v1/chat/completions');
+    assert.equal(request.headers.authorization, 'Bearer secret');
+    assert.equal(request.body.model, 'llava');
+    assert.equal(request.body.seed, 3);
+    const content = request.body.messages.at(-1).content;
+    assert.match(content[0].text, /How appealing is this image\?/);
+    assert.deepEqual(content[1], { type: 'image_url', image_url: { url: IMAGE } });
+  });
+
+  it('requests a JSON schema with the JSON parser', async () => {
+    server.reply(200, { choices: [{ message: { content: '{"rating": 4}' } }] });
+    const result = await provider({ parser: 'json', scaleMin: 1, scaleMax: 5 }).rateImage(IMAGE, 'Q');
+
+    assert.equal(result.rating, 4);
+    assert.equal(server.requests[0].body.response_format.type, 'json_schema');
+    assert.equal(server.requests[0].headers.authorization, undefined);
+  });
+
+  it('reports unparseable responses as RatingParseError', async () => {
+    server.reply(200, { choices: [{ message: { content: 'I cannot rate this.' } }] });
+    await assert.rejects(provider().rateImage(IMAGE, 'Q'), RatingParseError);
+  });
+
+  it('marks server errors and rate limits as transient', async () => {
+    server.reply(503, 'overloaded');
+    server.reply(429, 'slow down');
+    server.reply(400, 'bad request');
+
+    for (const [status, transient] of [[503, true], [429, true], [400, false]]) {
+      await assert.rejects(provider().rateImage(IMAGE, 'Q'), (err) => {
+        assert.ok(err instanceof ProviderError);
+        assert.equal(err.status, status);
+        assert.equal(err.transient, transient);
+        return true;
+      });
+    }
+  });
+
+  it('lists models and checks availability', async () => {
+    assert.deepEqual(await provider().listModels(), [{ name: 'llava' }, { name: 'qwen-vl' }]);
+    assert.equal(await provider().isAvailable(), true);
+    assert.equal(await new OpenAIProvider({ baseUrl: 'http://127.0.0.1:1/v1' }).isAvailable(), false);
+  });
+});
+
+describe('AnthropicProvider', () => {
+  let server;
+  before(async () => {
+    server = await startStubServer((request) => (request.path === '/v1/models'
+      ? { body: { data: [{ id: 'claude-test' }] } }
+      : { body: { content: [{ type: 'text', text: '8' }] } }));
+  });
+  after(() => server.close());
+  beforeEach(() => server.requests.splice(0));
+
+  const provider = (config = {}) => new AnthropicProvider({ baseUrl: server.url, apiKey: 'key', model: 'claude-test', ...config });
+
+  it('sends a Messages API request with a base64 image block', async () => {
+    const result = await provider().rateImage(IMAGE, 'How clear is this image?');
+
+    assert.deepEqual(result, { rating: 8, response: '8' });
+    const [request] = server.requests;
+    assert.equal(request.path, '/v1/messages');
+    assert.equal(request.headers['x-api-key'], 'key');
+    assert.equal(request.headers['anthropic-version'], '2023-06-01');
+    assert.equal(request.body.model, 'claude-test');
+    const content = request.body.messages.at(-1).content;
+    assert.deepEqual(content[0], { type: 'image', source: { type: 'base64', media_type: 'image/jpeg', data: '/9j/AAAA' } });
+    assert.match(content[1].text, /How clear is this image\?/);
+  });
+
+  it('reads the rating from the first text block', async () => {
+    server.reply(200, { content: [{ type: 'thinking', thinking: '...' }, { type: 'text', text: 'Rating: 6' }] });
+    assert.equal((await provider().rateImage(IMAGE, 'Q')).rating, 6);
+  });
+
+  it('surfaces API errors with their status', async () => {
+    server.reply(529, { type: 'error', error: { type: 'overloaded_error' } });
+    await assert.rejects(provider().rateImage(IMAGE, 'Q'), (err) => err instanceof ProviderError && err.status === 529 && err.transient);
+  });
+
+  it('lists models', async () => {
+    assert.deepEqual(await provider().listModels(), [{ name: 'claude-test' }]);
+  });
+});
@@ -0,0 +1,84 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { getRatingOptions, normalizePrompt, buildRatingMessages, parseRating, parseChoice } from '../src/services/llm/rating.js';
+
+const first = getRatingOptions();
+const last = getRatingOptions({ parser: 'last' });
+const json = getRatingOptions({ parser: 'json', scaleMin: 1, scaleMax: 5 });
+
+describe('parseRating', () => {
+  it('reads a bare number or the first number within the scale', () => {
+    assert.equal(parseRating('7', first), 7);
+    assert.equal(parseRating('Rating: 8.5', first), 8.5);
+    assert.equal(parseRating('I would say 12, no, 6', first), 6);
+    assert.equal(parseRating('4, maybe 6', last), 6);
+  });
+
+  it('ignores denominators', () => {
+    assert.equal(parseRating('7/10', first), 7);
+    assert.equal(parseRating('10/10', last), 10);
+    assert.equal(parseRating('I give it 7 out of 10', last), 7);
+  });
+
+  it('ignores the scale echoed back as a range', () => {
+    assert.equal(parseRating('On a scale of 1-10, I would give it 7', first), 7);
+    assert.equal(parseRating('On a scale from 1 to 10: 7', first), 7);
+    assert.equal(parseRating('Scale 1 – 10. Rating: 3', first), 3);
+    assert.equal(parseRating('On a scale of 1-10', first), null);
+  });
+
+  it('returns null without a number within the scale', () => {
+    assert.equal(parseRating('I cannot rate this image.', first), null);
+    assert.equal(parseRating('42', first), null);
+    assert.equal(parseRating('version2 of 0.5', first), null);
+  });
+
+  it('reads the rating from a JSON object', () => {
+    assert.equal(parseRating('{"rating": 4}', json), 4);
+    assert.equal(parseRating('Sure! {"rating": "3"}', json), 3);
+    assert.equal(parseRating('{"rating": 9}', json), null);
+    assert.equal(parseRating('{"rating": 4', json), null);
+  });
+});
+
+describe('parseChoice', () => {
+  it('reads the preferred image', () => {
+    assert.equal(parseChoice('1', first), 'first');
+    assert.equal(parseChoice('Image 2 is better.', first), 'second');
+    assert.equal(parseChoice('1 or 2? I pick 2', last), 'second');
+    assert.equal(parseChoice('{"choice": 2}', json), 'second');
+    assert.equal(parseChoice('Neither', first), null);
+    assert.equal(parseChoice('{"choice": 3}', json), null);
+  });
+});
+
+describe('prompt templates', () => {
+  it('treats the default prompt as no template', () => {
+    assert.equal(normalizePrompt(null), null);
+    assert.equal(normalizePrompt({ template: '{question}\n\n{instructions}', system: ' ', examples: [] }), null);
+    assert.equal('prompt' in getRatingOptions({ prompt: { template: '' } }), false);
+  });
+
+  it('rejects unknown variables and incomplete examples', () => {
+    assert.throws(() => normalizePrompt({ template: 'Rate {subject}' }), /Unknown prompt variable: \{subject\}/);
+    assert.throws(() => normalizePrompt({ system: 'Judge {criteria}' }), /Unknown prompt variable/);
+    assert.throws(() => normalizePrompt({ examples: [{ prompt: 'Rate this', response: '' }] }), /both a prompt and a response/);
+  });
+
+  it('renders the variables in the prompt, system prompt and examples', () => {
+    const options = getRatingOptions({
+      scaleMin: 0,
+      scaleMax: 5,
+      prompt: {
+        system: 'You judge {criterion}.',
+        template: '{criterion}: {question} ({scale_min}-{scale_max})',
+        examples: [{ prompt: 'Rate from {scale_min} to {scale_max}', response: '{scale_max}' }],
+      },
+    });
+    const messages = buildRatingMessages('Is it clear?', options, 'Clarity');
+
+    assert.equal(messages.system, 'You judge Clarity.');
+    assert.equal(messages.prompt, 'Clarity: Is it clear? (0-5)');
+    assert.deepEqual(messages.examples, [{ prompt: 'Rate from 0 to 5', response: '5' }]);
+  });
+});
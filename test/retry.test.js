@@ -0,0 +1,76 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { getEventListeners } from 'node:events';
+import { OpenAIProvider } from '../src/services/llm/providers/openai.js';
+import { MockProvider } from '../src/services/llm/providers/mock.js';
+import { ProviderError } from '../src/services/llm/errors.js';
+import { rateWithRetry } from '../src/services/llm/retry.js';
+import { startStubServer } from './stub-server.js';
+
+const IMAGE = 'data:image/jpeg;base64,/9j/AAAA';
+
+describe('rateWithRetry', () => {
+  let server;
+  before(async () => {
+    server = await startStubServer(() => ({ body: { choices: [{ message: { content: '5' } }] } }));
+  });
+  after(() => server.close());
+
+  const provider = () => new OpenAIProvider({ baseUrl: `${server.url}/v1` });
+
+  it('retries transient failures and leaves no listeners on the run signal', async () => {
+    const controller = new AbortController();
+    server.reply(500, 'error');
+    server.reply(502, 'error');
+
+    const outcome = await rateWithRetry(provider(), IMAGE, 'Q', { signal: controller.signal, baseDelay: 1 });
+
+    assert.equal(outcome.status, 'ok');
+    assert.equal(outcome.rating, 5);
+    assert.equal(outcome.retries, 2);
+    assert.equal(getEventListeners(controller.signal, 'abort').length, 0);
+  });
+
+  it('reports a failure once the retries are used up', async () => {
+    server.reply(503, 'overloaded');
+    server.reply(503, 'overloaded');
+
+    const outcome = await rateWithRetry(provider(), IMAGE, 'Q', { retries: 1, baseDelay: 1 });
+
+    assert.equal(outcome.status, 'failed');
+    assert.equal(outcome.rating, null);
+    assert.equal(outcome.retries, 1);
+  });
+
+  it('records invalid responses without retrying', async () => {
+    server.reply(200, { choices: [{ message: { content: 'no idea' } }] });
+
+    const outcome = await rateWithRetry(provider(), IMAGE, 'Q', { baseDelay: 1 });
+
+    assert.equal(outcome.status, 'invalid');
+    assert.equal(outcome.response, 'no idea');
+    assert.equal(outcome.retries, 0);
+  });
+
+  it('gives up on client errors', async () => {
+    server.reply(401, 'unauthorized');
+    await assert.rejects(rateWithRetry(provider(), IMAGE, 'Q', { baseDelay: 1 }), ProviderError);
+  });
+
+  it('counts timed out attempts', async () => {
+    const slow = new MockProvider({ delay: { min: 200, max: 200 } });
+    const outcome = await rateWithRetry(slow, IMAGE, 'Q', { timeout: 10, retries: 1, baseDelay: 1 });
+
+    assert.equal(outcome.status, 'failed');
+    assert.equal(outcome.timeouts, 2);
+    assert.match(outcome.error, /Timed out after 10ms/);
+  });
+
+  it('stops when the run is aborted', async () => {
+    const controller = new AbortController();
+    const slow = new MockProvider({ delay: { min: 200, max: 200 } });
+    const outcome = rateWithRetry(slow, IMAGE, 'Q', { signal: controller.signal });
+    controller.abort(new Error('stopped'));
+    await assert.rejects(outcome, /stopped/);
+  });
+});
@@ -0,0 +1,68 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { rateRepeatedly } from '../src/services/runner.js';
+import { Scheduler, shuffle } from '../src/services/scheduler.js';
+import { MockProvider } from '../src/services/llm/providers/mock.js';
+import { RatingParseError } from '../src/services/llm/errors.js';
+import { createRandom } from '../src/services/random.js';
+
+/**
+ * Provider rating every query with its position in the call order, after a delay
+ * that makes later queries finish first
+ */
+function countingProvider({ invalidEvery = 0 } = {}) {
+  let calls = 0;
+  return {
+    rateImage: async (image, question, { signal }) => {
+      const call = ++calls;
+      await new Promise(resolve => setTimeout(resolve, 20 - call));
+      signal.throwIfAborted();
+      if (invalidEvery && call % invalidEvery === 0) throw new RatingParseError('?');
+      return { rating: call, response: String(call) };
+    },
+  };
+}
+
+describe('rateRepeatedly', () => {
+  it('keeps the ratings in query order', async () => {
+    const provider = countingProvider();
+    const { ratings, failures } = await rateRepeatedly(
+      [{ provider, image: 'a' }, { provider, image: 'b' }],
+      'Q',
+      { repeats: 4, scheduler: new Scheduler({ concurrency: 8 }), signal: new AbortController().signal, random: createRandom(5) }
+    );
+
+    const order = shuffle([0, 0, 0, 0, 1, 1, 1, 1], createRandom(5));
+    assert.deepEqual(ratings, [0, 1].map(t => order.flatMap((target, index) => (target === t ? [index + 1] : []))));
+    assert.deepEqual(failures, [0, 0]);
+  });
+
+  it('counts invalid responses as failures', async () => {
+    const provider = countingProvider({ invalidEvery: 2 });
+    const { ratings, failures } = await rateRepeatedly([{ provider, image: 'a' }], 'Q', {
+      repeats: 6,
+      scheduler: new Scheduler({ concurrency: 1 }),
+      signal: new AbortController().signal,
+    });
+    assert.deepEqual(ratings, [[1, 3, 5]]);
+    assert.deepEqual(failures, [3]);
+  });
+
+  it('drops the queued queries when aborted', async () => {
+    const controller = new AbortController();
+    const scheduler = new Scheduler({ concurrency: 1 });
+    let queries = 0;
+    const run = rateRepeatedly([{ provider: new MockProvider({ delay: { min: 5, max: 5 } }), image: 'a' }], 'Q', {
+      repeats: 10,
+      scheduler,
+      signal: controller.signal,
+      onQuery: () => {
+        if (++queries === 2) controller.abort(new Error('stopped'));
+      },
+    });
+
+    await assert.rejects(run, /stopped/);
+    assert.equal(scheduler.queue.length, 0);
+    assert.equal(queries, 2);
+  });
+});
@@ -0,0 +1,99 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Scheduler, shuffle } from '../src/services/scheduler.js';
+import { createRandom } from '../src/services/random.js';
+
+const tick = (ms = 5) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('Scheduler', () => {
+  it('never runs more tasks at once than the concurrency limit', async () => {
+    const scheduler = new Scheduler({ concurrency: 3 });
+    let active = 0;
+    let peak = 0;
+    const task = async (i) => {
+      active++;
+      peak = Math.max(peak, active);
+      await tick();
+      active--;
+      return i;
+    };
+
+    const results = await Promise.all(Array.from({ length: 10 }, (_, i) => scheduler.run(() => task(i))));
+
+    assert.deepEqual(results, Array.from({ length: 10 }, (_, i) => i));
+    assert.equal(peak, 3);
+  });
+
+  it('spaces task starts by the rate limit', async () => {
+    const scheduler = new Scheduler({ concurrency: 10, rateLimit: 50 });
+    const starts = [];
+    await Promise.all(Array.from({ length: 4 }, () => scheduler.run(async () => starts.push(Date.now()))));
+
+    // 50 per second is one start every 20 ms; allow for timer granularity
+    starts.slice(1).forEach((start, i) => assert.ok(start - starts[i] >= 15, `gap ${start - starts[i]} ms`));
+  });
+
+  it('passes task failures to the caller', async () => {
+    const scheduler = new Scheduler();
+    await assert.rejects(scheduler.run(async () => { throw new Error('boom'); }), /boom/);
+    assert.equal(await scheduler.run(async () => 'next'), 'next');
+  });
+
+  it('holds queued tasks while paused', async () => {
+    const scheduler = new Scheduler({ concurrency: 1 });
+    scheduler.pause();
+    let ran = false;
+    const done = scheduler.run(async () => { ran = true; });
+
+    await tick();
+    assert.equal(ran, false);
+    scheduler.resume();
+    await done;
+    assert.equal(ran, true);
+  });
+
+  it('rejects queued tasks on clear', async () => {
+    const scheduler = new Scheduler({ concurrency: 1 });
+    const first = scheduler.run(() => tick(10));
+    const second = assert.rejects(scheduler.run(async () => 'never'), /cleared/);
+    scheduler.clear(new Error('cleared'));
+
+    await first;
+    await second;
+  });
+
+  it('drops the queued tasks of an aborted run without throttling them', async () => {
+    const scheduler = new Scheduler({ concurrency: 1, rateLimit: 1000 });
+    let throttled = 0;
+    const throttle = scheduler.throttle.bind(scheduler);
+    scheduler.throttle = () => {
+      throttled++;
+      return throttle();
+    };
+    const controller = new AbortController();
+    const ran = [];
+
+    const aborted = Array.from({ length: 5 }, (_, i) => scheduler.run(async () => ran.push(`a${i}`), { signal: controller.signal }));
+    const other = scheduler.run(async () => ran.push('b'));
+    const settled = Promise.allSettled(aborted);
+    controller.abort(new Error('stopped'));
+    await other;
+
+    // The first task had already started throttling, but is not run after the abort
+    assert.deepEqual(ran, ['b']);
+    assert.equal(throttled, 2);
+    assert.ok((await settled).every(result => result.status === 'rejected' && /stopped/.test(result.reason.message)));
+  });
+});
+
+describe('shuffle', () => {
+  it('permutes a copy of the array reproducibly with a seeded generator', () => {
+    const items = Array.from({ length: 20 }, (_, i) => i);
+    const a = shuffle(items, createRandom(1));
+
+    assert.deepEqual(a, shuffle(items, createRandom(1)));
+    assert.notDeepEqual(a, items);
+    assert.deepEqual([...a].sort((x, y) => x - y), items);
+    assert.deepEqual(items, Array.from({ length: 20 }, (_, i) => i));
+  });
+});
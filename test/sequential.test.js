@@ -0,0 +1,46 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { sequentialBoundaries, SequentialMonitor } from '../src/services/sequential.js';
+
+describe('sequentialBoundaries', () => {
+  it("matches published O'Brien-Fleming boundaries for five looks", () => {
+    const boundaries = sequentialBoundaries([0.2, 0.4, 0.6, 0.8, 1]).map(look => look.boundary);
+    [4.877, 3.357, 2.680, 2.290, 2.031].forEach((expected, index) => {
+      assert.ok(Math.abs(boundaries[index] - expected) < 0.002, `look ${index + 1}: ${boundaries[index]}`);
+    });
+  });
+
+  it('spends the whole alpha by the final look', () => {
+    const looks = sequentialBoundaries([0.25, 0.5, 0.75, 1], { spending: 'pocock' });
+    assert.ok(Math.abs(looks[looks.length - 1].alphaSpent - 0.05) < 1e-9);
+  });
+});
+
+describe('SequentialMonitor', () => {
+  it('stops for efficacy on a clear difference', () => {
+    const monitor = new SequentialMonitor({ maxSampleSize: 50 });
+    const look = monitor.check([[5, 6, 5, 6, 7, 5, 6, 5, 6, 7], [3, 4, 3, 4, 3, 2, 4, 3, 4, 3]]);
+    assert.equal(look.decision, 'efficacy');
+  });
+
+  it('never finds a difference between identical constant arms', () => {
+    const monitor = new SequentialMonitor({ maxSampleSize: 50 });
+    const look = monitor.check([Array(10).fill(5), Array(10).fill(5)]);
+    assert.equal(look.zStatistic, 0);
+    assert.notEqual(look.decision, 'efficacy');
+    assert.equal(monitor.summary().isSignificant, false);
+  });
+
+  it('leaves different constant arms to the fixed-sample test', () => {
+    const monitor = new SequentialMonitor({ maxSampleSize: 20, looks: 2 });
+    const interim = monitor.check([Array(10).fill(5), Array(10).fill(4)]);
+    assert.equal(interim.zStatistic, null);
+    assert.equal(interim.decision, 'continue');
+
+    const final = monitor.finish([Array(20).fill(5), Array(20).fill(4)]);
+    assert.equal(final.decision, 'untestable');
+    const summary = monitor.summary();
+    assert.equal(summary.pValue, null);
+    assert.equal(summary.isSignificant, false);
+  });
+});
@@ -0,0 +1,342 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  mean,
+  standardDeviation,
+  independentTTest,
+  welchANOVA,
+  holmCorrection,
+  benjaminiHochberg,
+  pairwiseComparisons,
+  mannWhitneyU,
+  permutationTest,
+  bootstrapMeanDifference,
+  compareSamples,
+  requiredSampleSize,
+  tTestPower,
+  powerAnalysis,
+  pooledStandardDeviation,
+  binomialTest,
+  pairwisePreferences,
+  bradleyTerry,
+  blockedANOVA,
+  krippendorffAlpha,
+  intraclassCorrelation,
+  normalQuantile,
+  normalCDF,
+  tQuantile,
+  bayesianAnalysis,
+  equivalenceTest,
+} from '../src/services/statistics.js';
+import { statisticRows } from '../src/services/format.js';
+import { createRandom } from '../src/services/random.js';
+
+const A = [6, 7, 5, 8, 7, 6, 9, 7];
+const B = [5, 4, 6, 5, 3, 5, 4, 6, 5];
+
+function assertClose(actual, expected, tolerance = 1e-6) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${actual} to be within ${tolerance} of ${expected}`);
+}
+
+describe('distributions', () => {
+  it('matches tabulated normal and t quantiles', () => {
+    assertClose(normalQuantile(0.975), 1.959964, 1e-5);
+    assertClose(normalCDF(1.959964), 0.975, 1e-6);
+    assertClose(tQuantile(0.975, 10), 2.228139, 1e-5);
+    assertClose(tQuantile(0.975, 5), 2.570582, 1e-5);
+  });
+});
+
+describe('independentTTest', () => {
+  it('computes Welch statistics and degrees of freedom', () => {
+    const result = independentTTest(A, B);
+    const se = Math.sqrt(standardDeviation(A) ** 2 / A.length + standardDeviation(B) ** 2 / B.length);
+
+    assertClose(result.meanDifference, mean(A) - mean(B));
+    assertClose(result.tStatistic, (mean(A) - mean(B)) / se);
+    assertClose(result.degreesOfFreedom, 13.229150, 1e-5);
+    assertClose(result.pValue, 0.002006, 1e-5);
+    assert.equal(result.isSignificant, true);
+  });
+
+  it('gives a p-value of alpha at the critical t value', () => {
+    // Shift B so the t-statistic equals the two-sided 5% critical value
+    const result = independentTTest(A, B);
+    const critical = tQuantile(0.975, result.degreesOfFreedom);
+    const shift = result.meanDifference - critical * (result.meanDifference / result.tStatistic);
+    assertClose(independentTTest(A, B.map(x => x + shift)).pValue, 0.05, 1e-6);
+  });
+
+  it('halves the p-value for a one-sided alternative in the observed direction', () => {
+    const twoSided = independentTTest(A, B).pValue;
+    assertClose(independentTTest(A, B, { alternative: 'greater' }).pValue, twoSided / 2);
+    assertClose(independentTTest(A, B, { alternative: 'less' }).pValue, 1 - twoSided / 2);
+    assert.equal(independentTTest(A, B, { alternative: 'greater' }).confidenceInterval.upper, Infinity);
+  });
+
+  it('treats the difference between constant samples as exact', () => {
+    const different = independentTTest(Array(10).fill(8), Array(10).fill(3));
+    assert.equal(different.pValue, 0);
+    assert.equal(different.isSignificant, true);
+    assert.equal(different.tStatistic, null);
+    assert.equal(different.hedgesG, null);
+    assert.deepEqual(different.confidenceInterval, { lower: 5, upper: 5 });
+
+    const same = independentTTest(Array(10).fill(5), Array(10).fill(5));
+    assert.equal(same.pValue, 1);
+    assert.equal(same.isSignificant, false);
+
+    const rows = statisticRows({ test: 'welch', ...different }, ['A', 'B']);
+    assert.ok(rows.every(([, value]) => !/NaN|Infinity/.test(value)));
+  });
+});
+
+describe('equivalenceTest', () => {
+  it('is equivalent exactly when the 1 - 2 alpha interval lies inside the margin', () => {
+    const wide = equivalenceTest(A, B, { margin: 3.5 });
+    assert.equal(wide.confidenceLevel, 0.9);
+    assert.ok(wide.confidenceInterval.upper < 3.5);
+    assert.equal(wide.conclusion, 'equivalent');
+
+    const narrow = equivalenceTest(A, B, { margin: 3 });
+    assert.ok(narrow.confidenceInterval.upper > 3);
+    assert.equal(narrow.conclusion, 'different');
+  });
+
+  it('is inconclusive with neither a difference nor equivalence', () => {
+    assert.equal(equivalenceTest([3, 7, 5, 2], [4, 8, 6, 3], { margin: 0.5 }).conclusion, 'inconclusive');
+  });
+
+  it('tests non-inferiority on one side only', () => {
+    const result = equivalenceTest(B, A, { margin: 3.5, type: 'non-inferiority' });
+    assert.equal(result.upper, null);
+    assert.equal(result.confidenceInterval.upper, Infinity);
+    assert.equal(result.conclusion, 'non-inferior');
+  });
+
+  it('rejects a margin that is not positive', () => {
+    assert.throws(() => equivalenceTest(A, B, { margin: 0 }));
+  });
+});
+
+describe('welchANOVA', () => {
+  it('reduces to the squared Welch t-test for two groups', () => {
+    const anova = welchANOVA([A, B]);
+    const t = independentTTest(A, B);
+    assertClose(anova.fStatistic, t.tStatistic ** 2);
+    assertClose(anova.df2, t.degreesOfFreedom);
+    assertClose(anova.pValue, t.pValue);
+  });
+
+  it('is undefined when a group has no variance', () => {
+    const anova = welchANOVA([[5, 5, 5, 5], [4, 5, 6, 5], [3, 4, 5, 4]]);
+    assert.equal(anova.pValue, null);
+    assert.equal(anova.fStatistic, null);
+    assert.equal(anova.isSignificant, false);
+    assert.deepEqual(anova.constantGroups, [0]);
+  });
+});
+
+describe('multiple-comparison corrections', () => {
+  it('adjusts Holm step-down with a running maximum', () => {
+    assert.deepEqual(holmCorrection([0.01, 0.04, 0.03]).map(p => +p.toFixed(6)), [0.03, 0.06, 0.06]);
+  });
+
+  it('adjusts Benjamini-Hochberg step-up with a running minimum', () => {
+    assert.deepEqual(benjaminiHochberg([0.01, 0.04, 0.03]).map(p => +p.toFixed(6)), [0.03, 0.04, 0.04]);
+    assert.deepEqual(
+      benjaminiHochberg([0.005, 0.011, 0.02, 0.04, 0.13]).map(p => +p.toFixed(6)),
+      [0.025, 0.0275, 0.033333, 0.05, 0.13]
+    );
+  });
+
+  it('never adjusts more strictly with Benjamini-Hochberg than with Holm', () => {
+    const pValues = [0.001, 0.2, 0.013, 0.04, 0.5, 0.03];
+    const holm = holmCorrection(pValues);
+    benjaminiHochberg(pValues).forEach((p, i) => assert.ok(p <= holm[i]));
+  });
+
+  it('leaves tests without a p-value out of the family', () => {
+    for (const correct of [holmCorrection, benjaminiHochberg]) {
+      const adjusted = correct([0.01, NaN, 0.03, null]);
+      assert.ok(Number.isNaN(adjusted[1]) && Number.isNaN(adjusted[3]));
+      assert.deepEqual(correct([0.01, 0.03]), [adjusted[0], adjusted[2]]);
+    }
+  });
+});
+
+describe('mannWhitneyU', () => {
+  it('uses the normal approximation with a continuity correction', () => {
+    const result = mannWhitneyU([1, 2, 3, 4], [5, 6, 7, 8]);
+    assert.equal(result.uStatistic, 0);
+    assertClose(result.zScore, (0 - 8 + 0.5) / Math.sqrt((4 * 4 * 9) / 12));
+    assertClose(result.effectSize, -1);
+  });
+
+  it('gives a p-value of 1 when every value is tied', () => {
+    const result = mannWhitneyU([5, 5, 5], [5, 5, 5]);
+    assert.equal(result.pValue, 1);
+    assert.equal(result.zScore, 0);
+  });
+});
+
+describe('resampling tests', () => {
+  it('are reproducible with a seeded generator', () => {
+    assert.deepEqual(
+      permutationTest(A, B, { iterations: 2000, random: createRandom(7) }),
+      permutationTest(A, B, { iterations: 2000, random: createRandom(7) })
+    );
+    assert.deepEqual(
+      bootstrapMeanDifference(A, B, { iterations: 2000, random: createRandom(7) }),
+      bootstrapMeanDifference(A, B, { iterations: 2000, random: createRandom(7) })
+    );
+  });
+
+  it('find the difference between clearly separated samples', () => {
+    const permutation = permutationTest(A, B, { iterations: 5000, random: createRandom(1) });
+    assertClose(permutation.observedDifference, mean(A) - mean(B));
+    assert.ok(permutation.pValue < 0.01);
+
+    const bootstrap = bootstrapMeanDifference(A, B, { iterations: 5000, random: createRandom(1) });
+    assert.ok(bootstrap.lower > 0 && bootstrap.lower < bootstrap.difference && bootstrap.difference < bootstrap.upper);
+    assert.equal(bootstrap.isSignificant, true);
+  });
+
+  it('count ties with the observed difference as extreme', () => {
+    assert.equal(permutationTest([5, 5], [5, 5], { iterations: 100 }).pValue, 1);
+  });
+
+  it('give one-sided bootstrap intervals an open end', () => {
+    const greater = bootstrapMeanDifference(A, B, { alternative: 'greater', iterations: 1000, random: createRandom(2) });
+    assert.equal(greater.upper, Infinity);
+    assert.ok(Number.isFinite(greater.lower));
+  });
+});
+
+describe('compareSamples', () => {
+  it('rejects unknown tests and alternatives', () => {
+    assert.throws(() => compareSamples(A, B, 'sign'), /Unknown test: sign/);
+    assert.throws(() => compareSamples(A, B, 'welch', { alternative: 'different' }), /Unknown alternative/);
+  });
+});
+
+describe('power and sample size', () => {
+  it('needs 64 ratings per variant for half a standard deviation at 80% power', () => {
+    assert.equal(requiredSampleSize({ effect: 0.5, sd: 1 }), 64);
+    assert.equal(requiredSampleSize({ effect: 0, sd: 1 }), null);
+    assert.ok(requiredSampleSize({ effect: 0.5, sd: 1, alternative: 'greater' }) < 64);
+  });
+
+  it('plans the smallest sample size reaching the target power', () => {
+    const power = (n) => tTestPower({ effect: 0.5, se: Math.sqrt(2 / n), df: 2 * n - 2 });
+    assert.ok(power(64) >= 0.8);
+    assert.ok(power(63) < 0.8);
+  });
+
+  it('detects the minimum detectable effect with the target power', () => {
+    const analysis = powerAnalysis(A, B, { power: 0.9, plannedEffect: 1 });
+    const se = Math.sqrt(standardDeviation(A) ** 2 / A.length + standardDeviation(B) ** 2 / B.length);
+    const df = independentTTest(A, B).degreesOfFreedom;
+
+    assertClose(tTestPower({ effect: analysis.mde, se, df }), 0.9, 1e-3);
+    assertClose(analysis.standardizedMDE, analysis.mde / pooledStandardDeviation([A, B]));
+    assert.ok(analysis.plannedPower < analysis.achievedPower);
+  });
+});
+
+describe('preference statistics', () => {
+  it('computes the exact binomial p-value and Clopper-Pearson interval', () => {
+    const result = binomialTest(9, 10);
+    assertClose(result.pValue, 22 / 1024);
+    assertClose(result.confidenceInterval.lower, 0.554984, 1e-5);
+    assertClose(result.confidenceInterval.upper, 0.997471, 1e-5);
+
+    const greater = binomialTest(9, 10, { alternative: 'greater' });
+    assertClose(greater.pValue, 11 / 1024);
+    assert.equal(greater.confidenceInterval.upper, 1);
+    assert.equal(binomialTest(5, 10).pValue, 1);
+  });
+
+  it('sign-tests every pair with Holm-adjusted p-values', () => {
+    const wins = [[0, 9, 5], [1, 0, 4], [5, 6, 0]];
+    const pairs = pairwisePreferences(wins);
+    assert.deepEqual(pairs.map(pair => [pair.group1, pair.group2, pair.successes, pair.trials]), [
+      [0, 1, 9, 10], [0, 2, 5, 10], [1, 2, 4, 10],
+    ]);
+    assert.deepEqual(pairs.map(pair => pair.adjustedPValue), holmCorrection(pairs.map(pair => pair.pValue)));
+  });
+
+  it('fits Bradley-Terry strengths with half a win of prior per direction', () => {
+    const [first, second] = bradleyTerry([[0, 3], [1, 0]]);
+    assertClose(first / second, 3.5 / 1.5);
+    assertClose(first + second, 1);
+
+    // Wins proportional to strengths 4:2:1 are recovered, and an unbeaten variant stays finite
+    const strengths = bradleyTerry([[0, 200, 400], [100, 0, 200], [100, 100, 0]], { prior: 0 });
+    assertClose(strengths[0] / strengths[1], 2, 1e-6);
+    assertClose(strengths[1] / strengths[2], 2, 1e-6);
+    assert.ok(bradleyTerry([[0, 10], [0, 0]]).every(Number.isFinite));
+  });
+});
+
+describe('judge panel statistics', () => {
+  it('splits a balanced blocked design like a two-way ANOVA', () => {
+    const anova = blockedANOVA([[[1, 2], [3, 4]], [[2, 3], [5, 6]]]);
+    assert.deepEqual(anova.variantMeans, [2, 4.5]);
+    assert.deepEqual(anova.judgeMeans, [2.5, 4]);
+    assertClose(anova.variant.fStatistic, 25);
+    assertClose(anova.judge.fStatistic, 9);
+    assertClose(anova.interaction.fStatistic, 1);
+    assertClose(anova.mixedVariant.fStatistic, 25);
+    assert.deepEqual([anova.variant.df1, anova.variant.df2, anova.mixedVariant.df2], [1, 4, 1]);
+  });
+
+  it('computes Krippendorff\'s alpha for interval data', () => {
+    assertClose(krippendorffAlpha([[1, 2], [3, 4]]), 0.7);
+    assertClose(krippendorffAlpha([[1, 2], [3, 4], [9]]), 0.7);
+    assert.equal(krippendorffAlpha([[2, 2], [5, 5, 5]]), 1);
+    assert.ok(Number.isNaN(krippendorffAlpha([[3, 3], [3, 3]])));
+  });
+
+  it('matches the intraclass correlations of Shrout and Fleiss (1979)', () => {
+    const icc = intraclassCorrelation([[9, 2, 5, 8], [6, 1, 3, 2], [8, 4, 6, 8], [7, 1, 2, 6], [10, 5, 6, 9], [6, 2, 4, 7]]);
+    assertClose(icc.agreement, 0.29, 0.005);
+    assertClose(icc.averageAgreement, 0.62, 0.005);
+    assertClose(icc.consistency, 0.71, 0.005);
+    assertClose(icc.averageConsistency, 0.91, 0.005);
+  });
+});
+
+describe('pairwiseComparisons', () => {
+  it('compares every pair with Holm-adjusted p-values', () => {
+    const pairs = pairwiseComparisons([A, B, A.map(x => x - 1)]);
+    assert.deepEqual(pairs.map(pair => [pair.group1, pair.group2]), [[0, 1], [0, 2], [1, 2]]);
+    assert.deepEqual(pairs.map(pair => pair.adjustedPValue), holmCorrection(pairs.map(pair => pair.pValue)));
+  });
+
+  it('gives exact results for pairs of constant groups', () => {
+    const pairs = pairwiseComparisons([[5, 5, 5], [5, 5, 5], [1, 2, 3]]);
+    assert.equal(pairs[0].pValue, 1);
+    assert.ok(pairs.every(pair => Number.isFinite(pair.adjustedPValue)));
+  });
+});
+
+describe('bayesianAnalysis', () => {
+  it('is reproducible with a seeded random source', () => {
+    const run = () => bayesianAnalysis([A, B], { rope: 0.5, random: createRandom(7) });
+    assert.deepEqual(run(), run());
+  });
+
+  it('favors the clearly better variant', () => {
+    const { variants, pairs } = bayesianAnalysis([A, B], { rope: 0.5, random: createRandom(1) });
+    assert.ok(variants[0].mean > variants[1].mean);
+    assert.ok(pairs[0].probabilityGreater > 0.99);
+    assert.equal(pairs[0].decision, 'first');
+  });
+
+  it('declares identical samples practically equivalent', () => {
+    const ratings = Array.from({ length: 200 }, (_, i) => 4 + (i % 3));
+    const { pairs } = bayesianAnalysis([ratings, ratings], { rope: 0.5, random: createRandom(1) });
+    assert.equal(pairs[0].decision, 'equivalent');
+  });
+});
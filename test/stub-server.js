@@ -0,0 +1,52 @@
+/**
+ * Local HTTP server standing in for a provider API in tests. Each request is recorded
+ * and answered by the next queued reply, or by the default reply once the queue is empty.
+ */
+
+import { createServer } from 'node:http';
+
+/**
+ * Start a stub server on a free port
+ * @param {Function} defaultReply - Called with the recorded request, returns { status, body }
+ * @returns {Promise<Object>} The server's url, recorded requests, reply queue and close()
+ */
+export async function startStubServer(defaultReply = () => ({ status: 404, body: { error: 'not found' } })) {
+  const requests = [];
+  const replies = [];
+
+  const server = createServer((req, res) => {
+    let text = '';
+    req.on('data', chunk => { text += chunk; });
+    req.on('end', () => {
+      const request = {
+        method: req.method,
+        path: req.url,
+        headers: req.headers,
+        body: text ? JSON.parse(text) : null,
+      };
+      requests.push(request);
+
+      const { status = 200, body } = (replies.shift() ?? defaultReply)(request);
+      res.writeHead(status, { 'Content-Type': typeof body === 'string' ? 'text/plain' : 'application/json' });
+      res.end(typeof body === 'string' ? body : JSON.stringify(body));
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    requests,
+    /**
+     * Queue a reply for the next request
+     */
+    reply(status, body) {
+      replies.push(() => ({ status, body }));
+    },
+    close() {
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    },
+  };
+}